@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/**
+ * 오프라인 추첨 CLI
+ * 관리자 페이지 없이 명단 파일(CSV/JSON)로 makePairs를 실행하고 결과를 CSV/JSON으로 저장
+ *
+ * 사용법:
+ *   node scripts/draw.js --input roster.csv [--output pairs.csv] [--seed 시드] [--mode split|global]
+ *                        [--rules rules.json] [--receivers K] [--mentor-capacity N] [--format csv|json] [--case-sensitive]
+ *
+ * 명단 JSON: {"normals": [...], "newbies": [...], "leaders": [...], "participants": [{"name", "type"}], "filterPairs": [["a", "b"]], "attributes": {...}}
+ * 명단 CSV: 한 줄에 "타입,이름" (타입: normal | newbie | leader 또는 --rules의 types에 선언한 타입 이름/label), 금지된 쌍은 "forbidden,이름,이름"
+ *
+ * 종료 코드: 0 성공, 1 사용법/입력 오류, 2 추첨 불가능, 3 탐색 한도 초과 (가능 여부를 판정하지 못함)
+ *           2와 3은 진단 결과를 stderr로 출력
+ */
+
+import {readFileSync, writeFileSync} from 'node:fs';
+import {extname} from 'node:path';
+import {parseArgs} from 'node:util';
+import {makePairs, InfeasiblePairingError, SearchLimitError} from '../src/services/shuffleService.js';
+import {diagnoseRoster} from '../src/services/diagnosticService.js';
+import {normalizeRoster} from '../src/services/rosterNormalizer.js';
+import {parseRuleSet} from '../src/services/ruleEngine.js';
+
+const EXIT_USAGE = 1;
+const EXIT_INFEASIBLE = 2;
+const EXIT_SEARCH_LIMIT = 3;
+
+const USAGE = `사용법: node scripts/draw.js --input <roster.csv|roster.json> [옵션]
+
+옵션:
+  -i, --input <파일>      명단 파일 (CSV 또는 JSON, 필수)
+  -o, --output <파일>     결과 파일 (없으면 표준 출력)
+  -f, --format <형식>     결과 형식 csv | json (기본값: 출력 파일 확장자, 없으면 csv)
+  -s, --seed <시드>       재현용 시드 (없으면 새로 생성하여 stderr에 표시)
+  -m, --mode <방식>       split (기본값) | global | mentoring
+  -r, --rules <파일>      선언형 규칙 정의 JSON 파일
+  -k, --receivers <수>    한 명이 챙길 사람 수 (기본값 1)
+      --mentor-capacity <수>  mentoring 모드에서 leader 한 명이 맡을 newbie 수 (기본값 1)
+      --case-sensitive    대소문자가 다른 이름을 다른 사람으로 취급 (기본값: 같은 사람)
+  -h, --help              도움말`;
+
+/**
+ * CSV 한 줄을 필드 배열로 분리 (큰따옴표로 감싼 필드 지원)
+ * @param {string} line - CSV 한 줄
+ * @returns {Array<string>} 필드 배열
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * CSV 필드 이스케이프
+ */
+function toCsvField(value) {
+    const text = `${value ?? ''}`;
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV 명단 파싱
+ * @param {string} content - 파일 내용
+ * @param {Object} ruleTypes - 규칙 정의의 types (선언한 타입의 참가자는 participants로, 선택사항)
+ * @returns {Object} {normals, newbies, leaders, participants, filterPairs}
+ */
+function parseRosterCsv(content, ruleTypes = {}) {
+    const roster = {normals: [], newbies: [], leaders: [], participants: [], filterPairs: []};
+    const listOf = {normal: roster.normals, newbie: roster.newbies, leader: roster.leaders};
+    const customTypeOf = kind => Object.keys(ruleTypes)
+        .filter(key => !listOf[key])
+        .find(key => key.toLowerCase() === kind || `${ruleTypes[key]?.label ?? ''}`.toLowerCase() === kind);
+
+    content.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+        const [type, name, other] = parseCsvLine(line);
+        const kind = type.toLowerCase();
+
+        // 머리글 행은 건너뜀
+        if (index === 0 && kind === 'type') return;
+
+        if (kind === 'forbidden') {
+            if (!name || !other) {
+                throw new Error(`${index + 1}번째 줄: 금지된 쌍에는 이름 2개가 필요합니다.`);
+            }
+            roster.filterPairs.push([name, other]);
+        } else if (listOf[kind]) {
+            if (!name) {
+                throw new Error(`${index + 1}번째 줄: 이름이 비어 있습니다.`);
+            }
+            listOf[kind].push(name);
+        } else if (customTypeOf(kind)) {
+            if (!name) {
+                throw new Error(`${index + 1}번째 줄: 이름이 비어 있습니다.`);
+            }
+            roster.participants.push({name, type: customTypeOf(kind)});
+        } else {
+            throw new Error(`${index + 1}번째 줄: 알 수 없는 타입입니다 (${type}).`);
+        }
+    });
+
+    return roster;
+}
+
+/**
+ * 명단 파일 읽기 (확장자로 CSV/JSON 구분)
+ * @param {string} path - 파일 경로
+ * @param {Object} ruleTypes - 규칙 정의의 types (CSV에서 받을 추가 타입, 선택사항)
+ * @returns {Object} 명단
+ */
+function readRoster(path, ruleTypes = {}) {
+    const content = readFileSync(path, 'utf8');
+    if (extname(path).toLowerCase() === '.json') {
+        const parsed = JSON.parse(content);
+        return {
+            normals: parsed.normals || [],
+            newbies: parsed.newbies || [],
+            leaders: parsed.leaders || [],
+            participants: parsed.participants || [],
+            filterPairs: parsed.filterPairs || [],
+            attributes: parsed.attributes || {}
+        };
+    }
+    return parseRosterCsv(content, ruleTypes);
+}
+
+/**
+ * 결과 직렬화
+ * CSV는 giver,receiver 표 뒤에 멘토링 배정이 있으면 빈 줄 다음 mentor,mentee 표를 따로 기록
+ * @param {Object} result - makePairs 결과
+ * @param {string} format - 'csv' | 'json'
+ * @returns {string} 파일 내용
+ */
+function formatResult(result, format) {
+    if (format === 'json') {
+        return `${JSON.stringify(result, null, 2)}\n`;
+    }
+    const lines = [
+        'giver,receiver',
+        ...result.pairs.map(pair => `${toCsvField(pair.giver)},${toCsvField(pair.receiver)}`)
+    ];
+    if (result.mentoring?.length > 0) {
+        lines.push(
+            '',
+            'mentor,mentee',
+            ...result.mentoring.map(match => `${toCsvField(match.mentor)},${toCsvField(match.mentee)}`)
+        );
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 진단/차단 제약을 stderr에 출력
+ */
+function reportDiagnostics(diagnostics) {
+    diagnostics.errors.forEach(issue => console.error(`❌ ${issue.message}`));
+    diagnostics.warnings.forEach(issue => console.error(`⚠️ ${issue.message}`));
+}
+
+/**
+ * 탐색 한도 초과를 stderr에 출력 (명단 진단 경고와 함께)
+ */
+function reportSearchLimit(error, diagnostics) {
+    console.error(`❌ ${error.message}`);
+    reportDiagnostics(diagnostics);
+    console.error('💡 추첨이 불가능하다고 확인된 것은 아닙니다. 다른 시드로 다시 시도하거나 금지된 쌍을 줄여보세요.');
+}
+
+function reportInfeasibility(infeasibility) {
+    console.error(`❌ ${infeasibility.summary}`);
+    infeasibility.blocking.forEach(edge => {
+        console.error(`   - ${edge.giver} → ${edge.receiver}: ${edge.description}`);
+    });
+}
+
+function main(argv) {
+    let args;
+    try {
+        ({values: args} = parseArgs({
+            args: argv,
+            options: {
+                input: {type: 'string', short: 'i'},
+                output: {type: 'string', short: 'o'},
+                format: {type: 'string', short: 'f'},
+                seed: {type: 'string', short: 's'},
+                mode: {type: 'string', short: 'm'},
+                rules: {type: 'string', short: 'r'},
+                receivers: {type: 'string', short: 'k'},
+                'mentor-capacity': {type: 'string'},
+                'case-sensitive': {type: 'boolean'},
+                help: {type: 'boolean', short: 'h'}
+            }
+        }));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (!args.input) {
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    const format = (args.format || (args.output && extname(args.output).slice(1)) || 'csv').toLowerCase();
+    if (!['csv', 'json'].includes(format)) {
+        console.error(`지원하지 않는 결과 형식입니다: ${format}`);
+        return EXIT_USAGE;
+    }
+
+    // 이름 정규화 (NFC, 공백 정리) - 중복/비슷한 이름은 진단에서 보고
+    const nameNormalization = {caseFolding: !args['case-sensitive']};
+
+    let roster;
+    let rules;
+    try {
+        rules = args.rules ? JSON.parse(readFileSync(args.rules, 'utf8')) : undefined;
+        roster = normalizeRoster(readRoster(args.input, rules ? parseRuleSet(rules).types : {}), nameNormalization);
+    } catch (error) {
+        console.error(`입력 파일을 읽을 수 없습니다: ${error.message}`);
+        return EXIT_USAGE;
+    }
+
+    const receiversPerGiver = args.receivers ? Number(args.receivers) : 1;
+    const mentorCapacity = args['mentor-capacity'] ? Number(args['mentor-capacity']) : 1;
+    const pairOptions = {
+        seed: args.seed,
+        mode: args.mode,
+        rules,
+        receiversPerGiver,
+        mentorCapacity,
+        attributes: roster.attributes,
+        participants: roster.participants
+    };
+
+    // 추첨 로그는 stderr로 (표준 출력은 결과 전용)
+    console.log = (...messages) => console.error(...messages);
+
+    const diagnostics = diagnoseRoster(roster, {...pairOptions, nameNormalization});
+    if (!diagnostics.isDrawable) {
+        reportDiagnostics(diagnostics);
+        return EXIT_INFEASIBLE;
+    }
+
+    let result;
+    try {
+        result = makePairs(roster.normals, roster.newbies, roster.leaders, roster.filterPairs, pairOptions);
+    } catch (error) {
+        if (error instanceof InfeasiblePairingError) {
+            reportInfeasibility(error.infeasibility);
+            return EXIT_INFEASIBLE;
+        }
+        if (error instanceof SearchLimitError) {
+            reportSearchLimit(error, diagnostics);
+            return EXIT_SEARCH_LIMIT;
+        }
+        console.error(`❌ ${error.message}`);
+        return EXIT_USAGE;
+    }
+
+    const output = formatResult(result, format);
+    if (args.output) {
+        writeFileSync(args.output, output);
+        console.error(`💾 ${result.pairs.length}개 쌍을 ${args.output}에 저장했습니다.`);
+    } else {
+        process.stdout.write(output);
+    }
+    console.error(`🔑 시드: ${result.metadata.seed}`);
+
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
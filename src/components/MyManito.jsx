@@ -1,9 +1,14 @@
 import {useState, useEffect} from 'react';
 import {getSheetDataService} from '../services/sheetDataService';
+import {isSameName, normalizeName} from '../services/rosterNormalizer';
+import {verifyPassword} from '../services/passwordHash';
+import {decryptReceiver, isEncryptedReceiver} from '../services/receiverCipher';
+import {EVENT_STATES} from '../services/eventLifecycle';
 
 function MyManito() {
     const [dataService] = useState(() => getSheetDataService());
     const [pairs, setPairs] = useState([]);
+    const [mentoring, setMentoring] = useState([]);
     const [users, setUsers] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
@@ -11,8 +16,10 @@ function MyManito() {
     const [searchPassword, setSearchPassword] = useState('');
     const [searching, setSearching] = useState(false);
     const [searchError, setSearchError] = useState('');
-    const [foundReceiver, setFoundReceiver] = useState(null);
+    const [foundReceivers, setFoundReceivers] = useState([]);
+    const [foundMentees, setFoundMentees] = useState([]);
     const [showResult, setShowResult] = useState(false);
+    const [eventState, setEventState] = useState(null);
 
     // 초기 데이터 로드
     useEffect(() => {
@@ -25,23 +32,35 @@ function MyManito() {
             setLoading(true);
             setError(null);
 
-            // 서비스 초기화
+            // 서비스 초기화 + Settings 탭의 시트 레이아웃 적용
             await dataService.initialize(
                 '1IbHBh5SACa505qLB6eNZEARwRofDme_p1NmyRCL7xPA',
-                'DB'
+                dataService.getSheetLayout().sheetName
             );
+            await dataService.loadSheetLayout();
 
-            // J4:K1000 범위에서 쌍 데이터, M4:N1000 범위에서 사용자 인증 데이터 가져오기
-            const batchData = await dataService.sheetsService.getBatchData([
-                'DB!J4:K1000',
-                'DB!M4:N1000'
-            ]);
+            // 결과는 published 상태에서만 보여줌 (그 전에는 쌍/인증 데이터를 내려받지 않음)
+            const status = await dataService.fetchEventStatus();
+            setEventState(status.state);
+            if (status.state !== 'published') {
+                console.log(`🚦 이벤트가 '${status.label}' 상태라 결과를 불러오지 않습니다.`);
+                return;
+            }
+
+            // 레이아웃의 pairs 영역에서 쌍 데이터, mentoring 영역(지정한 경우)에서 멘토링 배정, credentials 영역에서 사용자 인증 데이터 가져오기
+            const pairsRange = dataService.resolveRange('pairs');
+            const mentoringRange = dataService.resolveRange('mentoring');
+            const credentialsRange = dataService.resolveRange('credentials');
+            const batchData = await dataService.sheetsService.getBatchData(
+                mentoringRange ? [pairsRange, mentoringRange, credentialsRange] : [pairsRange, credentialsRange]
+            );
 
-            const rawPairs = batchData['DB!J4:K1000'] || [];
-            const rawUsers = batchData['DB!M4:N1000'] || [];
+            const rawPairs = batchData[pairsRange] || [];
+            const rawMentoring = (mentoringRange && batchData[mentoringRange]) || [];
+            const rawUsers = batchData[credentialsRange] || [];
 
-            // 빈 값 필터링하고 유효한 쌍만 추출
-            const validPairs = rawPairs
+            // 빈 값 필터링하고 유효한 쌍만 추출 (mentoring 영역도 mentor → mentee 쌍으로 같은 형식)
+            const toPairs = rows => rows
                 .filter(row =>
                     Array.isArray(row) &&
                     row.length >= 2 &&
@@ -51,9 +70,11 @@ function MyManito() {
                     row[0].trim() && row[1].trim()
                 )
                 .map(row => ({
-                    giver: row[0].trim(),
-                    receiver: row[1].trim()
+                    giver: normalizeName(row[0]),
+                    receiver: isEncryptedReceiver(row[1].trim()) ? row[1].trim() : normalizeName(row[1])
                 }));
+            const validPairs = toPairs(rawPairs);
+            const validMentoring = toPairs(rawMentoring);
 
             // 사용자 인증 데이터 처리
             const validUsers = rawUsers
@@ -66,13 +87,14 @@ function MyManito() {
                     row[0].trim() && row[1].trim()
                 )
                 .map(row => ({
-                    name: row[0].trim(),
-                    password: row[1].trim()
+                    name: normalizeName(row[0]),
+                    passwordHash: row[1].trim()
                 }));
 
             setPairs(validPairs);
+            setMentoring(validMentoring);
             setUsers(validUsers);
-            console.log(`✅ ${validPairs.length}개의 쌍 데이터와 ${validUsers.length}개의 사용자 데이터를 로드했습니다.`);
+            console.log(`✅ ${validPairs.length}개의 쌍 데이터, ${validMentoring.length}개의 멘토링 배정과 ${validUsers.length}개의 사용자 데이터를 로드했습니다.`);
 
         } catch (err) {
             console.error('쌍 데이터 로드 실패:', err);
@@ -97,13 +119,18 @@ function MyManito() {
             return;
         }
 
+        if (eventState !== 'published') {
+            setSearchError(`지금은 결과를 확인할 수 없습니다 (${EVENT_STATES[eventState] ?? '상태 확인 불가'}).`);
+            return;
+        }
+
         setSearching(true);
         setSearchError('');
 
         try {
-            // 1. 사용자 인증 확인 (대소문자 구분 없이)
+            // 1. 사용자 인증 확인 (명단과 같은 이름 비교 규칙: 공백 정리, 설정에 따라 대소문자 무시)
             const foundUser = users.find(user =>
-                user.name.toLowerCase() === trimmedName.toLowerCase()
+                isSameName(user.name, trimmedName, dataService.nameNormalization)
             );
 
             if (!foundUser) {
@@ -111,20 +138,34 @@ function MyManito() {
                 return;
             }
 
-            if (foundUser.password !== trimmedPassword) {
+            if (!(await verifyPassword(trimmedPassword, foundUser.passwordHash))) {
                 setSearchError('비밀번호가 일치하지 않습니다. 다시 확인해주세요.');
                 return;
             }
 
-            // 2. 인증 성공 후 기버-리시버 쌍 찾기
-            const foundPair = pairs.find(pair =>
-                pair.giver.toLowerCase() === trimmedName.toLowerCase()
-            );
+            // 2. 인증 성공 후 기버-리시버 쌍과 멘토링으로 챙길 mentee 찾기 (여러 명에게 주는 경우 giver 행이 여러 개)
+            //    receiver가 암호화되어 있으면 입력한 비밀번호로 이 브라우저에서 복호화
+            const receiversOf = rows => Promise.all(rows
+                .filter(pair => isSameName(pair.giver, foundUser.name, dataService.nameNormalization))
+                .map(pair => isEncryptedReceiver(pair.receiver)
+                    ? decryptReceiver(pair.receiver, pair.giver, trimmedPassword)
+                    : pair.receiver));
+
+            let receivers;
+            let mentees;
+            try {
+                receivers = await receiversOf(pairs);
+                mentees = await receiversOf(mentoring);
+            } catch (decryptError) {
+                setSearchError(decryptError.message);
+                return;
+            }
 
-            if (foundPair) {
-                setFoundReceiver(foundPair.receiver);
+            if (receivers.length > 0 || mentees.length > 0) {
+                setFoundReceivers(receivers);
+                setFoundMentees(mentees);
                 setShowResult(true);
-                console.log(`✅ ${trimmedName}님이 인증되었고 리시버를 찾았습니다: ${foundPair.receiver}`);
+                console.log(`✅ ${trimmedName}님이 인증되었고 리시버를 찾았습니다: ${[...receivers, ...mentees].join(', ')}`);
             } else {
                 setSearchError('해당 사용자의 정보를 찾을 수 없습니다.');
             }
@@ -146,7 +187,8 @@ function MyManito() {
     // 다시 검색하기
     const handleSearchAgain = () => {
         setShowResult(false);
-        setFoundReceiver(null);
+        setFoundReceivers([]);
+        setFoundMentees([]);
         setSearchName('');
         setSearchPassword('');
         setSearchError('');
@@ -298,7 +340,9 @@ function MyManito() {
                             <p className="text-blue-700 text-sm flex items-start gap-2">
                                 <span className="text-lg flex-shrink-0">💡</span>
                                 <span className="leading-relaxed">
-                                    정확한 이름과 비밀번호를 입력해주세요.
+                                    {eventState === 'published'
+                                        ? '정확한 이름과 비밀번호를 입력해주세요.'
+                                        : `지금은 결과를 확인할 수 없습니다 (${EVENT_STATES[eventState]}).`}
                                 </span>
                             </p>
                         </div>
@@ -315,11 +359,11 @@ function MyManito() {
                                 <span className="relative inline-block w-full">
                                     <p className="absolute inset-0 animate-ping  opacity-25 text-4xl sm:text-5xl font-black text-transparent bg-clip-text
                                                 bg-gradient-to-r from-red-500 to-pink-500 break-words">
-                                        {foundReceiver}
+                                        {foundReceivers.join(', ')}
                                     </p>
                                     <p className="relative text-4xl sm:text-5xl font-black text-transparent bg-clip-text
                                                 bg-gradient-to-r from-red-500 to-pink-500 break-words">
-                                        {foundReceiver}
+                                        {foundReceivers.join(', ')}
                                     </p>
                                 </span>
                             </div>
@@ -328,6 +372,16 @@ function MyManito() {
                             </p>
                         </div>
 
+                        {/* 멘토링 배정 (mentoring 모드에서 leader가 챙길 newbie) */}
+                        {foundMentees.length > 0 && (
+                            <div className="bg-emerald-50 border-2 border-emerald-200 rounded-2xl p-4 mb-6">
+                                <p className="text-emerald-800 text-sm text-center leading-relaxed">
+                                    🧑‍🏫 멘토링으로 챙길 newbie<br/>
+                                    <strong className="text-lg break-words">{foundMentees.join(', ')}</strong>
+                                </p>
+                            </div>
+                        )}
+
                         {/* 축하 메시지 */}
                         <div className="bg-gradient-to-r from-red-50 to-pink-50 border-2 border-red-200
                                       rounded-2xl p-6 mb-6">
@@ -335,7 +389,7 @@ function MyManito() {
                                 <p className="text-red-600"> ※ 오픈채팅방 입장 안내 ※</p><br/>
                                 아래 오픈채팅방 입장 링크로<br/>
                                 입장해주세요<br/><br/>
-                                <strong className="text-red-600">{foundReceiver}의 마니또</strong> 닉네임으로 설정하기!<br/>
+                                <strong className="text-red-600">{foundReceivers.join(', ')}의 마니또</strong> 닉네임으로 설정하기!<br/>
                                 그럼 2주간 행복한 마니또 되시길 바랍니다! 🎉
                             </p>
                         </div>
@@ -1,5 +1,30 @@
-import {useState, useEffect} from 'react';
-import {getSheetDataService} from '../services/sheetDataService';
+import {useState, useEffect, useMemo, useRef} from 'react';
+import {runFairnessInWorker} from '../services/pairingWorkerClient';
+import {getSheetDataService, DEFAULT_HISTORY_CONFIG} from '../services/sheetDataService';
+import {buildDistributionCsv, buildDistributionSlips} from '../services/credentialService';
+import {EVENT_STATES, EVENT_TRANSITIONS} from '../services/eventLifecycle';
+import {isSameName} from '../services/rosterNormalizer';
+
+/**
+ * 쌍 설명(explanation)을 한 줄 요약으로 변환 ("왜 이 사람과?" 질문 답변용 툴팁)
+ * @param {Object} pair - makePairs 결과의 쌍
+ * @returns {string|undefined} 요약 문자열
+ */
+function describePairExplanation(pair) {
+    const explanation = pair.explanation;
+    if (!explanation) return undefined;
+
+    const method = explanation.method === 'sampling'
+        ? `무작위 시도 ${explanation.attempt}번째`
+        : `무작위 시도 ${explanation.attempt}번 실패 후 전체 탐색`;
+    return [
+        `${explanation.stage}단계 (${explanation.stageLabel})`,
+        method,
+        explanation.candidates > 1 && `후보 ${explanation.candidates}개 중 ${explanation.candidate}번째`,
+        explanation.previousCount > 0 && `이전 회차 ${explanation.previousCount}번 나온 쌍`,
+        `확인한 규칙: ${explanation.rulesChecked.join(', ')}`
+    ].filter(Boolean).join(' · ');
+}
 
 function SheetDataViewer() {
     const [dataService] = useState(() => getSheetDataService());
@@ -16,12 +41,90 @@ function SheetDataViewer() {
     const [pairingInProgress, setPairingInProgress] = useState(false);
     const [savingPairs, setSavingPairs] = useState(false);
     const [pairingError, setPairingError] = useState(null);
+    const [pairingInfeasibility, setPairingInfeasibility] = useState(null);
+    const [seedInput, setSeedInput] = useState('');
+    const [historyLookback, setHistoryLookback] = useState(DEFAULT_HISTORY_CONFIG.lookback);
+    const [historySkipped, setHistorySkipped] = useState(0);
+    const [credentialMigrationError, setCredentialMigrationError] = useState(null);
+    const [repeatMode, setRepeatMode] = useState(DEFAULT_HISTORY_CONFIG.repeatMode);
+    const [ruleSet, setRuleSet] = useState(null);
+    const [pairingMode, setPairingMode] = useState('split');
+    const [receiversPerGiver, setReceiversPerGiver] = useState(1);
+    const [mentorCapacity, setMentorCapacity] = useState(1);
+    const [savedVerification, setSavedVerification] = useState(null);
+    const [verifyingSaved, setVerifyingSaved] = useState(false);
+    const [removedInput, setRemovedInput] = useState('');
+    const [addedInput, setAddedInput] = useState('');
+    const [fairnessReport, setFairnessReport] = useState(null);
+    const [analyzingFairness, setAnalyzingFairness] = useState(false);
+    const [fairnessProgress, setFairnessProgress] = useState(null);
+    const [planRoundCount, setPlanRoundCount] = useState(12);
+    const [schedulePlan, setSchedulePlan] = useState(null);
+    const [savingPlan, setSavingPlan] = useState(false);
+    const [pairingProgress, setPairingProgress] = useState(null);
+    const [issuedCredentials, setIssuedCredentials] = useState(null);
+    const [encryptResults, setEncryptResults] = useState(false);
+    const [issuingPasswords, setIssuingPasswords] = useState(false);
+    const [reissueName, setReissueName] = useState('');
+    const [eventStatus, setEventStatus] = useState(null);
+    const [changingStatus, setChangingStatus] = useState(false);
+    const drawAbortRef = useRef(null);
+    const fairnessAbortRef = useRef(null);
+    const drawStatusRef = useRef(null);
 
     // 초기 데이터 로드
     useEffect(() => {
         loadData();
     }, []);
 
+    // 화면을 벗어나면 진행 중인 추첨/공정성 분석 워커 종료
+    useEffect(() => () => {
+        drawAbortRef.current?.abort();
+        fairnessAbortRef.current?.abort();
+    }, []);
+
+    // 추첨/진단/분석에 공통으로 쓰는 규칙·방식 옵션
+    const pairingOptions = useMemo(
+        () => ({rules: ruleSet, mode: pairingMode, receiversPerGiver, mentorCapacity}),
+        [ruleSet, pairingMode, receiversPerGiver, mentorCapacity]
+    );
+
+    // 명단 진단 (추첨 전에 실패 원인을 미리 표시)
+    const diagnostics = useMemo(
+        () => data.metadata ? dataService.diagnoseRoster(data, pairingOptions) : null,
+        [data, pairingOptions, dataService]
+    );
+
+    // 시트의 규칙 정의 로드 (없거나 실패하면 기본 규칙)
+    const loadEventStatus = async () => {
+        try {
+            setEventStatus(await dataService.fetchEventStatus());
+        } catch (err) {
+            console.warn('이벤트 상태 조회 실패:', err.message);
+            setEventStatus(null);
+        }
+    };
+
+    const loadRuleSet = async () => {
+        try {
+            setRuleSet(await dataService.fetchPairingRules());
+        } catch (err) {
+            console.warn('기본 규칙 사용:', err.message);
+            setRuleSet(null);
+        }
+    };
+
+    // 평문으로 남아 있는 비밀번호를 해시로 변환 (실패하면 평문 행이 남아 있다고 관리자에게 표시)
+    const migrateCredentials = async () => {
+        try {
+            await dataService.migrateCredentials();
+            setCredentialMigrationError(null);
+        } catch (migrationError) {
+            console.warn('⚠️ 비밀번호 마이그레이션 실패:', migrationError);
+            setCredentialMigrationError(migrationError.message);
+        }
+    };
+
     // 데이터 로드 함수 (초기화 + 데이터 가져오기)
     const loadData = async () => {
         try {
@@ -29,12 +132,14 @@ function SheetDataViewer() {
             setError(null);
 
             const result = await dataService.initializeAndFetch(
-                '1IbHBh5SACa505qLB6eNZEARwRofDme_p1NmyRCL7xPA',
-                'DB'
+                '1IbHBh5SACa505qLB6eNZEARwRofDme_p1NmyRCL7xPA'
             );
 
             if (result.success) {
                 setData(result.data);
+                await loadRuleSet();
+                await loadEventStatus();
+                await migrateCredentials();
             } else {
                 setError(result.error);
             }
@@ -56,8 +161,11 @@ function SheetDataViewer() {
             setLoading(true);
             setError(null);
 
-            const freshData = await dataService.fetchDefaultData('DB');
+            const freshData = await dataService.fetchDefaultData();
             setData(freshData);
+            await loadRuleSet();
+            await loadEventStatus();
+            await migrateCredentials();
         } catch (err) {
             setError(`새로고침 실패: ${err.message}`);
         } finally {
@@ -72,20 +180,109 @@ function SheetDataViewer() {
             return;
         }
 
+        // 진단 오류가 있으면 추첨을 시작하지 않음
+        if (diagnostics && !diagnostics.isDrawable) {
+            setPairingError(`명단 진단 오류: ${diagnostics.errors.map(issue => issue.message).join(' / ')}`);
+            return;
+        }
+
+        const controller = new AbortController();
+        drawAbortRef.current = controller;
+
         try {
             setPairingInProgress(true);
             setPairingError(null);
+            setPairingInfeasibility(null);
+            setPairingProgress(null);
             setGeneratedPairs(null); // 이전 결과 초기화
 
-            const pairResult = dataService.makeRandomPairs(data);
+            // 추첨할 때의 상태 셀 값 (저장할 때 CAS로 비교해 그 사이 다른 관리자가 저장했으면 거부)
+            try {
+                const status = await dataService.fetchEventStatus();
+                setEventStatus(status);
+                drawStatusRef.current = status.rawValue;
+            } catch (statusError) {
+                console.warn('이벤트 상태 조회 실패:', statusError.message);
+                drawStatusRef.current = null;
+            }
+
+            // 이전 회차 기록 (기록 탭이 없으면 기록 없이 진행)
+            let history = null;
+            setHistorySkipped(0);
+            try {
+                history = await dataService.fetchPairHistory({lookback: historyLookback});
+                setHistorySkipped(history.skippedEncrypted);
+            } catch (historyError) {
+                console.warn('이전 회차 기록 없이 진행:', historyError.message);
+            }
+
+            // 시드를 비워두면 새 시드가 생성되어 결과 metadata에 기록됨
+            // 추첨은 Web Worker에서 실행 (진행 상황 표시, 취소 가능)
+            const pairResult = await dataService.makeRandomPairsInWorker(data, {
+                seed: seedInput.trim() || undefined,
+                history,
+                repeatMode,
+                ...pairingOptions
+            }, {
+                onProgress: setPairingProgress,
+                signal: controller.signal
+            });
             setGeneratedPairs(pairResult);
             setPairingError(null); // 성공 시 에러 클리어
 
             console.log('쌍 생성 완료:', pairResult);
         } catch (err) {
             setPairingError(err.message);
+            setPairingInfeasibility(err.infeasibility || null); // 불가능 판정 시 막고 있는 제약
             setGeneratedPairs(null); // 에러 시 이전 결과 클리어
-            console.error('쌍 생성 실패:', err);
+            if (err.name === 'AbortError') {
+                console.log('🛑 쌍 생성 취소');
+            } else {
+                console.error('쌍 생성 실패:', err);
+            }
+        } finally {
+            if (drawAbortRef.current === controller) {
+                drawAbortRef.current = null;
+            }
+            setPairingProgress(null);
+            setPairingInProgress(false);
+        }
+    };
+
+    // 진행 중인 추첨 취소
+    const cancelRandomPairs = () => {
+        drawAbortRef.current?.abort();
+    };
+
+    // 저장된 쌍 최소 변경 재배정 (빠진 사람: "이름, 이름", 추가: "이름:타입, 이름:타입")
+    const repairSavedPairs = async () => {
+        const removed = removedInput.split(',').map(name => name.trim()).filter(Boolean);
+        const added = addedInput.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+            const [name, type] = entry.split(':').map(part => part.trim());
+            return {name, type: type || 'normal'};
+        });
+
+        if (removed.length === 0 && added.length === 0) {
+            setPairingError('빠지는 참가자나 추가 참가자를 입력해주세요.');
+            return;
+        }
+
+        try {
+            setPairingInProgress(true);
+            setPairingError(null);
+            setPairingInfeasibility(null);
+
+            const result = await dataService.repairSavedPairs(data, {removed, added}, {
+                rules: ruleSet,
+                seed: seedInput.trim() || undefined,
+                receiversPerGiver,
+                mode: pairingMode
+            });
+            setGeneratedPairs(result);
+            console.log('재배정 완료:', result);
+        } catch (err) {
+            setPairingError(err.message);
+            console.error('재배정 실패:', err);
         } finally {
             setPairingInProgress(false);
         }
@@ -98,15 +295,56 @@ function SheetDataViewer() {
             return;
         }
 
+        // 결과를 공개한 뒤에는 확인을 받고 강제로 덮어씀 (상태를 모르면 강제하지 않고 저장할 때 다시 확인)
+        const force = Boolean(eventStatus) && eventStatus.state !== 'draft';
+        if (force && !window.confirm(
+            `이벤트가 '${eventStatus.label}' 상태입니다. 공개된 결과를 강제로 덮어쓸까요?`
+        )) {
+            return;
+        }
+
+        // 암호화를 켰으면 방금 발급한 비밀번호로 암호화 (평문 비밀번호는 발급 직후에만 알 수 있으므로 저장하면서 새로 발급하지 않음)
+        if (encryptResults) {
+            const givers = [...new Set([
+                ...generatedPairs.pairs.map(pair => pair.giver),
+                ...(generatedPairs.mentoring || []).map(({mentor}) => mentor)
+            ])];
+            const missing = givers.filter(giver => !(issuedCredentials || []).some(credential =>
+                isSameName(credential.name, giver, dataService.nameNormalization)
+            ));
+            if (missing.length > 0) {
+                setError(`결과를 암호화하려면 모든 giver의 비밀번호가 필요합니다. 🔑 비밀번호에서 전체 발급을 한 뒤 저장하거나 암호화를 끄세요 (비밀번호 없음: ${missing.join(', ')})`);
+                return;
+            }
+        }
+
         try {
             setSavingPairs(true);
             setError(null);
 
-            await dataService.savePairsToSheet(generatedPairs.pairs, 'DB');
-            console.log('쌍 저장 완료');
+            const saveResult = await dataService.savePairsToSheet(generatedPairs.pairs, undefined, {
+                metadata: generatedPairs.metadata,
+                mentoring: generatedPairs.mentoring,
+                roster: data,
+                credentials: encryptResults ? issuedCredentials : undefined,
+                expectedStatus: drawStatusRef.current ?? undefined,
+                force
+            });
+            console.log(`쌍 저장 완료 (회차 탭: ${saveResult.archiveTab}, 비운 이전 행: ${saveResult.clearedRows}개)`);
+            if (saveResult.statusRevision) {
+                drawStatusRef.current = saveResult.statusRevision;
+            }
+            await loadEventStatus();
+
+            // 암호화하면 시트에서 다시 읽을 수 없으므로 저장 직후 다시 읽은 내용과 일치한 생성 결과를 검증
+            setSavedVerification(dataService.verifyAssignment(generatedPairs.pairs, data, {
+                rules: ruleSet,
+                receiversPerGiver: generatedPairs.metadata.receiversPerGiver,
+                ...(generatedPairs.mentoring && {mentoring: generatedPairs.mentoring, mentorCapacity})
+            }));
 
             // 저장 성공 알림 (간단한 방법으로)
-            alert('쌍이 성공적으로 스프레드시트에 저장되었습니다!');
+            alert(`쌍이 성공적으로 스프레드시트에 저장되었습니다! (회차 탭: ${saveResult.archiveTab})`);
         } catch (err) {
             setError(`쌍 저장 실패: ${err.message}`);
             console.error('쌍 저장 실패:', err);
@@ -116,6 +354,173 @@ function SheetDataViewer() {
     };
 
 
+    // 현재 명단/설정으로 여러 번 추첨해 공정성 통계 계산 (워커에서 실행, 취소 가능)
+    const runFairnessAnalysis = async () => {
+        const controller = new AbortController();
+        fairnessAbortRef.current = controller;
+
+        try {
+            setAnalyzingFairness(true);
+            setFairnessProgress(null);
+            setFairnessReport(await runFairnessInWorker(data, {
+                iterations: 1000,
+                pairOptions: pairingOptions
+            }, {
+                onProgress: setFairnessProgress,
+                signal: controller.signal
+            }));
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                console.log('🛑 공정성 분석 취소');
+            } else {
+                setPairingError(`공정성 분석 실패: ${err.message}`);
+            }
+        } finally {
+            if (fairnessAbortRef.current === controller) {
+                fairnessAbortRef.current = null;
+            }
+            setFairnessProgress(null);
+            setAnalyzingFairness(false);
+        }
+    };
+
+    // 진행 중인 공정성 분석 취소
+    const cancelFairnessAnalysis = () => {
+        fairnessAbortRef.current?.abort();
+    };
+
+    // 여러 회차 일정 계획
+    const planSchedule = () => {
+        try {
+            setPairingError(null);
+            setSchedulePlan(dataService.planRounds(data, planRoundCount, {
+                seed: seedInput.trim() || undefined,
+                pairOptions: pairingOptions
+            }));
+        } catch (err) {
+            setPairingError(`일정 계획 실패: ${err.message}`);
+        }
+    };
+
+    // 계획된 회차를 Plan 탭에 저장
+    const saveSchedulePlan = async () => {
+        try {
+            setSavingPlan(true);
+            const result = await dataService.savePlanToSheet(schedulePlan);
+            alert(`${result.rounds}회차 계획이 저장되었습니다!`);
+        } catch (err) {
+            setPairingError(err.message);
+        } finally {
+            setSavingPlan(false);
+        }
+    };
+
+    // 분석 결과 JSON 다운로드
+    const downloadFairnessReport = () => {
+        const blob = new Blob([JSON.stringify(fairnessReport, null, 2)], {type: 'application/json'});
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `fairness-${fairnessReport.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    // 이벤트 상태 변경 (다른 관리자가 먼저 바꿨으면 CONFLICT)
+    const changeEventStatus = async (nextState) => {
+        if (!window.confirm(`이벤트 상태를 '${EVENT_STATES[nextState]}'(으)로 바꿀까요?`)) return;
+        try {
+            setChangingStatus(true);
+            await dataService.transitionEvent(nextState, {from: eventStatus?.state});
+        } catch (err) {
+            setError(`상태 변경 실패: ${err.message}`);
+        } finally {
+            await loadEventStatus();
+            setChangingStatus(false);
+        }
+    };
+
+    // 명단 전체 비밀번호 발급 (기존 비밀번호는 모두 바뀜)
+    const issueAllPasswords = async () => {
+        if (!window.confirm('모든 참가자의 비밀번호를 새로 발급합니다. 기존 비밀번호는 더 이상 쓸 수 없습니다. 계속할까요?')) {
+            return;
+        }
+        try {
+            setIssuingPasswords(true);
+            const result = await dataService.issuePasswords(data);
+            setIssuedCredentials(result.credentials);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIssuingPasswords(false);
+        }
+    };
+
+    // 한 사람만 비밀번호 재발급
+    const reissuePassword = async () => {
+        if (!reissueName.trim()) return;
+        try {
+            setIssuingPasswords(true);
+            const result = await dataService.reissuePassword(reissueName.trim(), data);
+            setIssuedCredentials([{name: result.name, password: result.password}]);
+            setReissueName('');
+            if (result.resultLocked) {
+                alert(`${result.name}님의 저장된 결과는 이전 비밀번호로 암호화되어 있습니다. 결과를 볼 수 있게 하려면 추첨 결과를 다시 저장하세요.`);
+            }
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIssuingPasswords(false);
+        }
+    };
+
+    // 발급한 비밀번호 CSV 다운로드 (엑셀에서 한글이 깨지지 않도록 BOM 추가)
+    const downloadCredentialsCsv = () => {
+        const csv = buildDistributionCsv(issuedCredentials, {url: window.location.origin});
+        const blob = new Blob(['\uFEFF' + csv], {type: 'text/csv;charset=utf-8'});
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `passwords-${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    // 발급한 비밀번호를 한 사람당 한 장씩 인쇄
+    const printCredentialSlips = () => {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            setError('팝업이 차단되어 인쇄 창을 열 수 없습니다.');
+            return;
+        }
+        printWindow.document.write(buildDistributionSlips(issuedCredentials, {url: window.location.origin}));
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    };
+
+    // 시트에 저장된 쌍을 다시 읽어 현재 명단/규칙으로 검증
+    const verifySavedPairs = async (expectedReceivers = receiversPerGiver) => {
+        try {
+            setVerifyingSaved(true);
+            const result = await dataService.verifySavedPairs(data, {
+                rules: ruleSet,
+                receiversPerGiver: expectedReceivers,
+                mentorCapacity
+            });
+            setSavedVerification(result);
+        } catch (err) {
+            setSavedVerification({
+                valid: false,
+                violations: [{code: 'fetchFailed', message: err.message}],
+                checkedPairs: 0,
+                checkedAt: new Date().toISOString()
+            });
+        } finally {
+            setVerifyingSaved(false);
+        }
+    };
+
     // 에러 상태 UI
     if (error && !loading) {
         return (
@@ -159,6 +564,17 @@ function SheetDataViewer() {
     }
 
 
+    // 참가자 속성 (팀, 기수 등) 표시
+    const renderAttributes = (name) => {
+        const attributes = data.attributes?.[name];
+        if (!attributes || Object.keys(attributes).length === 0) return null;
+        return (
+            <span className="ml-2 text-xs text-gray-500">
+                {Object.entries(attributes).map(([key, value]) => `${key}: ${value}`).join(', ')}
+            </span>
+        );
+    };
+
     // 통계 정보 계산
     const statistics = data.metadata ? dataService.getDataStatistics(data) : null;
 
@@ -194,6 +610,23 @@ function SheetDataViewer() {
                             {loading ? '로딩 중...' : '데이터 새로고침'}
                         </button>
 
+                        {eventStatus && (
+                            <div className="flex flex-wrap items-center gap-2 text-sm">
+                                <span className="font-semibold text-gray-700">🚦 {eventStatus.label}</span>
+                                {EVENT_TRANSITIONS[eventStatus.state].map(nextState => (
+                                    <button
+                                        key={nextState}
+                                        onClick={() => changeEventStatus(nextState)}
+                                        disabled={changingStatus}
+                                        className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100
+                                                 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        → {EVENT_STATES[nextState]}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+
                         {statistics && (
                             <div className="bg-gray-100 rounded-lg p-3 text-sm w-full sm:flex-1">
                                 <div className="font-semibold text-gray-800 mb-1">
@@ -218,7 +651,7 @@ function SheetDataViewer() {
                                 <span className="text-2xl">👨‍💼</span>
                                 <div>
                                     <h3 className="text-lg font-semibold text-blue-600">Normals</h3>
-                                    <p className="text-sm text-gray-500">(A4:A)</p>
+                                    <p className="text-sm text-gray-500">({data.metadata?.ranges?.normals ?? data.metadata?.ranges?.roster})</p>
                                 </div>
                             </div>
                             <p className="text-sm text-gray-700 mb-4">총 {data.normals.length}개 항목</p>
@@ -228,6 +661,7 @@ function SheetDataViewer() {
                                         {data.normals.map((item, index) => (
                                             <div key={index} className="bg-white rounded px-3 py-2 text-sm border border-gray-200">
                                                 {item}
+                                                {renderAttributes(item)}
                                             </div>
                                         ))}
                                     </div>
@@ -245,7 +679,7 @@ function SheetDataViewer() {
                                 <span className="text-2xl">🌱</span>
                                 <div>
                                     <h3 className="text-lg font-semibold text-green-600">Newbies</h3>
-                                    <p className="text-sm text-gray-500">(B4:B)</p>
+                                    <p className="text-sm text-gray-500">({data.metadata?.ranges?.newbies ?? data.metadata?.ranges?.roster})</p>
                                 </div>
                             </div>
                             <p className="text-sm text-gray-700 mb-4">총 {data.newbies.length}개 항목</p>
@@ -255,6 +689,7 @@ function SheetDataViewer() {
                                         {data.newbies.map((item, index) => (
                                             <div key={index} className="bg-white rounded px-3 py-2 text-sm border border-gray-200">
                                                 {item}
+                                                {renderAttributes(item)}
                                             </div>
                                         ))}
                                     </div>
@@ -272,7 +707,7 @@ function SheetDataViewer() {
                                 <span className="text-2xl">👑</span>
                                 <div>
                                     <h3 className="text-lg font-semibold text-orange-600">Leaders</h3>
-                                    <p className="text-sm text-gray-500">(C4:C)</p>
+                                    <p className="text-sm text-gray-500">({data.metadata?.ranges?.leaders ?? data.metadata?.ranges?.roster})</p>
                                 </div>
                             </div>
                             <p className="text-sm text-gray-700 mb-4">총 {data.leaders.length}개 항목</p>
@@ -282,6 +717,7 @@ function SheetDataViewer() {
                                         {data.leaders.map((item, index) => (
                                             <div key={index} className="bg-white rounded px-3 py-2 text-sm border border-gray-200">
                                                 {item}
+                                                {renderAttributes(item)}
                                             </div>
                                         ))}
                                     </div>
@@ -293,6 +729,245 @@ function SheetDataViewer() {
                     </div>
                 </div>
 
+                {/* 규칙 정의에 선언된 타입의 참가자 (normal 그룹에 포함) */}
+                {data.participants?.length > 0 && (
+                    <div className="bg-white rounded-lg shadow-md border border-gray-200 p-4 sm:p-6 mb-6">
+                        <div className="flex items-center gap-2 mb-3">
+                            <span className="text-2xl">🏷️</span>
+                            <div>
+                                <h3 className="text-lg font-semibold text-purple-600">기타 타입</h3>
+                                <p className="text-sm text-gray-500">({data.metadata?.ranges?.roster}, 규칙 정의의 types)</p>
+                            </div>
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                            {data.participants.map(({name, type}) => (
+                                <div key={name} className="bg-gray-50 rounded px-3 py-2 text-sm border border-gray-200">
+                                    {name} <span className="text-xs text-purple-600">({ruleSet?.types?.[type]?.label || type})</span>
+                                    {renderAttributes(name)}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {/* 비밀번호 마이그레이션 실패 */}
+                {credentialMigrationError && (
+                    <div className="rounded-lg shadow-md border p-4 sm:p-6 mb-6 bg-red-50 border-red-200">
+                        <h3 className="text-lg font-semibold text-red-700 mb-2">🔐 평문 비밀번호를 해시로 바꾸지 못했습니다</h3>
+                        <p className="text-sm text-red-700 break-words mb-3">
+                            {credentialMigrationError}. 변환이 끝날 때까지 credentials 영역에 평문 비밀번호가 남아 있고,
+                            결과 확인 화면은 평문 비밀번호로도 로그인을 허용합니다.
+                        </p>
+                        <button
+                            onClick={migrateCredentials}
+                            className="px-3 py-1 rounded-lg border border-red-300 text-red-700 hover:bg-red-100 text-sm"
+                        >
+                            🔄 다시 변환
+                        </button>
+                    </div>
+                )}
+
+                {/* 명단 표에서 건너뛴 행 */}
+                {data.metadata?.invalidRows?.length > 0 && (
+                    <div className="rounded-lg shadow-md border p-4 sm:p-6 mb-6 bg-amber-50 border-amber-200">
+                        <h3 className="text-lg font-semibold text-amber-700 mb-3">
+                            📋 명단 표에서 건너뛴 행 {data.metadata.invalidRows.length}개
+                        </h3>
+                        <ul className="space-y-1 text-sm text-amber-700">
+                            {data.metadata.invalidRows.map(({row, name, reason}) => (
+                                <li key={row} className="break-words">
+                                    {row}행{name ? ` (${name})` : ''}: {reason}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                {/* 명단 진단 결과 */}
+                {diagnostics && (diagnostics.errors.length > 0 || diagnostics.warnings.length > 0) && (
+                    <div className={`rounded-lg shadow-md border p-4 sm:p-6 mb-6 ${
+                        diagnostics.errors.length > 0 ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'
+                    }`}>
+                        <div className="flex items-center gap-2 mb-3">
+                            <span className="text-2xl">🩺</span>
+                            <h3 className={`text-lg font-semibold ${diagnostics.errors.length > 0 ? 'text-red-700' : 'text-amber-700'}`}>
+                                명단 진단: 오류 {diagnostics.errors.length}개, 경고 {diagnostics.warnings.length}개
+                            </h3>
+                        </div>
+                        <ul className="space-y-2 text-sm">
+                            {diagnostics.errors.map((issue, index) => (
+                                <li key={`error-${index}`} className="flex items-start gap-2 text-red-700">
+                                    <span>❌</span>
+                                    <span className="break-words">{issue.message}</span>
+                                </li>
+                            ))}
+                            {diagnostics.warnings.map((issue, index) => (
+                                <li key={`warning-${index}`} className="flex items-start gap-2 text-amber-700">
+                                    <span>⚠️</span>
+                                    <span className="break-words">{issue.message}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                {/* 저장된 쌍 검증 결과 */}
+                {savedVerification && (
+                    <div className={`rounded-lg shadow-md border p-4 sm:p-6 mb-6 ${
+                        savedVerification.valid ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'
+                    }`}>
+                        <div className="flex items-center gap-2 mb-3">
+                            <span className="text-2xl">{savedVerification.valid ? '✅' : '🚨'}</span>
+                            <h3 className={`text-lg font-semibold ${savedVerification.valid ? 'text-green-700' : 'text-red-700'}`}>
+                                저장된 쌍 검증: {savedVerification.checkedPairs}개 쌍,
+                                {' '}{savedVerification.valid ? '위반 없음' : `위반 ${savedVerification.violations.length}건`}
+                            </h3>
+                        </div>
+                        {savedVerification.violations.length > 0 && (
+                            <ul className="space-y-2 text-sm">
+                                {savedVerification.violations.map((violation, index) => (
+                                    <li key={index} className="flex items-start gap-2 text-red-700">
+                                        <span>❌</span>
+                                        <span className="break-words">{violation.message}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+
+                {/* 공정성 분석 결과 (관리자용) */}
+                {schedulePlan && (
+                    <div className="bg-white rounded-lg shadow-md border border-gray-200 p-4 sm:p-6 mb-6">
+                        <div className="flex items-center justify-between gap-2 mb-4">
+                            <div className="flex items-center gap-2">
+                                <span className="text-2xl">🗓️</span>
+                                <h3 className="text-lg font-semibold text-gray-800">
+                                    {schedulePlan.summary.rounds}회차 일정 (시드 {schedulePlan.seed})
+                                </h3>
+                            </div>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={saveSchedulePlan}
+                                    disabled={savingPlan}
+                                    className="px-3 py-1 text-sm rounded-lg bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+                                >
+                                    {savingPlan ? '저장 중...' : 'Plan 탭에 저장'}
+                                </button>
+                                <button
+                                    onClick={() => setSchedulePlan(null)}
+                                    className="px-3 py-1 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+                                >
+                                    닫기
+                                </button>
+                            </div>
+                        </div>
+                        <p className="text-sm text-gray-700 mb-3">
+                            서로 다른 쌍 {schedulePlan.summary.distinctPairs}개, 같은 쌍 최대 {schedulePlan.summary.maxRepeat}번
+                            {schedulePlan.summary.repeatedPairs.length > 0 && ` (반복된 쌍 ${schedulePlan.summary.repeatedPairs.length}개)`}
+                        </p>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 max-h-96 overflow-y-auto">
+                            {schedulePlan.rounds.map(({round, repeats, pairs}) => (
+                                <div key={round} className="border border-gray-200 rounded-lg p-3 text-xs">
+                                    <div className="font-semibold text-gray-800 mb-1">
+                                        {round}{repeats > 0 && <span className="text-orange-600"> (반복 {repeats})</span>}
+                                    </div>
+                                    <div className="text-gray-600 break-words">
+                                        {pairs.map(pair => `${pair.giver}→${pair.receiver}`).join(', ')}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {fairnessReport && (
+                    <div className="bg-white rounded-lg shadow-md border border-gray-200 p-4 sm:p-6 mb-6">
+                        <div className="flex items-center justify-between gap-2 mb-4">
+                            <div className="flex items-center gap-2">
+                                <span className="text-2xl">📈</span>
+                                <h3 className="text-lg font-semibold text-gray-800">
+                                    공정성 분석 ({fairnessReport.iterations}회, 시드 {fairnessReport.seed})
+                                </h3>
+                            </div>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={downloadFairnessReport}
+                                    className="px-3 py-1 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+                                >
+                                    JSON
+                                </button>
+                                <button
+                                    onClick={() => setFairnessReport(null)}
+                                    className="px-3 py-1 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+                                >
+                                    닫기
+                                </button>
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm mb-4">
+                            <div>
+                                <div className="font-semibold text-gray-600">실패율</div>
+                                <div className="text-lg font-bold text-gray-900">{(fairnessReport.failureRate * 100).toFixed(1)}%</div>
+                            </div>
+                            <div>
+                                <div className="font-semibold text-gray-600">평균 소요 시간</div>
+                                <div className="text-lg font-bold text-gray-900">{fairnessReport.timing.averageMs.toFixed(2)}ms</div>
+                            </div>
+                            <div>
+                                <div className="font-semibold text-gray-600">사이클당 평균 시도</div>
+                                <div className="text-lg font-bold text-gray-900">{fairnessReport.solver.averageAttemptsPerCycle.toFixed(1)}회</div>
+                            </div>
+                            <div>
+                                <div className="font-semibold text-gray-600">전체 탐색 비율</div>
+                                <div className="text-lg font-bold text-gray-900">{(fairnessReport.solver.enumerationRate * 100).toFixed(1)}%</div>
+                            </div>
+                        </div>
+
+                        {Object.keys(fairnessReport.failureReasons).length > 0 && (
+                            <div className="text-sm text-red-700 mb-4">
+                                실패 사유: {Object.entries(fairnessReport.failureReasons).map(([reason, count]) => `${reason} ${count}회`).join(', ')}
+                            </div>
+                        )}
+
+                        {fairnessReport.leaderSelection && (
+                            <div className="text-sm text-gray-700 mb-4">
+                                newbie 사이클 leader 선발: {fairnessReport.leaderSelection.counts.map(({leader, count}) => `${leader} ${count}회`).join(', ')}
+                                {' '}(p = {fairnessReport.leaderSelection.pValue?.toFixed(3) ?? '-'})
+                            </div>
+                        )}
+
+                        <p className="text-xs text-gray-500 mb-2">
+                            giver별 receiver 분포 카이제곱 검정 (p값이 낮은 순). 금지 조건이 있으면 균등하지 않은 것이 정상일 수 있습니다.
+                        </p>
+                        <div className="overflow-x-auto max-h-80">
+                            <table className="w-full text-sm">
+                                <thead className="bg-gray-100 text-gray-700">
+                                    <tr>
+                                        <th className="px-2 py-2 text-left font-semibold">GIVER</th>
+                                        <th className="px-2 py-2 text-left font-semibold">receiver 분포</th>
+                                        <th className="px-2 py-2 text-right font-semibold">χ²</th>
+                                        <th className="px-2 py-2 text-right font-semibold">p</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-200">
+                                    {fairnessReport.givers.map(({giver, receivers, chiSquare, degreesOfFreedom, pValue}) => (
+                                        <tr key={giver} className={pValue !== null && pValue < 0.01 ? 'bg-amber-50' : ''}>
+                                            <td className="px-2 py-2 font-medium text-gray-900">{giver}</td>
+                                            <td className="px-2 py-2 text-gray-600 break-words">
+                                                {receivers.map(({receiver, frequency}) => `${receiver} ${(frequency * 100).toFixed(0)}%`).join(', ')}
+                                            </td>
+                                            <td className="px-2 py-2 text-right text-gray-700">{chiSquare.toFixed(1)} ({degreesOfFreedom})</td>
+                                            <td className="px-2 py-2 text-right text-gray-700">{pValue?.toFixed(3) ?? '-'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+
                 {/* Filter Pairs 섹션 */}
                 <div className="bg-white rounded-lg shadow-md border border-gray-200 mb-6">
                     <div className="p-4 sm:p-6">
@@ -300,7 +975,7 @@ function SheetDataViewer() {
                             <span className="text-2xl">🚫</span>
                             <div>
                                 <h3 className="text-lg font-semibold text-purple-600">Filter Pairs</h3>
-                                <p className="text-sm text-gray-500">(G4:H40) - 금지된 쌍</p>
+                                <p className="text-sm text-gray-500">({data.metadata?.ranges?.filterPairs}) - 금지된 쌍</p>
                             </div>
                         </div>
                         <p className="text-sm text-gray-700 mb-4">총 {data.filterPairs.length}개 페어</p>
@@ -357,6 +1032,82 @@ function SheetDataViewer() {
 
                 {/* 랜덤 쌍 생성 버튼 */}
                 <div className="text-center mb-6">
+                    <div className="flex flex-col sm:flex-row gap-2 items-center justify-center mb-4">
+                        <label htmlFor="seedInput" className="text-sm font-semibold text-gray-700">
+                            🔑 시드 (선택)
+                        </label>
+                        <input
+                            id="seedInput"
+                            type="text"
+                            value={seedInput}
+                            onChange={(e) => setSeedInput(e.target.value)}
+                            placeholder="비워두면 자동 생성"
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm w-full sm:w-64
+                                     focus:border-green-500 focus:outline-none"
+                            disabled={pairingInProgress}
+                            autoComplete="off"
+                        />
+                        <label htmlFor="historyLookback" className="text-sm font-semibold text-gray-700 sm:ml-4">
+                            🕘 이전 회차
+                        </label>
+                        <input
+                            id="historyLookback"
+                            type="number"
+                            min="0"
+                            value={historyLookback}
+                            onChange={(e) => setHistoryLookback(Math.max(0, Number(e.target.value) || 0))}
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm w-20
+                                     focus:border-green-500 focus:outline-none"
+                            disabled={pairingInProgress}
+                        />
+                        <select
+                            value={repeatMode}
+                            onChange={(e) => setRepeatMode(e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm
+                                     focus:border-green-500 focus:outline-none"
+                            disabled={pairingInProgress}
+                        >
+                            <option value="soft">가능하면 피하기</option>
+                            <option value="hard">반드시 피하기</option>
+                        </select>
+                        <select
+                            value={pairingMode}
+                            onChange={(e) => setPairingMode(e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm
+                                     focus:border-green-500 focus:outline-none"
+                            disabled={pairingInProgress}
+                        >
+                            <option value="split">그룹별 사이클</option>
+                            <option value="global">전체 단일 사이클</option>
+                            <option value="mentoring">leader → newbie 멘토링</option>
+                        </select>
+                        {pairingMode === 'mentoring' && (
+                            <input
+                                type="number"
+                                min="1"
+                                value={mentorCapacity}
+                                onChange={(e) => setMentorCapacity(Math.max(1, Math.floor(Number(e.target.value)) || 1))}
+                                className="px-3 py-2 border border-gray-300 rounded-lg text-sm w-20
+                                         focus:border-green-500 focus:outline-none"
+                                disabled={pairingInProgress}
+                                aria-label="leader 한 명이 맡을 newbie 수"
+                                title="leader 한 명이 맡을 newbie 수"
+                            />
+                        )}
+                        <label htmlFor="receiversPerGiver" className="text-sm font-semibold text-gray-700 sm:ml-4">
+                            👥 챙길 사람 수
+                        </label>
+                        <input
+                            id="receiversPerGiver"
+                            type="number"
+                            min="1"
+                            value={receiversPerGiver}
+                            onChange={(e) => setReceiversPerGiver(Math.max(1, Math.floor(Number(e.target.value)) || 1))}
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm w-20
+                                     focus:border-green-500 focus:outline-none"
+                            disabled={pairingInProgress}
+                        />
+                    </div>
                     <button
                         onClick={generateRandomPairs}
                         disabled={loading || pairingInProgress || (!data.normals.length && !data.newbies.length && !data.leaders.length)}
@@ -372,8 +1123,186 @@ function SheetDataViewer() {
                         <span className="text-2xl">{pairingInProgress ? '⏳' : '🎲'}</span>
                         {pairingInProgress ? '쌍 생성 중...' : '랜덤 쌍 생성'}
                     </button>
+                    {pairingInProgress && (
+                        <button
+                            onClick={cancelRandomPairs}
+                            className="inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold rounded-lg
+                                     border border-red-300 text-red-700 hover:bg-red-50 transition-colors
+                                     disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+                        >
+                            <span>🛑</span>
+                            추첨 취소
+                        </button>
+                    )}
+                    <button
+                        onClick={() => verifySavedPairs()}
+                        disabled={loading || verifyingSaved}
+                        className="inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold rounded-lg
+                                 border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors
+                                 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+                    >
+                        <span>{verifyingSaved ? '⏳' : '🔍'}</span>
+                        저장된 쌍 검증
+                    </button>
+                    <button
+                        onClick={runFairnessAnalysis}
+                        disabled={loading || analyzingFairness || (diagnostics && !diagnostics.isDrawable)}
+                        className="inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold rounded-lg
+                                 border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors
+                                 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+                    >
+                        <span>{analyzingFairness ? '⏳' : '📈'}</span>
+                        공정성 분석
+                    </button>
+                    {analyzingFairness && (
+                        <button
+                            onClick={cancelFairnessAnalysis}
+                            className="inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold rounded-lg
+                                     border border-red-300 text-red-700 hover:bg-red-50 transition-colors w-full sm:w-auto"
+                        >
+                            <span>🛑</span>
+                            {fairnessProgress ? `분석 취소 (${fairnessProgress.completed}/${fairnessProgress.total})` : '분석 취소'}
+                        </button>
+                    )}
+                    <input
+                        type="number"
+                        min="1"
+                        value={planRoundCount}
+                        onChange={(e) => setPlanRoundCount(Math.max(1, Math.floor(Number(e.target.value)) || 1))}
+                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm w-20
+                                 focus:border-green-500 focus:outline-none"
+                        aria-label="계획할 회차 수"
+                    />
+                    <button
+                        onClick={planSchedule}
+                        disabled={loading || (diagnostics && !diagnostics.isDrawable)}
+                        className="inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold rounded-lg
+                                 border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors
+                                 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+                    >
+                        <span>🗓️</span>
+                        회차 일정 계획
+                    </button>
+                </div>
+
+                {/* 추첨 진행 상황 (워커에서 전달) */}
+                {pairingInProgress && pairingProgress && (
+                    <div className="mb-6 text-sm text-gray-600 text-center">
+                        ⏳ {pairingProgress.stage}단계 ({pairingProgress.group}) ·{' '}
+                        {pairingProgress.phase === 'sampling'
+                            ? `무작위 시도 ${pairingProgress.attempts}회`
+                            : `전수 탐색 ${pairingProgress.steps.toLocaleString()}단계, 깊이 ${pairingProgress.depth}, 찾은 사이클 ${pairingProgress.cycles}개`}
+                    </div>
+                )}
+
+                {/* 저장된 쌍 최소 변경 재배정 */}
+                <div className="mb-6 flex flex-col sm:flex-row gap-2 sm:items-center">
+                    <span className="text-sm font-semibold text-gray-700">🩹 재배정</span>
+                    <input
+                        type="text"
+                        value={removedInput}
+                        onChange={(e) => setRemovedInput(e.target.value)}
+                        placeholder="빠지는 사람 (쉼표 구분)"
+                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm w-full sm:w-56
+                                 focus:border-green-500 focus:outline-none"
+                        disabled={pairingInProgress}
+                    />
+                    <input
+                        type="text"
+                        value={addedInput}
+                        onChange={(e) => setAddedInput(e.target.value)}
+                        placeholder="추가 (이름:타입, 쉼표 구분)"
+                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm w-full sm:w-56
+                                 focus:border-green-500 focus:outline-none"
+                        disabled={pairingInProgress}
+                    />
+                    <button
+                        onClick={repairSavedPairs}
+                        disabled={loading || pairingInProgress}
+                        className="inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold rounded-lg
+                                 border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors
+                                 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+                    >
+                        최소 변경으로 재배정
+                    </button>
+                </div>
+
+                {/* 참가자 비밀번호 발급 (관리자용) */}
+                <div className="mb-6 flex flex-col sm:flex-row gap-2 sm:items-center">
+                    <span className="text-sm font-semibold text-gray-700">🔑 비밀번호</span>
+                    <button
+                        onClick={issueAllPasswords}
+                        disabled={loading || issuingPasswords}
+                        className="inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold rounded-lg
+                                 border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors
+                                 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+                    >
+                        전체 발급
+                    </button>
+                    <input
+                        type="text"
+                        value={reissueName}
+                        onChange={(e) => setReissueName(e.target.value)}
+                        placeholder="재발급할 사람"
+                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm w-full sm:w-40
+                                 focus:border-green-500 focus:outline-none"
+                        disabled={issuingPasswords}
+                    />
+                    <button
+                        onClick={reissuePassword}
+                        disabled={loading || issuingPasswords || !reissueName.trim()}
+                        className="inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold rounded-lg
+                                 border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors
+                                 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+                    >
+                        재발급
+                    </button>
                 </div>
 
+                {issuedCredentials && (
+                    <div className="bg-white rounded-lg shadow-md border border-gray-200 p-4 sm:p-6 mb-6">
+                        <div className="flex items-center justify-between gap-2 mb-4">
+                            <div className="flex items-center gap-2">
+                                <span className="text-2xl">🔑</span>
+                                <h3 className="text-lg font-semibold text-gray-800">
+                                    발급한 비밀번호 ({issuedCredentials.length}명)
+                                </h3>
+                            </div>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={downloadCredentialsCsv}
+                                    className="px-3 py-1 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+                                >
+                                    CSV
+                                </button>
+                                <button
+                                    onClick={printCredentialSlips}
+                                    className="px-3 py-1 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+                                >
+                                    쪽지 인쇄
+                                </button>
+                                <button
+                                    onClick={() => setIssuedCredentials(null)}
+                                    className="px-3 py-1 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+                                >
+                                    닫기
+                                </button>
+                            </div>
+                        </div>
+                        <p className="text-xs text-amber-700 mb-3">
+                            이 목록을 닫기 전에 CSV를 받거나 쪽지를 인쇄하세요.
+                        </p>
+                        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-2 max-h-80 overflow-y-auto text-sm">
+                            {issuedCredentials.map(({name, password}) => (
+                                <div key={name} className="border border-gray-200 rounded-lg px-3 py-2">
+                                    <div className="font-medium text-gray-900">{name}</div>
+                                    <div className="font-mono text-gray-700">{password}</div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 {/* 쌍 생성 에러 표시 */}
                 {pairingError && (
                     <div className="bg-red-50 border-2 border-red-200 rounded-xl p-6 mb-6">
@@ -391,6 +1320,20 @@ function SheetDataViewer() {
                             </p>
                         </div>
 
+                        {/* 불가능 판정 시 막고 있는 제약 목록 */}
+                        {pairingInfeasibility && pairingInfeasibility.blocking.length > 0 && (
+                            <div className="bg-white border border-red-200 rounded-lg p-4 mb-6">
+                                <p className="font-semibold text-red-800 mb-3">🔒 막고 있는 제약:</p>
+                                <ul className="space-y-1 text-sm text-red-700 max-h-48 overflow-y-auto">
+                                    {pairingInfeasibility.blocking.map((edge, index) => (
+                                        <li key={index}>
+                                            {edge.giver} → {edge.receiver}: {edge.description}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
                         {/* 에러별 해결 방법 제시 */}
                         <div className="bg-orange-50 border border-orange-200 rounded-lg p-4 mb-6">
                             <p className="font-semibold text-orange-800 mb-3 flex items-center gap-2">
@@ -410,7 +1353,7 @@ function SheetDataViewer() {
                                         leader끼리는 매칭이 불가능합니다. normal 참가자를 추가해보세요
                                     </li>
                                 )}
-                                {pairingError.includes('참가자 구성') && (
+                                {(pairingError.includes('참가자 구성') || pairingError.includes('존재하지 않습니다')) && (
                                     <li className="flex items-start gap-2">
                                         <span className="text-orange-500 mt-1">•</span>
                                         참가자 구성을 변경하거나 filterPairs를 조정해보세요
@@ -465,7 +1408,10 @@ function SheetDataViewer() {
                             </button>
 
                             <button
-                                onClick={() => setPairingError(null)}
+                                onClick={() => {
+                                    setPairingError(null);
+                                    setPairingInfeasibility(null);
+                                }}
                                 className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg font-medium text-sm
                                         bg-gray-500 hover:bg-gray-600 text-white shadow-md hover:shadow-lg transition-all duration-200"
                             >
@@ -512,6 +1458,98 @@ function SheetDataViewer() {
                                 </div>
                             </div>
 
+                            {generatedPairs.metadata.seed && (
+                                <div className="mt-4 text-center text-sm text-green-800">
+                                    🔑 시드: <span className="font-mono font-semibold break-all">{generatedPairs.metadata.seed}</span>
+                                    <span className="text-xs text-green-700"> (같은 명단과 시드로 다시 추첨하면 같은 결과)</span>
+                                </div>
+                            )}
+
+                            {generatedPairs.metadata.mode === 'global' && (
+                                <div className="mt-2 text-center text-sm text-green-800">
+                                    🔗 전체 참가자를 하나의 사이클로 연결
+                                </div>
+                            )}
+
+                            {generatedPairs.metadata.movedLeaders?.length > 0 && (
+                                <div className="mt-2 text-center text-sm text-green-800">
+                                    🔀 normal 그룹으로 옮긴 leader: {generatedPairs.metadata.movedLeaders.join(', ')}
+                                </div>
+                            )}
+
+                            {generatedPairs.mentoring && (
+                                <div className="mt-4 p-3 bg-emerald-50 rounded-lg border border-emerald-200 text-sm text-emerald-800">
+                                    <div className="font-semibold mb-2">
+                                        🧑‍🏫 멘토링 배정 {generatedPairs.mentoring.length}건
+                                        {generatedPairs.metadata.mentoring && ` (leader 용량 합계 ${generatedPairs.metadata.mentoring.totalCapacity})`}
+                                    </div>
+                                    <ul className="grid grid-cols-1 sm:grid-cols-2 gap-1">
+                                        {generatedPairs.mentoring.map(({mentor, mentee}) => (
+                                            <li key={mentee} className="break-words">{mentor} → {mentee}</li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+
+                            {generatedPairs.metadata.repair && (
+                                <div className="mt-4 p-3 bg-blue-50 rounded-lg border border-blue-200 text-sm text-blue-800">
+                                    <div className="font-semibold mb-2">
+                                        🩹 재배정: 기존 쌍 {generatedPairs.metadata.repair.keptPairs}개 유지,
+                                        {' '}{generatedPairs.metadata.repair.changedPairs}개 변경
+                                        {generatedPairs.metadata.repair.method === 'redraw' && ' (전체 재추첨)'}
+                                    </div>
+                                    <div className="font-semibold mb-1">알려야 할 사람 ({generatedPairs.metadata.repair.notify.length}명):</div>
+                                    <ul className="space-y-1">
+                                        {generatedPairs.metadata.repair.notify.map(({giver, previousReceivers, receivers}) => (
+                                            <li key={giver} className="break-words">
+                                                {giver}: {previousReceivers.join(', ') || '(신규)'} → {receivers.join(', ')}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                    {generatedPairs.metadata.repair.droppedMentoring?.length > 0 && (
+                                        <div className="mt-2 text-orange-700">
+                                            ⚠️ 끊긴 멘토링: {generatedPairs.metadata.repair.droppedMentoring.map(({mentor, mentee}) => `${mentor} → ${mentee}`).join(', ')}
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+
+                            {generatedPairs.metadata.verification && (
+                                <div className="mt-2 text-center text-sm text-green-800">
+                                    ✅ 검증 통과: 모두 정확히 {generatedPairs.metadata.receiversPerGiver}번씩 주고받으며 금지/타입 규칙 위반 없음
+                                </div>
+                            )}
+
+                            {generatedPairs.metadata.receiversPerGiver > 1 && (
+                                <div className="mt-2 text-center text-sm text-green-800">
+                                    👥 한 명당 {generatedPairs.metadata.receiversPerGiver}명에게 주고 {generatedPairs.metadata.receiversPerGiver}명에게 받음
+                                </div>
+                            )}
+
+                            {generatedPairs.metadata.history?.previousPairs > 0 && (
+                                <div className="mt-2 text-center text-sm text-green-800">
+                                    🕘 최근 {generatedPairs.metadata.history.rounds}회차 쌍 반영:
+                                    {' '}{generatedPairs.metadata.history.repeatsAvoided}개 반복 회피
+                                    {generatedPairs.metadata.history.repeats > 0 && (
+                                        <span className="text-orange-700">
+                                            , 반복 {generatedPairs.metadata.history.repeats}개
+                                            ({generatedPairs.metadata.history.repeated.map(([giver, receiver]) => `${giver}→${receiver}`).join(', ')})
+                                        </span>
+                                    )}
+                                    {generatedPairs.metadata.history.relaxed > 0 && (
+                                        <span className="text-orange-700">
+                                            {' '}- 이전 쌍을 모두 피하는 배정을 찾지 못해 {generatedPairs.metadata.history.relaxed}개 쌍의 회피를 풀었습니다
+                                        </span>
+                                    )}
+                                </div>
+                            )}
+
+                            {historySkipped > 0 && (
+                                <div className="mt-2 text-center text-sm text-orange-700">
+                                    ⚠️ 이전 회차의 암호화된 쌍 {historySkipped}개는 읽을 수 없어 반복 회피에 반영하지 못했습니다
+                                </div>
+                            )}
+
                             {generatedPairs.metadata.excluded.length > 0 && (
                                 <div className="mt-4 p-3 bg-orange-50 rounded-lg border border-orange-200">
                                     <div className="font-semibold text-orange-800 mb-2">제외된 참가자:</div>
@@ -534,7 +1572,11 @@ function SheetDataViewer() {
                                 </thead>
                                 <tbody className="divide-y divide-gray-200">
                                     {generatedPairs.pairs.map((pair, index) => (
-                                        <tr key={pair.id} className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
+                                        <tr
+                                            key={pair.id}
+                                            className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}
+                                            title={describePairExplanation(pair)}
+                                        >
                                             <td className="px-2 py-2 font-medium text-gray-600">
                                                 {pair.id}
                                             </td>
@@ -567,7 +1609,16 @@ function SheetDataViewer() {
                         </div>
 
                         {/* 버튼들 */}
-                        <div className="flex flex-col sm:flex-row gap-4 justify-center mt-8">
+                        <label className="flex items-center justify-center gap-2 mt-8 text-sm text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={encryptResults}
+                                onChange={(e) => setEncryptResults(e.target.checked)}
+                                disabled={savingPairs}
+                            />
+                            🔐 결과를 참가자 비밀번호로 암호화해서 저장 (방금 발급한 비밀번호 필요, 저장 후에는 검증/재배정/이전 회차 기록에 쓸 수 없음)
+                        </label>
+                        <div className="flex flex-col sm:flex-row gap-4 justify-center mt-4">
                             <button
                                 onClick={generateRandomPairs}
                                 disabled={pairingInProgress || savingPairs}
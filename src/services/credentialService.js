@@ -0,0 +1,136 @@
+/**
+ * 참가자 비밀번호 생성과 배포 자료 작성
+ * - 비밀번호는 헷갈리는 문자(0/O, 1/I)를 뺀 대문자/숫자를 4자씩 끊은 형태 (예: 7KXM-QH3P-WN9C, 60비트)
+ * - 난수는 crypto.getRandomValues 사용 (Math.random이나 추첨 시드와 무관)
+ * - 배포 자료: 스프레드시트/메일 머지용 CSV, 잘라서 나눠 주는 인쇄용 쪽지(HTML)
+ */
+
+// 읽기 쉬운 문자 32개 (256의 약수라 바이트를 그대로 나눠 써도 치우침 없음)
+const PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * 기본 비밀번호 형식
+ * groups: 묶음 수, groupLength: 묶음당 글자 수, separator: 묶음 구분자
+ */
+const DEFAULT_PASSWORD_OPTIONS = {
+    groups: 3,
+    groupLength: 4,
+    separator: '-'
+};
+
+/**
+ * 비밀번호 1개 생성
+ * @param {Object} options - 형식 (groups, groupLength, separator)
+ * @returns {string} 비밀번호
+ */
+function generatePassword(options = {}) {
+    const {groups, groupLength, separator} = {...DEFAULT_PASSWORD_OPTIONS, ...options};
+    if (!(groups >= 1 && groupLength >= 1)) {
+        throw new Error('비밀번호 형식이 올바르지 않습니다. groups와 groupLength는 1 이상이어야 합니다.');
+    }
+
+    const bytes = new Uint8Array(groups * groupLength);
+    globalThis.crypto.getRandomValues(bytes);
+    const chars = [...bytes].map(byte => PASSWORD_ALPHABET[byte % PASSWORD_ALPHABET.length]);
+
+    return Array.from({length: groups}, (_, index) =>
+        chars.slice(index * groupLength, (index + 1) * groupLength).join('')
+    ).join(separator);
+}
+
+/**
+ * 참가자마다 비밀번호 생성 (같은 이름은 한 번만)
+ * @param {Array<string>} names - 참가자 이름 배열
+ * @param {Object} options - 비밀번호 형식
+ * @returns {Array<Object>} [{name, password}]
+ */
+function generateCredentials(names, options = {}) {
+    return [...new Set(names.filter(Boolean))].map(name => ({
+        name,
+        password: generatePassword(options)
+    }));
+}
+
+/**
+ * CSV 셀 값 이스케이프 (쉼표, 따옴표, 줄바꿈이 있으면 따옴표로 감쌈)
+ * @param {string} value - 값
+ * @returns {string} CSV 셀
+ */
+function csvCell(value) {
+    const text = `${value ?? ''}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * HTML 이스케이프
+ * @param {string} value - 값
+ * @returns {string} 이스케이프된 문자열
+ */
+function escapeHtml(value) {
+    return `${value ?? ''}`
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 배포용 CSV 작성 (이름, 비밀번호, 접속 주소)
+ * @param {Array<Object>} credentials - [{name, password}]
+ * @param {Object} options - {url: 결과 확인 주소 (선택사항)}
+ * @returns {string} CSV 문자열
+ */
+function buildDistributionCsv(credentials, options = {}) {
+    const header = ['이름', '비밀번호', ...(options.url ? ['접속 주소'] : [])];
+    const rows = credentials.map(({name, password}) => [name, password, ...(options.url ? [options.url] : [])]);
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * 인쇄용 쪽지 HTML 작성 (한 사람당 한 장, 잘라서 나눠 줌)
+ * @param {Array<Object>} credentials - [{name, password}]
+ * @param {Object} options - {title: 쪽지 제목, url: 결과 확인 주소 (선택사항)}
+ * @returns {string} HTML 문서
+ */
+function buildDistributionSlips(credentials, options = {}) {
+    const title = options.title || '마니또 결과 확인';
+    const slips = credentials.map(({name, password}) => `
+    <div class="slip">
+        <div class="title">${escapeHtml(title)}</div>
+        <div class="name">${escapeHtml(name)}</div>
+        <div class="password">${escapeHtml(password)}</div>
+        ${options.url ? `<div class="url">${escapeHtml(options.url)}</div>` : ''}
+    </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: sans-serif; margin: 16px; }
+    .slips { display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; }
+    .slip { border: 1px dashed #999; padding: 12px; break-inside: avoid; page-break-inside: avoid; }
+    .title { font-size: 12px; color: #666; }
+    .name { font-size: 18px; font-weight: bold; margin: 6px 0; }
+    .password { font-family: monospace; font-size: 20px; letter-spacing: 2px; }
+    .url { font-size: 11px; color: #666; margin-top: 6px; word-break: break-all; }
+</style>
+</head>
+<body>
+<div class="slips">${slips}
+</div>
+</body>
+</html>
+`;
+}
+
+export {
+    PASSWORD_ALPHABET,
+    DEFAULT_PASSWORD_OPTIONS,
+    generatePassword,
+    generateCredentials,
+    buildDistributionCsv,
+    buildDistributionSlips,
+};
@@ -0,0 +1,295 @@
+import {
+    shuffleAndPair,
+    buildPairingGroups,
+    PAIRING_MODES,
+    isValidPair,
+    InfeasiblePairingError
+} from './shuffleService.js';
+import {createSeededRandom} from './randomService.js';
+import {createRuleEngine} from './ruleEngine.js';
+import {findDuplicateNames} from './rosterNormalizer.js';
+
+/**
+ * 추첨 전 명단 진단
+ * shuffleService의 규칙을 기준으로 추첨이 실패할 원인을 미리 찾아 오류/경고 목록으로 반환
+ */
+
+// 진단에서 그룹별 사이클 존재 여부를 확인할 때 쓰는 솔버 탐색 한도
+// 명단이나 옵션이 바뀔 때마다 화면에서 바로 실행되므로 추첨보다 훨씬 작게 잡음
+const DIAGNOSTIC_SOLVER_BUDGET = {
+    samplingAttempts: 200,
+    maxSteps: 20000
+};
+
+/**
+ * 진단 항목 생성 헬퍼
+ * @param {string} severity - 'error' | 'warning'
+ * @param {string} code - 진단 코드
+ * @param {string} message - 사람이 읽을 수 있는 설명
+ * @param {Array<string>} participants - 관련 참가자 이름
+ * @param {Object} details - 추가 정보
+ * @returns {Object} 진단 항목
+ */
+function createIssue(severity, code, message, participants = [], details = {}) {
+    return {severity, code, message, participants, ...details};
+}
+
+/**
+ * 명단을 shuffleService 규칙에 비추어 진단
+ * @param {Object} data - 구조화된 데이터 (normals, newbies, leaders, participants: 규칙 정의 타입 참가자, filterPairs)
+ * @param {Object} options - 진단 옵션
+ * @param {Object|string} options.rules - 선언형 규칙 정의 (기본값: DEFAULT_RULE_SET)
+ * @param {string} options.mode - 쌍 생성 방식 ('split' | 'global' | 'mentoring')
+ * @param {number|Object} options.mentorCapacity - mentoring 모드의 leader별 멘토링 용량 (기본값 1)
+ * @param {number} options.receiversPerGiver - 한 명이 챙길 사람 수 K (기본값 1)
+ * @param {Object} options.nameNormalization - 이름 비교 설정 ({caseFolding}, 기본값: DEFAULT_NAME_NORMALIZATION)
+ * @returns {Object} {isDrawable, errors, warnings}
+ */
+function diagnoseRoster(data, options = {}) {
+    const normals = data?.normals || [];
+    const newbies = data?.newbies || [];
+    const leaders = data?.leaders || [];
+    const extras = (data?.participants || []).map(({name, type}) => ({name, type}));
+    const filterPairs = data?.filterPairs || [];
+    const attributes = data?.attributes || {};
+    const isMentoring = options.mode === PAIRING_MODES.mentoring;
+    // 멘토링 모드의 사이클은 newbie를 뺀 단일 사이클
+    const isGlobal = options.mode === PAIRING_MODES.global || isMentoring;
+    const mode = isMentoring ? PAIRING_MODES.mentoring : (isGlobal ? PAIRING_MODES.global : PAIRING_MODES.split);
+
+    const issues = [];
+    const totalCount = normals.length + newbies.length + leaders.length + extras.length;
+
+    if (totalCount === 0) {
+        issues.push(createIssue('error', 'emptyRoster', '참가자가 없습니다.'));
+        return summarize(issues);
+    }
+
+    if (totalCount === 1) {
+        issues.push(createIssue('error', 'singleParticipant', '참가자가 1명뿐이어서 쌍을 만들 수 없습니다.',
+            [...normals, ...newbies, ...leaders, ...extras.map(extra => extra.name)]));
+        return summarize(issues);
+    }
+
+    // 0. 중복 참가자 (같은 사람이 두 번 들어가면 사이클이 깨짐) / 비슷한 이름
+    const {duplicates, similar} = findDuplicateNames(data, options.nameNormalization);
+    duplicates.forEach(({name, entries}) => {
+        issues.push(createIssue('error', 'duplicateParticipant',
+            `${name}님이 명단에 ${entries.length}번 있습니다 (${entries.map(entry => `${entry.name}: ${entry.type}`).join(', ')}).`,
+            entries.map(entry => entry.name), {entries}));
+    });
+    similar.forEach(({names, entries}) => {
+        issues.push(createIssue('warning', 'similarNames',
+            `비슷한 이름이 있습니다: ${names.join(', ')}. 같은 사람이면 한 가지 표기로 맞춰주세요.`,
+            names, {entries}));
+    });
+
+    // 1. newbie/leader 비율 (newbie는 leader에게만 줄 수 있음, 멘토링 모드는 leader 용량 기준)
+    const mentorCapacity = isMentoring ? totalMentorCapacity(leaders, options.mentorCapacity) : 0;
+    if (isMentoring) {
+        if (newbies.length > mentorCapacity) {
+            issues.push(createIssue('error', 'mentorCapacity',
+                `newbie(${newbies.length}명)가 leader 멘토링 용량 합계(${mentorCapacity}명)보다 많습니다.`, newbies));
+        }
+    } else if (newbies.length > 0 && leaders.length === 0) {
+        issues.push(createIssue('error', 'noLeaders',
+            `newbie가 ${newbies.length}명 있지만 leader가 없습니다. newbie는 leader와만 짝이 될 수 있습니다.`, newbies));
+    } else if (newbies.length > leaders.length) {
+        issues.push(createIssue('error', 'tooManyNewbies',
+            `newbie(${newbies.length}명)가 leader(${leaders.length}명)보다 많습니다. newbie끼리는 짝이 될 수 없으므로 leader가 부족합니다.`,
+            newbies));
+    }
+
+    // 2. makeNewbieParticipants 분리 후 그룹 크기 (단일 사이클 모드는 그룹이 하나뿐)
+    const newbieGroupSize = newbies.length > 0 && !isGlobal ? newbies.length + Math.min(leaders.length, newbies.length) : 0;
+    const remainLeaderCount = newbies.length > 0 ? Math.max(0, leaders.length - newbies.length) : leaders.length;
+    const normalGroupSize = isGlobal ? 0 : normals.length + remainLeaderCount + extras.length;
+
+    const extraNames = extras.map(extra => extra.name);
+    const cycleMembers = isMentoring ? [...normals, ...leaders, ...extraNames] : [...normals, ...newbies, ...leaders, ...extraNames];
+    if (isGlobal && cycleMembers.length === 2) {
+        issues.push(createIssue('warning', 'twoMemberGroup',
+            '참가자가 2명이어서 서로 주고받는 쌍이 됩니다.', cycleMembers));
+    }
+    if (isMentoring && cycleMembers.length === 1) {
+        issues.push(createIssue('error', 'singleMemberGroup',
+            `newbie를 제외한 사이클에 참가자가 1명뿐입니다 (${cycleMembers[0]}).`, cycleMembers));
+    }
+
+    if (newbieGroupSize === 1) {
+        issues.push(createIssue('error', 'singleMemberGroup',
+            'newbie + leader 그룹에 참가자가 1명뿐입니다.', newbies));
+    }
+    if (normalGroupSize === 1) {
+        const member = normals.length === 1 ? normals : [];
+        issues.push(createIssue('error', 'singleMemberGroup',
+            `normal 그룹에 참가자가 1명뿐입니다${member.length ? ` (${member[0]})` : ' (남는 leader 1명)'}.`, member));
+    }
+    if (normalGroupSize === 2) {
+        issues.push(createIssue('warning', 'twoMemberGroup',
+            'normal 그룹이 2명이어서 서로 주고받는 쌍이 됩니다.', normals));
+    }
+    if (newbieGroupSize === 2) {
+        issues.push(createIssue('warning', 'twoMemberGroup',
+            'newbie + leader 그룹이 2명이어서 서로 주고받는 쌍이 됩니다.', newbies));
+    }
+
+    // K명씩 주고받는 경우 그룹마다 최소 2K+1명 필요 (leader 배분은 인원수에 영향 없음)
+    const receiversPerGiver = options.receiversPerGiver ?? 1;
+    if (receiversPerGiver > 1) {
+        const minimum = receiversPerGiver * 2 + 1;
+        buildPairingGroups(normals, newbies, leaders, extras, mode)
+            .filter(group => group.members.length > 0 && group.members.length < minimum)
+            .forEach(group => {
+                issues.push(createIssue('error', 'groupTooSmallForMultiReceiver',
+                    `${group.label} 그룹이 ${group.members.length}명입니다. ${receiversPerGiver}명씩 주고받으려면 최소 ${minimum}명이 필요합니다.`,
+                    group.members.map(member => member.name)));
+            });
+    }
+
+    // 3. filterPairs 검사
+    const rosterNames = new Set([...normals, ...newbies, ...leaders, ...extraNames]);
+    filterPairs.forEach(([a, b], index) => {
+        const unknown = [a, b].filter(name => !rosterNames.has(name));
+        if (unknown.length > 0) {
+            issues.push(createIssue('warning', 'unknownFilterName',
+                `금지된 쌍 ${index + 1}번 (${a} - ${b})의 ${unknown.join(', ')}은(는) 명단에 없습니다.`,
+                unknown, {filterPair: [a, b]}));
+        }
+        if (a === b) {
+            issues.push(createIssue('warning', 'selfFilterPair',
+                `금지된 쌍 ${index + 1}번이 같은 사람끼리입니다 (${a}).`, [a], {filterPair: [a, b]}));
+        }
+    });
+
+    // 4. 모든 receiver(또는 giver)가 막힌 참가자
+    let ruleEngine;
+    try {
+        ruleEngine = createRuleEngine(options.rules, filterPairs);
+    } catch (error) {
+        issues.push(createIssue('error', 'invalidRules', error.message));
+        return summarize(issues);
+    }
+    const candidates = collectCandidateGroups(normals, isMentoring ? [] : newbies, leaders, attributes, isGlobal, extras);
+
+    // 멘토링 모드: 각 newbie를 맡을 수 있는 leader가 있는지
+    if (isMentoring) {
+        const toPerson = type => name => ({name, type, attributes: attributes[name] || {}});
+        const leaderPeople = leaders.map(toPerson('leader'));
+        newbies.map(toPerson('newbie')).forEach(newbie => {
+            if (!leaderPeople.some(leader => isValidPair(leader, newbie, ruleEngine))) {
+                issues.push(createIssue('error', 'noPossibleMentor',
+                    `${newbie.name}님을 맡을 수 있는 leader가 없습니다.`, [newbie.name]));
+            }
+        });
+    }
+    candidates.forEach(({person, pool}) => {
+        const others = pool.filter(other => other.name !== person.name);
+        if (others.length === 0) return;
+
+        if (!others.some(other => isValidPair(person, other, ruleEngine))) {
+            issues.push(createIssue('error', 'noPossibleReceiver',
+                `${person.name}님이 줄 수 있는 상대가 모두 금지되어 있습니다.`, [person.name]));
+        }
+        if (!others.some(other => isValidPair(other, person, ruleEngine))) {
+            issues.push(createIssue('error', 'noPossibleGiver',
+                `${person.name}님에게 줄 수 있는 상대가 모두 금지되어 있습니다.`, [person.name]));
+        }
+    });
+
+    // 5. 그룹 구성이 확정적인 경우(leader를 무작위로 나누지 않는 경우) 실제 사이클 존재 여부까지 확인
+    const hasErrors = issues.some(issue => issue.severity === 'error');
+    const groupsAreFixed = isGlobal || newbies.length === 0 || leaders.length <= newbies.length;
+    if (!hasErrors && groupsAreFixed) {
+        const groups = buildPairingGroups(normals, newbies, leaders, extras, mode);
+        issues.push(...checkGroupFeasibility(groups, attributes, ruleEngine));
+    }
+
+    return summarize(issues);
+}
+
+/**
+ * 멘토링 용량 합계 (makePairs의 mentorCapacity 해석과 동일)
+ */
+function totalMentorCapacity(leaders, mentorCapacity = 1) {
+    const isMap = typeof mentorCapacity === 'object' && mentorCapacity !== null;
+    const fallback = isMap ? (mentorCapacity.default ?? 1) : mentorCapacity;
+    return leaders.reduce((sum, name) => sum + Number((isMap ? mentorCapacity[name] : undefined) ?? fallback), 0);
+}
+
+/**
+ * 각 참가자가 속할 수 있는 그룹 후보 (leader는 두 그룹 모두 가능, 단일 사이클 모드는 전체)
+ * 규칙 정의 타입 참가자(extras)는 makePairs와 같이 normal 그룹에 포함
+ */
+function collectCandidateGroups(normals, newbies, leaders, attributes, isGlobal, extras = []) {
+    const toPerson = type => name => ({name, type, attributes: attributes[name] || {}});
+    const normalPeople = [
+        ...normals.map(toPerson('normal')),
+        ...extras.map(({name, type}) => toPerson(type)(name))
+    ];
+    const newbiePeople = newbies.map(toPerson('newbie'));
+    const leaderPeople = leaders.map(toPerson('leader'));
+
+    if (isGlobal) {
+        const everyone = [...normalPeople, ...newbiePeople, ...leaderPeople];
+        return everyone.map(person => ({person, pool: everyone}));
+    }
+
+    const newbiePool = [...newbiePeople, ...leaderPeople];
+    const normalPool = newbies.length === 0 || leaders.length > newbies.length
+        ? [...normalPeople, ...leaderPeople]
+        : normalPeople;
+
+    return [
+        ...newbiePeople.map(person => ({person, pool: newbiePool})),
+        ...normalPeople.map(person => ({person, pool: normalPool})),
+        ...leaderPeople.map(person => ({
+            person,
+            pool: newbies.length > 0 ? [...newbiePool, ...normalPool] : normalPool
+        }))
+    ];
+}
+
+/**
+ * 그룹별로 솔버를 돌려 유효한 원형 연결이 있는지 확인 (DIAGNOSTIC_SOLVER_BUDGET 한도 안에서)
+ * @param {Array<Object>} groups - buildPairingGroups 결과
+ */
+function checkGroupFeasibility(groups, attributes, ruleEngine) {
+    const issues = [];
+    groups.forEach(({label, members: people}) => {
+        if (people.length < 2) return;
+        const members = people.map(person => ({...person, attributes: attributes[person.name] || {}}));
+        try {
+            shuffleAndPair(members, ruleEngine, createSeededRandom('diagnose'), null, {budget: DIAGNOSTIC_SOLVER_BUDGET});
+        } catch (error) {
+            if (error instanceof InfeasiblePairingError) {
+                issues.push(createIssue('error', 'infeasibleGroup',
+                    `${label} 그룹: ${error.infeasibility.summary}`,
+                    error.infeasibility.participants, {blocking: error.infeasibility.blocking}));
+            } else {
+                issues.push(createIssue('warning', 'undeterminedGroup',
+                    `${label} 그룹: 진단 탐색 한도 안에서 가능 여부를 확인하지 못했습니다. 추첨은 시도할 수 있습니다.`));
+            }
+        }
+    });
+    return issues;
+}
+
+/**
+ * 진단 항목을 오류/경고로 분리
+ */
+function summarize(issues) {
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const warnings = issues.filter(issue => issue.severity === 'warning');
+    return {
+        isDrawable: errors.length === 0,
+        errors,
+        warnings,
+        checkedAt: new Date().toISOString()
+    };
+}
+
+export {
+    DIAGNOSTIC_SOLVER_BUDGET,
+    diagnoseRoster,
+};
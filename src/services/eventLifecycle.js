@@ -0,0 +1,93 @@
+/**
+ * 추첨 이벤트 진행 상태
+ * 시트의 상태 셀(레이아웃의 status 영역)에 상태 이름만 저장하고, 정해진 순서로만 바꿀 수 있음
+ *   draft(준비) → published(결과 공개) → revealed(마니또 공개) → archived(종료) → draft(다음 회차)
+ * 상태 셀이 비어 있으면 draft
+ * 결과를 저장할 때마다 상태 뒤에 저장 리비전을 붙여 기록 (예: draft:3f9c2a1b), 리비전을 CAS로 바꿔 동시 저장을 막음
+ */
+
+/**
+ * 상태 이름과 화면 표시용 이름
+ */
+const EVENT_STATES = {
+    draft: '준비 중',
+    published: '결과 공개',
+    revealed: '마니또 공개',
+    archived: '종료'
+};
+
+/**
+ * 상태별로 바꿀 수 있는 다음 상태
+ */
+const EVENT_TRANSITIONS = {
+    draft: ['published'],
+    published: ['revealed'],
+    revealed: ['archived'],
+    archived: ['draft']
+};
+
+/**
+ * 상태 셀 값을 상태 이름으로 변환 (비어 있으면 draft, 저장 리비전은 무시)
+ * @param {string} value - 상태 셀 값
+ * @returns {string} 상태 이름
+ */
+function parseEventState(value) {
+    const state = `${value ?? ''}`.split(':')[0].trim().toLowerCase();
+    if (!state) return 'draft';
+    if (!Object.prototype.hasOwnProperty.call(EVENT_STATES, state)) {
+        throw new Error(`알 수 없는 이벤트 상태입니다: ${value} (${Object.keys(EVENT_STATES).join(', ')} 중 하나여야 합니다)`);
+    }
+    return state;
+}
+
+/**
+ * 상태 셀 값에서 저장 리비전 추출
+ * @param {string} value - 상태 셀 값
+ * @returns {string} 리비전 (없으면 '')
+ */
+function parseEventRevision(value) {
+    const text = `${value ?? ''}`.trim();
+    return text.includes(':') ? text.slice(text.indexOf(':') + 1).trim() : '';
+}
+
+/**
+ * 상태 셀에 기록할 값 (리비전이 있으면 상태:리비전)
+ * @param {string} state - 상태 이름
+ * @param {string} revision - 저장 리비전 (선택사항)
+ * @returns {string} 상태 셀 값
+ */
+function formatEventState(state, revision = '') {
+    return revision ? `${state}:${revision}` : state;
+}
+
+/**
+ * 상태를 바꿀 수 있는지 확인
+ * @param {string} from - 현재 상태
+ * @param {string} to - 바꿀 상태
+ * @returns {boolean} 바꿀 수 있으면 true
+ */
+function canTransition(from, to) {
+    return (EVENT_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * 상태를 바꿀 수 없으면 에러
+ * @param {string} from - 현재 상태
+ * @param {string} to - 바꿀 상태
+ */
+function assertTransition(from, to) {
+    if (!canTransition(from, to)) {
+        const allowed = (EVENT_TRANSITIONS[from] || []).join(', ') || '없음';
+        throw new Error(`'${from}' 상태에서 '${to}' 상태로 바꿀 수 없습니다 (가능한 다음 상태: ${allowed}).`);
+    }
+}
+
+export {
+    EVENT_STATES,
+    EVENT_TRANSITIONS,
+    parseEventState,
+    parseEventRevision,
+    formatEventState,
+    canTransition,
+    assertTransition,
+};
@@ -0,0 +1,301 @@
+import {makePairs, PAIRING_MODES, SILENT_LOGGER, getPairBlockReason} from './shuffleService.js';
+import {createRuleEngine} from './ruleEngine.js';
+import {generateSeed} from './randomService.js';
+
+/**
+ * 추첨 엔진 공정성 분석 (몬테카를로 시뮬레이션)
+ * 같은 명단으로 여러 번 추첨하여 giver별 receiver 분포, newbie 사이클 leader 선발 분포를
+ * 카이제곱 검정으로 확인하고 재시도/실패율과 추첨당 소요 시간을 함께 보고
+ *
+ * 참고: 금지 조건이 있으면 모든 유효한 배정이 균등하게 뽑히더라도 giver별 receiver 분포는
+ * 균등하지 않을 수 있음 (특정 receiver가 들어갈 수 있는 사이클 수가 다르기 때문)
+ */
+
+const DEFAULT_ITERATIONS = 1000;
+
+/**
+ * 정규화된 하한 불완전 감마 함수 P(a, x)
+ * (Numerical Recipes의 급수 / 연분수 전개)
+ */
+function regularizedGammaP(a, x) {
+    if (x <= 0) return 0;
+
+    const logGammaA = logGamma(a);
+
+    if (x < a + 1) {
+        // 급수 전개
+        let sum = 1 / a;
+        let term = sum;
+        for (let n = 1; n < 500; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
+        }
+        return sum * Math.exp(-x + a * Math.log(x) - logGammaA);
+    }
+
+    // 연분수 전개 (Q를 구한 뒤 1 - Q)
+    let b = x + 1 - a;
+    let c = 1 / 1e-300;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < 1e-300) d = 1e-300;
+        c = b + an / c;
+        if (Math.abs(c) < 1e-300) c = 1e-300;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    return 1 - Math.exp(-x + a * Math.log(x) - logGammaA) * h;
+}
+
+/**
+ * 로그 감마 함수 (Lanczos 근사)
+ */
+function logGamma(x) {
+    const coefficients = [
+        76.18009172947146, -86.50532032941678, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    coefficients.forEach(coefficient => {
+        series += coefficient / ++y;
+    });
+    return -tmp + Math.log(2.5066282746310007 * series / x);
+}
+
+/**
+ * 관측 빈도가 균등 분포인지 카이제곱 적합도 검정
+ * @param {Array<number>} observed - 범주별 관측 빈도
+ * @returns {Object} {chiSquare, degreesOfFreedom, pValue} (범주가 2개 미만이면 pValue null)
+ */
+function chiSquareUniform(observed) {
+    const total = observed.reduce((sum, count) => sum + count, 0);
+    const degreesOfFreedom = observed.length - 1;
+    if (degreesOfFreedom < 1 || total === 0) {
+        return {chiSquare: 0, degreesOfFreedom: Math.max(0, degreesOfFreedom), pValue: null};
+    }
+
+    const expected = total / observed.length;
+    const chiSquare = observed.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+    const pValue = 1 - regularizedGammaP(degreesOfFreedom / 2, chiSquare / 2);
+
+    return {chiSquare, degreesOfFreedom, pValue: Math.min(1, Math.max(0, pValue))};
+}
+
+/**
+ * 쌍 목록에서 사이클(연결 요소)별 참가자 집합 계산
+ * @returns {Array<Set<string>>} 사이클별 이름 집합
+ */
+function findCycles(pairs) {
+    const next = new Map(pairs.map(pair => [pair.giver, pair.receiver]));
+    const visited = new Set();
+    const cycles = [];
+
+    next.forEach((_, start) => {
+        if (visited.has(start)) return;
+        const cycle = new Set();
+        let current = start;
+        while (current !== undefined && !visited.has(current)) {
+            visited.add(current);
+            cycle.add(current);
+            current = next.get(current);
+        }
+        cycles.push(cycle);
+    });
+
+    return cycles;
+}
+
+/**
+ * giver별로 추첨에서 나올 수 있는 receiver 목록 계산
+ * 규칙 엔진이 허용하고 생성 방식상 같은 사이클에 들어갈 수 있는 receiver를 모두 포함
+ * (한 번도 뽑히지 않은 receiver도 빈도 0인 범주로 검정에 들어가도록)
+ * @returns {Map<string, Array<string>>} giver 이름 → 허용된 receiver 이름 배열
+ */
+function buildAllowedReceivers(roster, pairOptions) {
+    const attributes = roster?.attributes || {};
+    const mode = Object.values(PAIRING_MODES).includes(pairOptions.mode) ? pairOptions.mode : PAIRING_MODES.split;
+    const ruleEngine = createRuleEngine(pairOptions.rules, roster?.filterPairs || []);
+    const previousPairs = pairOptions.repeatMode === 'hard'
+        ? new Map((pairOptions.previousPairs || []).map(([giver, receiver]) => [`${giver}-${receiver}`, 1]))
+        : null;
+
+    const members = [
+        ...(roster?.normals || []).map(name => ({name, type: 'normal'})),
+        ...(roster?.newbies || []).map(name => ({name, type: 'newbie'})),
+        ...(roster?.leaders || []).map(name => ({name, type: 'leader'})),
+        ...(roster?.participants || []).map(({name, type}) => ({name, type}))
+    ]
+        .filter(member => !(mode === PAIRING_MODES.mentoring && member.type === 'newbie'))
+        .map(member => ({...member, attributes: attributes[member.name] || {}}));
+
+    // split 모드: newbie는 newbie + leader 사이클, normal과 나머지 타입은 normal 사이클에만 들어감
+    // (leader는 어느 쪽에도 들어갈 수 있음)
+    const stageOf = member => (member.type === 'newbie' ? 'newbieLeader' : member.type === 'leader' ? null : 'normal');
+    const canShareCycle = (giver, receiver) => mode !== PAIRING_MODES.split
+        || stageOf(giver) === null || stageOf(receiver) === null || stageOf(giver) === stageOf(receiver);
+
+    return new Map(members.map(giver => [
+        giver.name,
+        members
+            .filter(receiver => canShareCycle(giver, receiver)
+                && getPairBlockReason(giver, receiver, ruleEngine, previousPairs) === null)
+            .map(receiver => receiver.name)
+    ]));
+}
+
+/**
+ * 명단에 대해 추첨을 여러 번 실행하여 공정성 통계 계산
+ * @param {Object} roster - 구조화된 데이터 (normals, newbies, leaders, participants, filterPairs, attributes)
+ * @param {Object} options - 분석 옵션
+ * @param {number} options.iterations - 추첨 횟수 (기본값 1000)
+ * @param {string} options.seed - 기준 시드 (회차별 시드는 `${seed}-${i}`, 없으면 새로 생성)
+ * @param {Object} options.pairOptions - makePairs에 그대로 넘길 옵션 (rules, mode, receiversPerGiver 등)
+ * @param {Function} options.onProgress - (완료 횟수, 전체 횟수) 진행 콜백 (선택사항)
+ * @returns {Object} JSON으로 직렬화 가능한 분석 결과
+ */
+function analyzeFairness(roster, options = {}) {
+    const iterations = Math.max(1, Math.floor(options.iterations ?? DEFAULT_ITERATIONS));
+    const baseSeed = options.seed || generateSeed();
+    const pairOptions = options.pairOptions || {};
+    const normals = roster?.normals || [];
+    const newbies = roster?.newbies || [];
+    const leaders = roster?.leaders || [];
+    const filterPairs = roster?.filterPairs || [];
+
+    console.log(`📈 공정성 분석 시작: ${iterations}회 추첨 (기준 시드 ${baseSeed})`);
+
+    const pairCounts = new Map();
+    const leaderInNewbieCycle = new Map(leaders.map(name => [name, 0]));
+    const failureReasons = {};
+    const durations = [];
+    const solverTotals = {runs: 0, attempts: 0, enumerations: 0, nonUniform: 0};
+    let successes = 0;
+
+    for (let i = 0; i < iterations; i++) {
+        const startedAt = performance.now();
+        try {
+            // 수천 번 추첨하는 동안 추첨 로그는 생략
+            const {pairs, metadata} = makePairs(normals, newbies, leaders, filterPairs, {
+                attributes: roster?.attributes,
+                participants: roster?.participants,
+                logger: SILENT_LOGGER,
+                ...pairOptions,
+                seed: `${baseSeed}-${i}`
+            });
+            durations.push(performance.now() - startedAt);
+            successes++;
+
+            pairs.forEach(({giver, receiver}) => {
+                const key = `${giver}-${receiver}`;
+                if (!pairCounts.has(key)) pairCounts.set(key, {giver, receiver, count: 0});
+                pairCounts.get(key).count++;
+            });
+
+            solverTotals.runs += metadata.solver.runs;
+            solverTotals.attempts += metadata.solver.attempts;
+            solverTotals.enumerations += metadata.solver.enumerations;
+            solverTotals.nonUniform += metadata.solver.nonUniform;
+
+            // split 모드에서 newbie가 있는 사이클에 들어간 leader 집계
+            if (newbies.length > 0 && leaders.length > newbies.length && metadata.mode === 'split') {
+                const newbieSet = new Set(newbies);
+                findCycles(pairs)
+                    .filter(cycle => [...cycle].some(name => newbieSet.has(name)))
+                    .forEach(cycle => cycle.forEach(name => {
+                        if (leaderInNewbieCycle.has(name)) {
+                            leaderInNewbieCycle.set(name, leaderInNewbieCycle.get(name) + 1);
+                        }
+                    }));
+            }
+        } catch (error) {
+            durations.push(performance.now() - startedAt);
+            const reason = error.infeasibility?.reason || error.name || 'Error';
+            failureReasons[reason] = (failureReasons[reason] || 0) + 1;
+        }
+
+        if (options.onProgress) {
+            options.onProgress(i + 1, iterations);
+        }
+    }
+
+    // giver별 receiver 분포 (허용됐지만 한 번도 뽑히지 않은 receiver는 빈도 0)
+    const byGiver = new Map();
+    if (successes > 0) {
+        buildAllowedReceivers(roster, pairOptions).forEach((receivers, giver) => {
+            byGiver.set(giver, receivers.map(receiver => ({receiver, count: 0})));
+        });
+    }
+    pairCounts.forEach(({giver, receiver, count}) => {
+        if (!byGiver.has(giver)) byGiver.set(giver, []);
+        const entry = byGiver.get(giver).find(item => item.receiver === receiver);
+        if (entry) {
+            entry.count = count;
+        } else {
+            byGiver.get(giver).push({receiver, count});
+        }
+    });
+
+    const givers = [...byGiver.entries()].map(([giver, receivers]) => ({
+        giver,
+        receivers: receivers
+            .sort((a, b) => b.count - a.count)
+            .map(({receiver, count}) => ({receiver, count, frequency: count / successes})),
+        ...chiSquareUniform(receivers.map(({count}) => count))
+    })).sort((a, b) => (a.pValue ?? 1) - (b.pValue ?? 1));
+
+    const pairs = [...pairCounts.values()]
+        .map(({giver, receiver, count}) => ({giver, receiver, count, frequency: count / successes}))
+        .sort((a, b) => b.count - a.count);
+
+    const leaderCounts = [...leaderInNewbieCycle.entries()].map(([leader, count]) => ({leader, count}));
+    const leaderSelection = leaderCounts.some(({count}) => count > 0)
+        ? {counts: leaderCounts, ...chiSquareUniform(leaderCounts.map(({count}) => count))}
+        : null;
+
+    const totalTime = durations.reduce((sum, duration) => sum + duration, 0);
+    const failures = iterations - successes;
+
+    const result = {
+        iterations,
+        seed: baseSeed,
+        successes,
+        failures,
+        failureRate: failures / iterations,
+        failureReasons,
+        timing: {
+            totalMs: totalTime,
+            averageMs: totalTime / iterations,
+            maxMs: durations.length ? Math.max(...durations) : 0
+        },
+        solver: {
+            averageAttemptsPerCycle: solverTotals.runs ? solverTotals.attempts / solverTotals.runs : 0,
+            enumerationRate: solverTotals.runs ? solverTotals.enumerations / solverTotals.runs : 0,
+            nonUniformRate: solverTotals.runs ? solverTotals.nonUniform / solverTotals.runs : 0
+        },
+        givers,
+        pairs,
+        leaderSelection,
+        minPValue: Math.min(
+            ...givers.map(giver => giver.pValue ?? 1),
+            leaderSelection?.pValue ?? 1
+        ),
+        analyzedAt: new Date().toISOString()
+    };
+
+    console.log(`✅ 공정성 분석 완료: 성공 ${successes}회, 실패 ${failures}회, 평균 ${result.timing.averageMs.toFixed(2)}ms`);
+    return result;
+}
+
+export {
+    analyzeFairness,
+    chiSquareUniform,
+};
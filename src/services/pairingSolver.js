@@ -0,0 +1,484 @@
+/**
+ * 허용된 간선 그래프 위에서 해밀턴 사이클(모두가 한 번씩 주고 받는 원형 연결)을 찾는 솔버
+ *
+ * 1. 차수/홀(Hall) 조건 검사로 명백히 불가능한 경우를 먼저 판정
+ * 2. 노드 분류(참가자 타입) 단위로 가능한 순서를 세어 그 중 균등하게 뽑은 뒤 노드를 배치하는 기각 샘플링
+ *    (newbie와 leader가 번갈아 와야 하는 경우처럼 타입 규칙이 순서를 강제해도 매번 규칙에 맞는 순서만 뽑음)
+ *    분류 단위로도 순서가 하나도 없으면 불가능을 증명
+ * 3. 실패 시 백트래킹으로 사이클을 열거하여 그 중 균등 추출, 하나도 없으면 불가능을 증명
+ *    (남은 노드들에 주고받을 상대를 모두 정할 수 있는지 매칭으로 확인하며 가지치기)
+ */
+
+import {shuffleArray} from './randomService.js';
+
+const DEFAULT_SOLVER_OPTIONS = {
+    samplingAttempts: 1000,  // 기각 샘플링 시도 횟수
+    maxClassStates: 200000,  // 분류 단위 순서 계산에 쓸 최대 상태 수 (넘으면 분류 없이 샘플링)
+    enumerationLimit: 5000,  // 열거할 최대 사이클 수
+    maxSteps: 200000,        // 백트래킹 최대 탐색 단계
+    progressInterval: 1000,  // 진행 상황 콜백 간격 (백트래킹 단계 수)
+    onProgress: null,        // 진행 상황 콜백 ({phase, attempts, steps, depth, cycles})
+    classes: null            // 노드별 분류 이름 (같은 분류끼리는 규칙이 거의 같다고 보고 분류 단위로 순서를 뽑음)
+};
+
+/**
+ * 허용 간선 인접 행렬 생성
+ * @param {number} count - 노드 수
+ * @param {Function} canLink - (giverIndex, receiverIndex) => boolean
+ * @returns {Array<Array<boolean>>} 인접 행렬
+ */
+function buildAdjacency(count, canLink) {
+    const adjacency = [];
+    for (let i = 0; i < count; i++) {
+        adjacency.push([]);
+        for (let j = 0; j < count; j++) {
+            adjacency[i].push(i !== j && Boolean(canLink(i, j)));
+        }
+    }
+    return adjacency;
+}
+
+/**
+ * giver → receiver 이분 매칭이 완전하지 않을 때 홀 조건 위반 집합을 찾음
+ * (k명의 giver가 k명 미만의 receiver에게만 줄 수 있는 경우)
+ * @param {Array<Array<boolean>>} adjacency - 인접 행렬
+ * @returns {Object|null} {givers, receivers} 또는 null (완전 매칭 존재)
+ */
+function findHallViolation(adjacency) {
+    const count = adjacency.length;
+    const matchOfReceiver = new Array(count).fill(-1);
+    const matchOfGiver = new Array(count).fill(-1);
+
+    const tryAugment = (giver, visited) => {
+        for (let receiver = 0; receiver < count; receiver++) {
+            if (!adjacency[giver][receiver] || visited[receiver]) continue;
+            visited[receiver] = true;
+            if (matchOfReceiver[receiver] === -1 || tryAugment(matchOfReceiver[receiver], visited)) {
+                matchOfReceiver[receiver] = giver;
+                matchOfGiver[giver] = receiver;
+                return true;
+            }
+        }
+        return false;
+    };
+
+    for (let giver = 0; giver < count; giver++) {
+        tryAugment(giver, new Array(count).fill(false));
+    }
+
+    const unmatchedGiver = matchOfGiver.indexOf(-1);
+    if (unmatchedGiver === -1) {
+        return null;
+    }
+
+    // 매칭되지 않은 giver에서 교대 경로로 도달 가능한 giver 집합이 위반 집합
+    const givers = new Set([unmatchedGiver]);
+    const receivers = new Set();
+    const queue = [unmatchedGiver];
+    while (queue.length > 0) {
+        const giver = queue.shift();
+        for (let receiver = 0; receiver < count; receiver++) {
+            if (!adjacency[giver][receiver] || receivers.has(receiver)) continue;
+            receivers.add(receiver);
+            const next = matchOfReceiver[receiver];
+            if (next !== -1 && !givers.has(next)) {
+                givers.add(next);
+                queue.push(next);
+            }
+        }
+    }
+
+    return {givers: [...givers], receivers: [...receivers]};
+}
+
+/**
+ * 구조적으로 사이클이 불가능한지 빠르게 검사
+ * @param {Array<Array<boolean>>} adjacency - 인접 행렬
+ * @returns {Object|null} 불가능 사유 또는 null
+ */
+function checkStructure(adjacency) {
+    const count = adjacency.length;
+
+    for (let i = 0; i < count; i++) {
+        if (!adjacency[i].some(Boolean)) {
+            return {reason: 'noReceiver', nodes: [i]};
+        }
+        if (!adjacency.some(row => row[i])) {
+            return {reason: 'noGiver', nodes: [i]};
+        }
+    }
+
+    const violation = findHallViolation(adjacency);
+    if (violation) {
+        return {reason: 'hallViolation', nodes: violation.givers, receivers: violation.receivers};
+    }
+
+    return null;
+}
+
+/**
+ * 노드 분류 정보 생성
+ * 분류 X → Y 간선은 X의 노드에서 Y의 다른 노드로 가는 허용 간선이 하나라도 있으면 허용 (실제 그래프를 포함하는 거친 그래프)
+ * @param {Array<Array<boolean>>} adjacency - 인접 행렬
+ * @param {Array<string>|null} classes - 노드별 분류 이름 (없으면 모두 한 분류)
+ * @param {number} maxStates - 최대 상태 수 (넘으면 한 분류로 합침)
+ * @returns {Object} {members: 분류별 노드 배열, links: 분류 간 허용 행렬, radix: 남은 수 인코딩용 자릿값, states}
+ */
+function buildClassPlan(adjacency, classes, maxStates) {
+    const count = adjacency.length;
+    const labels = classes && classes.length === count ? classes : new Array(count).fill('');
+    const indexOf = new Map();
+    const members = [];
+    labels.forEach((label, node) => {
+        if (!indexOf.has(label)) {
+            indexOf.set(label, members.length);
+            members.push([]);
+        }
+        members[indexOf.get(label)].push(node);
+    });
+
+    let states = members.length;
+    members.forEach(group => {
+        states *= group.length + 1;
+    });
+    if (states > maxStates && members.length > 1) {
+        return buildClassPlan(adjacency, null, maxStates);
+    }
+
+    const links = members.map(from => members.map(to =>
+        from.some(giver => to.some(receiver => adjacency[giver][receiver]))
+    ));
+
+    const radix = [];
+    let place = 1;
+    members.forEach(group => {
+        radix.push(place);
+        place *= group.length + 1;
+    });
+
+    return {members, links, radix, states};
+}
+
+/**
+ * 분류 단위 순서 수 계산기
+ * 첫 분류 first로 시작해 남은 노드 수(remaining)를 모두 배치하고 first로 돌아올 수 있는 순서의 수를 셈
+ * (같은 분류 안에서 노드를 바꾸는 경우의 수는 어느 순서나 같으므로 분류 순서만 세면 균등 추출 가능)
+ * @returns {Function} (remaining 인코딩, 마지막 분류) => 순서 수
+ */
+function createWordCounter(plan, first) {
+    const {members, links, radix} = plan;
+    const classCount = members.length;
+    const memo = new Map();
+
+    const countWords = (code, last) => {
+        if (code === 0) {
+            return links[last][first] ? 1 : 0;
+        }
+        const key = code * classCount + last;
+        if (memo.has(key)) {
+            return memo.get(key);
+        }
+        let total = 0;
+        for (let next = 0; next < classCount; next++) {
+            if (!links[last][next]) continue;
+            const remaining = Math.floor(code / radix[next]) % (members[next].length + 1);
+            if (remaining > 0) {
+                total += countWords(code - radix[next], next);
+            }
+        }
+        memo.set(key, total);
+        return total;
+    };
+
+    return countWords;
+}
+
+/**
+ * 가중치에 비례해 인덱스 하나 선택
+ */
+function pickWeighted(weights, random) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let target = random() * total;
+    for (let i = 0; i < weights.length; i++) {
+        if (weights[i] <= 0) continue;
+        target -= weights[i];
+        if (target < 0) return i;
+    }
+    return weights.findLastIndex(weight => weight > 0);
+}
+
+/**
+ * 분류 단위 기각 샘플링
+ * 규칙에 맞는 분류 순서를 균등하게 뽑고 각 분류 자리에 그 분류의 노드를 무작위로 배치한 뒤 실제 간선을 확인
+ * 분류 순서 하나는 같은 수의 노드 순서에 대응하고, 유효한 사이클 하나는 정확히 count개의 순서(회전)에 대응하므로
+ * 성공 시 유효한 사이클 중 균등 추출이 됨
+ * @returns {Object} {cycle, attempts, impossible: 분류 단위로도 순서가 없으면 true}
+ */
+function sampleCycle(adjacency, random, attempts, onProgress = null, classes = null, maxClassStates = Infinity) {
+    const count = adjacency.length;
+    const plan = buildClassPlan(adjacency, classes, maxClassStates);
+    const {members, links, radix} = plan;
+    const fullCode = members.reduce((code, group, index) => code + group.length * radix[index], 0);
+
+    const counters = members.map((_, first) => createWordCounter(plan, first));
+    const startWeights = members.map((_, first) => counters[first](fullCode - radix[first], first));
+    if (startWeights.every(weight => weight === 0)) {
+        return {cycle: null, attempts: 0, impossible: true};
+    }
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        if (onProgress && attempt > 0 && attempt % 10 === 0) {
+            onProgress({phase: 'sampling', attempts: attempt, steps: 0, depth: 0, cycles: 0});
+        }
+
+        // 분류 순서 추출
+        const first = pickWeighted(startWeights, random);
+        const countWords = counters[first];
+        const word = [first];
+        let code = fullCode - radix[first];
+        while (code > 0) {
+            const last = word[word.length - 1];
+            const weights = members.map((group, next) => {
+                if (!links[last][next] || Math.floor(code / radix[next]) % (group.length + 1) === 0) return 0;
+                return countWords(code - radix[next], next);
+            });
+            const next = pickWeighted(weights, random);
+            word.push(next);
+            code -= radix[next];
+        }
+
+        // 분류 자리에 노드 배치
+        const queues = members.map(group => shuffleArray(group, random));
+        const order = word.map(classIndex => queues[classIndex].pop());
+
+        let valid = true;
+        for (let i = 0; i < count; i++) {
+            if (!adjacency[order[i]][order[(i + 1) % count]]) {
+                valid = false;
+                break;
+            }
+        }
+        if (valid) {
+            return {cycle: order, attempts: attempt + 1, impossible: false};
+        }
+    }
+
+    return {cycle: null, attempts, impossible: false};
+}
+
+/**
+ * 백트래킹으로 사이클 열거 (시작 노드 0 고정, 각 방향 사이클은 한 번씩만 등장)
+ * @returns {Object} {cycles, complete, steps}
+ */
+function enumerateCycles(adjacency, random, limit, maxSteps, onProgress = null, progressInterval = 1000) {
+    const count = adjacency.length;
+    const visited = new Array(count).fill(false);
+    const path = [0];
+    const cycles = [];
+    let steps = 0;
+    let aborted = false;
+
+    visited[0] = true;
+
+    // 남은 노드들이 아직 들어오고 나갈 수 있는지 확인하는 가지치기
+    const canStillClose = (current) => {
+        for (let node = 0; node < count; node++) {
+            if (visited[node]) continue;
+            let hasIn = adjacency[current][node];
+            let hasOut = adjacency[node][0];
+            for (let other = 0; other < count && !(hasIn && hasOut); other++) {
+                if (visited[other] || other === node) continue;
+                hasIn = hasIn || adjacency[other][node];
+                hasOut = hasOut || adjacency[node][other];
+            }
+            if (!hasIn || !hasOut) return false;
+        }
+        return true;
+    };
+
+    // 현재 노드와 남은 노드가 각자 다른 받는 사람(남은 노드 또는 시작 노드)을 가질 수 있는지 확인하는 가지치기
+    // (경로를 끝까지 이으려면 반드시 필요한 조건, newbie가 남은 leader보다 많아지는 순서 등을 바로 잘라냄)
+    const canMatchRemaining = (current) => {
+        const givers = [current];
+        const receivers = [0];
+        for (let node = 0; node < count; node++) {
+            if (!visited[node]) {
+                givers.push(node);
+                receivers.push(node);
+            }
+        }
+        const matchOfReceiver = new Array(receivers.length).fill(-1);
+
+        const tryAugment = (giver, seen) => {
+            for (let r = 0; r < receivers.length; r++) {
+                if (seen[r] || !adjacency[giver][receivers[r]]) continue;
+                seen[r] = true;
+                if (matchOfReceiver[r] === -1 || tryAugment(matchOfReceiver[r], seen)) {
+                    matchOfReceiver[r] = giver;
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        return givers.every(giver => tryAugment(giver, new Array(receivers.length).fill(false)));
+    };
+
+    const extend = (current) => {
+        if (aborted) return;
+        if (++steps > maxSteps) {
+            aborted = true;
+            return;
+        }
+        if (onProgress && steps % progressInterval === 0) {
+            onProgress({phase: 'enumeration', attempts: 0, steps, depth: path.length, cycles: cycles.length});
+        }
+
+        if (path.length === count) {
+            if (adjacency[current][0]) {
+                cycles.push([...path]);
+                if (cycles.length >= limit) aborted = true;
+            }
+            return;
+        }
+
+        if (!canStillClose(current) || !canMatchRemaining(current)) return;
+
+        const candidates = shuffleArray([...Array(count).keys()], random)
+            .filter(next => !visited[next] && adjacency[current][next]);
+
+        for (const next of candidates) {
+            visited[next] = true;
+            path.push(next);
+            extend(next);
+            path.pop();
+            visited[next] = false;
+            if (aborted) return;
+        }
+    };
+
+    extend(0);
+
+    return {cycles, complete: !aborted, steps};
+}
+
+/**
+ * 해밀턴 사이클 탐색
+ * @param {number} count - 노드 수
+ * @param {Function} canLink - (giverIndex, receiverIndex) => boolean
+ * @param {Function} random - 난수 함수
+ * @param {Object} options - 솔버 옵션 (samplingAttempts, maxClassStates, enumerationLimit, maxSteps, onProgress, progressInterval)
+ * @param {Array<string>} options.classes - 노드별 분류 이름 (예: 참가자 타입, 선택사항)
+ * @returns {Object} 성공: {feasible: true, cycle, method, uniform, attempts, steps}
+ *                   불가능: {feasible: false, reason, nodes, receivers?, steps}
+ *                   판정 불가: {feasible: null, reason: 'searchLimit', steps}
+ */
+function solveHamiltonianCycle(count, canLink, random = Math.random, options = {}) {
+    const {
+        samplingAttempts, maxClassStates, enumerationLimit, maxSteps, onProgress, progressInterval, classes
+    } = {...DEFAULT_SOLVER_OPTIONS, ...options};
+
+    if (count < 2) {
+        return {feasible: false, reason: 'tooFewNodes', nodes: [...Array(count).keys()], steps: 0};
+    }
+
+    const adjacency = buildAdjacency(count, canLink);
+
+    const structural = checkStructure(adjacency);
+    if (structural) {
+        return {feasible: false, ...structural, steps: 0};
+    }
+
+    const sampled = sampleCycle(adjacency, random, samplingAttempts, onProgress, classes, maxClassStates);
+    if (sampled.impossible) {
+        return {feasible: false, reason: 'noCycle', nodes: [], steps: 0};
+    }
+    if (sampled.cycle) {
+        return {
+            feasible: true,
+            cycle: sampled.cycle,
+            method: 'sampling',
+            uniform: true,
+            attempts: sampled.attempts,
+            steps: 0
+        };
+    }
+
+    const {cycles, complete, steps} = enumerateCycles(adjacency, random, enumerationLimit, maxSteps, onProgress, progressInterval);
+
+    if (cycles.length === 0) {
+        if (complete) {
+            return {feasible: false, reason: 'noCycle', nodes: [], steps};
+        }
+        return {feasible: null, reason: 'searchLimit', steps};
+    }
+
+    // 열거된 사이클 중 하나를 고르고 시작 위치도 무작위로 회전
+    const picked = cycles[Math.floor(random() * cycles.length)];
+    const offset = Math.floor(random() * count);
+    const cycle = [...picked.slice(offset), ...picked.slice(0, offset)];
+
+    return {
+        feasible: true,
+        cycle,
+        method: 'enumeration',
+        // 모든 사이클을 열거한 경우에만 균등 추출이 보장됨
+        uniform: complete,
+        attempts: samplingAttempts,
+        steps
+    };
+}
+
+/**
+ * 용량이 있는 이분 매칭 (예: leader 한 명이 newbie 여러 명을 멘토링)
+ * 왼쪽 노드마다 capacity만큼 오른쪽 노드를 받을 수 있고, 오른쪽 노드는 모두 정확히 하나의 왼쪽 노드에 배정
+ * 탐색 순서를 무작위로 섞어 같은 조건에서도 매번 다른 배정이 나오도록 함
+ * @param {number} leftCount - 왼쪽 노드 수
+ * @param {number} rightCount - 오른쪽 노드 수
+ * @param {Array<number>} capacities - 왼쪽 노드별 용량
+ * @param {Function} canLink - (leftIndex, rightIndex) => boolean
+ * @param {Function} random - 난수 함수
+ * @returns {Object} {feasible, assignment: 오른쪽 노드별 왼쪽 노드 번호, unmatched: 배정되지 않은 오른쪽 노드}
+ */
+function matchWithCapacity(leftCount, rightCount, capacities, canLink, random = Math.random) {
+    // 용량만큼 왼쪽 노드를 복제한 슬롯에 대해 Kuhn 알고리즘
+    const slots = shuffleArray(
+        [...Array(leftCount).keys()].flatMap(left => Array(Math.max(0, capacities[left] || 0)).fill(left)),
+        random
+    );
+    const slotOfRight = new Array(rightCount).fill(-1);
+    const rightOfSlot = new Array(slots.length).fill(-1);
+
+    const tryAugment = (right, visited) => {
+        for (let slot = 0; slot < slots.length; slot++) {
+            if (visited[slot] || !canLink(slots[slot], right)) continue;
+            visited[slot] = true;
+            if (rightOfSlot[slot] === -1 || tryAugment(rightOfSlot[slot], visited)) {
+                rightOfSlot[slot] = right;
+                slotOfRight[right] = slot;
+                return true;
+            }
+        }
+        return false;
+    };
+
+    shuffleArray([...Array(rightCount).keys()], random).forEach(right => {
+        tryAugment(right, new Array(slots.length).fill(false));
+    });
+
+    const unmatched = slotOfRight
+        .map((slot, right) => (slot === -1 ? right : -1))
+        .filter(right => right !== -1);
+
+    return {
+        feasible: unmatched.length === 0,
+        assignment: slotOfRight.map(slot => (slot === -1 ? -1 : slots[slot])),
+        unmatched
+    };
+}
+
+export {
+    buildAdjacency,
+    solveHamiltonianCycle,
+    matchWithCapacity,
+};
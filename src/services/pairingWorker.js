@@ -0,0 +1,51 @@
+import {makePairs} from './shuffleService.js';
+import {analyzeFairness} from './fairnessService.js';
+
+/**
+ * 추첨 엔진 Web Worker
+ * 메인 스레드를 막지 않도록 makePairs(추첨)와 analyzeFairness(공정성 분석)를 워커에서 실행하고 진행 상황을 전달
+ *
+ * 받는 메시지:
+ *   {type: 'draw', normals, newbies, leaders, filterPairs, options}
+ *   {type: 'fairness', roster, options}
+ * 보내는 메시지:
+ *   {type: 'progress', progress}  - draw: {stage, group, phase, attempts, steps, depth, cycles} / fairness: {completed, total}
+ *   {type: 'result', result}      - makePairs 또는 analyzeFairness 결과
+ *   {type: 'error', error: {name, message, infeasibility, steps}}
+ */
+
+// 진행 상황 메시지 최소 간격 (ms)
+const PROGRESS_INTERVAL_MS = 50;
+
+self.onmessage = (event) => {
+    const {type, normals, newbies, leaders, filterPairs, roster, options} = event.data || {};
+    if (type !== 'draw' && type !== 'fairness') return;
+
+    let lastProgressAt = 0;
+    const postProgress = (progress, force = false) => {
+        const now = performance.now();
+        if (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+        lastProgressAt = now;
+        self.postMessage({type: 'progress', progress});
+    };
+
+    try {
+        const result = type === 'draw'
+            ? makePairs(normals, newbies, leaders, filterPairs, {...options, onProgress: postProgress})
+            : analyzeFairness(roster, {
+                ...options,
+                onProgress: (completed, total) => postProgress({completed, total}, completed === total)
+            });
+        self.postMessage({type: 'result', result});
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            error: {
+                name: error.name,
+                message: error.message,
+                infeasibility: error.infeasibility || null,
+                steps: error.steps ?? null
+            }
+        });
+    }
+};
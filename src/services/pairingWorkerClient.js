@@ -0,0 +1,154 @@
+import {makePairs, InfeasiblePairingError, SearchLimitError} from './shuffleService.js';
+import {analyzeFairness} from './fairnessService.js';
+
+/**
+ * 추첨 워커 클라이언트
+ * makePairs / analyzeFairness와 같은 인자를 받아 Web Worker에서 실행하고 같은 결과 형태를 Promise로 반환
+ * - onProgress로 진행 상황(솔버 시도 횟수, 탐색 깊이 / 공정성 분석 완료 횟수)을 받음
+ * - AbortSignal로 취소하면 워커를 종료하고 AbortError로 거부
+ * - Worker를 쓸 수 없는 환경(Node 등)에서는 메인 스레드에서 그대로 실행
+ */
+
+/**
+ * 취소 에러 생성
+ * @param {string} message - 에러 메시지
+ * @returns {Error} name이 'AbortError'인 에러
+ */
+function createAbortError(message = '추첨이 취소되었습니다.') {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * 워커에서 받은 에러 정보를 에러 객체로 복원 (불가능 판정은 InfeasiblePairingError, 탐색 한도 초과는 SearchLimitError)
+ * @param {Object} payload - {name, message, infeasibility, steps}
+ * @returns {Error} 에러 객체
+ */
+function restoreError(payload) {
+    if (payload?.infeasibility) {
+        return new InfeasiblePairingError(payload.message, payload.infeasibility);
+    }
+    if (payload?.name === 'SearchLimitError') {
+        return new SearchLimitError(payload.message, payload.steps ?? null);
+    }
+    const error = new Error(payload?.message || '추첨 워커에서 알 수 없는 오류가 발생했습니다.');
+    if (payload?.name) error.name = payload.name;
+    return error;
+}
+
+/**
+ * 워커에 작업 메시지를 보내고 결과 대기
+ * @param {Object} message - 워커로 보낼 메시지 ({type, ...}, 함수는 넣을 수 없음)
+ * @param {Function} runLocally - Worker를 쓸 수 없을 때 메인 스레드에서 실행할 함수 (onProgress를 인자로 받음)
+ * @param {Object} control - {onProgress, signal, abortMessage}
+ * @returns {Promise<Object>} 워커 결과
+ */
+function runInWorker(message, runLocally, control = {}) {
+    const {onProgress, signal, abortMessage} = control;
+
+    if (signal?.aborted) {
+        return Promise.reject(createAbortError(abortMessage));
+    }
+
+    // Worker를 지원하지 않는 환경에서는 동기 실행
+    if (typeof Worker === 'undefined') {
+        return new Promise(resolve => {
+            resolve(runLocally(onProgress));
+        });
+    }
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./pairingWorker.js', import.meta.url), {type: 'module'});
+
+        const cleanup = () => {
+            worker.terminate();
+            signal?.removeEventListener('abort', handleAbort);
+        };
+
+        const handleAbort = () => {
+            console.log('🛑 작업 취소: 워커를 종료합니다');
+            cleanup();
+            reject(createAbortError(abortMessage));
+        };
+
+        worker.onmessage = (event) => {
+            const {type, progress, result, error} = event.data || {};
+            if (type === 'progress') {
+                if (onProgress) onProgress(progress);
+            } else if (type === 'result') {
+                cleanup();
+                resolve(result);
+            } else if (type === 'error') {
+                cleanup();
+                reject(restoreError(error));
+            }
+        };
+
+        worker.onerror = (event) => {
+            cleanup();
+            reject(new Error(`추첨 워커 실행 실패: ${event.message || '알 수 없는 오류'}`));
+        };
+
+        signal?.addEventListener('abort', handleAbort);
+        worker.postMessage(message);
+    });
+}
+
+/**
+ * 함수는 워커로 복제할 수 없으므로 옵션에서 제외 (random 대신 seed로 재현)
+ * @param {Object} options - 옵션
+ * @returns {Object} 복제 가능한 옵션
+ */
+function toSerializableOptions(options) {
+    const serializableOptions = {...options};
+    delete serializableOptions.random;
+    delete serializableOptions.onProgress;
+    return serializableOptions;
+}
+
+/**
+ * 워커에서 추첨 실행
+ * @param {Array<string>} normals - 일반 참가자 이름 배열
+ * @param {Array<string>} newbies - 신규 참가자 이름 배열
+ * @param {Array<string>} leaders - 리더 이름 배열
+ * @param {Array<Array<string>>} filterPairs - 금지된 쌍 배열
+ * @param {Object} options - makePairs 옵션 (함수/random은 워커로 넘길 수 없으므로 seed 사용)
+ * @param {Object} control - 실행 제어
+ * @param {Function} control.onProgress - 진행 상황 콜백 ({stage, group, phase, attempts, steps, depth, cycles})
+ * @param {AbortSignal} control.signal - 취소 신호
+ * @returns {Promise<Object>} makePairs와 같은 {pairs, mentoring?, metadata}
+ */
+function runPairingInWorker(normals, newbies, leaders, filterPairs, options = {}, control = {}) {
+    return runInWorker(
+        {type: 'draw', normals, newbies, leaders, filterPairs, options: toSerializableOptions(options)},
+        onProgress => makePairs(normals, newbies, leaders, filterPairs, {...options, onProgress}),
+        control
+    );
+}
+
+/**
+ * 워커에서 공정성 분석 실행 (수천 번 추첨하는 동안 화면이 멈추지 않음)
+ * @param {Object} roster - 구조화된 데이터 (normals, newbies, leaders, participants, filterPairs, attributes)
+ * @param {Object} options - analyzeFairness 옵션 ({iterations, seed, pairOptions})
+ * @param {Object} control - 실행 제어
+ * @param {Function} control.onProgress - 진행 상황 콜백 ({completed, total})
+ * @param {AbortSignal} control.signal - 취소 신호
+ * @returns {Promise<Object>} analyzeFairness 결과
+ */
+function runFairnessInWorker(roster, options = {}, control = {}) {
+    const {onProgress, ...rest} = control;
+    return runInWorker(
+        {type: 'fairness', roster, options: toSerializableOptions(options)},
+        () => analyzeFairness(roster, {
+            ...options,
+            onProgress: onProgress ? (completed, total) => onProgress({completed, total}) : undefined
+        }),
+        {...rest, onProgress, abortMessage: '공정성 분석이 취소되었습니다.'}
+    );
+}
+
+export {
+    runPairingInWorker,
+    runFairnessInWorker,
+};
@@ -0,0 +1,115 @@
+/**
+ * 참가자 비밀번호 해시 (WebCrypto PBKDF2-SHA256)
+ * 시트의 credentials 영역에는 평문 대신 아래 형식의 문자열만 저장
+ *   pbkdf2-sha256$<반복 횟수>$<솔트 base64>$<해시 base64>
+ * 반복 횟수가 문자열에 함께 기록되므로 기본값을 올려도 이전 해시는 그대로 검증됨
+ */
+
+const HASH_SCHEME = 'pbkdf2-sha256';
+
+/**
+ * 기본 해시 설정
+ * iterations: PBKDF2 반복 횟수, saltBytes: 솔트 길이, hashBytes: 해시 길이
+ */
+const DEFAULT_HASH_OPTIONS = {
+    iterations: 310000,
+    saltBytes: 16,
+    hashBytes: 32
+};
+
+/**
+ * 바이트 배열 → base64
+ * @param {Uint8Array} bytes - 바이트 배열
+ * @returns {string} base64 문자열
+ */
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * base64 → 바이트 배열
+ * @param {string} text - base64 문자열
+ * @returns {Uint8Array} 바이트 배열
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * 비밀번호와 솔트로 PBKDF2 해시 계산
+ * @param {string} password - 비밀번호
+ * @param {Uint8Array} salt - 솔트
+ * @param {number} iterations - 반복 횟수
+ * @param {number} hashBytes - 해시 길이
+ * @returns {Promise<Uint8Array>} 해시
+ */
+async function derive(password, salt, iterations, hashBytes) {
+    const subtle = globalThis.crypto?.subtle;
+    if (!subtle) {
+        throw new Error('이 환경에서는 WebCrypto를 사용할 수 없습니다 (HTTPS 또는 localhost에서 실행하세요).');
+    }
+
+    const key = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await subtle.deriveBits({name: 'PBKDF2', hash: 'SHA-256', salt, iterations}, key, hashBytes * 8);
+    return new Uint8Array(bits);
+}
+
+/**
+ * 저장된 값이 해시 형식인지 확인 (아니면 이전 방식의 평문)
+ * @param {string} stored - 시트에 저장된 값
+ * @returns {boolean} 해시 형식이면 true
+ */
+function isPasswordHash(stored) {
+    const parts = `${stored ?? ''}`.split('$');
+    return parts.length === 4 && parts[0] === HASH_SCHEME && Number(parts[1]) > 0;
+}
+
+/**
+ * 비밀번호 해시 생성 (매번 새 솔트)
+ * @param {string} password - 비밀번호
+ * @param {Object} options - 해시 설정 (iterations, saltBytes, hashBytes)
+ * @returns {Promise<string>} 저장할 해시 문자열
+ */
+async function hashPassword(password, options = {}) {
+    const {iterations, saltBytes, hashBytes} = {...DEFAULT_HASH_OPTIONS, ...options};
+    const salt = new Uint8Array(saltBytes);
+    globalThis.crypto.getRandomValues(salt);
+
+    const hash = await derive(password, salt, iterations, hashBytes);
+    return `${HASH_SCHEME}$${iterations}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+/**
+ * 입력한 비밀번호가 저장된 값과 맞는지 확인
+ * 아직 이전 방식의 평문이면 평문끼리 비교 (마이그레이션 전 호환)
+ * 관리 화면이 열릴 때 migrateCredentials가 모든 행을 해시로 바꾸므로 이 경로는 마이그레이션 전 시트에서만 쓰이고,
+ * 마이그레이션이 실패하면 관리 화면에 평문 행이 남아 있다는 경고가 표시됨
+ * @param {string} password - 입력한 비밀번호
+ * @param {string} stored - 시트에 저장된 값
+ * @returns {Promise<boolean>} 일치하면 true
+ */
+async function verifyPassword(password, stored) {
+    if (!isPasswordHash(stored)) {
+        return `${stored ?? ''}`.trim() !== '' && `${stored}`.trim() === password;
+    }
+
+    const [, iterations, salt, expected] = stored.split('$');
+    const expectedBytes = fromBase64(expected);
+    const actualBytes = await derive(password, fromBase64(salt), Number(iterations), expectedBytes.length);
+
+    // 비교 시간이 일치하는 위치에 따라 달라지지 않도록 끝까지 비교
+    let difference = actualBytes.length ^ expectedBytes.length;
+    for (let i = 0; i < expectedBytes.length; i++) {
+        difference |= actualBytes[i] ^ expectedBytes[i];
+    }
+    return difference === 0;
+}
+
+export {
+    DEFAULT_HASH_OPTIONS,
+    toBase64,
+    fromBase64,
+    isPasswordHash,
+    hashPassword,
+    verifyPassword,
+};
@@ -0,0 +1,97 @@
+/**
+ * 시드 기반 난수 생성기
+ * 같은 시드로 다시 실행하면 같은 난수 순서를 얻을 수 있어 추첨 결과를 재현/검증할 수 있음
+ */
+
+/**
+ * 문자열 시드를 128비트 상태(32비트 정수 4개)로 해싱 (cyrb128)
+ * @param {string} str - 시드 문자열
+ * @returns {Array<number>} 32비트 정수 4개
+ */
+function hashSeed(str) {
+    let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+    for (let i = 0; i < str.length; i++) {
+        const k = str.charCodeAt(i);
+        h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+        h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+        h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+        h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+    h1 ^= (h2 ^ h3 ^ h4);
+    h2 ^= h1;
+    h3 ^= h1;
+    h4 ^= h1;
+    return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+/**
+ * 시드로부터 [0, 1) 범위의 난수를 반환하는 함수 생성 (sfc32)
+ * @param {string|number} seed - 시드 값
+ * @returns {Function} Math.random과 같은 형태의 난수 함수
+ */
+function createSeededRandom(seed) {
+    if (seed === undefined || seed === null || `${seed}` === '') {
+        throw new Error('시드 값이 필요합니다.');
+    }
+
+    let [a, b, c, d] = hashSeed(`${seed}`);
+
+    const random = () => {
+        a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+        const t = (a + b) | 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) | 0;
+        c = (c << 21) | (c >>> 11);
+        d = (d + 1) | 0;
+        const result = (t + d) | 0;
+        c = (c + result) | 0;
+        return (result >>> 0) / 4294967296;
+    };
+
+    // 초기 상태 편향을 줄이기 위해 앞부분 버림
+    for (let i = 0; i < 15; i++) {
+        random();
+    }
+
+    return random;
+}
+
+/**
+ * 새 시드 생성 (가능하면 crypto 사용)
+ * @returns {string} 16자리 16진수 시드
+ */
+function generateSeed() {
+    const values = new Uint32Array(2);
+    if (globalThis.crypto && typeof globalThis.crypto.getRandomValues === 'function') {
+        globalThis.crypto.getRandomValues(values);
+    } else {
+        values[0] = Math.floor(Math.random() * 4294967296);
+        values[1] = Math.floor(Math.random() * 4294967296);
+    }
+    return Array.from(values, value => value.toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Fisher-Yates 셔플 (원본 배열은 변경하지 않음)
+ * @param {Array} array - 섞을 배열
+ * @param {Function} random - 난수 함수 (기본값: Math.random)
+ * @returns {Array} 섞인 새 배열
+ */
+function shuffleArray(array, random = Math.random) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+export {
+    createSeededRandom,
+    generateSeed,
+    shuffleArray,
+};
@@ -0,0 +1,117 @@
+import {DEFAULT_HASH_OPTIONS, toBase64, fromBase64} from './passwordHash.js';
+import {normalizeName} from './rosterNormalizer.js';
+
+/**
+ * giver의 비밀번호로 receiver 이름 암호화 (WebCrypto PBKDF2 → AES-GCM)
+ * 시트의 pairs 영역 receiver 칸에는 아래 형식의 암호문만 저장되어 비밀번호를 아는 giver만 결과를 볼 수 있음
+ *   aes-gcm$<반복 횟수>$<솔트 base64>$<IV base64>$<암호문 base64>
+ * - 키 유도용 솔트는 비밀번호 해시와 별도로 매번 새로 생성
+ * - giver 이름을 추가 인증 데이터로 넣어 암호문을 다른 giver 행으로 옮기면 복호화되지 않음
+ */
+
+const CIPHER_SCHEME = 'aes-gcm';
+
+/**
+ * WebCrypto subtle 객체
+ * @returns {SubtleCrypto} subtle
+ */
+function getSubtle() {
+    const subtle = globalThis.crypto?.subtle;
+    if (!subtle) {
+        throw new Error('이 환경에서는 WebCrypto를 사용할 수 없습니다 (HTTPS 또는 localhost에서 실행하세요).');
+    }
+    return subtle;
+}
+
+/**
+ * 비밀번호와 솔트로 AES-GCM 키 유도
+ * @param {string} password - giver 비밀번호
+ * @param {Uint8Array} salt - 솔트
+ * @param {number} iterations - PBKDF2 반복 횟수
+ * @returns {Promise<CryptoKey>} AES-GCM 키
+ */
+async function deriveKey(password, salt, iterations) {
+    const subtle = getSubtle();
+    const baseKey = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+    return subtle.deriveKey(
+        {name: 'PBKDF2', hash: 'SHA-256', salt, iterations},
+        baseKey,
+        {name: 'AES-GCM', length: 256},
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * 추가 인증 데이터 (giver 이름)
+ * @param {string} giver - giver 이름
+ * @returns {Uint8Array} 바이트 배열
+ */
+function additionalData(giver) {
+    return new TextEncoder().encode(normalizeName(giver));
+}
+
+/**
+ * 저장된 값이 암호문 형식인지 확인 (아니면 평문 receiver 이름)
+ * @param {string} value - 시트에 저장된 receiver 칸 값
+ * @returns {boolean} 암호문이면 true
+ */
+function isEncryptedReceiver(value) {
+    const parts = `${value ?? ''}`.split('$');
+    return parts.length === 5 && parts[0] === CIPHER_SCHEME && Number(parts[1]) > 0;
+}
+
+/**
+ * receiver 이름 암호화
+ * @param {string} receiver - receiver 이름
+ * @param {string} giver - giver 이름 (추가 인증 데이터)
+ * @param {string} password - giver 비밀번호
+ * @param {Object} options - {iterations} (기본값: 비밀번호 해시와 같은 반복 횟수)
+ * @returns {Promise<string>} 저장할 암호문
+ */
+async function encryptReceiver(receiver, giver, password, options = {}) {
+    const iterations = options.iterations ?? DEFAULT_HASH_OPTIONS.iterations;
+    const salt = globalThis.crypto.getRandomValues(new Uint8Array(16));
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+
+    const key = await deriveKey(password, salt, iterations);
+    const ciphertext = await getSubtle().encrypt(
+        {name: 'AES-GCM', iv, additionalData: additionalData(giver)},
+        key,
+        new TextEncoder().encode(receiver)
+    );
+
+    return [CIPHER_SCHEME, iterations, toBase64(salt), toBase64(iv), toBase64(new Uint8Array(ciphertext))].join('$');
+}
+
+/**
+ * receiver 이름 복호화
+ * @param {string} value - 시트에 저장된 암호문
+ * @param {string} giver - giver 이름 (암호화할 때와 같아야 함)
+ * @param {string} password - giver 비밀번호
+ * @returns {Promise<string>} receiver 이름
+ */
+async function decryptReceiver(value, giver, password) {
+    if (!isEncryptedReceiver(value)) {
+        throw new Error('암호화된 결과가 아닙니다.');
+    }
+
+    const [, iterations, salt, iv, ciphertext] = value.split('$');
+    try {
+        const key = await deriveKey(password, fromBase64(salt), Number(iterations));
+        const plaintext = await getSubtle().decrypt(
+            {name: 'AES-GCM', iv: fromBase64(iv), additionalData: additionalData(giver)},
+            key,
+            fromBase64(ciphertext)
+        );
+        return new TextDecoder().decode(plaintext);
+    } catch {
+        throw new Error('결과를 복호화할 수 없습니다. 추첨 이후 비밀번호가 바뀌었을 수 있습니다.');
+    }
+}
+
+export {
+    isEncryptedReceiver,
+    encryptReceiver,
+    decryptReceiver,
+};
@@ -0,0 +1,342 @@
+import {createSeededRandom, generateSeed, shuffleArray} from './randomService.js';
+import {createRuleEngine} from './ruleEngine.js';
+import {shuffleAndPair, isValidPair, PAIRING_MODES} from './shuffleService.js';
+import {verifyAssignment} from './verificationService.js';
+
+/**
+ * 발표된 배정의 최소 변경 수리
+ * 중도 이탈/추가 참가자가 생겼을 때 전체를 다시 섞지 않고,
+ * 여전히 유효한 기존 giver → receiver 간선은 최대한 유지한 채 끊어진 자리만 다시 연결
+ *
+ * 1. 남은 참가자 사이의 유효한 기존 간선 유지 → 받을 사람이 필요한 giver / 줄 사람이 필요한 receiver만 다시 매칭
+ * 2. 매칭이 불가능하면 기존 간선을 1~2개 더 풀어서 재시도
+ * 3. 그래도 불가능하면 그룹별로 전체 재추첨 (모든 giver에게 알림)
+ *
+ * 원래 추첨의 생성 방식(mode)을 따라 그룹을 넘나드는 간선은 만들지 않음
+ * - split: 저장된 쌍의 연결 요소(newbie + leader 사이클 / normal 사이클)를 그대로 그룹으로 사용
+ * - global: 전체가 한 그룹
+ * - mentoring: newbie를 뺀 전체가 한 그룹 (멘토링 배정은 고치지 않음)
+ */
+
+// 추가로 풀어볼 기존 간선 최대 수
+const MAX_RELEASED_EDGES = 2;
+
+// 매칭 백트래킹 최대 탐색 단계
+const MATCHING_MAX_STEPS = 20000;
+
+/**
+ * 열린 자리(giver 슬롯 → receiver 슬롯)를 백트래킹으로 매칭
+ * 같은 간선 중복, 기존 간선과 서로 주고받는 쌍은 만들지 않음
+ * @param {Array<string>} giverSlots - 받을 사람이 필요한 giver 이름 (필요 수만큼 반복)
+ * @param {Map<string, number>} receiverNeeds - 줄 사람이 필요한 receiver별 필요 수
+ * @param {Set<string>} keptKeys - 유지하는 간선 키 집합
+ * @param {Function} canLink - (giverName, receiverName) => boolean
+ * @param {Function} random - 난수 함수
+ * @returns {Array<Array<string>>|null} 새 [giver, receiver] 간선 또는 null
+ */
+function matchOpenSlots(giverSlots, receiverNeeds, keptKeys, canLink, random) {
+    const needs = new Map(receiverNeeds);
+    const used = new Set(keptKeys);
+    const edges = [];
+    let steps = 0;
+
+    const assign = (index) => {
+        if (index === giverSlots.length) return true;
+        if (++steps > MATCHING_MAX_STEPS) return false;
+
+        const giver = giverSlots[index];
+        const candidates = shuffleArray([...needs.keys()], random).filter(receiver =>
+            needs.get(receiver) > 0 &&
+            !used.has(`${giver}-${receiver}`) &&
+            !used.has(`${receiver}-${giver}`) &&
+            canLink(giver, receiver)
+        );
+
+        for (const receiver of candidates) {
+            const key = `${giver}-${receiver}`;
+            needs.set(receiver, needs.get(receiver) - 1);
+            used.add(key);
+            edges.push([giver, receiver]);
+            if (assign(index + 1)) return true;
+            edges.pop();
+            used.delete(key);
+            needs.set(receiver, needs.get(receiver) + 1);
+        }
+        return false;
+    };
+
+    return assign(0) ? edges : null;
+}
+
+/**
+ * 유지할 간선 집합으로 열린 자리를 계산하고 매칭 시도
+ * @returns {Array<Array<string>>|null} 전체 간선 또는 null
+ */
+function tryRepair(names, keptEdges, receiversPerGiver, canLink, random) {
+    const outCount = new Map(names.map(name => [name, 0]));
+    const inCount = new Map(names.map(name => [name, 0]));
+    keptEdges.forEach(([giver, receiver]) => {
+        outCount.set(giver, outCount.get(giver) + 1);
+        inCount.set(receiver, inCount.get(receiver) + 1);
+    });
+
+    const giverSlots = names.flatMap(name => Array(receiversPerGiver - outCount.get(name)).fill(name));
+    const receiverNeeds = new Map(names
+        .filter(name => inCount.get(name) < receiversPerGiver)
+        .map(name => [name, receiversPerGiver - inCount.get(name)]));
+
+    const keptKeys = new Set(keptEdges.map(([giver, receiver]) => `${giver}-${receiver}`));
+    const newEdges = matchOpenSlots(shuffleArray(giverSlots, random), receiverNeeds, keptKeys, canLink, random);
+    return newEdges ? [...keptEdges, ...newEdges] : null;
+}
+
+/**
+ * 원래 추첨의 그룹 구성 복원
+ * split 모드는 저장된 쌍의 연결 요소를 그룹으로 보고 (newbie가 있으면 newbie + leader, 아니면 normal),
+ * 추가 참가자는 newbie면 newbie + leader 그룹, 나머지는 normal 그룹에 넣음
+ * 1명만 남은 그룹은 혼자서는 사이클을 만들 수 없으므로 normal 그룹으로 옮김 (추첨 때 남는 leader와 같음)
+ * @param {Array<string>} names - 재배정할 참가자 이름
+ * @param {Array<Array<string>>} previous - 기존 [giver, receiver] 간선
+ * @param {Map<string, Object>} people - 이름별 {name, type, attributes}
+ * @param {string} mode - 원래 추첨의 생성 방식
+ * @returns {Map<string, string>} 이름별 그룹 키
+ */
+function resolveRepairGroups(names, previous, people, mode) {
+    if (mode !== PAIRING_MODES.split) {
+        return new Map(names.map(name => [name, 'single']));
+    }
+
+    // 기존 간선의 연결 요소 (union-find)
+    const parent = new Map();
+    const find = name => {
+        while (parent.get(name) !== name) {
+            parent.set(name, parent.get(parent.get(name)));
+            name = parent.get(name);
+        }
+        return name;
+    };
+    previous.flat().forEach(name => parent.set(name, name));
+    previous.forEach(([giver, receiver]) => parent.set(find(giver), find(receiver)));
+
+    const newbieRoots = new Set([...parent.keys()]
+        .filter(name => people.get(name)?.type === 'newbie')
+        .map(find));
+
+    const groupOf = new Map(names.map(name => {
+        if (parent.has(name)) {
+            return [name, newbieRoots.has(find(name)) ? 'newbieLeader' : 'normal'];
+        }
+        return [name, people.get(name).type === 'newbie' ? 'newbieLeader' : 'normal'];
+    }));
+
+    const newbieLeaderCount = [...groupOf.values()].filter(group => group === 'newbieLeader').length;
+    if (newbieLeaderCount === 1) {
+        const [name] = [...groupOf].find(([, group]) => group === 'newbieLeader');
+        groupOf.set(name, 'normal');
+    }
+    return groupOf;
+}
+
+/**
+ * 최소 변경 배정 수리
+ * @param {Array<Array<string>|Object>} savedPairs - 시트에 저장된 기존 쌍 ([giver, receiver] 또는 {giver, receiver})
+ * @param {Object} changes - 변경 사항
+ * @param {Array<string>} changes.removed - 빠지는 참가자 이름
+ * @param {Array<Object>} changes.added - 추가되는 참가자 {name, type}
+ * @param {Object} roster - 현재 명단 (normals, newbies, leaders, participants?, attributes, filterPairs) - 타입/속성 조회용
+ * @param {Object|string} rules - 선언형 규칙 정의 (기본값: DEFAULT_RULE_SET)
+ * @param {Object} options - {seed, receiversPerGiver, mode: 원래 추첨의 생성 방식 (기본값: 'split')}
+ * @returns {Object} {pairs, metadata} (metadata.repair에 변경/알림 대상 기록)
+ */
+function repairAssignment(savedPairs, changes = {}, roster = {}, rules = null, options = {}) {
+    const receiversPerGiver = options.receiversPerGiver ?? 1;
+    const mode = Object.values(PAIRING_MODES).includes(options.mode) ? options.mode : PAIRING_MODES.split;
+    const removed = new Set(changes.removed || []);
+    const added = (changes.added || []).filter(person => person && person.name);
+    const filterPairs = roster.filterPairs || [];
+    const ruleEngine = createRuleEngine(rules, filterPairs);
+
+    console.log('🩹 최소 변경 재배정 시작');
+    console.log(`   - 빠지는 참가자: ${removed.size}명, 추가 참가자: ${added.length}명`);
+
+    const previous = (savedPairs || []).map(pair => Array.isArray(pair)
+        ? [pair[0], pair[1]]
+        : [pair.giver, pair.receiver]);
+
+    // 참가자 타입/속성 조회 (추가 참가자는 지정한 타입 우선)
+    const attributes = roster.attributes || {};
+    const typeOf = new Map([
+        ...(roster.normals || []).map(name => [name, 'normal']),
+        ...(roster.newbies || []).map(name => [name, 'newbie']),
+        ...(roster.leaders || []).map(name => [name, 'leader']),
+        ...(roster.participants || []).map(({name, type}) => [name, type]),
+        ...added.map(({name, type}) => [name, type])
+    ]);
+
+    const names = [...new Set([...previous.flat(), ...added.map(person => person.name)])]
+        .filter(name => !removed.has(name));
+
+    if (names.length < 2) {
+        throw new Error('재배정할 참가자가 2명 미만입니다.');
+    }
+
+    const people = new Map(names.map(name => {
+        const type = typeOf.get(name);
+        if (!type) {
+            throw new Error(`명단에서 참가자 타입을 찾을 수 없습니다: ${name}`);
+        }
+        if (!ruleEngine.isKnownType(type)) {
+            throw new Error(`규칙에 정의되지 않은 참가자 타입입니다: ${name} (${type})`);
+        }
+        return [name, {name, type, attributes: attributes[name] || {}}];
+    }));
+
+    // mentoring 모드의 newbie는 사이클이 아니라 멘토링으로 받으므로 여기서 추가할 수 없음
+    const addedNewbies = mode === PAIRING_MODES.mentoring
+        ? added.filter(({type}) => type === 'newbie').map(({name}) => name)
+        : [];
+    if (addedNewbies.length > 0) {
+        throw new Error(`mentoring 모드에서는 newbie를 재배정으로 추가할 수 없습니다: ${addedNewbies.join(', ')}. 전체를 다시 추첨해주세요.`);
+    }
+
+    // 원래 그룹 안에서만 연결
+    const groupOf = resolveRepairGroups(names, previous, people, mode);
+    const canLink = (giver, receiver) => groupOf.get(giver) === groupOf.get(receiver) &&
+        isValidPair(people.get(giver), people.get(receiver), ruleEngine);
+
+    const seed = options.seed !== undefined && options.seed !== null && `${options.seed}` !== ''
+        ? `${options.seed}`
+        : generateSeed();
+    const random = createSeededRandom(seed);
+
+    // 1. 남은 참가자 사이에서 여전히 유효한 기존 간선 유지
+    const keptEdges = previous.filter(([giver, receiver]) =>
+        people.has(giver) && people.has(receiver) && canLink(giver, receiver));
+
+    let edges = tryRepair(names, keptEdges, receiversPerGiver, canLink, random);
+    let method = 'local';
+
+    // 2. 기존 간선을 조금 더 풀어서 재시도
+    for (let release = 1; !edges && release <= MAX_RELEASED_EDGES; release++) {
+        const order = shuffleArray(keptEdges.map((_, index) => index), random);
+        const combinations = release === 1
+            ? order.map(index => [index])
+            : order.flatMap((a, i) => order.slice(i + 1).map(b => [a, b]));
+
+        for (const indices of combinations) {
+            const released = new Set(indices);
+            edges = tryRepair(names, keptEdges.filter((_, index) => !released.has(index)), receiversPerGiver, canLink, random);
+            if (edges) {
+                method = 'expanded';
+                console.log(`   🔓 기존 간선 ${release}개를 추가로 풀어서 재배정`);
+                break;
+            }
+        }
+    }
+
+    // 그룹별 참가자 (재추첨과 2명 그룹의 서로 주고받기 허용에 사용)
+    const groups = new Map();
+    names.forEach(name => {
+        const group = groupOf.get(name);
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(people.get(name));
+    });
+
+    // 3. 그룹별 전체 재추첨
+    if (!edges) {
+        if (receiversPerGiver > 1) {
+            throw new Error('기존 배정을 유지한 재배정이 불가능합니다. 전체를 다시 추첨해주세요.');
+        }
+        console.log(`   ⚠️ 기존 배정을 유지할 수 없어 그룹별로 다시 연결합니다 (${mode}, ${groups.size}개 그룹)`);
+        edges = [...groups.values()].flatMap(members => shuffleAndPair(members, ruleEngine, random)
+            .map(pair => [pair.giver, pair.receiver]));
+        method = 'redraw';
+    }
+
+    // 변경된 giver 목록 (빠진 참가자 제외, 새 참가자는 이전 receiver 없음)
+    const receiversOf = list => {
+        const map = new Map();
+        list.forEach(([giver, receiver]) => {
+            if (!map.has(giver)) map.set(giver, []);
+            map.get(giver).push(receiver);
+        });
+        return map;
+    };
+    const before = receiversOf(previous);
+    const after = receiversOf(edges);
+    const sameSet = (a = [], b = []) => a.length === b.length && a.every(name => b.includes(name));
+
+    const notify = names
+        .filter(name => !sameSet(before.get(name), after.get(name)))
+        .map(name => ({
+            giver: name,
+            previousReceivers: before.get(name) || [],
+            receivers: after.get(name) || []
+        }));
+
+    const previousKeys = new Set(previous.map(([giver, receiver]) => `${giver}-${receiver}`));
+    const edgeKeys = new Set(edges.map(([giver, receiver]) => `${giver}-${receiver}`));
+    const keptCount = edges.filter(([giver, receiver]) => previousKeys.has(`${giver}-${receiver}`)).length;
+
+    const pairs = edges.map(([giver, receiver], index) => ({
+        giver,
+        giverType: people.get(giver).type,
+        receiver,
+        receiverType: people.get(receiver).type,
+        id: index + 1
+    }));
+
+    const rosterForVerify = {
+        normals: names.filter(name => people.get(name).type === 'normal'),
+        newbies: names.filter(name => people.get(name).type === 'newbie'),
+        leaders: names.filter(name => people.get(name).type === 'leader'),
+        participants: names
+            .filter(name => !['normal', 'newbie', 'leader'].includes(people.get(name).type))
+            .map(name => ({name, type: people.get(name).type})),
+        attributes,
+        filterPairs
+    };
+    const verification = verifyAssignment(pairs, rosterForVerify, rules, {
+        receiversPerGiver,
+        allowedMutualPairs: [...groups.values()]
+            .filter(members => members.length === 2)
+            .map(members => members.map(member => member.name))
+    });
+    if (!verification.valid) {
+        throw new Error(`유효성 검사 실패: ${verification.violations.map(violation => violation.message).join(' / ')}`);
+    }
+
+    console.log(`✅ 재배정 완료: ${keptCount}개 유지, ${edges.length - keptCount}개 변경, 알림 대상 ${notify.length}명`);
+
+    return {
+        pairs,
+        metadata: {
+            totalParticipants: names.length,
+            usedParticipants: names.length,
+            excludedParticipants: 0,
+            excluded: [],
+            forbiddenPairs: filterPairs.length,
+            seed,
+            mode,
+            receiversPerGiver,
+            generatedAt: new Date().toISOString(),
+            rules: ruleEngine.describe(),
+            verification,
+            repair: {
+                method,
+                removed: [...removed],
+                added: added.map(({name, type}) => ({name, type})),
+                keptPairs: keptCount,
+                changedPairs: edges.length - keptCount,
+                droppedPairs: previous
+                    .filter(([giver, receiver]) => !edgeKeys.has(`${giver}-${receiver}`))
+                    .map(([giver, receiver]) => [giver, receiver]),
+                notify
+            }
+        }
+    };
+}
+
+export {
+    repairAssignment,
+};
@@ -0,0 +1,163 @@
+/**
+ * 명단 이름 정규화와 중복 참가자 탐지
+ * 시트에서 읽은 이름을 한 가지 표기로 맞춰 추첨 엔진(정확히 비교)과 조회 화면(로그인)이 같은 기준으로 비교하도록 함
+ * - 표기 정규화: Unicode NFC + 연속 공백을 한 칸으로 + 앞뒤 공백 제거
+ * - 동일인 비교: 표기 정규화 + (설정 시) 대소문자 무시
+ * - 유사 이름 비교: 호환 문자(NFKC), 공백, 대소문자를 모두 무시 (예: "김철수"와 "김 철수")
+ */
+
+/**
+ * 기본 정규화 설정
+ * caseFolding: 대소문자가 다른 이름을 같은 사람으로 볼지 여부
+ */
+const DEFAULT_NAME_NORMALIZATION = {
+    caseFolding: true
+};
+
+// 공백 (JavaScript \s는 NBSP, 전각 공백 등 Unicode 공백을 모두 포함)
+const WHITESPACE_PATTERN = /\s+/g;
+
+// 폭이 없는 문자 (복사/붙여넣기로 섞여 들어오는 경우)
+const ZERO_WIDTH_PATTERN = /[\u200b-\u200d\u2060]/g;
+
+/**
+ * 이름 표기 정규화 (NFC, 공백 정리)
+ * @param {string} name - 원래 이름
+ * @returns {string} 정규화된 이름 (빈 값이면 '')
+ */
+function normalizeName(name) {
+    return `${name ?? ''}`
+        .normalize('NFC')
+        .replace(ZERO_WIDTH_PATTERN, '')
+        .replace(WHITESPACE_PATTERN, ' ')
+        .trim();
+}
+
+/**
+ * 같은 사람인지 비교할 때 쓰는 키
+ * @param {string} name - 이름
+ * @param {Object} options - 정규화 설정 (caseFolding)
+ * @returns {string} 비교 키
+ */
+function identityKey(name, options = DEFAULT_NAME_NORMALIZATION) {
+    const normalized = normalizeName(name);
+    return options.caseFolding ? normalized.toLowerCase() : normalized;
+}
+
+/**
+ * 비슷한 이름인지 비교할 때 쓰는 키 (공백, 대소문자, 호환 문자 무시)
+ * @param {string} name - 이름
+ * @returns {string} 비교 키
+ */
+function similarityKey(name) {
+    return normalizeName(name).normalize('NFKC').replace(WHITESPACE_PATTERN, '').toLowerCase();
+}
+
+/**
+ * 두 이름이 같은 사람인지 비교
+ * @param {string} a - 이름
+ * @param {string} b - 이름
+ * @param {Object} options - 정규화 설정 (caseFolding)
+ * @returns {boolean} 같은 사람이면 true
+ */
+function isSameName(a, b, options = DEFAULT_NAME_NORMALIZATION) {
+    return identityKey(a, options) === identityKey(b, options);
+}
+
+/**
+ * 명단 데이터를 정규화된 이름으로 변환
+ * 명단(normals/newbies/leaders/participants/records)은 표기만 정규화하고, 금지된 쌍과 속성의 이름은 명단의 표기로 맞춤
+ * (중복은 제거하지 않음 - findDuplicateNames로 보고)
+ * @param {Object} data - 구조화된 데이터 (normals, newbies, leaders, participants, filterPairs, attributes, records)
+ * @param {Object} options - 정규화 설정 (caseFolding)
+ * @returns {Object} 정규화된 데이터
+ */
+function normalizeRoster(data, options = {}) {
+    const settings = {...DEFAULT_NAME_NORMALIZATION, ...options};
+    const normals = (data?.normals || []).map(normalizeName).filter(Boolean);
+    const newbies = (data?.newbies || []).map(normalizeName).filter(Boolean);
+    const leaders = (data?.leaders || []).map(normalizeName).filter(Boolean);
+    const participants = (data?.participants || [])
+        .map(participant => ({...participant, name: normalizeName(participant.name)}))
+        .filter(participant => participant.name);
+
+    // 비교 키 → 명단에 처음 나온 표기
+    const canonicalByKey = new Map();
+    [...normals, ...newbies, ...leaders, ...participants.map(participant => participant.name)].forEach(name => {
+        const key = identityKey(name, settings);
+        if (!canonicalByKey.has(key)) canonicalByKey.set(key, name);
+    });
+    const canonical = name => canonicalByKey.get(identityKey(name, settings)) ?? normalizeName(name);
+
+    const attributes = {};
+    Object.entries(data?.attributes || {}).forEach(([name, values]) => {
+        const key = canonical(name);
+        attributes[key] = {...(attributes[key] || {}), ...values};
+    });
+
+    return {
+        ...data,
+        normals,
+        newbies,
+        leaders,
+        ...(data?.participants && {participants}),
+        filterPairs: (data?.filterPairs || []).map(([a, b]) => [canonical(a), canonical(b)]),
+        attributes,
+        ...(data?.records && {
+            records: data.records.map(record => ({...record, name: normalizeName(record.name)}))
+        })
+    };
+}
+
+/**
+ * 명단에서 중복 참가자와 비슷한 이름 찾기
+ * - duplicates: 같은 사람으로 보이는 이름이 여러 번 (같은 컬럼 또는 다른 컬럼)
+ * - similar: 공백/대소문자/호환 문자만 다른 서로 다른 이름 (같은 사람일 가능성)
+ * @param {Object} data - 구조화된 데이터 (normals, newbies, leaders, participants)
+ * @param {Object} options - 정규화 설정 (caseFolding)
+ * @returns {Object} {duplicates: [{name, entries: [{name, type}]}], similar: [{names, entries}]}
+ */
+function findDuplicateNames(data, options = {}) {
+    const settings = {...DEFAULT_NAME_NORMALIZATION, ...options};
+    const entries = [
+        ...(data?.normals || []).map(name => ({name, type: 'normal'})),
+        ...(data?.newbies || []).map(name => ({name, type: 'newbie'})),
+        ...(data?.leaders || []).map(name => ({name, type: 'leader'})),
+        ...(data?.participants || []).map(({name, type}) => ({name, type}))
+    ];
+
+    const groupBy = keyOf => {
+        const groups = new Map();
+        entries.forEach(entry => {
+            const key = keyOf(entry.name);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(entry);
+        });
+        return [...groups.values()];
+    };
+
+    const duplicates = groupBy(name => identityKey(name, settings))
+        .filter(group => group.length > 1)
+        .map(group => ({name: group[0].name, entries: group}));
+
+    // 비슷한 이름: 비교 키가 서로 다른 이름이 2개 이상인 경우만 (완전히 같은 이름은 duplicates에서 보고)
+    const similar = groupBy(similarityKey)
+        .map(group => ({
+            names: [...new Set(group.map(entry => identityKey(entry.name, settings)))]
+                .map(key => group.find(entry => identityKey(entry.name, settings) === key).name),
+            entries: group
+        }))
+        .filter(group => group.names.length > 1);
+
+    return {duplicates, similar};
+}
+
+export {
+    DEFAULT_NAME_NORMALIZATION,
+    normalizeName,
+    identityKey,
+    similarityKey,
+    isSameName,
+    normalizeRoster,
+    findDuplicateNames,
+};
@@ -0,0 +1,287 @@
+/**
+ * 선언형 짝 규칙 엔진
+ * 규칙은 JSON으로 저장할 수 있는 순수 객체로 정의하며, 엔진이 이를 평가하고
+ * metadata용 사람이 읽을 수 있는 규칙 설명도 규칙 정의에서 생성함
+ *
+ * 규칙 종류 (kind):
+ * - typeAllow: {giver: 타입, receivers: [타입...]} 해당 타입 giver는 나열된 타입에게만 줄 수 있음
+ * - typeBan: {giver: 타입|'*', receiver: 타입|'*', mutual?: boolean} 타입 간 금지 (mutual이면 양방향)
+ * - sameGroupBan: {groups: [[이름...]...]} 같은 그룹에 속한 사람끼리는 양방향 금지
+ * - oneWayBan: {giver: 이름, receiver: 이름} 한 방향만 금지
+ * - forbiddenPairs: {mutual?: boolean} 시트의 filterPairs 적용 (기본 양방향)
+ * - attributeBan: {attribute: 속성명, relation?: 'same'|'different'} 속성 값이 같은(다른) 사람끼리 금지
+ * - attributePreference: {attribute: 속성명, prefer?: 'different'|'same', weight?: number}
+ *   금지가 아닌 선호 조건. 만족하는 쌍마다 weight만큼 점수가 더해지고 점수가 높은 배정을 고름
+ */
+
+// 기본 규칙: 기존 하드코딩 규칙과 동일
+export const DEFAULT_RULE_SET = {
+    types: {
+        normal: {label: 'normal'},
+        newbie: {label: 'newbie'},
+        leader: {label: 'leader'}
+    },
+    rules: [
+        {kind: 'forbiddenPairs', mutual: true},
+        {kind: 'typeBan', giver: 'newbie', receiver: 'normal', mutual: true},
+        {kind: 'typeBan', giver: 'newbie', receiver: 'newbie'}
+    ]
+};
+
+const RULE_KINDS = [
+    'typeAllow', 'typeBan', 'sameGroupBan', 'oneWayBan', 'forbiddenPairs',
+    'attributeBan', 'attributePreference'
+];
+
+// 선호 조건 규칙 (금지 판정에서 제외하고 점수 계산에만 사용)
+const PREFERENCE_KINDS = ['attributePreference'];
+
+/**
+ * 규칙 정의 검증 및 정규화
+ * @param {Object|string} ruleSet - 규칙 정의 객체 또는 JSON 문자열 (없으면 기본 규칙)
+ * @returns {Object} 정규화된 규칙 정의
+ * @throws {Error} 잘못된 규칙 정의인 경우
+ */
+export function parseRuleSet(ruleSet = DEFAULT_RULE_SET) {
+    let parsed = ruleSet ?? DEFAULT_RULE_SET;
+    if (typeof ruleSet === 'string') {
+        try {
+            parsed = JSON.parse(ruleSet);
+        } catch (error) {
+            throw new Error(`규칙 정의 JSON 파싱 실패: ${error.message}`);
+        }
+    }
+
+    if (!parsed || typeof parsed !== 'object') {
+        throw new Error('규칙 정의가 객체가 아닙니다.');
+    }
+
+    // types는 배열(['staff', 'guest']) 또는 객체({staff: {label}}) 모두 허용
+    const rawTypes = parsed.types || DEFAULT_RULE_SET.types;
+    const types = Array.isArray(rawTypes)
+        ? Object.fromEntries(rawTypes.map(type => [type, {label: type}]))
+        : Object.fromEntries(Object.entries(rawTypes).map(([type, info]) => [type, {label: type, ...info}]));
+
+    const isTypeRef = value => value === '*' || Object.prototype.hasOwnProperty.call(types, value);
+    const rules = (parsed.rules || []).map((rule, index) => {
+        if (!rule || !RULE_KINDS.includes(rule.kind)) {
+            throw new Error(`규칙 ${index + 1}번의 종류(kind)가 올바르지 않습니다: ${rule?.kind}`);
+        }
+
+        switch (rule.kind) {
+            case 'typeAllow':
+                if (!isTypeRef(rule.giver) || !Array.isArray(rule.receivers) || !rule.receivers.every(isTypeRef)) {
+                    throw new Error(`규칙 ${index + 1}번 (typeAllow)의 타입이 올바르지 않습니다.`);
+                }
+                break;
+            case 'typeBan':
+                if (!isTypeRef(rule.giver) || !isTypeRef(rule.receiver)) {
+                    throw new Error(`규칙 ${index + 1}번 (typeBan)의 타입이 올바르지 않습니다.`);
+                }
+                break;
+            case 'sameGroupBan':
+                if (!Array.isArray(rule.groups) || !rule.groups.every(Array.isArray)) {
+                    throw new Error(`규칙 ${index + 1}번 (sameGroupBan)에는 groups 배열이 필요합니다.`);
+                }
+                break;
+            case 'oneWayBan':
+                if (!rule.giver || !rule.receiver) {
+                    throw new Error(`규칙 ${index + 1}번 (oneWayBan)에는 giver와 receiver가 필요합니다.`);
+                }
+                break;
+            case 'attributeBan':
+                if (!rule.attribute || !['same', 'different', undefined].includes(rule.relation)) {
+                    throw new Error(`규칙 ${index + 1}번 (attributeBan)에는 attribute가 필요하고 relation은 same 또는 different여야 합니다.`);
+                }
+                break;
+            case 'attributePreference':
+                if (!rule.attribute || !['same', 'different', undefined].includes(rule.prefer)) {
+                    throw new Error(`규칙 ${index + 1}번 (attributePreference)에는 attribute가 필요하고 prefer는 same 또는 different여야 합니다.`);
+                }
+                if (rule.weight !== undefined && !Number.isFinite(Number(rule.weight))) {
+                    throw new Error(`규칙 ${index + 1}번 (attributePreference)의 weight가 숫자가 아닙니다.`);
+                }
+                break;
+            default:
+                break;
+        }
+
+        return {...rule, id: rule.id || `${rule.kind}-${index + 1}`};
+    });
+
+    return {types, rules};
+}
+
+/**
+ * 규칙 하나에 대한 사람이 읽을 수 있는 설명
+ * @param {Object} rule - 정규화된 규칙
+ * @param {Object} types - 타입 정의
+ * @returns {string} 설명
+ */
+export function describeRule(rule, types) {
+    if (rule.description) return rule.description;
+
+    const label = type => type === '*' ? '누구' : (types[type]?.label || type);
+
+    switch (rule.kind) {
+        case 'typeAllow':
+            return `${label(rule.giver)}는 ${rule.receivers.map(label).join(' 또는 ')}에게만 줄 수 있음`;
+        case 'typeBan':
+            if (rule.giver === rule.receiver) {
+                return `${label(rule.giver)}끼리는 짝 불가`;
+            }
+            return rule.mutual
+                ? `${label(rule.giver)}와 ${label(rule.receiver)}는 짝 불가`
+                : `${label(rule.giver)}는 ${label(rule.receiver)}에게 줄 수 없음`;
+        case 'sameGroupBan':
+            return `같은 그룹끼리는 짝 불가 (${rule.groups.length}개 그룹)`;
+        case 'oneWayBan':
+            return `${rule.giver}는 ${rule.receiver}에게 줄 수 없음 (한 방향)`;
+        case 'forbiddenPairs':
+            return rule.mutual === false
+                ? 'filterPairs에 포함된 쌍은 한 방향 금지'
+                : 'filterPairs에 포함된 쌍은 금지';
+        case 'attributeBan':
+            return rule.relation === 'different'
+                ? `${rule.attribute}이(가) 다른 사람끼리는 짝 불가`
+                : `${rule.attribute}이(가) 같은 사람끼리는 짝 불가`;
+        case 'attributePreference':
+            return `${rule.attribute}이(가) ${rule.prefer === 'same' ? '같은' : '다른'} 사람끼리 우선 (가중치 ${rule.weight ?? 1})`;
+        default:
+            return rule.kind;
+    }
+}
+
+/**
+ * 규칙 엔진 생성
+ * @param {Object|string} ruleSet - 규칙 정의 (기본값: DEFAULT_RULE_SET)
+ * @param {Array<Array<string>>} filterPairs - 시트의 금지된 쌍 (forbiddenPairs 규칙에서 사용)
+ * @returns {Object} {types, rules, isKnownType, getBlockReason, blockingRuleIds, scorePair, describe}
+ */
+export function createRuleEngine(ruleSet = DEFAULT_RULE_SET, filterPairs = []) {
+    const {types, rules} = parseRuleSet(ruleSet);
+
+    const matchType = (ruleType, type) => ruleType === '*' || ruleType === type;
+
+    // 두 참가자의 속성 비교 (둘 중 하나라도 값이 없으면 null)
+    const compareAttribute = (giver, receiver, attribute) => {
+        const giverValue = `${giver.attributes?.[attribute] ?? ''}`.trim();
+        const receiverValue = `${receiver.attributes?.[attribute] ?? ''}`.trim();
+        if (!giverValue || !receiverValue) return null;
+        return giverValue === receiverValue ? 'same' : 'different';
+    };
+
+    // 이름 기반 규칙은 미리 키 집합으로 변환
+    const compiled = rules.filter(rule => !PREFERENCE_KINDS.includes(rule.kind)).map(rule => {
+        switch (rule.kind) {
+            case 'sameGroupBan': {
+                const groupOf = new Map();
+                rule.groups.forEach((group, groupIndex) => {
+                    group.forEach(name => {
+                        if (!groupOf.has(name)) groupOf.set(name, new Set());
+                        groupOf.get(name).add(groupIndex);
+                    });
+                });
+                return {
+                    rule,
+                    blocks: (giver, receiver) => {
+                        const giverGroups = groupOf.get(giver.name);
+                        const receiverGroups = groupOf.get(receiver.name);
+                        return Boolean(giverGroups && receiverGroups && [...giverGroups].some(g => receiverGroups.has(g)));
+                    }
+                };
+            }
+            case 'forbiddenPairs': {
+                const keys = new Set();
+                filterPairs.forEach(([a, b]) => {
+                    if (a && b) {
+                        keys.add(`${a}-${b}`);
+                        if (rule.mutual !== false) keys.add(`${b}-${a}`);
+                    }
+                });
+                return {rule, blocks: (giver, receiver) => keys.has(`${giver.name}-${receiver.name}`)};
+            }
+            case 'oneWayBan':
+                return {rule, blocks: (giver, receiver) => giver.name === rule.giver && receiver.name === rule.receiver};
+            case 'typeAllow':
+                return {
+                    rule,
+                    blocks: (giver, receiver) => matchType(rule.giver, giver.type) &&
+                        !rule.receivers.some(type => matchType(type, receiver.type))
+                };
+            case 'typeBan':
+                return {
+                    rule,
+                    blocks: (giver, receiver) =>
+                        (matchType(rule.giver, giver.type) && matchType(rule.receiver, receiver.type)) ||
+                        (rule.mutual && matchType(rule.giver, receiver.type) && matchType(rule.receiver, giver.type))
+                };
+            case 'attributeBan':
+                return {
+                    rule,
+                    blocks: (giver, receiver) =>
+                        compareAttribute(giver, receiver, rule.attribute) === (rule.relation || 'same')
+                };
+            default:
+                return {rule, blocks: () => false};
+        }
+    });
+
+    const preferences = rules.filter(rule => PREFERENCE_KINDS.includes(rule.kind));
+
+    return {
+        types,
+        rules,
+        hasPreferences: preferences.length > 0,
+
+        /**
+         * 정의된 참가자 타입인지 확인
+         */
+        isKnownType(type) {
+            return Object.prototype.hasOwnProperty.call(types, type);
+        },
+
+        /**
+         * giver → receiver 쌍을 막는 첫 번째 규칙 (허용되면 null)
+         * @returns {Object|null} {reason, ruleId, description}
+         */
+        getBlockReason(giver, receiver) {
+            if (giver.name === receiver.name) {
+                return {reason: 'self', ruleId: 'self', description: '본인에게 줄 수 없음'};
+            }
+            for (const {rule, blocks} of compiled) {
+                if (blocks(giver, receiver)) {
+                    return {reason: rule.kind, ruleId: rule.id, description: describeRule(rule, types)};
+                }
+            }
+            return null;
+        },
+
+        /**
+         * 쌍을 허용하기 전에 확인하는 차단 규칙 ID 목록 (본인 여부 포함, 선호 조건 제외)
+         * @returns {Array<string>} 규칙 ID 배열
+         */
+        blockingRuleIds() {
+            return ['self', ...compiled.map(({rule}) => rule.id)];
+        },
+
+        /**
+         * 선호 조건 점수 (만족하는 attributePreference 규칙의 weight 합)
+         * @returns {number} 점수
+         */
+        scorePair(giver, receiver) {
+            return preferences.reduce((score, rule) => {
+                const relation = compareAttribute(giver, receiver, rule.attribute);
+                return relation === (rule.prefer || 'different') ? score + Number(rule.weight ?? 1) : score;
+            }, 0);
+        },
+
+        /**
+         * metadata에 기록할 사람이 읽을 수 있는 규칙 목록
+         * @returns {Array<string>} 규칙 설명 배열
+         */
+        describe() {
+            return rules.map(rule => describeRule(rule, types));
+        }
+    };
+}
@@ -0,0 +1,173 @@
+import {makePairs, InfeasiblePairingError, SearchLimitError, SILENT_LOGGER} from './shuffleService.js';
+import {generateSeed} from './randomService.js';
+
+/**
+ * 여러 회차 일정 한 번에 계획
+ * 회차마다 makePairs를 실행하면서 앞 회차에서 나온 giver → receiver 쌍을 모두 이전 쌍으로 넘김
+ * 1. 반복 없는 계획 탐색: 앞 회차 쌍을 반드시 피하도록(hard) 뽑고, 막힌 회차가 나오면 앞 회차를 다른 시드로
+ *    다시 뽑는 백트래킹 (앞 회차를 먼저 정한 탓에 뒤 회차가 막히는 경우를 피함)
+ * 2. 탐색 한도 안에서 찾지 못하면 회차별로 차례로 뽑되, 반복이 필요한 회차는 이전에 나온 횟수의 합이
+ *    가장 적은 배정을 골라 반복이 고르게 퍼지도록 함
+ */
+
+// 반복 없는 계획 탐색에서 한 회차를 다시 뽑아 볼 최대 횟수 (넘으면 그 앞 회차를 다시 뽑음)
+const ROUND_RETRIES = 8;
+
+// 반복 없는 계획 탐색 전체에서 makePairs를 실행할 최대 횟수
+const MAX_PLAN_DRAWS = 400;
+
+// 계획 추첨의 그룹별 솔버 탐색 한도 (막힌 회차는 빨리 포기하고 앞 회차를 다시 뽑음)
+// 반복을 허용하는 나머지 회차도 같은 한도로 뽑아 한 회차가 계획 전체를 오래 붙잡지 않도록 함
+const PLAN_SOLVER_BUDGET = {samplingAttempts: 200, maxSteps: 20000};
+
+/**
+ * 앞 회차 쌍을 하나도 반복하지 않는 회차 배정 탐색 (백트래킹)
+ * @param {number} count - 회차 수
+ * @param {Function} drawRound - (회차 번호, 시도 번호, 이전 쌍 배열) => makePairs 결과, 불가능하면 에러
+ * @returns {Object} {results: 찾은 가장 긴 반복 없는 앞부분 회차의 makePairs 결과 (다 찾으면 count개), draws: makePairs 실행 횟수}
+ */
+function searchRepeatFreePlan(count, drawRound) {
+    const results = [];
+    const tries = [];
+    let longest = [];
+    let draws = 0;
+
+    while (results.length < count && draws < MAX_PLAN_DRAWS) {
+        const depth = results.length;
+        const attempt = tries[depth] ?? 0;
+
+        // 이 회차를 충분히 다시 뽑아도 안 되면 앞 회차부터 다시
+        if (attempt >= ROUND_RETRIES) {
+            if (depth === 0) break;
+            tries[depth] = 0;
+            results.pop();
+            continue;
+        }
+
+        tries[depth] = attempt + 1;
+        draws++;
+        try {
+            const previousPairs = results.flatMap(({pairs}) => pairs.map(({giver, receiver}) => [giver, receiver]));
+            results.push(drawRound(depth, attempt, previousPairs));
+            if (results.length > longest.length) longest = [...results];
+        } catch (error) {
+            if (!(error instanceof InfeasiblePairingError || error instanceof SearchLimitError)) {
+                throw error;
+            }
+            // 앞 회차 쌍 때문에 막힘 → 앞 회차를 다른 시드로 다시 뽑음
+            if (depth === 0) break;
+            tries[depth] = 0;
+            results.pop();
+        }
+    }
+
+    return {results: longest, draws};
+}
+
+/**
+ * N회차 일정 계획
+ * @param {Object} roster - 구조화된 데이터 (normals, newbies, leaders, participants, filterPairs, attributes)
+ * @param {number} roundCount - 계획할 회차 수
+ * @param {Object} options - 계획 옵션
+ * @param {string} options.seed - 기준 시드 (회차별 시드는 여기서 파생, 없으면 새로 생성)
+ * @param {Array<string>} options.roundNames - 회차 이름 (기본값: '1회차', '2회차', ...)
+ * @param {Object} options.pairOptions - makePairs에 넘길 옵션 (rules, mode, receiversPerGiver 등, solverBudget이 없으면 계획용 한도)
+ * @returns {Object} {seed, rounds: [{round, seed, repeats, pairs, metadata}], summary}
+ *                   (summary.method: 'joint' 전체 반복 없음 / 'sequential' 반복 없는 앞 회차 뒤로 반복 최소화, summary.draws: 탐색한 추첨 수)
+ */
+function planRounds(roster, roundCount, options = {}) {
+    const count = Math.floor(Number(roundCount));
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`계획할 회차 수는 1 이상의 정수여야 합니다: ${roundCount}`);
+    }
+
+    const normals = roster?.normals || [];
+    const newbies = roster?.newbies || [];
+    const leaders = roster?.leaders || [];
+    const filterPairs = roster?.filterPairs || [];
+    const baseSeed = options.seed || generateSeed();
+    const roundNames = options.roundNames || [];
+    const pairOptions = options.pairOptions || {};
+
+    console.log(`🗓️ ${count}회차 일정 계획 시작 (기준 시드 ${baseSeed})`);
+
+    const seedOf = (index, attempt) => attempt === 0 ? `${baseSeed}-${index + 1}` : `${baseSeed}-${index + 1}-${attempt}`;
+    const draw = (index, attempt, previousPairs, repeatMode, logger = console) => makePairs(normals, newbies, leaders, filterPairs, {
+        attributes: roster?.attributes,
+        participants: roster?.participants,
+        solverBudget: PLAN_SOLVER_BUDGET,
+        ...pairOptions,
+        seed: seedOf(index, attempt),
+        previousPairs,
+        repeatMode,
+        logger
+    });
+
+    // 1. 반복 없는 계획 탐색 (한 명이 받을 새 쌍은 참가자 수 - 1을 넘을 수 없으므로 그 회차까지만)
+    const totalCount = normals.length + newbies.length + leaders.length + (roster?.participants || []).length;
+    const receiversPerGiver = pairOptions.receiversPerGiver ?? 1;
+    const searchRounds = Math.min(count, Math.floor((totalCount - 1) / receiversPerGiver));
+
+    // 탐색 중 실패한 추첨 로그는 생략
+    const search = searchRepeatFreePlan(searchRounds, (index, attempt, previousPairs) =>
+        draw(index, attempt, previousPairs, 'hard', SILENT_LOGGER));
+
+    const results = search.results;
+    const method = results.length === count ? 'joint' : 'sequential';
+    if (method === 'joint') {
+        console.log(`   ✅ 반복 없는 계획 발견 (추첨 ${search.draws}회)`);
+    } else {
+        // 2. 나머지 회차는 차례로 뽑으며 반복을 고르게 분산
+        console.log(`   ⚠️ 반복 없는 계획은 ${results.length}회차까지만 찾아 나머지 회차는 반복을 최소화합니다 (추첨 ${search.draws}회 탐색)`);
+        for (let index = results.length; index < count; index++) {
+            const previousPairs = results.flatMap(({pairs}) => pairs.map(({giver, receiver}) => [giver, receiver]));
+            results.push(draw(index, 0, previousPairs, 'soft'));
+        }
+    }
+
+    // 쌍별 등장 횟수
+    const edgeCounts = new Map();
+    const rounds = results.map(({pairs, metadata}, index) => {
+        const round = roundNames[index] || `${index + 1}회차`;
+
+        const repeats = pairs.filter(({giver, receiver}) => edgeCounts.has(`${giver}\u0000${receiver}`)).length;
+        if (repeats > 0) {
+            console.log(`   ⚠️ ${round}: 새 쌍만으로는 불가능하여 ${repeats}개 쌍 반복`);
+        }
+
+        pairs.forEach(({giver, receiver}) => {
+            const key = `${giver}\u0000${receiver}`;
+            edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+        });
+
+        return {round, seed: metadata.seed, repeats, pairs, metadata};
+    });
+
+    const repeatedPairs = [...edgeCounts.entries()]
+        .filter(([, used]) => used > 1)
+        .map(([key, used]) => {
+            const [giver, receiver] = key.split('\u0000');
+            return {giver, receiver, count: used};
+        })
+        .sort((a, b) => b.count - a.count);
+
+    console.log(`✅ ${count}회차 계획 완료: 반복된 쌍 ${repeatedPairs.length}개`);
+
+    return {
+        seed: baseSeed,
+        rounds,
+        summary: {
+            rounds: count,
+            method,
+            draws: search.draws,
+            distinctPairs: edgeCounts.size,
+            maxRepeat: Math.max(0, ...edgeCounts.values()),
+            repeatedPairs
+        },
+        plannedAt: new Date().toISOString()
+    };
+}
+
+export {
+    planRounds,
+};
@@ -2,8 +2,122 @@ import {
     createGoogleSheetsService,
     parseServiceAccountCredentials,
     createSheetConfig
-} from '../sheetServices';
+} from '../sheetServices/index.js';
 import {makePairs} from "./shuffleService.js";
+import {diagnoseRoster} from "./diagnosticService.js";
+import {parseRuleSet} from "./ruleEngine.js";
+import {verifyAssignment} from "./verificationService.js";
+import {repairAssignment} from "./repairService.js";
+import {planRounds} from "./schedulePlanner.js";
+import {runPairingInWorker} from "./pairingWorkerClient.js";
+import {DEFAULT_NAME_NORMALIZATION, normalizeRoster, isSameName} from "./rosterNormalizer.js";
+import {generatePassword, generateCredentials} from "./credentialService.js";
+import {hashPassword, isPasswordHash} from "./passwordHash.js";
+import {encryptReceiver, isEncryptedReceiver} from "./receiverCipher.js";
+import {EVENT_STATES, parseEventState, parseEventRevision, formatEventState, assertTransition} from "./eventLifecycle.js";
+import {
+    DEFAULT_SHEET_LAYOUT,
+    DEFAULT_SETTINGS_RANGE,
+    parseSheetLayout,
+    parseA1Range,
+    resolveRange,
+    resolveWriteRange,
+    requiredGridSize,
+    ROUND_TAB_LAYOUT
+} from "./sheetLayout.js";
+
+/**
+ * 이전 회차 쌍 기록 기본 설정
+ * (누적 기록 범위는 시트 레이아웃의 history 영역)
+ * lookback: 반영할 최근 회차 수
+ * repeatMode: 'soft' (가능하면 피함) | 'hard' (반드시 피함)
+ */
+export const DEFAULT_HISTORY_CONFIG = {
+    lookback: 3,
+    repeatMode: 'soft'
+};
+
+/**
+ * 헤더 기반 명단 표에서 알아보는 헤더 이름 (대소문자 무시)
+ * 나머지 컬럼은 모두 참가자 속성으로 저장 (email, team, nickname, 가입일 등)
+ */
+export const ROSTER_HEADERS = {
+    id: ['id', '아이디'],
+    name: ['name', '이름', 'displayname', '표시 이름'],
+    type: ['type', '타입', '구분']
+};
+
+/**
+ * 명단 표의 타입 값 → 참가자 타입 (대소문자 무시)
+ * 이 밖의 타입은 규칙 정의(Rules 탭)의 types에 선언되어 있으면 그대로 받음 (타입 이름 또는 label)
+ */
+const ROSTER_TYPE_ALIASES = {
+    normal: ['normal', '일반'],
+    newbie: ['newbie', '신규'],
+    leader: ['leader', '리더']
+};
+
+/**
+ * 0부터 시작하는 열 번호를 A1 표기 열 문자로 변환 (0 → A, 26 → AA)
+ * @param {number} index - 열 번호
+ * @returns {string} 열 문자
+ */
+function columnLetter(index) {
+    let letter = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letter = String.fromCharCode(65 + remainder) + letter;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+}
+
+/**
+ * USER_ENTERED로 저장해도 날짜/숫자로 바뀌지 않도록 텍스트(')로 기록할 값
+ * @param {*} value - 값
+ * @returns {string} 셀에 쓸 문자열 (빈 값은 '')
+ */
+function asText(value) {
+    const text = `${value ?? ''}`;
+    return text === '' ? '' : `'${text}`;
+}
+
+/**
+ * A1 표기에 쓸 수 있도록 탭 이름을 작은따옴표로 감쌈 (예: Round-1 → 'Round-1')
+ * @param {string} title - 탭 이름
+ * @returns {string} 감싼 탭 이름
+ */
+function quoteSheetName(title) {
+    return `'${title.replace(/'/g, "''")}'`;
+}
+
+/**
+ * 회차 탭에 기록된 메타데이터 값 복원 (숫자/불리언/JSON은 원래 값으로, 나머지는 문자열)
+ * @param {string} value - 셀 값
+ * @returns {*} 복원된 값
+ */
+function parseArchivedValue(value) {
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * 명단의 모든 참가자 이름 (normal/newbie/leader와 규칙 정의 타입 참가자)
+ * @param {Object} data - 구조화된 데이터 (normals, newbies, leaders, participants)
+ * @returns {Array<string>} 이름 배열
+ */
+function rosterNames(data) {
+    return [
+        ...(data?.normals || []),
+        ...(data?.newbies || []),
+        ...(data?.leaders || []),
+        ...(data?.participants || []).map(({name}) => name)
+    ];
+}
 
 /**
  * Sheet 데이터 처리를 담당하는 서비스 클래스
@@ -12,6 +126,8 @@ export class SheetDataService {
     constructor() {
         this.sheetsService = null;
         this.isInitialized = false;
+        this.layout = DEFAULT_SHEET_LAYOUT;
+        this.nameNormalization = DEFAULT_NAME_NORMALIZATION;
     }
 
     /**
@@ -39,6 +155,70 @@ export class SheetDataService {
         }
     }
 
+    /**
+     * Settings 탭에서 시트 레이아웃을 읽어 적용 ("키 | 범위" 두 컬럼)
+     * 탭이 없거나 비어 있으면 기본 레이아웃 사용, 형식이 틀리면 에러
+     * @param {string} range - Settings 범위 (기본값: DEFAULT_SETTINGS_RANGE)
+     * @returns {Promise<Object>} 적용된 레이아웃
+     */
+    async loadSheetLayout(range = DEFAULT_SETTINGS_RANGE) {
+        if (!this.isInitialized || !this.sheetsService) {
+            throw new Error('서비스가 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
+        }
+
+        let rows;
+        try {
+            const batchData = await this.sheetsService.getBatchData([range]);
+            rows = batchData[range] || [];
+        } catch (error) {
+            console.warn(`⚙️ Settings 탭을 읽을 수 없어 기본 레이아웃을 사용합니다: ${error.message}`);
+            this.layout = DEFAULT_SHEET_LAYOUT;
+            return this.layout;
+        }
+
+        this.layout = parseSheetLayout(rows);
+        console.log(`⚙️ 시트 레이아웃 적용: ${rows.length > 0 ? `Settings ${rows.length}개 항목` : '기본값'}`);
+        return this.layout;
+    }
+
+    /**
+     * 시트 레이아웃 직접 지정 (기본값과 합친 뒤 검증)
+     * @param {Object} layout - DEFAULT_SHEET_LAYOUT 형식의 일부 또는 전체
+     * @returns {Object} 적용된 레이아웃
+     */
+    setSheetLayout(layout) {
+        this.layout = parseSheetLayout(layout);
+        return this.layout;
+    }
+
+    /**
+     * 현재 시트 레이아웃
+     * @returns {Object} 레이아웃
+     */
+    getSheetLayout() {
+        return this.layout;
+    }
+
+    /**
+     * 레이아웃 영역 이름을 시트명이 붙은 범위로 변환
+     * @param {string} key - 영역 이름 (normals, pairs, credentials 등)
+     * @param {string} sheetName - 기본 탭 대신 사용할 탭 (선택사항)
+     * @returns {string|null} 전체 범위
+     */
+    resolveRange(key, sheetName = this.layout.sheetName) {
+        return resolveRange(this.layout, key, sheetName);
+    }
+
+    /**
+     * 이름 비교 설정 변경 (다음 데이터 조회부터 적용)
+     * @param {Object} options - {caseFolding: 대소문자가 다른 이름을 같은 사람으로 볼지 여부}
+     * @returns {Object} 적용된 설정
+     */
+    setNameNormalization(options = {}) {
+        this.nameNormalization = {...DEFAULT_NAME_NORMALIZATION, ...options};
+        return this.nameNormalization;
+    }
+
     /**
      * 초기화 상태 확인
      * @returns {boolean} 초기화 여부
@@ -48,52 +228,54 @@ export class SheetDataService {
     }
 
     /**
-     * 기본 범위 설정으로 데이터를 가져와서 구조화된 객체로 반환
-     * @param {string} sheetName - 시트명 (선택사항, 기본값: 'DB')
+     * 시트 레이아웃의 범위로 데이터를 가져와서 구조화된 객체로 반환
+     * @param {string} sheetName - 시트명 (선택사항, 기본값: 레이아웃의 sheetName)
      * @returns {Promise<Object>} 구조화된 데이터 객체
      */
-    async fetchDefaultData(sheetName = 'DB') {
-        const defaultRangeConfig = {
-            normals: 'A4:A',
-            newbies: 'B4:B',
-            leaders: 'C4:C',
-            filterPairs: 'G4:H40'
-        };
-
-        return this.fetchStructuredData(defaultRangeConfig, sheetName);
+    async fetchDefaultData(sheetName = this.layout.sheetName) {
+        const {roster, normals, newbies, leaders, filterPairs, attributes} = this.layout;
+        const rangeConfig = roster
+            ? {roster, filterPairs, attributes}
+            : {normals, newbies, leaders, filterPairs, attributes};
+        return this.fetchStructuredData(rangeConfig, sheetName);
     }
 
     /**
      * 지정된 범위들에서 데이터를 가져와서 구조화된 객체로 반환
      * @param {Object} rangeConfig - 범위 설정 객체
+     * @param {string} rangeConfig.roster - 헤더 기반 명단 표 범위 (선택사항, 지정하면 normals/newbies/leaders 대신 사용)
      * @param {string} rangeConfig.normals - normals 데이터 범위 (예: 'A4:A')
      * @param {string} rangeConfig.newbies - newbies 데이터 범위 (예: 'B4:B')
      * @param {string} rangeConfig.leaders - leaders 데이터 범위 (예: 'C4:C')
      * @param {string} rangeConfig.filterPairs - filterPairs 데이터 범위 (예: 'G4:H40')
-     * @param {string} sheetName - 시트명 (선택사항)
+     * @param {string} rangeConfig.attributes - 참가자 속성 범위 (선택사항, 첫 행은 헤더: 이름, 속성명...)
+     * @param {string} sheetName - 시트명 (선택사항, 탭 이름이 붙은 범위는 그대로 사용)
      * @returns {Promise<Object>} 구조화된 데이터 객체
      */
-    async fetchStructuredData(rangeConfig, sheetName = 'DB') {
+    async fetchStructuredData(rangeConfig, sheetName = this.layout.sheetName) {
         if (!this.isInitialized || !this.sheetsService) {
             throw new Error('서비스가 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
         }
 
         try {
-            // 모든 범위를 시트명과 함께 구성
-            const ranges = [
-                `${sheetName}!${rangeConfig.normals}`,
-                `${sheetName}!${rangeConfig.newbies}`,
-                `${sheetName}!${rangeConfig.leaders}`,
-                `${sheetName}!${rangeConfig.filterPairs}`
+            // 모든 범위를 시트명과 함께 구성 (명단 표가 있으면 타입별 컬럼 대신 사용, 속성 범위는 선택사항)
+            const keys = [
+                ...(rangeConfig.roster ? ['roster'] : ['normals', 'newbies', 'leaders']),
+                'filterPairs',
+                ...(rangeConfig.attributes ? ['attributes'] : [])
             ];
+            const ranges = Object.fromEntries(keys.map(key => [key, resolveRange(rangeConfig, key, sheetName)]));
 
-            console.log('📊 배치 데이터 조회 시작:', ranges);
+            console.log('📊 배치 데이터 조회 시작:', Object.values(ranges));
 
             // 배치로 모든 범위 가져오기
-            const batchData = await this.sheetsService.getBatchData(ranges);
+            const batchData = await this.sheetsService.getBatchData(Object.values(ranges));
+
+            // 명단 표는 규칙 정의에 선언된 타입도 받음
+            const ruleTypes = rangeConfig.roster ? await this.fetchRosterTypes() : null;
 
             // 데이터 가공 및 구조화
-            const structuredData = this.processRawData(batchData, ranges, rangeConfig);
+            const structuredData = this.processRawData(batchData, ranges, rangeConfig, ruleTypes);
 
             console.log('✅ 데이터 가공 완료');
             return structuredData;
@@ -105,16 +287,19 @@ export class SheetDataService {
     }
 
     /**
-     * 서비스 초기화와 데이터 가져오기를 한 번에 수행
+     * 서비스 초기화와 데이터 가져오기를 한 번에 수행 (Settings 탭의 레이아웃 적용)
      * @param {string} spreadsheetId - 스프레드시트 ID
-     * @param {string} sheetName - 시트명 (기본값: 'DB')
+     * @param {string} sheetName - 시트명 (없으면 레이아웃의 sheetName)
      * @param {string} envVar - 환경변수명 (기본값: 'VITE_SERVICE_ACCOUNT_CREDENTIALS')
      * @returns {Promise<Object>} 초기화 결과와 데이터
      */
-    async initializeAndFetch(spreadsheetId, sheetName = 'DB', envVar = 'VITE_SERVICE_ACCOUNT_CREDENTIALS') {
+    async initializeAndFetch(spreadsheetId, sheetName = undefined, envVar = 'VITE_SERVICE_ACCOUNT_CREDENTIALS') {
         try {
             // 서비스 초기화
-            await this.initialize(spreadsheetId, sheetName, envVar);
+            await this.initialize(spreadsheetId, sheetName ?? this.layout.sheetName, envVar);
+
+            // 시트 레이아웃 적용
+            await this.loadSheetLayout();
 
             // 데이터 가져오기
             const data = await this.fetchDefaultData(sheetName);
@@ -133,38 +318,214 @@ export class SheetDataService {
         }
     }
 
+    /**
+     * 명단 표에서 받을 규칙 정의 타입 조회 (규칙 셀이 없거나 읽을 수 없으면 null → 기본 타입만)
+     * @returns {Promise<Object|null>} 규칙 정의의 types ({타입: {label}})
+     */
+    async fetchRosterTypes() {
+        try {
+            return (await this.fetchPairingRules())?.types ?? null;
+        } catch (error) {
+            console.warn(`📏 규칙 정의를 읽을 수 없어 명단 표에서 기본 타입만 받습니다: ${error.message}`);
+            return null;
+        }
+    }
+
     /**
      * 원시 배치 데이터를 구조화된 객체로 가공
+     * 참가자마다 {id, name, type, attributes} 레코드를 만들고, 기존 호출부를 위해 타입별 이름 배열도 함께 반환
+     * normal/newbie/leader 외의 타입(규칙 정의에 선언된 타입)은 participants: [{name, type}]로 반환
+     * 이름은 rosterNormalizer로 정규화 (중복은 diagnoseRoster에서 보고)
      * @param {Object} batchData - getBatchData에서 반환된 원시 데이터
-     * @param {Array<string>} ranges - 요청한 범위 배열
+     * @param {Object} ranges - 영역 이름 → 요청한 범위 (roster 또는 normals/newbies/leaders, filterPairs, attributes)
      * @param {Object} rangeConfig - 범위 설정 객체
-     * @returns {Object} 구조화된 데이터
+     * @param {Object} ruleTypes - 규칙 정의의 types (명단 표에서 받을 추가 타입, 선택사항)
+     * @returns {Object} 구조화된 데이터 (records, normals, newbies, leaders, participants, filterPairs, attributes ...)
      */
-    processRawData(batchData, ranges, rangeConfig) {
-        // 각 범위별로 데이터 처리
-        const normals = this.extractColumnData(batchData[ranges[0]]);
-        const newbies = this.extractColumnData(batchData[ranges[1]]);
-        const leaders = this.extractColumnData(batchData[ranges[2]]);
-        const filterPairs = this.extractPairData(batchData[ranges[3]]);
+    processRawData(batchData, ranges, rangeConfig, ruleTypes = null) {
+        const rawFilterPairs = this.extractPairData(batchData[ranges.filterPairs]);
+        const attributeData = ranges.attributes
+            ? this.extractAttributeData(batchData[ranges.attributes])
+            : {attributes: {}, attributeNames: []};
+
+        // 참가자 레코드 (명단 표 또는 타입별 컬럼)
+        const rosterData = ranges.roster
+            ? this.extractRosterRecords(batchData[ranges.roster], parseA1Range(rangeConfig.roster)?.startRow ?? 1, ruleTypes)
+            : {
+                records: [
+                    ...this.extractColumnData(batchData[ranges.normals]).map(name => ({id: name, name, type: 'normal', attributes: {}})),
+                    ...this.extractColumnData(batchData[ranges.newbies]).map(name => ({id: name, name, type: 'newbie', attributes: {}})),
+                    ...this.extractColumnData(batchData[ranges.leaders]).map(name => ({id: name, name, type: 'leader', attributes: {}}))
+                ],
+                invalidRows: [],
+                attributeNames: []
+            };
+
+        // 명단 표의 속성과 속성 표를 합침 (같은 속성은 속성 표 값 우선)
+        const attributes = {...attributeData.attributes};
+        const records = rosterData.records.map(record => {
+            const merged = {...record.attributes, ...(attributeData.attributes[record.name] || {})};
+            if (Object.keys(merged).length > 0) {
+                attributes[record.name] = merged;
+            }
+            return {...record, attributes: merged};
+        });
+
+        const namesOf = type => records.filter(record => record.type === type).map(record => record.name);
+        const {
+            normals, newbies, leaders, participants, filterPairs, attributes: normalizedAttributes, records: normalizedRecords
+        } = normalizeRoster({
+            normals: namesOf('normal'),
+            newbies: namesOf('newbie'),
+            leaders: namesOf('leader'),
+            participants: records
+                .filter(record => !ROSTER_TYPE_ALIASES[record.type])
+                .map(({name, type}) => ({name, type})),
+            filterPairs: rawFilterPairs,
+            attributes,
+            records
+        }, this.nameNormalization);
+
+        if (rosterData.invalidRows.length > 0) {
+            console.warn(`⚠️ 명단 표에서 ${rosterData.invalidRows.length}개 행을 건너뛰었습니다.`);
+        }
 
         return {
+            records: normalizedRecords,
             normals,
             newbies,
             leaders,
+            participants,
             filterPairs,
+            attributes: normalizedAttributes,
+            attributeNames: [...new Set([...rosterData.attributeNames, ...attributeData.attributeNames])],
             metadata: {
                 ranges: rangeConfig,
                 fetchedAt: new Date().toISOString(),
+                invalidRows: rosterData.invalidRows,
                 counts: {
+                    records: normalizedRecords.length,
                     normals: normals.length,
                     newbies: newbies.length,
                     leaders: leaders.length,
-                    filterPairs: filterPairs.length
+                    participants: participants.length,
+                    filterPairs: filterPairs.length,
+                    attributes: Object.keys(normalizedAttributes).length
                 }
             }
         };
     }
 
+    /**
+     * 헤더 기반 명단 표를 참가자 레코드로 변환 (컬럼 순서 무관)
+     * 첫 행은 헤더: id / name / type은 ROSTER_HEADERS로 찾고 나머지 컬럼은 모두 속성
+     * @param {Array<Array<string>>} rawData - 2차원 배열 형태의 원시 데이터
+     * @param {number} headerRow - 헤더가 있는 시트 행 번호 (행 번호 기록용, 기본값 1)
+     * @param {Object} ruleTypes - 규칙 정의의 types (기본 타입 외에 받을 타입, 선택사항)
+     * @returns {Object} {records: [{id, name, type, attributes, row}], invalidRows: [{row, reason}], attributeNames}
+     */
+    extractRosterRecords(rawData, headerRow = 1, ruleTypes = null) {
+        if (!rawData || !Array.isArray(rawData) || rawData.length === 0) {
+            return {records: [], invalidRows: [], attributeNames: []};
+        }
+
+        const [headerCells, ...rows] = rawData;
+        const headers = headerCells.map(header => `${header ?? ''}`.trim());
+        const findColumn = field => headers.findIndex(header => ROSTER_HEADERS[field].includes(header.toLowerCase()));
+
+        const nameColumn = findColumn('name');
+        const typeColumn = findColumn('type');
+        const idColumn = findColumn('id');
+        if (nameColumn === -1 || typeColumn === -1) {
+            throw new Error(`명단 표에 이름/타입 헤더가 없습니다. (헤더: ${headers.filter(Boolean).join(', ') || '없음'})`);
+        }
+
+        const attributeColumns = headers
+            .map((header, index) => ({header, index}))
+            .filter(({header, index}) => header && ![nameColumn, typeColumn, idColumn].includes(index));
+
+        const customTypes = Object.keys(ruleTypes || {}).filter(key => !ROSTER_TYPE_ALIASES[key]);
+        const findType = rawType => {
+            const value = rawType.toLowerCase();
+            return Object.keys(ROSTER_TYPE_ALIASES).find(key => ROSTER_TYPE_ALIASES[key].includes(value))
+                ?? customTypes.find(key => key.toLowerCase() === value || `${ruleTypes[key]?.label ?? ''}`.toLowerCase() === value);
+        };
+        const knownTypes = [...Object.keys(ROSTER_TYPE_ALIASES), ...customTypes].join(', ');
+
+        const records = [];
+        const invalidRows = [];
+        const seenIds = new Set();
+
+        rows.forEach((row, index) => {
+            const rowNumber = headerRow + index + 1;
+            const cell = column => column === -1 ? '' : `${row?.[column] ?? ''}`.trim();
+
+            const name = cell(nameColumn);
+            const rawType = cell(typeColumn);
+            if (!name && !rawType) return; // 빈 행
+
+            if (!name) {
+                invalidRows.push({row: rowNumber, reason: '이름이 비어 있습니다.'});
+                return;
+            }
+
+            const type = rawType ? findType(rawType) : null;
+            if (!type) {
+                invalidRows.push({row: rowNumber, name, reason: `알 수 없는 타입입니다 (${rawType || '비어 있음'}). 사용할 수 있는 타입: ${knownTypes}`});
+                return;
+            }
+
+            const id = cell(idColumn) || name;
+            if (seenIds.has(id)) {
+                invalidRows.push({row: rowNumber, name, reason: `id가 중복되었습니다 (${id}).`});
+                return;
+            }
+            seenIds.add(id);
+
+            const attributes = {};
+            attributeColumns.forEach(({header, index: column}) => {
+                const value = cell(column);
+                if (value) attributes[header] = value;
+            });
+
+            records.push({id, name, type, attributes, row: rowNumber});
+        });
+
+        return {records, invalidRows, attributeNames: attributeColumns.map(({header}) => header)};
+    }
+
+    /**
+     * 참가자 속성 표를 이름별 속성 객체로 변환
+     * 첫 행은 헤더 (첫 컬럼: 이름, 나머지: 속성명), 이후 행은 참가자별 속성 값
+     * @param {Array<Array<string>>} rawData - 2차원 배열 형태의 원시 데이터
+     * @returns {Object} {attributes: {이름: {속성명: 값}}, attributeNames: [속성명...]}
+     */
+    extractAttributeData(rawData) {
+        if (!rawData || !Array.isArray(rawData) || rawData.length < 2) {
+            return {attributes: {}, attributeNames: []};
+        }
+
+        const [headerRow, ...rows] = rawData;
+        const attributeNames = headerRow.slice(1).map(header => `${header ?? ''}`.trim());
+
+        const attributes = {};
+        rows.forEach(row => {
+            const name = typeof row?.[0] === 'string' ? row[0].trim() : '';
+            if (!name) return;
+
+            const values = {};
+            attributeNames.forEach((attributeName, index) => {
+                const value = `${row[index + 1] ?? ''}`.trim();
+                if (attributeName && value) {
+                    values[attributeName] = value;
+                }
+            });
+            attributes[name] = values;
+        });
+
+        return {attributes, attributeNames: attributeNames.filter(Boolean)};
+    }
+
     /**
      * 단일 컬럼 데이터를 추출하여 필터링
      * @param {Array<Array<string>>} rawData - 2차원 배열 형태의 원시 데이터
@@ -285,18 +646,584 @@ export class SheetDataService {
         this.isInitialized = false;
     }
 
+    /**
+     * 이전 회차들의 giver → receiver 쌍 조회
+     * - 기본값: 결과를 저장할 때 만든 회차 보관 탭(listRounds)의 쌍 (receiver가 암호문인 행은 비교할 수 없어 제외하고 skippedEncrypted로 보고)
+     *   보관 탭이 하나도 없으면 누적 기록 범위를 사용
+     * - range: 한 범위에 [회차, giver, receiver] 형태로 누적된 기록 (위에서 아래로 오래된 순)
+     * - tabs: 회차별 탭 이름 배열 (오래된 순) + pairsRange: 각 탭의 [giver, receiver] 범위
+     * @param {Object} historyConfig - 기록 설정 (DEFAULT_HISTORY_CONFIG와 합침)
+     * @param {string} historyConfig.range - 누적 기록 범위 (지정하면 보관 탭 대신 사용, 기본값: 레이아웃의 history)
+     * @param {Array<string>} historyConfig.tabs - 회차별 탭 이름 배열
+     * @param {string} historyConfig.pairsRange - 회차별 탭의 쌍 범위 (기본값: 레이아웃의 pairs)
+     * @param {number} historyConfig.lookback - 반영할 최근 회차 수
+     * @returns {Promise<Object>} {rounds: [{round, pairs, skippedEncrypted}], pairs, skippedEncrypted, lookback, source: 'rounds' | 'tabs' | 'range'}
+     */
+    async fetchPairHistory(historyConfig = {}) {
+        if (!this.isInitialized || !this.sheetsService) {
+            throw new Error('서비스가 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
+        }
+
+        const config = {
+            ...DEFAULT_HISTORY_CONFIG,
+            range: this.resolveRange('history'),
+            pairsRange: this.layout.pairs,
+            ...historyConfig
+        };
+        const lookback = Math.max(0, Number(config.lookback) || 0);
+
+        if (lookback === 0) {
+            return {rounds: [], pairs: [], skippedEncrypted: 0, lookback, source: null};
+        }
+
+        // 암호문 receiver는 이전 쌍과 비교할 수 없으므로 제외하고 개수를 기록
+        const readableRound = (round, rows) => {
+            const pairs = rows.filter(([, receiver]) => !isEncryptedReceiver(receiver));
+            if (pairs.length < rows.length) {
+                console.warn(`⚠️ ${round} 회차의 암호화된 쌍 ${rows.length - pairs.length}개는 이전 회차 기록에서 제외합니다`);
+            }
+            return {round, pairs, skippedEncrypted: rows.length - pairs.length};
+        };
+
+        try {
+            let rounds;
+            let source;
+            const archivedRounds = !historyConfig.range && !(Array.isArray(config.tabs) && config.tabs.length > 0)
+                ? (await this.listRounds()).slice(-lookback)
+                : [];
+
+            if (archivedRounds.length > 0) {
+                // 회차 보관 탭: 첫 행은 헤더
+                source = 'rounds';
+                const ranges = archivedRounds.map(({title}) => resolveRange(ROUND_TAB_LAYOUT, 'pairs', quoteSheetName(title)));
+                const batchData = await this.sheetsService.getBatchData(ranges);
+
+                rounds = archivedRounds.map(({round}, index) =>
+                    readableRound(round, this.extractPairData((batchData[ranges[index]] || []).slice(1)))
+                );
+            } else if (Array.isArray(config.tabs) && config.tabs.length > 0) {
+                source = 'tabs';
+                // 회차별 탭: 최근 lookback개 탭만 조회
+                const tabs = config.tabs.slice(-lookback);
+                const ranges = tabs.map(tab => resolveRange(config, 'pairsRange', tab));
+                const batchData = await this.sheetsService.getBatchData(ranges);
+
+                rounds = tabs.map((tab, index) => readableRound(tab, this.extractPairData(batchData[ranges[index]])));
+            } else {
+                // 누적 기록 범위: 회차 컬럼 기준으로 묶은 뒤 최근 lookback개 회차만 사용
+                source = 'range';
+                const rawData = await this.sheetsService.getBatchData([config.range]);
+                const rows = (rawData[config.range] || [])
+                    .filter(row => Array.isArray(row) && row.length >= 3 && row.every(cell => `${cell ?? ''}`.trim()))
+                    .map(row => [`${row[0]}`.trim(), `${row[1]}`.trim(), `${row[2]}`.trim()]);
+
+                const byRound = new Map();
+                rows.forEach(([round, giver, receiver]) => {
+                    if (!byRound.has(round)) byRound.set(round, []);
+                    byRound.get(round).push([giver, receiver]);
+                });
+
+                rounds = [...byRound.entries()]
+                    .slice(-lookback)
+                    .map(([round, pairs]) => readableRound(round, pairs));
+            }
+
+            const pairs = rounds.flatMap(round => round.pairs);
+            const skippedEncrypted = rounds.reduce((sum, round) => sum + round.skippedEncrypted, 0);
+            console.log(`🕘 이전 회차 기록 조회 완료: ${rounds.length}개 회차, ${pairs.length}개 쌍`);
+
+            return {rounds, pairs, skippedEncrypted, lookback, source};
+        } catch (error) {
+            console.error('❌ 이전 회차 기록 조회 실패:', error);
+            throw new Error(`이전 회차 기록 조회 실패: ${error.message}`);
+        }
+    }
+
+    /**
+     * 스프레드시트 셀에 JSON으로 저장된 짝 규칙 정의 조회
+     * 셀이 비어 있으면 null (기본 규칙 사용)
+     * @param {string} range - 규칙 JSON이 들어 있는 셀 (기본값: 레이아웃의 rules)
+     * @returns {Promise<Object|null>} 검증된 규칙 정의
+     */
+    async fetchPairingRules(range = this.resolveRange('rules')) {
+        if (!this.isInitialized || !this.sheetsService) {
+            throw new Error('서비스가 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
+        }
+
+        try {
+            const batchData = await this.sheetsService.getBatchData([range]);
+            const rawJson = (batchData[range] || []).flat().join('').trim();
+
+            if (!rawJson) {
+                console.log('📏 규칙 정의가 없어 기본 규칙을 사용합니다.');
+                return null;
+            }
+
+            const ruleSet = parseRuleSet(rawJson);
+            console.log(`📏 규칙 정의 로드 완료: ${ruleSet.rules.length}개 규칙, 타입 ${Object.keys(ruleSet.types).join(', ')}`);
+            return ruleSet;
+        } catch (error) {
+            console.error('❌ 규칙 정의 조회 실패:', error);
+            throw new Error(`규칙 정의 조회 실패: ${error.message}`);
+        }
+    }
+
+    /**
+     * 이벤트 진행 상태 조회 (레이아웃의 status 셀, 비어 있거나 상태 탭이 아직 없으면 draft)
+     * @returns {Promise<Object>} {state, label, revision: 마지막 저장 리비전, rawValue, range, missing: 상태 탭이 없으면 true}
+     */
+    async fetchEventStatus() {
+        if (!this.isInitialized || !this.sheetsService) {
+            throw new Error('서비스가 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
+        }
+
+        const range = this.resolveRange('status');
+        try {
+            const batchData = await this.sheetsService.getBatchData([range]);
+            const rawValue = `${(batchData[range] || []).flat()[0] ?? ''}`.trim();
+            const state = parseEventState(rawValue);
+            return {state, label: EVENT_STATES[state], revision: parseEventRevision(rawValue), rawValue, range, missing: false};
+        } catch (error) {
+            // 상태 탭이 아직 없으면 draft (첫 상태 변경 때 탭을 만듦)
+            const {sheetName} = this.statusCell();
+            const tabExists = await this.hasSheet(sheetName).catch(() => true);
+            if (!tabExists) {
+                console.log(`🚦 ${sheetName} 탭이 없어 이벤트 상태를 draft로 봅니다.`);
+                return {state: 'draft', label: EVENT_STATES.draft, revision: '', rawValue: '', range, missing: true};
+            }
+            console.error('❌ 이벤트 상태 조회 실패:', error);
+            throw new Error(`이벤트 상태 조회 실패: ${error.message}`);
+        }
+    }
+
+    /**
+     * 이벤트 상태 변경 (정해진 순서로만, updateCellWithCAS로 다른 관리자가 먼저 바꿨으면 실패)
+     * @param {string} to - 바꿀 상태
+     * @param {Object} options - {from: 화면에서 보고 있던 상태 (다르면 CONFLICT 에러)}
+     * @returns {Promise<Object>} {state, label, previousState}
+     */
+    async transitionEvent(to, options = {}) {
+        const current = await this.fetchEventStatus();
+        if (options.from && options.from !== current.state) {
+            throw new Error(`CONFLICT: 이벤트 상태가 이미 '${current.state}'(으)로 바뀌었습니다. 새로고침 후 다시 시도하세요.`);
+        }
+        assertTransition(current.state, to);
+
+        await this.writeEventState(to, current);
+        console.log(`🚦 이벤트 상태 변경: ${current.state} → ${to}`);
+        return {state: to, label: EVENT_STATES[to], previousState: current.state};
+    }
+
+    /**
+     * 상태 셀 위치 (레이아웃의 status 영역 첫 셀)
+     * @returns {Object} {sheetName, cellAddress}
+     */
+    statusCell() {
+        const parsed = parseA1Range(this.layout.status);
+        return {
+            sheetName: parsed.sheet || this.layout.sheetName,
+            cellAddress: `${parsed.startColumn}${parsed.startRow ?? 1}`
+        };
+    }
+
+    /**
+     * 조회한 상태 그대로일 때만 상태 셀에 기록 (updateCellWithCAS, 상태 탭이 없으면 먼저 만듦)
+     * @param {string} state - 기록할 상태 셀 값
+     * @param {Object} current - fetchEventStatus 결과
+     * @param {string} expectedValue - CAS로 비교할 값 (기본값: current.rawValue)
+     */
+    async writeEventState(state, current, expectedValue = current.rawValue) {
+        const {sheetName, cellAddress} = this.statusCell();
+        if (current.missing) {
+            console.log(`🚦 상태 탭 생성: ${sheetName}`);
+            await this.sheetsService.batchUpdateSpreadsheet([{addSheet: {properties: {title: sheetName}}}]);
+        }
+        await this.sheetsService.updateCellWithCAS(cellAddress, state, expectedValue, undefined, sheetName);
+    }
+
+    /**
+     * 추첨 전에 명단이 규칙상 추첨 가능한지 진단
+     * @param {Object} data - 구조화된 데이터 (normals, newbies, leaders, filterPairs 포함)
+     * @param {Object} options - 진단 옵션 (rules: 선언형 규칙 정의)
+     * @returns {Object} {isDrawable, errors, warnings, checkedAt}
+     */
+    diagnoseRoster(data, options = {}) {
+        return diagnoseRoster(data, {nameNormalization: this.nameNormalization, ...options});
+    }
+
+    /**
+     * 시트에 저장된 쌍 조회 (레이아웃의 pairs 영역)
+     * @param {string} sheetName - 시트명 (기본값: 레이아웃의 sheetName)
+     * @returns {Promise<Array<Array<string>>>} [giver, receiver] 배열
+     */
+    async fetchSavedPairs(sheetName = this.layout.sheetName) {
+        if (!this.isInitialized || !this.sheetsService) {
+            throw new Error('서비스가 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
+        }
+
+        const range = this.resolveRange('pairs', sheetName);
+        try {
+            const batchData = await this.sheetsService.getBatchData([range]);
+            const pairs = this.extractPairData(batchData[range]);
+            if (pairs.some(([, receiver]) => isEncryptedReceiver(receiver))) {
+                throw new Error('결과가 giver 비밀번호로 암호화되어 있어 관리자 화면에서는 읽을 수 없습니다.');
+            }
+            console.log(`📥 저장된 쌍 조회 완료: ${pairs.length}개`);
+            return pairs;
+        } catch (error) {
+            console.error('❌ 저장된 쌍 조회 실패:', error);
+            throw new Error(`저장된 쌍 조회 실패: ${error.message}`);
+        }
+    }
+
+    /**
+     * 시트에 저장된 멘토링 배정 조회 (레이아웃의 mentoring 영역, 지정하지 않았으면 빈 배열)
+     * @param {string} sheetName - 시트명 (기본값: 레이아웃의 sheetName)
+     * @returns {Promise<Array<Object>>} [{mentor, mentee}] 배열
+     */
+    async fetchSavedMentoring(sheetName = this.layout.sheetName) {
+        if (!this.isInitialized || !this.sheetsService) {
+            throw new Error('서비스가 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
+        }
+
+        const range = this.resolveRange('mentoring', sheetName);
+        if (!range) return [];
+
+        try {
+            const batchData = await this.sheetsService.getBatchData([range]);
+            const matches = this.extractPairData(batchData[range]);
+            if (matches.some(([, mentee]) => isEncryptedReceiver(mentee))) {
+                throw new Error('멘토링 배정이 mentor 비밀번호로 암호화되어 있어 관리자 화면에서는 읽을 수 없습니다.');
+            }
+            return matches.map(([mentor, mentee]) => ({mentor, mentee}));
+        } catch (error) {
+            console.error('❌ 저장된 멘토링 조회 실패:', error);
+            throw new Error(`저장된 멘토링 조회 실패: ${error.message}`);
+        }
+    }
+
+    /**
+     * 시트에 저장된 인증 정보 조회 (레이아웃의 credentials 영역)
+     * @param {string} sheetName - 시트명 (기본값: 레이아웃의 sheetName)
+     * @returns {Promise<Array<Array<string>>>} [이름, 비밀번호 해시] 배열 (마이그레이션 전이면 평문)
+     */
+    async fetchCredentials(sheetName = this.layout.sheetName) {
+        if (!this.isInitialized || !this.sheetsService) {
+            throw new Error('서비스가 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
+        }
+
+        const range = this.resolveRange('credentials', sheetName);
+        try {
+            const batchData = await this.sheetsService.getBatchData([range]);
+            return this.extractPairData(batchData[range]);
+        } catch (error) {
+            console.error('❌ 인증 정보 조회 실패:', error);
+            throw new Error(`인증 정보 조회 실패: ${error.message}`);
+        }
+    }
+
+    /**
+     * 인증 정보를 credentials 영역에 기록 (이전 내용이 더 길었으면 남은 행을 비움)
+     * @param {Array<Object>} credentials - [{name, stored}] (stored: 저장할 비밀번호 해시)
+     * @param {string} sheetName - 시트명 (기본값: 레이아웃의 sheetName)
+     * @returns {Promise<Object>} {range, savedCredentials, clearedRows}
+     */
+    async saveCredentials(credentials, sheetName = this.layout.sheetName) {
+        if (!this.isInitialized || !this.sheetsService) {
+            throw new Error('서비스가 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
+        }
+
+        const region = this.resolveRange('credentials', sheetName);
+        const existing = await this.sheetsService.getBatchData([region]);
+        const rowCount = Math.max(credentials.length, (existing[region] || []).length);
+
+        const values = [
+            ...credentials.map(({name, stored}) => [name, asText(stored)]),
+            ...Array.from({length: rowCount - credentials.length}, () => ['', ''])
+        ];
+        const range = resolveWriteRange(this.layout, 'credentials', rowCount, sheetName);
+        await this.sheetsService.batchUpdateData([{range, values}]);
+
+        console.log(`🔑 인증 정보 저장 완료: ${credentials.length}명 (${range})`);
+        return {range, savedCredentials: credentials.length, clearedRows: rowCount - credentials.length};
+    }
+
+    /**
+     * 평문으로 남아 있는 비밀번호를 해시로 바꿔 저장 (이미 해시인 행은 그대로, 바꿀 행이 없으면 기록하지 않음)
+     * @param {string} sheetName - 시트명 (기본값: 레이아웃의 sheetName)
+     * @returns {Promise<Object>} {migrated: 바꾼 행 수, total}
+     */
+    async migrateCredentials(sheetName = this.layout.sheetName) {
+        try {
+            const rows = await this.fetchCredentials(sheetName);
+            const plaintextCount = rows.filter(([, stored]) => !isPasswordHash(stored)).length;
+            if (plaintextCount === 0) {
+                return {migrated: 0, total: rows.length};
+            }
+
+            console.log(`🔐 평문 비밀번호 ${plaintextCount}개를 해시로 변환합니다`);
+            const credentials = await Promise.all(rows.map(async ([name, stored]) => ({
+                name,
+                stored: isPasswordHash(stored) ? stored : await hashPassword(stored)
+            })));
+            await this.saveCredentials(credentials, sheetName);
+
+            console.log(`✅ 비밀번호 마이그레이션 완료: ${plaintextCount}개`);
+            return {migrated: plaintextCount, total: rows.length};
+        } catch (error) {
+            console.error('❌ 비밀번호 마이그레이션 실패:', error);
+            throw new Error(`비밀번호 마이그레이션 실패: ${error.message}`);
+        }
+    }
+
+    /**
+     * 명단의 모든 참가자에게 새 비밀번호를 발급하고 credentials 영역을 해시로 덮어씀
+     * 시트에는 해시만 남고 평문은 반환값으로만 전달되므로 바로 배포 자료(CSV/쪽지)를 만들어야 함
+     * @param {Object} data - 구조화된 데이터 (normals, newbies, leaders, participants)
+     * @param {Object} options - 비밀번호 형식 (groups, groupLength, separator)
+     * @returns {Promise<Object>} {credentials: [{name, password}], range, issuedAt}
+     */
+    async issuePasswords(data, options = {}) {
+        const names = rosterNames(data);
+        if (names.length === 0) {
+            throw new Error('비밀번호를 발급할 참가자가 없습니다.');
+        }
+
+        try {
+            const credentials = generateCredentials(names, options);
+            const hashed = await Promise.all(credentials.map(async ({name, password}) => ({
+                name,
+                stored: await hashPassword(password)
+            })));
+            const {range} = await this.saveCredentials(hashed);
+            console.log(`✅ 비밀번호 발급 완료: ${credentials.length}명`);
+            return {credentials, range, issuedAt: new Date().toISOString()};
+        } catch (error) {
+            console.error('❌ 비밀번호 발급 실패:', error);
+            throw new Error(`비밀번호 발급 실패: ${error.message}`);
+        }
+    }
+
+    /**
+     * 한 사람의 비밀번호만 다시 발급 (다른 사람의 비밀번호는 유지, 없던 사람이면 추가)
+     * 저장된 결과가 이전 비밀번호로 암호화되어 있으면 resultLocked: true (결과를 다시 저장해야 볼 수 있음)
+     * @param {string} name - 참가자 이름
+     * @param {Object} data - 구조화된 데이터 (명단에 있는 사람인지 확인)
+     * @param {Object} options - 비밀번호 형식
+     * @returns {Promise<Object>} {name, password, range, resultLocked, issuedAt}
+     */
+    async reissuePassword(name, data, options = {}) {
+        const canonical = rosterNames(data).find(rosterName => isSameName(rosterName, name, this.nameNormalization));
+        if (!canonical) {
+            throw new Error(`명단에 없는 사람입니다: ${name}`);
+        }
+
+        try {
+            const credentials = (await this.fetchCredentials())
+                .map(([existingName, stored]) => ({name: existingName, stored}));
+            const password = generatePassword(options);
+            const stored = await hashPassword(password);
+            const index = credentials.findIndex(row => isSameName(row.name, canonical, this.nameNormalization));
+
+            if (index >= 0) {
+                credentials[index] = {name: canonical, stored};
+            } else {
+                credentials.push({name: canonical, stored});
+            }
+
+            const {range} = await this.saveCredentials(credentials);
+
+            // 이전 비밀번호로 암호화된 결과는 새 비밀번호로 열 수 없음 (다시 저장해야 함)
+            const pairsRange = this.resolveRange('pairs');
+            const savedPairs = this.extractPairData((await this.sheetsService.getBatchData([pairsRange]))[pairsRange]);
+            const resultLocked = savedPairs.some(([giver, receiver]) =>
+                isSameName(giver, canonical, this.nameNormalization) && isEncryptedReceiver(receiver)
+            );
+            if (resultLocked) {
+                console.warn(`⚠️ ${canonical}님의 결과는 이전 비밀번호로 암호화되어 있어 새 비밀번호로는 볼 수 없습니다.`);
+            }
+
+            console.log(`✅ 비밀번호 재발급 완료: ${canonical}`);
+            return {name: canonical, password, range, resultLocked, issuedAt: new Date().toISOString()};
+        } catch (error) {
+            console.error('❌ 비밀번호 재발급 실패:', error);
+            throw new Error(`비밀번호 재발급 실패: ${error.message}`);
+        }
+    }
+
+    /**
+     * 배정 검증 (명단/규칙 기준)
+     * @param {Array<Object|Array<string>>} pairs - 검증할 쌍
+     * @param {Object} data - 구조화된 데이터 (normals, newbies, leaders, filterPairs, attributes)
+     * @param {Object} options - {rules, receiversPerGiver, mentoring, mentorCapacity}
+     * @returns {Object} {valid, violations, checkedPairs, checkedAt}
+     */
+    verifyAssignment(pairs, data, options = {}) {
+        const {rules, ...verifyOptions} = options;
+        return verifyAssignment(pairs, data, rules, verifyOptions);
+    }
+
+    /**
+     * 시트에 저장된 쌍을 다시 읽어 현재 명단/규칙으로 검증
+     * 저장된 멘토링 배정이 있으면 함께 검증 (mentorCapacity 기준)
+     * @param {Object} data - 구조화된 데이터
+     * @param {Object} options - {rules, receiversPerGiver, mentorCapacity, sheetName}
+     * @returns {Promise<Object>} 검증 결과
+     */
+    async verifySavedPairs(data, options = {}) {
+        const {sheetName = this.layout.sheetName, ...verifyOptions} = options;
+        const pairs = await this.fetchSavedPairs(sheetName);
+        const mentoring = await this.fetchSavedMentoring(sheetName);
+        const result = this.verifyAssignment(pairs, data, {
+            ...verifyOptions,
+            ...(mentoring.length > 0 && {mentoring})
+        });
+        console.log(result.valid
+            ? `✅ 저장된 쌍 검증 통과: ${result.checkedPairs}개`
+            : `⚠️ 저장된 쌍 검증 실패: 위반 ${result.violations.length}건`);
+        return result;
+    }
+
+    /**
+     * 저장된 쌍을 최소한으로 바꿔 중도 이탈/추가 참가자 반영
+     * @param {Object} data - 현재 구조화된 데이터 (타입/속성/filterPairs 조회용)
+     * @param {Object} changes - {removed: [이름], added: [{name, type}]}
+     * @param {Object} options - {rules, seed, receiversPerGiver, mode: 원래 추첨의 생성 방식, sheetName}
+     * @returns {Promise<Object>} {pairs, mentoring?, metadata} (metadata.repair.notify: 알려야 할 giver 목록,
+     *                            mentoring 모드면 저장된 멘토링 배정을 이어받고 끊긴 배정은 metadata.repair.droppedMentoring에 기록)
+     */
+    async repairSavedPairs(data, changes, options = {}) {
+        const {sheetName = this.layout.sheetName, rules, ...repairOptions} = options;
+        const savedPairs = await this.fetchSavedPairs(sheetName);
+        if (savedPairs.length === 0) {
+            throw new Error('저장된 쌍이 없습니다. 먼저 추첨 결과를 저장해주세요.');
+        }
+        const result = repairAssignment(savedPairs, changes, data, rules, repairOptions);
+        if (repairOptions.mode !== 'mentoring') {
+            return result;
+        }
+
+        // mentoring 모드: 멘토링 배정은 그대로 두고 빠진 사람이 있는 배정만 제외 (다시 저장해도 멘토링 행이 지워지지 않도록)
+        const removed = changes?.removed || [];
+        const isRemoved = name => removed.some(other => isSameName(other, name, this.nameNormalization));
+        const mentoring = await this.fetchSavedMentoring(sheetName);
+        const droppedMentoring = mentoring.filter(({mentor, mentee}) => isRemoved(mentor) || isRemoved(mentee));
+        if (droppedMentoring.length > 0) {
+            console.log(`   ⚠️ 빠진 참가자 때문에 끊긴 멘토링 ${droppedMentoring.length}건: ${droppedMentoring.map(({mentor, mentee}) => `${mentor} → ${mentee}`).join(', ')}`);
+        }
+        return {
+            ...result,
+            mentoring: mentoring.filter(match => !droppedMentoring.includes(match)),
+            metadata: {...result.metadata, repair: {...result.metadata.repair, droppedMentoring}}
+        };
+    }
+
+    /**
+     * 여러 회차 일정을 한 번에 계획
+     * @param {Object} data - 구조화된 데이터
+     * @param {number} roundCount - 회차 수
+     * @param {Object} options - {seed, roundNames, pairOptions}
+     * @returns {Object} planRounds 결과
+     */
+    planRounds(data, roundCount, options = {}) {
+        return planRounds(data, roundCount, options);
+    }
+
+    /**
+     * 계획된 회차를 회차별 범위 또는 탭에 저장
+     * - tabs를 지정하면 회차 i를 tabs[i]의 pairs 영역에 저장 (탭은 미리 만들어 두어야 함)
+     * - 아니면 sheetName 탭에 회차마다 3열 간격(A:B, D:E, ...)으로 1행 회차명, 2행부터 쌍 저장
+     * @param {Object} plan - planRounds 결과
+     * @param {Object} options - {sheetName: 'Plan', tabs: [탭 이름...]}
+     * @returns {Promise<Object>} 저장 결과
+     */
+    async savePlanToSheet(plan, options = {}) {
+        if (!this.isInitialized || !this.sheetsService) {
+            throw new Error('서비스가 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
+        }
+
+        if (!plan || !Array.isArray(plan.rounds) || plan.rounds.length === 0) {
+            throw new Error('저장할 회차 계획이 없습니다.');
+        }
+
+        const {sheetName = 'Plan', tabs} = options;
+        if (tabs && tabs.length < plan.rounds.length) {
+            throw new Error(`회차 수(${plan.rounds.length})보다 탭 수(${tabs.length})가 적습니다.`);
+        }
+
+        const updates = plan.rounds.map((round, index) => {
+            const values = round.pairs.map(pair => [pair.giver, pair.receiver]);
+            if (tabs) {
+                return {range: resolveWriteRange(this.layout, 'pairs', values.length, tabs[index]), values};
+            }
+            const start = columnLetter(index * 3);
+            const end = columnLetter(index * 3 + 1);
+            return {
+                range: `${sheetName}!${start}1:${end}${1 + values.length}`,
+                values: [[round.round, ''], ...values]
+            };
+        });
+
+        try {
+            console.log(`💾 ${plan.rounds.length}회차 계획 저장 시작`);
+            const result = await this.sheetsService.batchUpdateData(updates);
+            console.log(`✅ 회차 계획 저장 완료: ${updates.map(update => update.range).join(', ')}`);
+
+            return {
+                success: true,
+                rounds: plan.rounds.length,
+                ranges: updates.map(update => update.range),
+                updatedCells: result.totalUpdatedCells,
+                savedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error('❌ 회차 계획 저장 실패:', error);
+            throw new Error(`회차 계획 저장 실패: ${error.message}`);
+        }
+    }
+
     /**
      * normals, newbies, leaders의 모든 멤버를 섞어서 giver-receiver 쌍을 생성
      * 각자 정확히 1명의 giver와 1명의 receiver를 갖도록 함
-     * 새로운 규칙 적용:
-     * 1. newbie는 newbie 또는 leader와만 짝 가능
-     * 2. leader끼리는 짝 불가
-     * 3. normal은 누구와도 짝 가능
-     * 4. filterPairs에 포함된 쌍은 금지
+     * 규칙은 ruleEngine의 선언형 규칙 정의로 평가 (기본 규칙: DEFAULT_RULE_SET)
      * @param {Object} data - 구조화된 데이터 (normals, newbies, leaders, filterPairs 포함)
+     * @param {Object} options - 추첨 옵션 (seed: 재현용 시드, random: 주입할 난수 함수)
+     * @param {Object} options.history - fetchPairHistory 결과 (이전 회차 쌍을 피함)
+     * @param {string} options.repeatMode - 이전 쌍 처리 방식 ('soft' | 'hard')
+     * @param {Object} options.rules - 선언형 규칙 정의 (fetchPairingRules 결과, 없으면 기본 규칙)
      * @returns {Array<Object>} giver-receiver 쌍 배열
      */
-    makeRandomPairs(data) {
+    makeRandomPairs(data, options = {}) {
+        const {filterPairs, pairOptions} = this.buildPairingRequest(data, options);
+        const pairsData = makePairs(data.normals, data.newbies, data.leaders, filterPairs, pairOptions);
+        console.log(`✅ ${pairsData.pairs.length}개의 유효한 쌍이 생성되었습니다.`);
+        return pairsData;
+    }
+
+    /**
+     * makeRandomPairs와 같은 추첨을 Web Worker에서 실행 (메인 스레드를 막지 않음)
+     * @param {Object} data - 구조화된 데이터 (normals, newbies, leaders, filterPairs 포함)
+     * @param {Object} options - makeRandomPairs와 같은 추첨 옵션
+     * @param {Object} control - 실행 제어
+     * @param {Function} control.onProgress - 솔버 진행 상황 콜백 ({stage, group, phase, attempts, steps, depth, cycles})
+     * @param {AbortSignal} control.signal - 취소 신호 (취소되면 AbortError로 거부)
+     * @returns {Promise<Object>} makePairs와 같은 {pairs, mentoring?, metadata}
+     */
+    async makeRandomPairsInWorker(data, options = {}, control = {}) {
+        const {filterPairs, pairOptions} = this.buildPairingRequest(data, options);
+        const pairsData = await runPairingInWorker(data.normals, data.newbies, data.leaders, filterPairs, pairOptions, control);
+        console.log(`✅ ${pairsData.pairs.length}개의 유효한 쌍이 생성되었습니다.`);
+        return pairsData;
+    }
+
+    /**
+     * 구조화된 데이터와 추첨 옵션을 makePairs 인자로 변환
+     * (이전 회차 기록 → previousPairs/historyRounds, 시트 속성 → attributes)
+     * @param {Object} data - 구조화된 데이터
+     * @param {Object} options - makeRandomPairs 추첨 옵션
+     * @returns {Object} {filterPairs, pairOptions}
+     */
+    buildPairingRequest(data, options = {}) {
         if (!data || !data.normals || !data.newbies || !data.leaders) {
             throw new Error('유효한 데이터가 없습니다. normals, newbies, leaders 데이터가 필요합니다.');
         }
@@ -310,18 +1237,53 @@ export class SheetDataService {
         console.log(`   - leaders: ${data.leaders.length}명`);
         console.log(`   - 금지된 쌍: ${filterPairs.length}개`);
 
-        const pairsData = makePairs(data.normals, data.newbies, data.leaders, filterPairs);
-        console.log(`✅ ${pairsData.pairs.length}개의 유효한 쌍이 생성되었습니다.`);
-        return pairsData;
+        const {history, ...pairOptions} = options;
+        if (history) {
+            pairOptions.previousPairs = history.pairs;
+            pairOptions.historyRounds = history.rounds.length;
+            console.log(`   - 이전 회차: ${history.rounds.length}개 (${history.pairs.length}개 쌍)`);
+        }
+
+        // 시트에서 읽은 참가자 속성 (속성 규칙에서 사용)
+        if (data.attributes && !pairOptions.attributes) {
+            pairOptions.attributes = data.attributes;
+        }
+
+        // 명단 표에서 읽은 규칙 정의 타입 참가자
+        if (data.participants?.length > 0 && !pairOptions.participants) {
+            pairOptions.participants = data.participants;
+            console.log(`   - 기타 타입: ${data.participants.length}명`);
+        }
+
+        return {filterPairs, pairOptions};
     }
 
   /**
-   * 생성된 쌍을 스프레드시트의 J4:K1000 영역에 저장 (배치 업데이트 사용)
+   * 생성된 쌍을 스프레드시트의 pairs 영역(기본값 J4:K1000)에 저장 (배치 업데이트 사용)
+   * 한 명이 여러 명에게 주는 경우 giver가 같은 행이 receiver 수만큼 저장됨
+   * - 이전 결과가 더 길었으면 남은 행을 비움 (MyManito가 지난 배정을 읽지 않도록)
+   * - pairDetails 영역에 행마다 회차, 저장 시각, 시드, giver/receiver 타입을 함께 기록 (영역이 탭의 격자 밖이면 열/행을 늘림)
+   * - 저장 후 다시 읽어 생성된 결과와 다르면 에러
+   * - 덮어쓰기 전에 결과를 회차 탭(Round-<회차>)으로 보관 (archiveRound)
+   * - 이벤트 상태가 draft가 아니면 force 없이는 거부
+   * - 저장 전에 상태 셀을 draft:<새 리비전>으로 CAS 기록하고 저장 후 다시 읽어 확인 (그 사이 다른 관리자가 저장하거나 상태를 바꿨으면 CONFLICT)
+   * - credentials를 주면 receiver 칸에 giver 비밀번호로 암호화한 값만 기록 (시트에서 결과를 볼 수 없음, 시드도 기록하지 않음)
+   * - 멘토링 배정은 mentoring 영역(Settings 탭에서 지정)에 mentor | mentee로 기록 (멘토링 없이 저장하면 남아 있던 멘토링 행만 비움)
    * @param {Array<Object>} pairs - 저장할 쌍 배열
-   * @param {string} sheetName - 시트명 (기본값: 'DB')
+   * @param {string} sheetName - 시트명 (기본값: 레이아웃의 sheetName)
+   * @param {Object} details - 함께 기록할 정보
+   * @param {string} details.round - 회차 (기본값: 저장 날짜 YYYY-MM-DD)
+   * @param {string|number} details.seed - 추첨 시드 (기본값: metadata.seed)
+   * @param {Object} details.metadata - makePairs 결과의 metadata (회차 탭에 기록)
+   * @param {Object} details.roster - 추첨한 명단 (normals, newbies, leaders, filterPairs, 회차 탭에 기록)
+   * @param {Array<Object>} details.mentoring - mentoring 모드의 멘토링 배정 [{mentor, mentee}] (mentoring 영역과 회차 탭에 기록, 암호화하면 mentee도 mentor 비밀번호로 암호화)
+   * @param {boolean} details.archive - 회차 탭 보관 여부 (기본값: true)
+   * @param {Array<Object>} details.credentials - giver 비밀번호 [{name, password}] (선택사항, 평문, 암호화에만 쓰고 저장하지 않음)
+   * @param {boolean} details.force - 이벤트가 draft가 아니어도 저장 (기본값: false, 리비전 확인도 하지 않음)
+   * @param {string} details.expectedStatus - 추첨할 때 읽은 상태 셀 값 (fetchEventStatus의 rawValue, 기본값: 저장 직전에 읽은 값)
    * @returns {Promise<Object>} 저장 결과
    */
-  async savePairsToSheet(pairs, sheetName = 'DB') {
+  async savePairsToSheet(pairs, sheetName = this.layout.sheetName, details = {}) {
     if (!this.isInitialized || !this.sheetsService) {
       throw new Error('서비스가 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
     }
@@ -330,36 +1292,153 @@ export class SheetDataService {
       throw new Error('저장할 쌍 데이터가 없습니다.');
     }
 
+    const savedAt = new Date().toISOString();
+    // 암호화하면 시드를 기록하지 않음 (명단과 시드로 추첨을 다시 돌리면 암호화한 배정이 그대로 나옴)
+    const encrypted = Boolean(details.credentials);
+    const seed = encrypted ? '' : details.seed ?? details.metadata?.seed ?? '';
+    let round = `${details.round ?? savedAt.slice(0, 10)}`;
+
+    // 멘토링 영역은 기본 레이아웃에 없으므로 멘토링 배정을 저장하려면 Settings 탭에서 지정해야 함
+    if (details.mentoring?.length > 0 && !this.resolveRange('mentoring', sheetName)) {
+      throw new Error("멘토링 배정을 저장할 mentoring 영역이 없습니다. Settings 탭에 mentoring 범위(예: 'AH4:AI1000')를 지정하세요.");
+    }
+
+    // 결과를 공개한 뒤에는 강제 저장만 허용 (다른 관리자가 공개한 결과를 덮어쓰지 않도록)
+    // 추첨할 때 읽은 상태 셀 값에서 새 리비전으로 CAS 기록: 그 사이 다른 관리자가 저장했거나 상태를 바꿨으면 CONFLICT
+    let statusToken = null;
+    if (!details.force) {
+      const status = await this.fetchEventStatus();
+      if (status.state !== 'draft') {
+        throw new Error(`이벤트가 '${status.label}' 상태라 결과를 저장할 수 없습니다. 덮어쓰려면 강제 저장(force)을 사용하세요.`);
+      }
+      statusToken = formatEventState('draft', globalThis.crypto.randomUUID().slice(0, 8));
+      try {
+        await this.writeEventState(statusToken, status, details.expectedStatus ?? status.rawValue);
+      } catch (error) {
+        if (!error.message.includes('CONFLICT')) throw error;
+        throw new Error('CONFLICT: 다른 관리자가 먼저 결과를 저장했거나 이벤트 상태를 바꿨습니다. 새로고침 후 다시 추첨하세요.');
+      }
+    }
+
     try {
       console.log(`💾 쌍 데이터 저장 시작: ${pairs.length}개 쌍 (배치 업데이트 사용)`);
 
+      // 암호화하면 receiver뿐 아니라 receiver를 짐작할 수 있는 값(타입, 반복된 이전 쌍, 시드)도 기록하지 않음
+      const storedPairs = encrypted ? await this.encryptPairs(pairs, details.credentials) : pairs;
+      const mentoring = (details.mentoring || []).map(({mentor, mentee}) => ({giver: mentor, receiver: mentee}));
+      const storedMentoring = encrypted && mentoring.length > 0
+        ? await this.encryptPairs(mentoring, details.credentials)
+        : mentoring;
+      const metadata = encrypted && details.metadata
+        ? {
+          ...details.metadata,
+          seed: undefined,
+          ...(details.metadata.history && {history: {...details.metadata.history, repeated: undefined}})
+        }
+        : details.metadata;
+
+      // 결과 영역을 덮어쓰기 전에 회차 탭으로 보관 (같은 회차 탭이 있으면 번호를 붙인 회차로 기록)
+      let archive = null;
+      if (details.archive !== false) {
+        archive = await this.archiveRound(storedPairs, {
+          ...details,
+          metadata,
+          round,
+          seed,
+          savedAt,
+          mentoring: storedMentoring.map(({giver, receiver}) => ({mentor: giver, mentee: receiver}))
+        });
+        round = archive.round;
+      }
+
       // 쌍 데이터를 2차원 배열로 변환
-      const pairData = pairs.map(pair => [pair.giver, pair.receiver]);
-      const dataEndRow = 3 + pairs.length;
-      const dataRange = `${sheetName}!J4:K${dataEndRow}`;
+      const pairData = storedPairs.map(pair => [pair.giver, pair.receiver]);
+      const detailData = storedPairs.map(pair => [round, savedAt, seed, pair.giverType, pair.receiverType].map(asText));
+      const mentoringData = storedMentoring.map(pair => [pair.giver, pair.receiver]);
+
+      // 이전 결과가 차지하던 행 수 확인 (남은 행을 비우기 위해)
+      const pairsRegion = this.resolveRange('pairs', sheetName);
+      const detailsRegion = this.resolveRange('pairDetails', sheetName);
+      const mentoringRegion = this.resolveRange('mentoring', sheetName);
+      const regions = [pairsRegion, detailsRegion, ...(mentoringRegion ? [mentoringRegion] : [])];
+      await this.ensureGridSize(regions);
+      const existing = await this.sheetsService.getBatchData(regions);
+      const existingMentoring = mentoringRegion ? (existing[mentoringRegion] || []).length : 0;
+
+      // 멘토링 영역은 이번에 멘토링 배정이 있거나 이전 멘토링 행이 남아 있을 때만 기록
+      const writeMentoring = mentoringData.length > 0 || existingMentoring > 0;
+      const rowCount = Math.max(
+        pairs.length,
+        (existing[pairsRegion] || []).length,
+        (existing[detailsRegion] || []).length,
+        ...(writeMentoring ? [mentoringData.length, existingMentoring] : [])
+      );
+
+      const blankRows = (width, used = pairs.length) => Array.from({length: rowCount - used}, () => Array(width).fill(''));
+      const dataRange = resolveWriteRange(this.layout, 'pairs', rowCount, sheetName);
+      const detailRange = resolveWriteRange(this.layout, 'pairDetails', rowCount, sheetName);
+      const mentoringRange = writeMentoring ? resolveWriteRange(this.layout, 'mentoring', rowCount, sheetName) : null;
 
       // 배치 업데이트를 위한 업데이트 객체 생성
       const updates = [
         {
           range: dataRange,
-          values: pairData
-        }
+          values: [...pairData, ...blankRows(2)]
+        },
+        {
+          range: detailRange,
+          values: [...detailData, ...blankRows(5)]
+        },
+        ...(writeMentoring ? [{
+          range: mentoringRange,
+          values: [...mentoringData, ...blankRows(2, mentoringData.length)]
+        }] : [])
       ];
 
-      console.log(`📝 ${dataRange}에 ${pairs.length}개 쌍 저장 중...`);
+      console.log(`📝 ${dataRange}에 ${pairs.length}개 쌍 저장 중... (비우는 이전 행: ${rowCount - pairs.length}개)`);
 
-      // 새로운 batchUpdateData 메서드 사용
       const result = await this.sheetsService.batchUpdateData(updates);
 
-      console.log(`✅ 쌍 데이터 저장 완료: ${pairs.length}개 쌍이 ${dataRange}에 저장됨`);
+      // 다시 읽어서 저장된 내용 확인 (상태 셀도 함께 읽어 저장하는 동안 다른 관리자가 리비전을 바꿨는지 확인)
+      const statusRange = this.resolveRange('status');
+      const stored = await this.sheetsService.getBatchData([
+        dataRange,
+        detailRange,
+        ...(writeMentoring ? [mentoringRange] : []),
+        ...(statusToken ? [statusRange] : [])
+      ]);
+      if (statusToken && `${(stored[statusRange] || []).flat()[0] ?? ''}`.trim() !== statusToken) {
+        throw new Error('CONFLICT: 저장하는 동안 다른 관리자가 결과를 저장했거나 이벤트 상태를 바꿨습니다. 시트의 결과를 확인하세요.');
+      }
+      const expected = {
+        [dataRange]: pairData,
+        [detailRange]: storedPairs.map(pair => [round, savedAt, seed, pair.giverType || '', pair.receiverType || '']),
+        ...(writeMentoring && {[mentoringRange]: mentoringData})
+      };
+      const mismatches = this.comparePairRows(stored, expected, rowCount);
+      if (mismatches.length > 0) {
+        console.error('❌ 저장 내용 불일치:', mismatches);
+        throw new Error(`저장 후 확인 결과 ${mismatches.length}개 행이 생성된 결과와 다릅니다 (첫 번째: ${mismatches[0]}).`);
+      }
+
+      console.log(`✅ 쌍 데이터 저장 완료: ${pairs.length}개 쌍이 ${dataRange}에 저장됨 (회차: ${round})`);
       console.log(`   업데이트된 셀: ${result.totalUpdatedCells}개`);
 
       return {
         success: true,
         savedPairs: pairs.length,
+        savedMentoring: mentoringData.length,
+        clearedRows: rowCount - pairs.length,
         range: dataRange,
+        detailRange,
+        round,
+        seed,
+        statusRevision: statusToken,
+        archiveTab: archive?.title ?? null,
+        encrypted,
         updatedCells: result.totalUpdatedCells,
-        savedAt: new Date().toISOString()
+        verified: true,
+        savedAt
       };
 
     } catch (error) {
@@ -368,6 +1447,269 @@ export class SheetDataService {
     }
   }
 
+  /**
+   * 각 쌍의 receiver를 giver 비밀번호로 암호화 (receiverType은 지움)
+   * @param {Array<Object>} pairs - 쌍 배열
+   * @param {Array<Object>} credentials - [{name, password}] (평문 비밀번호)
+   * @returns {Promise<Array<Object>>} receiver가 암호문인 쌍 배열
+   */
+  async encryptPairs(pairs, credentials) {
+    const passwordOf = giver => credentials.find(row => isSameName(row.name, giver, this.nameNormalization))?.password;
+
+    const missing = [...new Set(pairs.map(pair => pair.giver).filter(giver => !passwordOf(giver)))];
+    if (missing.length > 0) {
+      throw new Error(`비밀번호가 없어 결과를 암호화할 수 없는 giver가 있습니다: ${missing.join(', ')}`);
+    }
+
+    console.log(`🔐 ${pairs.length}개 쌍의 receiver 암호화 중...`);
+    return Promise.all(pairs.map(async pair => ({
+      ...pair,
+      receiver: await encryptReceiver(pair.receiver, pair.giver, passwordOf(pair.giver)),
+      receiverType: null
+    })));
+  }
+
+  /**
+   * 추첨 결과를 새 회차 탭에 보관 (spreadsheets.batchUpdate의 addSheet로 탭 생성 후 기록)
+   * 탭 구성은 ROUND_TAB_LAYOUT (메타데이터, 쌍, 명단, 금지된 쌍)
+   * @param {Array<Object>} pairs - 보관할 쌍 배열
+   * @param {Object} details - {round, savedAt, seed, metadata, roster, mentoring: [{mentor, mentee}]}
+   * @returns {Promise<Object>} {title, round, sheetId}
+   */
+  async archiveRound(pairs, details = {}) {
+    if (!this.isInitialized || !this.sheetsService) {
+      throw new Error('서비스가 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
+    }
+
+    const savedAt = details.savedAt || new Date().toISOString();
+    const roster = details.roster || {};
+    const filterPairs = roster.filterPairs || [];
+
+    try {
+      // 같은 회차 탭이 이미 있으면 회차에 번호를 붙임 (예: 2026-11, 2026-11-2)
+      const existingTitles = new Set((await this.listRounds()).map(round => round.title));
+      const baseRound = `${details.round ?? savedAt.slice(0, 10)}`;
+      let round = baseRound;
+      for (let suffix = 2; existingTitles.has(`${ROUND_TAB_LAYOUT.prefix}${round}`); suffix++) {
+        round = `${baseRound}-${suffix}`;
+      }
+      const title = `${ROUND_TAB_LAYOUT.prefix}${round}`;
+
+      const metadataRows = [
+        ['round', round],
+        ['savedAt', savedAt],
+        ['seed', details.seed ?? details.metadata?.seed ?? ''],
+        ...Object.entries(details.metadata || {})
+          .filter(([key]) => key !== 'seed')
+          .map(([key, value]) => [key, typeof value === 'object' && value !== null ? JSON.stringify(value) : value])
+      ];
+      const pairRows = pairs.map(pair => [pair.giver, pair.receiver, pair.giverType || '', pair.receiverType || '']);
+      const rosterRows = [
+        ...(roster.normals || []).map(name => [name, 'normal']),
+        ...(roster.newbies || []).map(name => [name, 'newbie']),
+        ...(roster.leaders || []).map(name => [name, 'leader']),
+        ...(roster.participants || []).map(({name, type}) => [name, type])
+      ];
+
+      const sections = {
+        metadata: [['항목', '값'], ...metadataRows.map(([key, value]) => [key, asText(value)])],
+        pairs: [['giver', 'receiver', 'giver 타입', 'receiver 타입'], ...pairRows],
+        roster: [['이름', '타입'], ...rosterRows],
+        filterPairs: [['금지 A', '금지 B'], ...filterPairs],
+        mentoring: [['mentor', 'mentee'], ...(details.mentoring || []).map(({mentor, mentee}) => [mentor, mentee])]
+      };
+      const rowCount = Math.max(...Object.values(sections).map(rows => rows.length));
+
+      console.log(`🗂️ 회차 탭 생성: ${title}`);
+      const {replies} = await this.sheetsService.batchUpdateSpreadsheet([
+        {
+          addSheet: {
+            properties: {
+              title,
+              gridProperties: {rowCount: Math.max(rowCount, 100), columnCount: 26}
+            }
+          }
+        }
+      ]);
+
+      const updates = Object.entries(sections).map(([key, values]) => ({
+        range: resolveWriteRange(ROUND_TAB_LAYOUT, key, values.length, quoteSheetName(title)),
+        values
+      }));
+      await this.sheetsService.batchUpdateData(updates);
+
+      console.log(`✅ 회차 보관 완료: ${title} (${pairs.length}개 쌍, 명단 ${rosterRows.length}명)`);
+      return {title, round, sheetId: replies[0]?.addSheet?.properties?.sheetId ?? null};
+    } catch (error) {
+      console.error('❌ 회차 보관 실패:', error);
+      throw new Error(`회차 보관 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * 보관된 회차 탭 목록 (탭 순서대로)
+   * @returns {Promise<Array<Object>>} [{title, round, sheetId}]
+   */
+  async listRounds() {
+    if (!this.isInitialized || !this.sheetsService) {
+      throw new Error('서비스가 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
+    }
+
+    const metadata = await this.sheetsService.getSpreadsheetMetadata();
+    return (metadata.sheets || [])
+      .map(sheet => sheet.properties || {})
+      .filter(properties => `${properties.title ?? ''}`.startsWith(ROUND_TAB_LAYOUT.prefix))
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(properties => ({
+        title: properties.title,
+        round: properties.title.slice(ROUND_TAB_LAYOUT.prefix.length),
+        sheetId: properties.sheetId
+      }));
+  }
+
+  /**
+   * 보관된 회차 탭 불러오기
+   * @param {string} title - 탭 이름 (예: 'Round-2026-11') 또는 회차 (예: '2026-11')
+   * @returns {Promise<Object>} {title, round, savedAt, seed, metadata, pairs, roster: {normals, newbies, leaders, participants}, filterPairs, mentoring}
+   */
+  async loadRound(title) {
+    if (!this.isInitialized || !this.sheetsService) {
+      throw new Error('서비스가 초기화되지 않았습니다. initialize()를 먼저 호출하세요.');
+    }
+
+    const tabTitle = `${title}`.startsWith(ROUND_TAB_LAYOUT.prefix) ? `${title}` : `${ROUND_TAB_LAYOUT.prefix}${title}`;
+    const sectionKeys = ['metadata', 'pairs', 'roster', 'filterPairs', 'mentoring'];
+    const ranges = sectionKeys.map(key => resolveRange(ROUND_TAB_LAYOUT, key, quoteSheetName(tabTitle)));
+
+    try {
+      const batchData = await this.sheetsService.getBatchData(ranges);
+      const [metadataRows, pairRows, rosterRows, filterRows, mentoringRows] = ranges.map(range => (batchData[range] || []).slice(1));
+
+      const values = {};
+      metadataRows
+        .filter(row => Array.isArray(row) && `${row[0] ?? ''}`.trim())
+        .forEach(([key, value]) => {
+          values[`${key}`.trim()] = parseArchivedValue(`${value ?? ''}`);
+        });
+      const {round, savedAt, ...metadata} = values;
+
+      const cell = value => `${value ?? ''}`.trim();
+      const pairs = pairRows
+        .filter(row => Array.isArray(row) && cell(row[0]) && cell(row[1]))
+        .map(row => ({
+          giver: cell(row[0]),
+          receiver: cell(row[1]),
+          giverType: cell(row[2]) || null,
+          receiverType: cell(row[3]) || null
+        }));
+
+      const roster = {normals: [], newbies: [], leaders: [], participants: []};
+      rosterRows
+        .filter(row => Array.isArray(row) && cell(row[0]))
+        .forEach(row => {
+          const type = cell(row[1]);
+          if (ROSTER_TYPE_ALIASES[type]) {
+            roster[`${type}s`].push(cell(row[0]));
+          } else if (type) {
+            roster.participants.push({name: cell(row[0]), type});
+          }
+        });
+
+      console.log(`📂 회차 불러오기 완료: ${tabTitle} (${pairs.length}개 쌍)`);
+      return {
+        title: tabTitle,
+        round: `${round ?? tabTitle.slice(ROUND_TAB_LAYOUT.prefix.length)}`,
+        savedAt: savedAt ?? null,
+        seed: metadata.seed ?? null,
+        metadata,
+        pairs,
+        roster,
+        filterPairs: this.extractPairData(filterRows),
+        mentoring: this.extractPairData(mentoringRows).map(([mentor, mentee]) => ({mentor, mentee}))
+      };
+    } catch (error) {
+      console.error('❌ 회차 불러오기 실패:', error);
+      throw new Error(`회차 불러오기 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * 스프레드시트에 탭이 있는지 확인
+   * @param {string} title - 탭 이름
+   * @returns {Promise<boolean>} 있으면 true
+   */
+  async hasSheet(title) {
+    const metadata = await this.sheetsService.getSpreadsheetMetadata();
+    return (metadata.sheets || []).some(sheet => sheet.properties?.title === title);
+  }
+
+  /**
+   * 범위가 탭의 격자 밖에 있으면 탭의 열/행을 늘림 (spreadsheets.batchUpdate의 appendDimension)
+   * 기본 pairDetails 영역(AB:AF)처럼 Z열 뒤에 있는 영역을 26열짜리 탭에 쓰기 전에 호출
+   * @param {Array<string>} ranges - 시트명이 붙은 범위 배열
+   * @returns {Promise<Array<Object>>} 늘린 내역 [{sheet, dimension, length}]
+   */
+  async ensureGridSize(ranges) {
+    const needed = new Map();
+    ranges.map(requiredGridSize).filter(Boolean).forEach(({sheet, columnCount, rowCount}) => {
+      const current = needed.get(sheet) || {columnCount: 0, rowCount: 0};
+      needed.set(sheet, {
+        columnCount: Math.max(current.columnCount, columnCount),
+        rowCount: Math.max(current.rowCount, rowCount ?? 0)
+      });
+    });
+
+    const metadata = await this.sheetsService.getSpreadsheetMetadata();
+    const expansions = [];
+    (metadata.sheets || []).map(sheet => sheet.properties || {}).forEach(properties => {
+      const size = needed.get(properties.title);
+      if (!size) return;
+      const grid = properties.gridProperties || {};
+      if (size.columnCount > (grid.columnCount ?? 0)) {
+        expansions.push({sheet: properties.title, sheetId: properties.sheetId, dimension: 'COLUMNS', length: size.columnCount - (grid.columnCount ?? 0)});
+      }
+      if (size.rowCount > (grid.rowCount ?? 0)) {
+        expansions.push({sheet: properties.title, sheetId: properties.sheetId, dimension: 'ROWS', length: size.rowCount - (grid.rowCount ?? 0)});
+      }
+    });
+
+    if (expansions.length > 0) {
+      console.log(`📐 격자 확장: ${expansions.map(({sheet, dimension, length}) => `${sheet} ${dimension === 'COLUMNS' ? '열' : '행'} +${length}`).join(', ')}`);
+      await this.sheetsService.batchUpdateSpreadsheet(expansions.map(({sheetId, dimension, length}) => ({
+        appendDimension: {sheetId, dimension, length}
+      })));
+    }
+
+    return expansions.map(({sheet, dimension, length}) => ({sheet, dimension, length}));
+  }
+
+  /**
+   * 다시 읽은 범위 값과 기대한 행 비교 (기대한 행 뒤는 모두 빈 행이어야 함)
+   * @param {Object} stored - getBatchData 결과 (범위 → 값)
+   * @param {Object} expected - 범위 → 기대하는 행 배열
+   * @param {number} rowCount - 확인할 전체 행 수
+   * @returns {Array<string>} 불일치 설명 (일치하면 빈 배열)
+   */
+  comparePairRows(stored, expected, rowCount) {
+    const mismatches = [];
+    const cell = value => `${value ?? ''}`.trim();
+
+    Object.entries(expected).forEach(([range, rows]) => {
+      const actualRows = stored[range] || [];
+      for (let index = 0; index < rowCount; index++) {
+        const want = (rows[index] || []).map(cell);
+        const got = actualRows[index] || [];
+        const width = Math.max(want.length, got.length);
+        const same = Array.from({length: width}, (_, col) => cell(want[col]) === cell(got[col])).every(Boolean);
+        if (!same) {
+          mismatches.push(`${range} ${index + 1}번째 행 [${want.join(', ')}] ≠ [${got.map(cell).join(', ')}]`);
+        }
+      }
+    });
+
+    return mismatches;
+  }
+
 }
 
 /**
@@ -0,0 +1,188 @@
+/**
+ * 스프레드시트 레이아웃 정의
+ * 명단/금지된 쌍/결과/인증 정보가 어느 범위에 있는지 한 곳에서 관리
+ * Settings 탭에 "키 | 범위" 두 컬럼으로 적어 두면 기본값을 덮어씀 (시트를 재배치해도 코드 수정 불필요)
+ *
+ * 범위에 탭 이름이 없으면 sheetName 탭 기준 (예: 'A4:A' → 'DB!A4:A'),
+ * 탭 이름이 있으면 그대로 사용 (예: 'History!A2:C')
+ */
+
+/**
+ * 기본 레이아웃
+ */
+export const DEFAULT_SHEET_LAYOUT = {
+    sheetName: 'DB',          // 기본 탭
+    roster: '',               // 헤더 기반 명단 표 (예: 'Roster!A1:Z', 지정하면 normals/newbies/leaders 대신 사용)
+    normals: 'A4:A',          // normal 명단 (1컬럼)
+    newbies: 'B4:B',          // newbie 명단 (1컬럼)
+    leaders: 'C4:C',          // leader 명단 (1컬럼)
+    filterPairs: 'G4:H40',    // 금지된 쌍 (2컬럼)
+    attributes: 'P3:Z',       // 참가자 속성 표 (첫 행은 헤더, 비워두면 사용 안 함)
+    pairs: 'J4:K1000',        // 추첨 결과 giver | receiver (2컬럼, 시작 행부터 기록)
+    pairDetails: 'AB4:AF1000', // 결과 행별 회차 | 저장 시각 | 시드 | giver 타입 | receiver 타입 (5컬럼, pairs와 같은 순서)
+    mentoring: '',            // 멘토링 배정 mentor | mentee (2컬럼, 예: 'AH4:AI1000', 지정해야 mentoring 모드 결과를 저장할 수 있음)
+    credentials: 'M4:N1000',  // 이름 | 비밀번호 (2컬럼)
+    history: 'History!A2:C',  // 회차 | giver | receiver 누적 기록
+    rules: 'Rules!A1',        // 선언형 규칙 JSON 셀
+    status: 'Status!A1'       // 이벤트 진행 상태 셀 (draft | published | revealed | archived)
+};
+
+/**
+ * 회차 보관 탭 구성 (추첨 결과를 게시할 때마다 '<prefix><회차>' 탭을 새로 만들어 기록)
+ * 각 영역의 첫 행은 헤더
+ */
+export const ROUND_TAB_LAYOUT = {
+    prefix: 'Round-',
+    metadata: 'A1:B',     // 항목 | 값 (회차, 저장 시각, 시드, 추첨 메타데이터)
+    pairs: 'D1:G',        // giver | receiver | giver 타입 | receiver 타입
+    roster: 'I1:J',       // 이름 | 타입 (추첨 당시 명단)
+    filterPairs: 'L1:M',  // 금지된 쌍
+    mentoring: 'O1:P'     // mentor | mentee (mentoring 모드 추첨의 멘토링 배정)
+};
+
+/**
+ * 레이아웃을 덮어쓰는 Settings 탭 기본 위치
+ */
+export const DEFAULT_SETTINGS_RANGE = 'Settings!A1:B';
+
+// 컬럼 수가 정해진 영역
+const REGION_WIDTHS = {
+    filterPairs: 2,
+    pairs: 2,
+    credentials: 2,
+    mentoring: 2,
+    pairDetails: 5
+};
+
+// 선택사항 영역 (빈 값 허용)
+const OPTIONAL_REGIONS = ['roster', 'attributes', 'mentoring'];
+
+const A1_RANGE_PATTERN = /^(?:(.+)!)?([A-Z]+)(\d*)(?::([A-Z]+)(\d*))?$/;
+
+/**
+ * A1 표기 열 문자를 0부터 시작하는 열 번호로 변환 (A → 0, AA → 26)
+ * @param {string} letter - 열 문자
+ * @returns {number} 열 번호
+ */
+function columnIndex(letter) {
+    return [...letter].reduce((index, char) => index * 26 + (char.charCodeAt(0) - 64), 0) - 1;
+}
+
+/**
+ * A1 표기 범위 분해
+ * @param {string} range - 범위 (예: 'J4:K1000', 'History!A2:C')
+ * @returns {Object|null} {sheet, startColumn, startRow, endColumn, endRow} (행이 없으면 null, 형식이 틀리면 null 반환)
+ */
+export function parseA1Range(range) {
+    const match = A1_RANGE_PATTERN.exec(`${range ?? ''}`.trim());
+    if (!match) return null;
+
+    const [, sheet, startColumn, startRow, endColumn, endRow] = match;
+    return {
+        sheet: sheet || null,
+        startColumn,
+        startRow: startRow ? Number(startRow) : null,
+        endColumn: endColumn || startColumn,
+        endRow: endRow ? Number(endRow) : (endColumn ? null : (startRow ? Number(startRow) : null))
+    };
+}
+
+/**
+ * 레이아웃 검증 후 기본값과 합친 레이아웃 반환
+ * @param {Object|Array<Array<string>>} source - 레이아웃 객체 또는 Settings 탭의 [키, 범위] 행
+ * @returns {Object} 검증된 레이아웃
+ */
+export function parseSheetLayout(source) {
+    const entries = Array.isArray(source)
+        ? source
+            .filter(row => Array.isArray(row) && `${row[0] ?? ''}`.trim())
+            .map(([key, value]) => [`${key}`.trim(), `${value ?? ''}`.trim()])
+        : Object.entries(source || {});
+
+    const layout = {...DEFAULT_SHEET_LAYOUT};
+
+    entries.forEach(([key, value]) => {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_SHEET_LAYOUT, key)) {
+            console.warn(`⚠️ 알 수 없는 레이아웃 키는 무시합니다: ${key}`);
+            return;
+        }
+        layout[key] = value;
+    });
+
+    if (!layout.sheetName) {
+        throw new Error('레이아웃 오류: sheetName이 비어 있습니다.');
+    }
+
+    Object.keys(DEFAULT_SHEET_LAYOUT)
+        .filter(key => key !== 'sheetName')
+        .forEach(key => {
+            if (!layout[key]) {
+                if (OPTIONAL_REGIONS.includes(key)) return;
+                throw new Error(`레이아웃 오류: ${key} 범위가 비어 있습니다.`);
+            }
+
+            const parsed = parseA1Range(layout[key]);
+            if (!parsed) {
+                throw new Error(`레이아웃 오류: ${key} 범위 형식이 올바르지 않습니다 (${layout[key]}).`);
+            }
+
+            const width = REGION_WIDTHS[key];
+            if (width && columnIndex(parsed.endColumn) - columnIndex(parsed.startColumn) + 1 !== width) {
+                throw new Error(`레이아웃 오류: ${key} 범위는 ${width}컬럼이어야 합니다 (${layout[key]}).`);
+            }
+        });
+
+    return layout;
+}
+
+/**
+ * 레이아웃의 영역 이름을 시트명이 붙은 전체 범위로 변환
+ * @param {Object} layout - 레이아웃
+ * @param {string} key - 영역 이름 (normals, pairs, credentials 등)
+ * @param {string} sheetName - 기본 탭 대신 사용할 탭 (선택사항)
+ * @returns {string|null} 전체 범위 (예: 'DB!J4:K1000', 영역이 비어 있으면 null)
+ */
+export function resolveRange(layout, key, sheetName = layout.sheetName) {
+    const range = layout[key];
+    if (!range) return null;
+    return range.includes('!') ? range : `${sheetName}!${range}`;
+}
+
+/**
+ * 결과처럼 시작 행부터 N행을 기록하는 영역의 실제 쓰기 범위 계산
+ * @param {Object} layout - 레이아웃
+ * @param {string} key - 영역 이름
+ * @param {number} rowCount - 기록할 행 수
+ * @param {string} sheetName - 기본 탭 대신 사용할 탭 (선택사항)
+ * @returns {string} 쓰기 범위 (예: 'DB!J4:K23')
+ */
+export function resolveWriteRange(layout, key, rowCount, sheetName = layout.sheetName) {
+    const parsed = parseA1Range(layout[key]);
+    const startRow = parsed.startRow ?? 1;
+    const endRow = startRow + Math.max(rowCount, 1) - 1;
+
+    if (parsed.endRow && endRow > parsed.endRow) {
+        throw new Error(`${key} 영역(${layout[key]})에 ${rowCount}행을 기록할 수 없습니다. 레이아웃의 끝 행을 늘려주세요.`);
+    }
+
+    const sheet = parsed.sheet || sheetName;
+    return `${sheet}!${parsed.startColumn}${startRow}:${parsed.endColumn}${endRow}`;
+}
+
+/**
+ * 범위를 담으려면 탭에 필요한 격자 크기
+ * (새 스프레드시트의 기본 격자는 26열(A~Z) × 1000행이고, 격자 밖 범위는 Sheets API가 읽기/쓰기를 모두 거부함)
+ * @param {string} range - 시트명이 붙은 범위 (예: 'DB!AB4:AF1000', "'Round-1'!D1:G")
+ * @returns {Object|null} {sheet, columnCount, rowCount} (끝 행이 없으면 rowCount는 null, 형식이 틀리면 null)
+ */
+export function requiredGridSize(range) {
+    const parsed = parseA1Range(range);
+    if (!parsed || !parsed.sheet) return null;
+
+    const sheet = parsed.sheet.startsWith("'") ? parsed.sheet.slice(1, -1).replace(/''/g, "'") : parsed.sheet;
+    return {
+        sheet,
+        columnCount: columnIndex(parsed.endColumn) + 1,
+        rowCount: parsed.endRow
+    };
+}
@@ -1,10 +1,67 @@
-function makePairs(normals, newbies, leaders, filterPairs = []) {
-    console.log('🎯 2단계 규칙 기반 쌍 생성 시작');
-    console.log(`📊 참가자: normal ${normals.length}명, newbie ${newbies.length}명, leader ${leaders.length}명`);
-    console.log(`🚫 금지된 쌍: ${filterPairs.length}개`);
+import {createSeededRandom, generateSeed, shuffleArray} from './randomService.js';
+import {solveHamiltonianCycle, matchWithCapacity} from './pairingSolver.js';
+import {createRuleEngine} from './ruleEngine.js';
+import {verifyAssignment} from './verificationService.js';
+
+/**
+ * 규칙 기반 giver-receiver 쌍 생성
+ * @param {Array<string>} normals - normal 참가자 이름 배열
+ * @param {Array<string>} newbies - newbie 참가자 이름 배열
+ * @param {Array<string>} leaders - leader 참가자 이름 배열
+ * @param {Array<Array<string>>} filterPairs - 금지된 쌍 배열
+ * @param {Object} options - 추첨 옵션
+ * @param {string|number} options.seed - 시드 (없으면 새로 생성하여 metadata에 기록)
+ * @param {Function} options.random - 직접 주입하는 난수 함수 (지정 시 seed보다 우선)
+ * @param {Array<Array<string>>} options.previousPairs - 이전 회차들의 [giver, receiver] 쌍
+ * @param {string} options.repeatMode - 이전 쌍 처리 방식 ('soft': 가능하면 피함, 'hard': 반드시 피함)
+ * @param {number} options.historyRounds - previousPairs가 포함하는 회차 수 (metadata 기록용)
+ * @param {Object|string} options.rules - 선언형 규칙 정의 (기본값: DEFAULT_RULE_SET)
+ * @param {Array<Object>} options.participants - 추가 참가자 {name, type} (규칙에 정의된 임의 타입, normal 그룹에 포함)
+ * @param {Object} options.attributes - 이름별 속성 {이름: {team, cohort, ...}} (속성 규칙에서 사용)
+ * @param {string} options.mode - 'split': newbie+leader / normal 두 사이클 (기본값), 'global': 전체 단일 사이클,
+ *                                'mentoring': leader → newbie 멘토링 배정 + 나머지 전체 단일 사이클
+ * @param {number} options.receiversPerGiver - 한 명이 챙길 사람 수 K (기본값 1, K명에게 주고 K명에게 받음)
+ * @param {Function} options.onProgress - 솔버 진행 상황 콜백 ({stage, group, phase, attempts, steps, depth, cycles}, 선택사항)
+ * @param {number|Object} options.mentorCapacity - mentoring 모드에서 leader 한 명이 맡을 newbie 수
+ *                                                 (숫자: 모든 leader 공통, 객체: {leader 이름: 수, default: 수}, 기본값 1)
+ * @param {Object} options.solverBudget - 그룹별 솔버 탐색 한도 ({samplingAttempts, maxSteps}, 선택사항, 기본값: 솔버 기본값)
+ * @param {Object} options.logger - 진행 로그를 남길 객체 ({log}, 기본값: console, 여러 번 추첨할 때는 SILENT_LOGGER)
+ * @returns {Object} {pairs, mentoring, metadata} (mentoring은 mentoring 모드에서만 [{mentor, mentee}])
+ *                   각 쌍의 explanation에 생성 단계, 시도 횟수, 확인한 규칙 기록 ("왜 이 사람과?" 답변용)
+ */
+function makePairs(normals, newbies, leaders, filterPairs = [], options = {}) {
+    const mode = Object.values(PAIRING_MODES).includes(options.mode) ? options.mode : PAIRING_MODES.split;
+    const logger = options.logger || console;
+    logger.log({
+        [PAIRING_MODES.split]: '🎯 2단계 규칙 기반 쌍 생성 시작',
+        [PAIRING_MODES.global]: '🎯 단일 사이클 규칙 기반 쌍 생성 시작',
+        [PAIRING_MODES.mentoring]: '🎯 멘토링 배정 + 단일 사이클 쌍 생성 시작'
+    }[mode]);
+    logger.log(`📊 참가자: normal ${normals.length}명, newbie ${newbies.length}명, leader ${leaders.length}명`);
+    logger.log(`🚫 금지된 쌍: ${filterPairs.length}개`);
+
+    // 규칙 엔진 (filterPairs도 규칙의 일부로 평가)
+    const ruleEngine = createRuleEngine(options.rules, filterPairs);
+    const extraParticipants = options.participants || [];
+    extraParticipants.forEach(participant => {
+        if (!ruleEngine.isKnownType(participant.type)) {
+            throw new Error(`규칙에 정의되지 않은 참가자 타입입니다: ${participant.name} (${participant.type})`);
+        }
+    });
+
+    // 같은 이름이 여러 번 있으면 한 사람이 두 번 주고받게 되므로 추첨하지 않음
+    const seenNames = new Set();
+    const duplicateNames = new Set();
+    [...normals, ...newbies, ...leaders, ...extraParticipants.map(participant => participant.name)].forEach(name => {
+        if (seenNames.has(name)) duplicateNames.add(name);
+        seenNames.add(name);
+    });
+    if (duplicateNames.size > 0) {
+        throw new Error(`명단에 같은 이름이 여러 번 있습니다: ${[...duplicateNames].join(', ')}. 중복을 정리한 뒤 다시 추첨해주세요.`);
+    }
 
     // 전체 참가자 수 검증
-    const totalCount = normals.length + newbies.length + leaders.length;
+    const totalCount = normals.length + newbies.length + leaders.length + extraParticipants.length;
 
     if (totalCount === 0) {
         return {pairs: [], metadata: {error: '참가자가 없습니다.'}};
@@ -14,40 +71,82 @@ function makePairs(normals, newbies, leaders, filterPairs = []) {
         throw new Error('참가자가 1명뿐이어서 쌍을 만들 수 없습니다.');
     }
 
-    // filterPairs를 전역 변수로 설정 (isValidPair에서 사용)
-    const forbiddenPairs = new Set();
-    filterPairs.forEach(([a, b]) => {
-        if (a && b) {
-            forbiddenPairs.add(`${a}-${b}`);
-            forbiddenPairs.add(`${b}-${a}`);
-        }
-    });
+    // 모든 셔플은 하나의 난수 함수를 공유 → 같은 시드면 같은 결과
+    // (쌍에는 시간 정보를 넣지 않고 생성 시각은 metadata.generatedAt에만 기록)
+    const {random, seed} = resolveRandom(options);
+    logger.log(`🎲 시드: ${seed ?? '(주입된 난수 함수)'}`);
+
+    const receiversPerGiver = options.receiversPerGiver ?? 1;
+    if (!Number.isInteger(receiversPerGiver) || receiversPerGiver < 1) {
+        throw new Error(`받는 사람 수는 1 이상의 정수여야 합니다: ${receiversPerGiver}`);
+    }
+    if (receiversPerGiver > 1) {
+        logger.log(`👥 한 명당 ${receiversPerGiver}명에게 주고 ${receiversPerGiver}명에게 받음`);
+    }
 
-    const newbieParticipantsData = makeNewbieParticipants(newbies, leaders);
-    const newbieAndLeaders = newbieParticipantsData.newbieAndLeaders;
+    // 이전 회차 쌍 (방향 있음: giver → receiver)
+    const previousPairs = buildPreviousPairCounts(options.previousPairs);
+    const repeatMode = options.repeatMode === 'hard' ? 'hard' : 'soft';
+    if (previousPairs.size > 0) {
+        logger.log(`🕘 이전 회차 쌍: ${previousPairs.size}개 (${repeatMode})`);
+    }
 
-    const normalParticipants = [
-        ...normals.map(name => ({name, type: 'normal'})),
-        ...newbieParticipantsData.remainLeaders.map(name => ({name, type: 'leader'}))
-    ];
+    // 참가자 객체에 속성 연결
+    const attributes = options.attributes || {};
+    const withAttributes = participant => ({...participant, attributes: attributes[participant.name] || {}});
 
-    const pairs = [];
+    const groups = buildPairingGroups(normals, newbies, leaders, extraParticipants, mode, random)
+        .map(group => ({...group, members: group.members.map(withAttributes)}));
 
-    // 1. newbie와 leader끼리 짝 매칭
-    if (newbieAndLeaders.length > 0) {
-        console.log(`📋 1단계: newbie + leader ${newbieAndLeaders.length}명 매칭`);
-        const newbieLeaderPairs = shuffleAndPair(newbieAndLeaders, forbiddenPairs);
-        pairs.push(...newbieLeaderPairs);
+    // split 모드에서 newbie 사이클에 뽑히지 않아 normal 그룹으로 옮긴 leader
+    const movedLeaders = mode === PAIRING_MODES.split
+        ? groups.find(group => group.kind === 'normal').movedLeaders
+        : null;
+    if (movedLeaders && movedLeaders.length > 0) {
+        logger.log(`🔀 normal 그룹으로 옮긴 leader: ${movedLeaders.join(', ')}`);
     }
 
-    // 2. normal끼리 짝 매칭
-    if (normalParticipants.length > 0) {
-        console.log(`📋 2단계: normal ${normalParticipants.length}명 매칭`);
-        const normalPairs = shuffleAndPair(normalParticipants, forbiddenPairs);
-        pairs.push(...normalPairs);
-    }
+    // mentoring 모드: leader → newbie 멘토링을 먼저 배정 (newbie는 사이클에 들어가지 않음)
+    const mentoring = mode === PAIRING_MODES.mentoring
+        ? assignMentors(newbies.map(name => withAttributes({name, type: 'newbie'})),
+            leaders.map(name => withAttributes({name, type: 'leader'})),
+            ruleEngine, random, options.mentorCapacity, logger)
+        : null;
+
+    const pairs = [];
+    const solverStats = [];
+    const relaxedPairs = [];
+
+    // 그룹별로 원형 연결 (split: 1단계 newbie + leader, 2단계 normal / global: 전체 한 번)
+    groups.forEach((group, index) => {
+        if (group.members.length === 0) return;
+        logger.log(`📋 ${index + 1}단계: ${group.label} ${group.members.length}명 매칭`);
+        const solverContext = {
+            stats: solverStats,
+            relaxedPairs,
+            budget: options.solverBudget,
+            logger,
+            onProgress: options.onProgress
+                ? progress => options.onProgress({stage: index + 1, group: group.label, ...progress})
+                : null
+        };
+        const groupPairs = pairGroup(group.members, ruleEngine, random, previousPairs, repeatMode, receiversPerGiver, solverContext);
+
+        // 쌍별 설명: 어느 단계에서 몇 번째 시도로 만들어졌고 어떤 규칙을 확인했는지
+        pairs.push(...groupPairs.map(({explanation, ...pair}) => ({
+            ...pair,
+            explanation: {
+                stage: index + 1,
+                stageKind: group.kind,
+                stageLabel: group.label,
+                ...explanation,
+                previousCount: previousPairs.get(`${pair.giver}-${pair.receiver}`) || 0,
+                rulesChecked: [...ruleEngine.blockingRuleIds(), ...(explanation.repeatChecked ? ['repeat'] : [])]
+            }
+        })));
+    });
 
-    console.log(`✅ 총 ${pairs.length}개의 유효한 쌍이 생성되었습니다`);
+    logger.log(`✅ 총 ${pairs.length}개의 유효한 쌍이 생성되었습니다`);
 
     // ID 재정렬
     const finalPairs = pairs.map((pair, index) => ({
@@ -55,81 +154,641 @@ function makePairs(normals, newbies, leaders, filterPairs = []) {
         id: index + 1
     }));
 
-    validResult(finalPairs);
+    // 생성 결과 검증 (2명뿐인 그룹은 서로 주고받을 수밖에 없으므로 허용)
+    const verification = verifyAssignment(
+        finalPairs,
+        {normals, newbies, leaders, participants: extraParticipants, attributes, filterPairs},
+        options.rules,
+        {
+            receiversPerGiver,
+            ...(mentoring && {mentoring: mentoring.matches, mentorCapacity: options.mentorCapacity}),
+            allowedMutualPairs: groups
+                .filter(group => group.members.length === 2)
+                .map(group => group.members.map(member => member.name))
+        }
+    );
+    if (!verification.valid) {
+        throw new Error(`유효성 검사 실패: ${verification.violations.map(violation => violation.message).join(' / ')}`);
+    }
 
     return {
         pairs: finalPairs,
+        ...(mentoring && {mentoring: mentoring.matches}),
         metadata: {
             totalParticipants: totalCount,
             usedParticipants: totalCount,
             excludedParticipants: 0,
             excluded: [],
             forbiddenPairs: filterPairs.length,
+            seed,
+            mode,
+            receiversPerGiver,
+            mentoring: mentoring ? mentoring.summary : null,
+            movedLeaders,
+            preferenceScore: ruleEngine.hasPreferences
+                ? finalPairs.reduce((sum, pair) => sum + pair.preferenceScore, 0)
+                : null,
+            history: summarizeHistory(finalPairs, groups.flatMap(group => group.members), ruleEngine, options.previousPairs, repeatMode, options.historyRounds, relaxedPairs),
             generatedAt: new Date().toISOString(),
-            rules: [
-                'newbie는 newbie 또는 leader와만 짝 가능',
-                'leader끼리는 짝 불가',
-                'normal은 누구와도 짝 가능',
-                'filterPairs에 포함된 쌍은 금지'
+            rules: ruleEngine.describe(),
+            verification,
+            solver: {
+                runs: solverStats.length,
+                attempts: solverStats.reduce((sum, stat) => sum + stat.attempts, 0),
+                enumerations: solverStats.filter(stat => stat.method === 'enumeration').length,
+                nonUniform: solverStats.filter(stat => !stat.uniform).length,
+                steps: solverStats.reduce((sum, stat) => sum + stat.steps, 0)
+            }
+        }
+    };
+}
+
+// 여러 번 추첨할 때 진행 로그를 남기지 않는 logger
+const SILENT_LOGGER = { log() {} };
+
+// 쌍 생성 방식
+const PAIRING_MODES = {
+    split: 'split',         // newbie + leader 사이클과 normal 사이클을 따로 생성
+    global: 'global',       // 모든 참가자를 하나의 사이클로 연결 (타입 규칙은 그대로 적용)
+    mentoring: 'mentoring'  // newbie는 leader에게서 멘토링으로 받고, 나머지는 하나의 사이클로 연결
+};
+
+/**
+ * 생성 방식에 따라 원형 연결할 그룹 구성
+ * @returns {Array<Object>} {label, kind, members} 배열 (members는 {name, type}, kind: 'newbieLeader' | 'normal' | 'single')
+ *                          split 모드의 normal 그룹에는 옮겨 온 leader 이름(movedLeaders)도 기록
+ */
+function buildPairingGroups(normals, newbies, leaders, extraParticipants, mode, random) {
+    const extras = extraParticipants.map(({name, type}) => ({name, type}));
+
+    if (mode === PAIRING_MODES.mentoring) {
+        return [{
+            label: '전체 단일 사이클 (newbie 제외)',
+            kind: 'single',
+            members: [
+                ...normals.map(name => ({name, type: 'normal'})),
+                ...leaders.map(name => ({name, type: 'leader'})),
+                ...extras
+            ]
+        }];
+    }
+
+    if (mode === PAIRING_MODES.global) {
+        return [{
+            label: '전체 단일 사이클',
+            kind: 'single',
+            members: [
+                ...normals.map(name => ({name, type: 'normal'})),
+                ...newbies.map(name => ({name, type: 'newbie'})),
+                ...leaders.map(name => ({name, type: 'leader'})),
+                ...extras
             ]
+        }];
+    }
+
+    const newbieParticipantsData = makeNewbieParticipants(newbies, leaders, random);
+    return [
+        {label: 'newbie + leader', kind: 'newbieLeader', members: newbieParticipantsData.newbieAndLeaders},
+        {
+            label: 'normal',
+            kind: 'normal',
+            members: [
+                ...normals.map(name => ({name, type: 'normal'})),
+                ...newbieParticipantsData.remainLeaders.map(name => ({name, type: 'leader'})),
+                ...extras
+            ],
+            movedLeaders: newbieParticipantsData.remainLeaders
+        }
+    ];
+}
+
+/**
+ * leader별 멘토링 용량 계산
+ * @param {Array<string>} leaderNames - leader 이름 배열
+ * @param {number|Object} mentorCapacity - 공통 용량 또는 {이름: 용량, default: 용량}
+ * @returns {Array<number>} leader별 용량
+ */
+function resolveMentorCapacities(leaderNames, mentorCapacity = 1) {
+    const fallback = typeof mentorCapacity === 'object' && mentorCapacity !== null
+        ? (mentorCapacity.default ?? 1)
+        : mentorCapacity;
+
+    return leaderNames.map(name => {
+        const capacity = typeof mentorCapacity === 'object' && mentorCapacity !== null
+            ? (mentorCapacity[name] ?? fallback)
+            : fallback;
+        if (!Number.isInteger(capacity) || capacity < 0) {
+            throw new Error(`멘토링 용량은 0 이상의 정수여야 합니다: ${name} (${capacity})`);
+        }
+        return capacity;
+    });
+}
+
+/**
+ * leader → newbie 멘토링 배정 (모든 newbie가 정확히 한 명의 leader에게서 받음)
+ * @param {Array<Object>} newbies - newbie 참가자 객체
+ * @param {Array<Object>} leaders - leader 참가자 객체
+ * @param {Object} ruleEngine - 규칙 엔진 (filterPairs 등으로 막힌 leader → newbie는 배정하지 않음)
+ * @param {Function} random - 난수 함수
+ * @param {number|Object} mentorCapacity - leader별 용량
+ * @param {Object} logger - 진행 로그를 남길 객체 (기본값: console)
+ * @returns {Object} {matches: [{mentor, mentee}], summary}
+ */
+function assignMentors(newbies, leaders, ruleEngine, random, mentorCapacity, logger = console) {
+    const capacities = resolveMentorCapacities(leaders.map(leader => leader.name), mentorCapacity);
+    const totalCapacity = capacities.reduce((sum, capacity) => sum + capacity, 0);
+    logger.log(`🧑‍🏫 멘토링 배정: newbie ${newbies.length}명, leader ${leaders.length}명 (총 용량 ${totalCapacity})`);
+
+    if (newbies.length > totalCapacity) {
+        throw new InfeasiblePairingError(
+            `멘토링 용량이 부족합니다. newbie ${newbies.length}명, leader 용량 합계 ${totalCapacity}명`,
+            {
+                reason: 'mentorCapacity',
+                participants: newbies.map(newbie => newbie.name),
+                blocking: [],
+                summary: `newbie ${newbies.length}명을 맡기에 leader 용량(${totalCapacity})이 부족합니다.`
+            }
+        );
+    }
+
+    const result = matchWithCapacity(
+        leaders.length,
+        newbies.length,
+        capacities,
+        (leaderIndex, newbieIndex) => isValidPair(leaders[leaderIndex], newbies[newbieIndex], ruleEngine),
+        random
+    );
+
+    if (!result.feasible) {
+        const unmatched = result.unmatched.map(index => newbies[index]);
+        const blocking = unmatched.flatMap(newbie => leaders
+            .map(leader => ({leader, block: getPairBlockReason(leader, newbie, ruleEngine)}))
+            .filter(({block}) => block)
+            .map(({leader, block}) => ({giver: leader.name, receiver: newbie.name, ...block})));
+        throw new InfeasiblePairingError(
+            `멘토를 배정할 수 없는 newbie가 있습니다: ${unmatched.map(newbie => newbie.name).join(', ')}`,
+            {
+                reason: 'mentorUnmatched',
+                participants: unmatched.map(newbie => newbie.name),
+                blocking,
+                summary: `${unmatched.map(newbie => newbie.name).join(', ')}님을 맡을 수 있는 leader가 남아 있지 않습니다.`
+            }
+        );
+    }
+
+    const matches = result.assignment.map((leaderIndex, newbieIndex) => ({
+        mentor: leaders[leaderIndex].name,
+        mentee: newbies[newbieIndex].name
+    }));
+
+    const load = Object.fromEntries(leaders.map(leader => [leader.name, 0]));
+    matches.forEach(({mentor}) => {
+        load[mentor]++;
+    });
+
+    logger.log(`   ✅ 멘토링 ${matches.length}건 배정`);
+
+    return {
+        matches,
+        summary: {
+            matches: matches.length,
+            totalCapacity,
+            capacities: Object.fromEntries(leaders.map((leader, index) => [leader.name, capacities[index]])),
+            load
+        }
+    };
+}
+
+/**
+ * 이전 회차 쌍을 방향 있는 키별 등장 횟수로 변환
+ * (여러 회차에 나온 쌍일수록 반복 최소화 시 더 무겁게 계산)
+ * @param {Array<Array<string>>} previousPairs - [giver, receiver] 배열
+ * @returns {Map<string, number>} `giver-receiver` 형태의 키 → 등장 횟수
+ */
+function buildPreviousPairCounts(previousPairs = []) {
+    const counts = new Map();
+    (previousPairs || []).forEach(([giver, receiver]) => {
+        if (giver && receiver) {
+            const key = `${giver}-${receiver}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    });
+    return counts;
+}
+
+// 여러 후보 중 고를 때(반복 최소화, 선호 조건) 비교할 후보 수
+const CANDIDATE_DRAWS = 20;
+
+// 여러 명에게 주는 모드에서 사이클을 처음부터 다시 쌓는 최대 횟수
+const MULTI_RECEIVER_ATTEMPTS = 10;
+
+/**
+ * 불가능 판정에 걸린 참가자의 이전 쌍만 회피 대상에서 뺌
+ * 판정에 참가자 정보가 없으면(탐색 한도 초과 등) 남은 이전 쌍을 모두 뺌
+ * @param {Map<string, number>} avoid - 현재 회피 중인 이전 쌍
+ * @param {Array<Object>} participants - 그룹 참가자
+ * @param {Error} error - InfeasiblePairingError 또는 SearchLimitError
+ * @returns {Map<string, number>|null} 줄어든 회피 대상 (남은 것이 없으면 null)
+ */
+function relaxAvoidedPairs(avoid, participants, error) {
+    const blocked = new Set(error.infeasibility?.participants || []);
+    const next = new Map(avoid);
+
+    if (blocked.size > 0) {
+        participants.forEach(giver => participants.forEach(receiver => {
+            if (blocked.has(giver.name) || blocked.has(receiver.name)) {
+                next.delete(`${giver.name}-${receiver.name}`);
+            }
+        }));
+    }
+
+    if (next.size === avoid.size) {
+        return null;
+    }
+    return next.size > 0 ? next : null;
+}
+
+/**
+ * 그룹 쌍 생성 (이전 회차 쌍 회피 + 속성 선호 조건 반영)
+ * - 이전 쌍은 우선 금지 조건으로 시도하고, soft 모드에서 불가능하거나 탐색 한도를 넘으면
+ *   막힌 참가자의 이전 쌍부터 조금씩 허용하며 다시 시도 (허용한 쌍은 solverContext.relaxedPairs에 기록)
+ * - 이전 쌍을 일부 허용했거나 선호 조건이 있으면 여러 후보를 뽑아 반복이 가장 적고, 같으면 선호 점수가 가장 높은 결과를 고름
+ */
+function pairGroup(participants, ruleEngine, random, previousPairs, repeatMode, receiversPerGiver = 1, solverContext = null) {
+    const draw = avoidPairs => receiversPerGiver > 1
+        ? shuffleAndPairMulti(participants, ruleEngine, random, avoidPairs, receiversPerGiver, solverContext)
+        : shuffleAndPair(participants, ruleEngine, random, avoidPairs, solverContext);
+    const canRelax = error => error instanceof InfeasiblePairingError || error instanceof SearchLimitError;
+
+    let avoid = previousPairs.size > 0 ? previousPairs : null;
+    let first = null;
+
+    while (!first) {
+        try {
+            first = draw(avoid);
+        } catch (error) {
+            if (!avoid || repeatMode === 'hard' || !canRelax(error)) {
+                throw error;
+            }
+            const relaxed = relaxAvoidedPairs(avoid, participants, error);
+            (solverContext?.logger || console).log(`   ⚠️ 이전 쌍을 모두 피할 수 없어 ${avoid.size - (relaxed?.size ?? 0)}개 쌍을 다시 허용합니다`);
+            avoid = relaxed;
+        }
+    }
+
+    const relaxedPairs = [...previousPairs.keys()].filter(key => !avoid?.has(key));
+    if (relaxedPairs.length > 0 && solverContext?.relaxedPairs) {
+        solverContext.relaxedPairs.push(...relaxedPairs);
+    }
+
+    const minimizeRepeats = relaxedPairs.length > 0;
+    const candidateCount = minimizeRepeats || ruleEngine.hasPreferences ? CANDIDATE_DRAWS : 1;
+
+    const byName = new Map(participants.map(p => [p.name, p]));
+    const evaluate = (pairs, candidate) => ({
+        pairs,
+        candidate,
+        repeats: pairs.reduce((sum, pair) => sum + (previousPairs.get(`${pair.giver}-${pair.receiver}`) || 0), 0),
+        score: pairs.reduce((sum, pair) => sum + ruleEngine.scorePair(byName.get(pair.giver), byName.get(pair.receiver)), 0)
+    });
+
+    let best = evaluate(first, 1);
+    for (let candidateIndex = 1; candidateIndex < candidateCount; candidateIndex++) {
+        let candidatePairs;
+        try {
+            candidatePairs = draw(avoid);
+        } catch (error) {
+            // 첫 결과는 이미 있으므로 탐색 한도를 넘은 후보는 건너뜀
+            if (error instanceof SearchLimitError) continue;
+            throw error;
+        }
+        const candidate = evaluate(candidatePairs, candidateIndex + 1);
+        if (candidate.repeats < best.repeats || (candidate.repeats === best.repeats && candidate.score > best.score)) {
+            best = candidate;
+        }
+    }
+
+    if (ruleEngine.hasPreferences) {
+        (solverContext?.logger || console).log(`   ⭐ 선호 점수 ${best.score} (${candidateCount}개 후보 중 선택)`);
+    }
+
+    return best.pairs.map(pair => ({
+        ...pair,
+        ...(ruleEngine.hasPreferences && {
+            preferenceScore: ruleEngine.scorePair(byName.get(pair.giver), byName.get(pair.receiver))
+        }),
+        explanation: {
+            ...pair.explanation,
+            candidate: best.candidate,
+            candidates: candidateCount,
+            repeatChecked: Boolean(avoid)
         }
+    }));
+}
+
+/**
+ * 이전 회차 쌍 반영 결과 요약
+ * avoided: 이번 명단에서 다시 나올 수 있었지만 피한 이전 쌍 수
+ * repeats: 다시 나온 이전 쌍 수 (soft 모드에서 모두 피하는 배정을 찾지 못해 회피를 푼 쌍 중에서만 나옴)
+ * relaxed: 회피를 푼 이전 쌍 수 (반복이 꼭 필요했다는 증명은 아님, 탐색 한도 때문에 푼 경우도 포함)
+ */
+function summarizeHistory(pairs, participants, ruleEngine, previousPairList = [], repeatMode, historyRounds, relaxedPairs = []) {
+    const byName = new Map(participants.map(p => [p.name, p]));
+    const previousPairs = buildPreviousPairCounts(previousPairList);
+    const repeated = pairs
+        .filter(pair => previousPairs.has(`${pair.giver}-${pair.receiver}`))
+        .map(pair => [pair.giver, pair.receiver]);
+
+    // 이번 명단에서 규칙상 다시 나올 수 있었던 이전 쌍 수
+    const seen = new Set();
+    let possible = 0;
+    (previousPairList || []).forEach(([giverName, receiverName]) => {
+        const key = `${giverName}-${receiverName}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        const giver = byName.get(giverName);
+        const receiver = byName.get(receiverName);
+        if (giver && receiver && isValidPair(giver, receiver, ruleEngine)) {
+            possible++;
+        }
+    });
+
+    return {
+        mode: repeatMode,
+        rounds: historyRounds ?? null,
+        previousPairs: previousPairs.size,
+        repeatsAvoided: Math.max(0, possible - repeated.length),
+        repeats: repeated.length,
+        relaxed: new Set(relaxedPairs).size,
+        repeated
     };
 }
 
-function shuffleAndPair(participants, forbiddenPairs) {
+/**
+ * 옵션에서 난수 함수와 시드를 결정
+ * @param {Object} options - makePairs 옵션
+ * @returns {Object} {random, seed}
+ */
+function resolveRandom(options = {}) {
+    if (typeof options.random === 'function') {
+        return {random: options.random, seed: options.seed ?? null};
+    }
+
+    const seed = options.seed !== undefined && options.seed !== null && `${options.seed}` !== ''
+        ? `${options.seed}`
+        : generateSeed();
+
+    return {random: createSeededRandom(seed), seed};
+}
+
+/**
+ * 쌍 생성이 불가능함이 확인되었을 때 던지는 에러
+ * infeasibility에 막고 있는 제약 조건 정보가 담김
+ */
+class InfeasiblePairingError extends Error {
+    constructor(message, infeasibility) {
+        super(message);
+        this.name = 'InfeasiblePairingError';
+        this.infeasibility = infeasibility;
+    }
+}
+
+/**
+ * 솔버가 탐색 한도 안에서 사이클을 찾지도, 불가능을 증명하지도 못했을 때 던지는 에러
+ * (불가능이 확인된 것이 아니므로 InfeasiblePairingError와 구분)
+ */
+class SearchLimitError extends Error {
+    constructor(message, steps) {
+        super(message);
+        this.name = 'SearchLimitError';
+        this.steps = steps;
+    }
+}
+
+/**
+ * 그룹 내에서 허용 간선 그래프 위의 해밀턴 사이클을 찾아 쌍 생성
+ * 사이클이 존재하지 않으면 막고 있는 제약과 함께 InfeasiblePairingError를 던짐
+ * @param {Array<Object>} participants - {name, type} 참가자 배열
+ * @param {Object} ruleEngine - createRuleEngine으로 만든 규칙 엔진
+ * @param {Function} random - 난수 함수
+ * @param {Set<string>|Map<string, number>} previousPairs - 피해야 할 이전 회차 쌍 키 집합 (방향 있음, 선택사항)
+ * @param {Object} solverContext - 솔버 실행 정보 (선택사항)
+ * @param {Array<Object>} solverContext.stats - 실행 결과를 모을 배열 ({method, attempts, steps, uniform})
+ * @param {Function} solverContext.onProgress - 솔버 진행 상황 콜백
+ * @param {Array<string>} solverContext.relaxedPairs - soft 모드에서 회피를 푼 이전 쌍 키를 모을 배열 (pairGroup에서 사용)
+ * @param {Object} solverContext.budget - 솔버 탐색 한도 ({samplingAttempts, maxSteps}, 선택사항, 기본값: 솔버 기본값)
+ * @param {Object} solverContext.logger - 진행 로그를 남길 객체 (선택사항, 기본값: console)
+ * @returns {Array<Object>} 쌍 배열 (explanation: {method, attempt})
+ */
+function shuffleAndPair(participants, ruleEngine, random = Math.random, previousPairs = null, solverContext = null) {
     if (participants.length === 0) {
         return [];
     }
 
     if (participants.length === 1) {
-        throw new Error(`그룹에 참가자가 1명뿐입니다 (${participants.length}명). 짝을 만들 수 없습니다.`);
+        throw new InfeasiblePairingError(
+            `그룹에 참가자가 1명뿐입니다 (${participants.length}명). 짝을 만들 수 없습니다.`,
+            {reason: 'tooFewNodes', participants: participants.map(p => p.name), blocking: []}
+        );
     }
 
-    const maxAttempts = 100;
-
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-        // Fisher-Yates 셔플
-        const shuffled = [...participants];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    const result = solveHamiltonianCycle(
+        participants.length,
+        (i, j) => isValidPair(participants[i], participants[j], ruleEngine, previousPairs),
+        random,
+        {
+            ...solverContext?.budget,
+            onProgress: solverContext?.onProgress || null,
+            classes: participants.map(p => p.type)
         }
+    );
+
+    if (solverContext?.stats) {
+        solverContext.stats.push({
+            method: result.method ?? 'failed',
+            attempts: result.attempts ?? 0,
+            steps: result.steps ?? 0,
+            uniform: result.uniform ?? false
+        });
+    }
 
-        // 원형 연결로 쌍 생성 시도
-        const pairs = [];
-        let success = true;
+    if (result.feasible === null) {
+        throw new SearchLimitError(
+            `그룹 내 유효한 쌍을 찾지 못했습니다 (${participants.length}명, ${result.steps}단계 탐색 한도 초과). 참가자 구성을 확인해주세요.`,
+            result.steps
+        );
+    }
+
+    if (!result.feasible) {
+        const infeasibility = explainInfeasibility(participants, ruleEngine, result, previousPairs);
+        throw new InfeasiblePairingError(
+            `그룹 내 유효한 쌍이 존재하지 않습니다 (${participants.length}명). ${infeasibility.summary}`,
+            infeasibility
+        );
+    }
 
-        for (let i = 0; i < shuffled.length; i++) {
-            const giver = shuffled[i];
-            const receiverIndex = (i + 1) % shuffled.length;
-            const receiver = shuffled[receiverIndex];
+    const {cycle} = result;
+    const pairs = cycle.map((giverIndex, i) => {
+        const giver = participants[giverIndex];
+        const receiver = participants[cycle[(i + 1) % cycle.length]];
+        return {
+            giver: giver.name,
+            giverType: giver.type,
+            receiver: receiver.name,
+            receiverType: receiver.type,
+            // 솔버 방식과 시도 횟수 (전체 탐색이면 무작위 시도 한도를 모두 쓴 뒤 찾은 것)
+            explanation: {method: result.method, attempt: result.attempts}
+        };
+    });
+
+    const logger = solverContext?.logger || console;
+    if (result.method === 'sampling') {
+        logger.log(`   ✅ ${result.attempts}번째 시도에서 성공 (${pairs.length}개 쌍)`);
+    } else {
+        logger.log(`   ✅ 전체 탐색으로 성공 (${result.steps}단계, ${pairs.length}개 쌍${result.uniform ? '' : ', 일부 열거'})`);
+    }
+
+    return pairs;
+}
+
+/**
+ * 한 명이 K명에게 주고 K명에게 받는 배정 (K-정규 방향 그래프)
+ * 간선이 겹치지 않는 해밀턴 사이클 K개를 차례로 쌓으며, 이미 쓴 간선과 그 역방향은 다음 사이클에서 금지
+ * → 같은 쌍 중복 없음, 서로 주고받는 쌍 없음
+ * @param {Array<Object>} participants - {name, type} 참가자 배열
+ * @param {Object} ruleEngine - 규칙 엔진
+ * @param {Function} random - 난수 함수
+ * @param {Set<string>|Map<string, number>} previousPairs - 피해야 할 이전 회차 쌍 키 집합 (선택사항)
+ * @param {number} receiversPerGiver - 한 명이 줄 사람 수 K
+ * @param {Object} solverContext - 솔버 실행 정보 ({stats, onProgress, logger}, 선택사항)
+ * @returns {Array<Object>} 쌍 배열 (slot: 몇 번째 사이클인지 1..K)
+ */
+function shuffleAndPairMulti(participants, ruleEngine, random, previousPairs, receiversPerGiver, solverContext = null) {
+    if (participants.length === 0) {
+        return [];
+    }
 
-            if (!isValidPair(giver, receiver, forbiddenPairs)) {
-                success = false;
-                break;
+    // 서로 주고받지 않으려면 주는 K명과 받는 K명이 모두 달라야 함
+    const minimum = receiversPerGiver * 2 + 1;
+    if (participants.length < minimum) {
+        throw new InfeasiblePairingError(
+            `그룹 인원(${participants.length}명)이 부족합니다. ${receiversPerGiver}명씩 주고받으려면 최소 ${minimum}명이 필요합니다.`,
+            {
+                reason: 'tooFewForMultiReceiver',
+                participants: participants.map(p => p.name),
+                blocking: [],
+                summary: `${receiversPerGiver}명씩 주고받으려면 최소 ${minimum}명이 필요합니다.`
             }
+        );
+    }
 
-            pairs.push({
-                giver: giver.name,
-                giverType: giver.type,
-                receiver: receiver.name,
-                receiverType: receiver.type,
-                createdAt: new Date().toISOString()
-            });
-        }
+    for (let attempt = 1; attempt <= MULTI_RECEIVER_ATTEMPTS; attempt++) {
+        const used = new Set(previousPairs ? previousPairs.keys() : []);
+        const pairs = [];
 
-        if (success) {
-            console.log(`   ✅ ${attempt + 1}번째 시도에서 성공 (${pairs.length}개 쌍)`);
+        try {
+            for (let slot = 1; slot <= receiversPerGiver; slot++) {
+                const cyclePairs = shuffleAndPair(participants, ruleEngine, random, used.size > 0 ? used : null, solverContext);
+                cyclePairs.forEach(pair => {
+                    used.add(`${pair.giver}-${pair.receiver}`);
+                    used.add(`${pair.receiver}-${pair.giver}`);
+                    pairs.push({...pair, slot, explanation: {...pair.explanation, restart: attempt}});
+                });
+            }
             return pairs;
+        } catch (error) {
+            // 첫 사이클부터 불가능하면 다시 시도해도 소용없음
+            if (!(error instanceof InfeasiblePairingError) || pairs.length === 0) {
+                throw error;
+            }
+            (solverContext?.logger || console).log(`   🔁 ${attempt}번째 시도에서 ${pairs.length / participants.length + 1}번째 사이클 실패, 다시 시도`);
         }
     }
 
-    throw new Error(`그룹 내 유효한 쌍을 생성할 수 없습니다 (${participants.length}명). 참가자 구성을 확인해주세요.`);
+    throw new InfeasiblePairingError(
+        `${MULTI_RECEIVER_ATTEMPTS}번 시도했지만 ${receiversPerGiver}명씩 겹치지 않게 주고받는 배정을 찾지 못했습니다 (${participants.length}명).`,
+        {
+            reason: 'multiReceiverExhausted',
+            participants: participants.map(p => p.name),
+            blocking: [],
+            summary: `${receiversPerGiver}명씩 겹치지 않게 주고받는 배정을 찾지 못했습니다. 받는 사람 수를 줄이거나 금지 조건을 확인해주세요.`
+        }
+    );
+}
+
+/**
+ * 솔버의 불가능 판정 결과를 사람이 읽을 수 있는 차단 제약 목록으로 변환
+ * @param {Array<Object>} participants - 참가자 배열
+ * @param {Object} ruleEngine - 규칙 엔진
+ * @param {Object} result - solveHamiltonianCycle 결과
+ * @param {Set<string>|Map<string, number>} previousPairs - 피해야 할 이전 회차 쌍 키 집합
+ * @returns {Object} {reason, participants, blocking, summary}
+ */
+function explainInfeasibility(participants, ruleEngine, result, previousPairs = null) {
+    const names = result.nodes.map(index => participants[index].name);
+
+    // 대상 참가자들의 막힌 간선을 사유와 함께 수집
+    const collectBlocking = (indices, direction) => {
+        const blocking = [];
+        indices.forEach(index => {
+            participants.forEach(other => {
+                const self = participants[index];
+                const [giver, receiver] = direction === 'out' ? [self, other] : [other, self];
+                const block = getPairBlockReason(giver, receiver, ruleEngine, previousPairs);
+                if (block && block.reason !== 'self') {
+                    blocking.push({giver: giver.name, receiver: receiver.name, ...block});
+                }
+            });
+        });
+        return blocking;
+    };
+
+    switch (result.reason) {
+        case 'noReceiver':
+            return {
+                reason: result.reason,
+                participants: names,
+                blocking: collectBlocking(result.nodes, 'out'),
+                summary: `${names[0]}님이 줄 수 있는 상대가 없습니다.`
+            };
+        case 'noGiver':
+            return {
+                reason: result.reason,
+                participants: names,
+                blocking: collectBlocking(result.nodes, 'in'),
+                summary: `${names[0]}님에게 줄 수 있는 상대가 없습니다.`
+            };
+        case 'hallViolation': {
+            const receivers = result.receivers.map(index => participants[index].name);
+            const receiverSet = new Set(result.receivers);
+            const outside = participants.map((_, index) => index).filter(index => !receiverSet.has(index));
+            const blocking = collectBlocking(result.nodes, 'out')
+                .filter(edge => outside.some(index => participants[index].name === edge.receiver));
+            return {
+                reason: result.reason,
+                participants: names,
+                receivers,
+                blocking,
+                summary: `${names.join(', ')} (${names.length}명)은 ${receivers.join(', ') || '없음'} (${receivers.length}명)에게만 줄 수 있습니다.`
+            };
+        }
+        default:
+            return {
+                reason: result.reason,
+                participants: participants.map(p => p.name),
+                blocking: collectBlocking(participants.map((_, index) => index), 'out'),
+                summary: '전체 탐색 결과 모든 제약을 만족하는 원형 연결이 없습니다.'
+            };
+    }
 }
 
-function makeNewbieParticipants(newbies, leaders) {
+function makeNewbieParticipants(newbies, leaders, random = Math.random) {
+    // newbie가 없으면 모든 leader는 normal 그룹으로
     if (newbies.length === 0) {
-        return [];
+        return {
+            "newbieAndLeaders": [],
+            "remainLeaders": [...leaders]
+        };
     }
 
     const newbieAndLeaders = [
@@ -146,11 +805,7 @@ function makeNewbieParticipants(newbies, leaders) {
         };
     }
     // 2. leader가 newbie 수보다 많은 경우: 일부 leader만 포함. 랜덤추출
-    const shuffledLeaders = [...leaders];
-    for (let i = shuffledLeaders.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffledLeaders[i], shuffledLeaders[j]] = [shuffledLeaders[j], shuffledLeaders[i]];
-    }
+    const shuffledLeaders = shuffleArray(leaders, random);
 
     const selectedLeaders = shuffledLeaders.slice(0, newbies.length);
     newbieAndLeaders.push(...selectedLeaders.map(name => ({name, type: 'leader'})));
@@ -164,36 +819,32 @@ function makeNewbieParticipants(newbies, leaders) {
 
 
 // 유효한 쌍인지 검증하는 함수
-function isValidPair(giver, receiver, forbiddenPairs) {
-    // 본인끼리는 불가
-    if (giver.name === receiver.name) return false;
-
-    // filterPairs에 금지된 쌍인지 확인
-    if (forbiddenPairs && forbiddenPairs.has(`${giver.name}-${receiver.name}`)) return false;
-
-    // 규칙 1: newbie가 giver 또는 receiver일 경우, 상대방은 newbie 또는 leader
-    if (giver.type === 'newbie' && receiver.type === 'normal') return false;
-    if (receiver.type === 'newbie' && giver.type === 'normal') return false;
-
-    // 규칙 2: newbie끼리는 불가
-    if (giver.type === 'newbie' && receiver.type === 'newbie') return false;
-
-    // 규칙 3: normal은 누구와도 가능 (위 조건들을 통과했으면)
-    return true;
+function isValidPair(giver, receiver, ruleEngine, previousPairs = null) {
+    return getPairBlockReason(giver, receiver, ruleEngine, previousPairs) === null;
 }
 
-function validResult(finalPairs) {
-    // 서로 쌍이면 안됨 (A->B, B->A)
-    const pairSet = new Set();
-    for (const pair of finalPairs) {
-        const forwardKey = `${pair.giver}-${pair.receiver}`;
-        const reverseKey = `${pair.receiver}-${pair.giver}`;
-        if (pairSet.has(reverseKey)) {
-            throw new Error(`유효성 검사 실패: 서로 쌍이 되는 경우가 있습니다 (${pair.giver} <-> ${pair.receiver})`);
-        }
+// 쌍을 막는 규칙을 반환 (허용되면 null)
+function getPairBlockReason(giver, receiver, ruleEngine, previousPairs = null) {
+    // 본인, filterPairs, 타입 규칙 등 선언형 규칙 평가
+    const block = ruleEngine.getBlockReason(giver, receiver);
+    if (block) return block;
+
+    // 이전 회차와 같은 giver → receiver 쌍
+    if (previousPairs && previousPairs.has(`${giver.name}-${receiver.name}`)) {
+        return {reason: 'repeat', ruleId: 'repeat', description: '이전 회차와 같은 쌍'};
     }
+
+    return null;
 }
 
 export {
     makePairs,
+    shuffleAndPair,
+    PAIRING_MODES,
+    SILENT_LOGGER,
+    buildPairingGroups,
+    isValidPair,
+    getPairBlockReason,
+    InfeasiblePairingError,
+    SearchLimitError,
 };
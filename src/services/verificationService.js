@@ -0,0 +1,236 @@
+import {createRuleEngine} from './ruleEngine.js';
+
+/**
+ * 생성된(또는 시트에서 다시 읽은) 배정 검증
+ * 누가 몇 번 주고 받는지, 본인/서로 쌍, 금지된 쌍, 타입 규칙 위반, 명단의 중복 이름,
+ * 멘토링 배정(용량, 명단에 없는 mentor/mentee)을 모두 찾아 위반 목록으로 반환
+ */
+
+/**
+ * 위반 항목 생성 헬퍼
+ * @param {string} code - 위반 코드
+ * @param {string} message - 사람이 읽을 수 있는 설명
+ * @param {Object} details - 추가 정보 (giver, receiver, participant, ruleId 등)
+ * @returns {Object} 위반 항목
+ */
+function createViolation(code, message, details = {}) {
+    return {code, message, ...details};
+}
+
+/**
+ * 명단을 이름 → 참가자 객체 Map으로 변환
+ * @param {Object} roster - {normals, newbies, leaders, participants?, attributes?}
+ * @returns {Object} {people: Map<string, {name, type, attributes}>, duplicates: Map<string, 등장 횟수>}
+ *                   (같은 이름이 여러 번 있으면 Map에는 마지막 항목만 남으므로 duplicates로 따로 보고)
+ */
+function buildRosterIndex(roster) {
+    const attributes = roster?.attributes || {};
+    const entries = [
+        ...(roster?.normals || []).map(name => ({name, type: 'normal'})),
+        ...(roster?.newbies || []).map(name => ({name, type: 'newbie'})),
+        ...(roster?.leaders || []).map(name => ({name, type: 'leader'})),
+        ...(roster?.participants || []).map(({name, type}) => ({name, type}))
+    ];
+
+    const occurrences = new Map();
+    entries.forEach(({name}) => occurrences.set(name, (occurrences.get(name) || 0) + 1));
+
+    return {
+        people: new Map(entries.map(person => [person.name, {...person, attributes: attributes[person.name] || {}}])),
+        duplicates: new Map([...occurrences].filter(([, count]) => count > 1))
+    };
+}
+
+/**
+ * leader의 멘토링 용량
+ * @param {string} name - leader 이름
+ * @param {number|Object} mentorCapacity - 공통 용량 또는 {이름: 용량, default: 용량} (기본값 1)
+ * @returns {number} 용량
+ */
+function mentorCapacityOf(name, mentorCapacity = 1) {
+    if (typeof mentorCapacity === 'object' && mentorCapacity !== null) {
+        return mentorCapacity[name] ?? mentorCapacity.default ?? 1;
+    }
+    return mentorCapacity;
+}
+
+/**
+ * 멘토링 배정 검증 (leader → newbie, newbie마다 정확히 한 명의 mentor, leader별 용량 이하)
+ * @param {Array<Object>} mentoring - [{mentor, mentee}]
+ * @param {Map<string, Object>} people - 이름 → 참가자 객체
+ * @param {Object} ruleEngine - 규칙 엔진
+ * @param {number|Object} mentorCapacity - leader별 용량
+ * @returns {Array<Object>} 위반 항목
+ */
+function verifyMentoring(mentoring, people, ruleEngine, mentorCapacity) {
+    const violations = [];
+    const load = new Map();
+    const mentorsOf = new Map();
+
+    mentoring.forEach(({mentor, mentee}) => {
+        [mentor, mentee].filter(name => !people.has(name)).forEach(name => {
+            violations.push(createViolation('unknownParticipant',
+                `${name}님은 명단에 없습니다 (멘토링 ${mentor} → ${mentee}).`, {mentor, mentee, participant: name}));
+        });
+
+        const mentorPerson = people.get(mentor);
+        const menteePerson = people.get(mentee);
+        if (mentorPerson && mentorPerson.type !== 'leader') {
+            violations.push(createViolation('mentorType',
+                `${mentor}님은 leader가 아니어서 멘토가 될 수 없습니다.`, {mentor, mentee, participant: mentor}));
+        }
+        if (menteePerson && menteePerson.type !== 'newbie') {
+            violations.push(createViolation('mentorType',
+                `${mentee}님은 newbie가 아니어서 멘토링을 받을 수 없습니다.`, {mentor, mentee, participant: mentee}));
+        }
+        if (mentorPerson && menteePerson) {
+            const block = ruleEngine.getBlockReason(mentorPerson, menteePerson);
+            if (block) {
+                violations.push(createViolation(
+                    block.reason === 'forbiddenPairs' ? 'forbiddenPair' : 'ruleViolation',
+                    `멘토링 ${mentor} → ${mentee}: ${block.description}`,
+                    {mentor, mentee, ruleId: block.ruleId, rule: block.reason}
+                ));
+            }
+        }
+
+        load.set(mentor, (load.get(mentor) || 0) + 1);
+        mentorsOf.set(mentee, [...(mentorsOf.get(mentee) || []), mentor]);
+    });
+
+    // leader별 용량
+    load.forEach((count, mentor) => {
+        const capacity = mentorCapacityOf(mentor, mentorCapacity);
+        if (count > capacity) {
+            violations.push(createViolation('mentorCapacity',
+                `${mentor}님이 ${count}명을 맡습니다 (용량 ${capacity}명).`, {participant: mentor, actual: count, expected: capacity}));
+        }
+    });
+
+    // newbie마다 정확히 한 명의 mentor
+    people.forEach(({type}, name) => {
+        const mentors = mentorsOf.get(name) || [];
+        if (type === 'newbie' && mentors.length !== 1) {
+            violations.push(createViolation('menteeCount',
+                `${name}님의 멘토가 ${mentors.length}명입니다 (기대값 1명).`, {participant: name, actual: mentors.length, expected: 1}));
+        }
+    });
+
+    return violations;
+}
+
+/**
+ * 배정 검증
+ * @param {Array<Object|Array<string>>} pairs - {giver, receiver} 또는 [giver, receiver] 배열
+ * @param {Object} roster - 명단 {normals, newbies, leaders, participants?, attributes?, filterPairs?}
+ * @param {Object|string} rules - 선언형 규칙 정의 (기본값: DEFAULT_RULE_SET)
+ * @param {Object} options - 검증 옵션
+ * @param {number} options.receiversPerGiver - 한 명이 주고 받아야 하는 횟수 (기본값 1)
+ * @param {Array<Array<string>>} options.allowedMutualPairs - 서로 쌍이 허용되는 [a, b] (2명뿐인 그룹)
+ * @param {Array<Object>} options.mentoring - mentoring 모드의 멘토링 배정 [{mentor, mentee}] (있으면 newbie는 주고 받는 횟수 대신 멘토링으로 확인)
+ * @param {number|Object} options.mentorCapacity - leader별 멘토링 용량 (기본값 1)
+ * @returns {Object} {valid, violations, checkedPairs, checkedAt}
+ */
+function verifyAssignment(pairs, roster, rules, options = {}) {
+    const violations = [];
+    const expected = options.receiversPerGiver ?? 1;
+    const ruleEngine = createRuleEngine(rules, roster?.filterPairs || []);
+    const {people, duplicates} = buildRosterIndex(roster);
+    const mentoring = options.mentoring || null;
+
+    // 같은 이름이 여러 번 있으면 한 사람이 두 번 주고받아야 하므로 배정이 맞을 수 없음
+    duplicates.forEach((count, name) => {
+        violations.push(createViolation('duplicateParticipant',
+            `${name}님이 명단에 ${count}번 있습니다.`, {participant: name, actual: count, expected: 1}));
+    });
+
+    const allowedMutual = new Set();
+    (options.allowedMutualPairs || []).forEach(([a, b]) => {
+        allowedMutual.add(`${a}-${b}`);
+        allowedMutual.add(`${b}-${a}`);
+    });
+
+    const normalized = (pairs || []).map(pair => Array.isArray(pair)
+        ? {giver: pair[0], receiver: pair[1]}
+        : {giver: pair.giver, receiver: pair.receiver});
+
+    const giveCount = new Map();
+    const receiveCount = new Map();
+    const seen = new Set();
+    const reportedMutual = new Set();
+
+    normalized.forEach(({giver, receiver}) => {
+        const key = `${giver}-${receiver}`;
+        giveCount.set(giver, (giveCount.get(giver) || 0) + 1);
+        receiveCount.set(receiver, (receiveCount.get(receiver) || 0) + 1);
+
+        // 명단에 없는 이름
+        [giver, receiver].filter(name => !people.has(name)).forEach(name => {
+            violations.push(createViolation('unknownParticipant',
+                `${name}님은 명단에 없습니다 (${giver} → ${receiver}).`, {giver, receiver, participant: name}));
+        });
+
+        if (giver === receiver) {
+            violations.push(createViolation('selfPair', `${giver}님이 본인에게 배정되었습니다.`, {giver, receiver}));
+            return;
+        }
+
+        if (seen.has(key)) {
+            violations.push(createViolation('duplicatePair', `${giver} → ${receiver} 쌍이 중복되었습니다.`, {giver, receiver}));
+        }
+        seen.add(key);
+
+        // 서로 주고받는 쌍 (한 번만 보고)
+        const reverseKey = `${receiver}-${giver}`;
+        if (seen.has(reverseKey) && !allowedMutual.has(key) && !reportedMutual.has(key)) {
+            reportedMutual.add(key);
+            reportedMutual.add(reverseKey);
+            violations.push(createViolation('mutualPair',
+                `${giver}님과 ${receiver}님이 서로 주고받습니다.`, {giver, receiver}));
+        }
+
+        // 금지된 쌍, 타입 규칙 등 선언형 규칙
+        const giverPerson = people.get(giver);
+        const receiverPerson = people.get(receiver);
+        if (giverPerson && receiverPerson) {
+            const block = ruleEngine.getBlockReason(giverPerson, receiverPerson);
+            if (block) {
+                violations.push(createViolation(
+                    block.reason === 'forbiddenPairs' ? 'forbiddenPair' : 'ruleViolation',
+                    `${giver} → ${receiver}: ${block.description}`,
+                    {giver, receiver, ruleId: block.ruleId, rule: block.reason}
+                ));
+            }
+        }
+    });
+
+    // 모든 참가자가 정확히 expected번 주고 받는지 (멘토링 배정이 있으면 newbie는 아래에서 따로 확인)
+    people.forEach(({type}, name) => {
+        if (mentoring && type === 'newbie') return;
+        const gives = giveCount.get(name) || 0;
+        const receives = receiveCount.get(name) || 0;
+        if (gives !== expected) {
+            violations.push(createViolation('giveCount',
+                `${name}님이 ${gives}번 줍니다 (기대값 ${expected}번).`, {participant: name, actual: gives, expected}));
+        }
+        if (receives !== expected) {
+            violations.push(createViolation('receiveCount',
+                `${name}님이 ${receives}번 받습니다 (기대값 ${expected}번).`, {participant: name, actual: receives, expected}));
+        }
+    });
+
+    if (mentoring) {
+        violations.push(...verifyMentoring(mentoring, people, ruleEngine, options.mentorCapacity));
+    }
+
+    return {
+        valid: violations.length === 0,
+        violations,
+        checkedPairs: normalized.length,
+        checkedAt: new Date().toISOString()
+    };
+}
+
+export {
+    verifyAssignment,
+};
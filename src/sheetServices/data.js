@@ -391,6 +391,34 @@ export class GoogleSheetsData {
         }
     }
 
+    /**
+     * 스프레드시트 구조 변경 (탭 추가/삭제 등 spreadsheets.batchUpdate)
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {Array<Object>} requests - 요청 배열 (예: [{addSheet: {properties: {title: 'Round-1'}}}])
+     * @returns {Promise<Object>} {success, replies}
+     */
+    async batchUpdateSpreadsheet(spreadsheetId = this.config.spreadsheetId, requests) {
+        try {
+            console.log(`🧱 구조 변경 시작: ${requests.length}개 요청`);
+
+            const url = `${this.config.api.baseUrl}/${spreadsheetId}:batchUpdate`;
+
+            const data = await this.makeApiRequest(url, {
+                method: 'POST',
+                body: JSON.stringify({requests})
+            });
+
+            console.log(`✅ 구조 변경 완료: ${(data.replies || []).length}개 응답`);
+            return {
+                success: true,
+                replies: data.replies || []
+            };
+        } catch (error) {
+            console.error('❌ 구조 변경 실패:', error.message);
+            throw new Error(`구조 변경 실패: ${error.message}`);
+        }
+    }
+
     /**
      * 설정 업데이트
      * @param {Object} newConfig - 새로운 설정
@@ -137,6 +137,16 @@ export function createGoogleSheetsService(config, credentials) {
             return await dataService.batchUpdateData(spreadsheetId, updates);
         },
 
+        /**
+         * 스프레드시트 구조 변경 (탭 추가/삭제 등)
+         * @param {Array<Object>} requests - spreadsheets.batchUpdate 요청 배열 (예: [{addSheet: {properties: {title}}}])
+         * @param {string} spreadsheetId - 스프레드시트 ID (선택사항)
+         * @returns {Promise<Object>} {success, replies}
+         */
+        async batchUpdateSpreadsheet(requests, spreadsheetId) {
+            return await dataService.batchUpdateSpreadsheet(spreadsheetId, requests);
+        },
+
         /**
          * 스프레드시트 메타데이터 조회
          * @param {string} spreadsheetId - 스프레드시트 ID (선택사항)
@@ -0,0 +1,55 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PASSWORD_ALPHABET,
+    generatePassword,
+    generateCredentials,
+    buildDistributionCsv,
+    buildDistributionSlips
+} from '../src/services/credentialService.js';
+
+describe('generatePassword', () => {
+    it('기본 형식은 헷갈리는 문자를 뺀 4자 3묶음', () => {
+        const password = generatePassword();
+        assert.match(password, /^[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+        assert.ok([...password.replace(/-/g, '')].every(char => PASSWORD_ALPHABET.includes(char)));
+        assert.ok(!/[01OI]/.test(password));
+    });
+
+    it('형식을 바꿀 수 있고 잘못된 형식은 에러', () => {
+        assert.match(generatePassword({groups: 2, groupLength: 3, separator: '.'}), /^[A-Z2-9]{3}\.[A-Z2-9]{3}$/);
+        assert.throws(() => generatePassword({groups: 0}), /비밀번호 형식/);
+    });
+
+    it('매번 다른 비밀번호', () => {
+        const passwords = new Set(Array.from({length: 200}, () => generatePassword()));
+        assert.equal(passwords.size, 200);
+    });
+});
+
+describe('generateCredentials', () => {
+    it('같은 이름과 빈 이름은 한 번만 / 건너뜀', () => {
+        const credentials = generateCredentials(['A', 'B', 'A', '']);
+        assert.deepEqual(credentials.map(({name}) => name), ['A', 'B']);
+    });
+});
+
+describe('배포 자료', () => {
+    const credentials = [{name: 'Kim, "Jr"', password: 'AAAA-BBBB-CCCC'}, {name: '<b>Lee</b>', password: 'DDDD-EEEE-FFFF'}];
+
+    it('CSV는 쉼표/따옴표를 이스케이프하고 주소 컬럼은 선택', () => {
+        assert.equal(
+            buildDistributionCsv(credentials),
+            '이름,비밀번호\r\n"Kim, ""Jr""",AAAA-BBBB-CCCC\r\n<b>Lee</b>,DDDD-EEEE-FFFF\r\n'
+        );
+        assert.match(buildDistributionCsv(credentials, {url: 'https://example.com'}), /^이름,비밀번호,접속 주소\r\n.*,https:\/\/example\.com\r\n/);
+    });
+
+    it('인쇄용 쪽지는 한 사람당 한 장이고 HTML을 이스케이프', () => {
+        const html = buildDistributionSlips(credentials, {title: '결과 확인'});
+        assert.equal(html.match(/class="slip"/g).length, 2);
+        assert.ok(html.includes('&lt;b&gt;Lee&lt;/b&gt;'));
+        assert.ok(!html.includes('<b>Lee</b>'));
+        assert.ok(html.includes('<title>결과 확인</title>'));
+    });
+});
@@ -0,0 +1,53 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {diagnoseRoster} from '../src/services/diagnosticService.js';
+
+const names = (prefix, count) => [...Array(count).keys()].map(i => `${prefix}${i}`);
+
+describe('diagnoseRoster', () => {
+    it('newbie와 leader 수가 같은 명단을 경고 없이 추첨 가능으로 판정', () => {
+        for (const size of [7, 12]) {
+            const result = diagnoseRoster({normals: names('A', 5), newbies: names('N', size), leaders: names('L', size)});
+            assert.equal(result.isDrawable, true);
+            assert.deepEqual(result.warnings, []);
+        }
+    });
+
+    it('newbie가 leader보다 많으면 오류', () => {
+        const result = diagnoseRoster({normals: [], newbies: names('N', 4), leaders: names('L', 3)});
+        assert.equal(result.isDrawable, false);
+        assert.ok(result.errors.some(issue => issue.code === 'tooManyNewbies'));
+    });
+
+    it('금지 조건으로 사이클이 없는 그룹을 오류로 판정', () => {
+        // A0 → A1 → A2 순서만 막아도 3명 그룹은 A0 → A2 → A1 → A0만 남고, A2 → A1까지 막으면 불가능
+        const result = diagnoseRoster({
+            normals: names('A', 3),
+            newbies: [],
+            leaders: [],
+            filterPairs: [['A0', 'A1'], ['A2', 'A1']]
+        });
+        assert.equal(result.isDrawable, false);
+    });
+
+    it('같은 이름이 두 번 있으면 오류', () => {
+        const result = diagnoseRoster({normals: ['A', 'B', 'A'], newbies: [], leaders: []});
+        assert.ok(result.errors.some(issue => issue.code === 'duplicateParticipant'));
+    });
+
+    it('규칙 정의 타입 참가자도 normal 그룹 인원으로 셈', () => {
+        const rules = {types: ['normal', 'newbie', 'leader', 'staff'], rules: [{kind: 'typeBan', giver: 'staff', receiver: 'staff'}]};
+        const drawable = diagnoseRoster(
+            {normals: ['A', 'B'], newbies: [], leaders: [], participants: [{name: 'S1', type: 'staff'}, {name: 'S2', type: 'staff'}]},
+            {rules}
+        );
+        assert.equal(drawable.isDrawable, true);
+
+        // staff 3명 + normal 1명: staff끼리 줄 수 없어 사이클 불가능
+        const blocked = diagnoseRoster(
+            {normals: ['A'], newbies: [], leaders: [], participants: ['S1', 'S2', 'S3'].map(name => ({name, type: 'staff'}))},
+            {rules}
+        );
+        assert.equal(blocked.isDrawable, false);
+    });
+});
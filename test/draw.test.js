@@ -0,0 +1,88 @@
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import {spawnSync} from 'node:child_process';
+import {mkdtempSync, writeFileSync, rmSync} from 'node:fs';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+
+const SCRIPT = new URL('../scripts/draw.js', import.meta.url).pathname;
+
+let dir;
+const writeRoster = (name, lines) => {
+    const path = join(dir, name);
+    writeFileSync(path, `${lines.join('\n')}\n`);
+    return path;
+};
+const draw = (...args) => spawnSync(process.execPath, [SCRIPT, ...args], {encoding: 'utf8', timeout: 60000});
+
+describe('scripts/draw.js 종료 코드', () => {
+    before(() => {
+        dir = mkdtempSync(join(tmpdir(), 'draw-'));
+    });
+
+    after(() => {
+        rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('추첨에 성공하면 0과 CSV 결과', () => {
+        const input = writeRoster('ok.csv', ['normal,A', 'normal,B', 'normal,C', 'newbie,N', 'leader,L1', 'leader,L2']);
+        const result = draw('--input', input, '--seed', 'cli');
+        assert.equal(result.status, 0, result.stderr);
+        assert.equal(result.stdout.trim().split('\n').length, 7);
+        assert.match(result.stderr, /시드: cli/);
+    });
+
+    it('규칙 정의에 선언한 타입의 참가자도 추첨', () => {
+        const rules = join(dir, 'rules.json');
+        writeFileSync(rules, JSON.stringify({types: {normal: {}, newbie: {}, leader: {}, staff: {label: '스태프'}}, rules: []}));
+        const input = writeRoster('custom.csv', ['normal,A', 'normal,B', 'staff,S1', '스태프,S2']);
+        const result = draw('--input', input, '--rules', rules, '--mode', 'global', '--seed', 'cli');
+        assert.equal(result.status, 0, result.stderr);
+        const givers = result.stdout.trim().split('\n').slice(1).map(line => line.split(',')[0]);
+        assert.deepEqual(givers.sort(), ['A', 'B', 'S1', 'S2']);
+
+        // 규칙 정의 없이는 알 수 없는 타입
+        assert.equal(draw('--input', input).status, 1);
+    });
+
+    it('멘토링 배정은 CSV에서 mentor,mentee 머리글의 별도 표로 기록', () => {
+        const input = writeRoster('mentoring.csv', ['normal,A', 'normal,B', 'leader,L1', 'leader,L2', 'newbie,N1', 'newbie,N2']);
+        const result = draw('--input', input, '--mode', 'mentoring', '--seed', 'cli');
+        assert.equal(result.status, 0, result.stderr);
+
+        const [pairSection, mentoringSection] = result.stdout.trim().split('\n\n');
+        const pairLines = pairSection.split('\n');
+        assert.equal(pairLines[0], 'giver,receiver');
+        assert.ok(pairLines.slice(1).every(line => !/^L\d,N\d$/.test(line)));
+
+        const mentoringLines = mentoringSection.split('\n');
+        assert.equal(mentoringLines[0], 'mentor,mentee');
+        assert.deepEqual(mentoringLines.slice(1).map(line => line.split(',')[1]).sort(), ['N1', 'N2']);
+    });
+
+    it('입력 파일이 없으면 1', () => {
+        assert.equal(draw().status, 1);
+        assert.equal(draw('--input', join(dir, 'missing.csv')).status, 1);
+    });
+
+    it('추첨이 불가능하면 2', () => {
+        const input = writeRoster('infeasible.csv', ['normal,A', 'normal,B', 'normal,C', 'forbidden,A,B', 'forbidden,A,C']);
+        const result = draw('--input', input);
+        assert.equal(result.status, 2);
+        assert.match(result.stderr, /❌/);
+    });
+
+    it('탐색 한도를 넘으면 3과 진단 경고', () => {
+        // 두 무리가 C 한 명으로만 이어져 있어 원형 연결이 없지만 탐색 한도 안에서 증명하지 못함
+        const left = Array.from({length: 10}, (_, i) => `P${i}`);
+        const right = Array.from({length: 10}, (_, i) => `Q${i}`);
+        const input = writeRoster('limit.csv', [
+            ...[...left, ...right, 'C'].map(name => `normal,${name}`),
+            ...left.flatMap(p => right.map(q => `forbidden,${p},${q}`))
+        ]);
+        const result = draw('--input', input, '--seed', 'x');
+        assert.equal(result.status, 3, result.stderr);
+        assert.match(result.stderr, /탐색 한도/);
+        assert.match(result.stderr, /다른 시드/);
+    });
+});
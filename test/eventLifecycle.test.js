@@ -0,0 +1,143 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseEventState,
+    parseEventRevision,
+    formatEventState,
+    canTransition,
+    assertTransition
+} from '../src/services/eventLifecycle.js';
+import {createSheetDataService} from '../src/services/sheetDataService.js';
+import {FakeSheets, connect} from './fakeSheets.js';
+
+describe('parseEventState', () => {
+    it('빈 셀은 draft, 대소문자와 공백은 무시', () => {
+        assert.equal(parseEventState(''), 'draft');
+        assert.equal(parseEventState(undefined), 'draft');
+        assert.equal(parseEventState(' Published '), 'published');
+    });
+
+    it('상태 뒤의 저장 리비전은 따로 읽음', () => {
+        assert.equal(formatEventState('draft', 'r1'), 'draft:r1');
+        assert.equal(formatEventState('published'), 'published');
+        assert.equal(parseEventState('draft:r1'), 'draft');
+        assert.equal(parseEventRevision('draft:r1'), 'r1');
+        assert.equal(parseEventRevision('draft'), '');
+    });
+
+    it('알 수 없는 상태는 에러', () => {
+        assert.throws(() => parseEventState('open'), /알 수 없는 이벤트 상태/);
+    });
+});
+
+describe('상태 전이', () => {
+    it('정해진 순서로만 바꿀 수 있음', () => {
+        assert.equal(canTransition('draft', 'published'), true);
+        assert.equal(canTransition('archived', 'draft'), true);
+        assert.equal(canTransition('draft', 'revealed'), false);
+        assert.equal(canTransition('published', 'draft'), false);
+        assert.throws(() => assertTransition('published', 'draft'), /가능한 다음 상태: revealed/);
+    });
+});
+
+describe('시트의 이벤트 상태', () => {
+    const pairs = [
+        {giver: 'A', receiver: 'B', giverType: 'normal', receiverType: 'normal'},
+        {giver: 'B', receiver: 'A', giverType: 'normal', receiverType: 'normal'}
+    ];
+
+    it('Status 탭이 없으면 draft로 보고, 첫 상태 변경 때 탭을 만듦', async () => {
+        const sheets = new FakeSheets();
+        const service = connect(createSheetDataService(), sheets);
+
+        const status = await service.fetchEventStatus();
+        assert.equal(status.state, 'draft');
+        assert.equal(status.missing, true);
+
+        await service.transitionEvent('published', {from: 'draft'});
+        assert.equal(sheets.cell('Status', 'A1'), 'published');
+        assert.equal((await service.fetchEventStatus()).state, 'published');
+    });
+
+    it('화면에서 본 상태와 다르면 CONFLICT', async () => {
+        const service = connect(createSheetDataService(), new FakeSheets({DB: {}, Status: {}}));
+
+        await service.transitionEvent('published');
+        await assert.rejects(service.transitionEvent('revealed', {from: 'draft'}), /CONFLICT/);
+        await assert.rejects(service.transitionEvent('archived'), /바꿀 수 없습니다/);
+    });
+
+    it('draft가 아니면 강제 저장만 허용', async () => {
+        const service = connect(createSheetDataService(), new FakeSheets({DB: {}, Status: {}}));
+
+        await service.savePairsToSheet(pairs, undefined, {round: '1', archive: false});
+        await service.transitionEvent('published');
+        await assert.rejects(service.savePairsToSheet(pairs, undefined, {round: '2', archive: false}), /결과 공개/);
+
+        const result = await service.savePairsToSheet(pairs, undefined, {round: '2', archive: false, force: true});
+        assert.equal(result.round, '2');
+    });
+
+    it('상태를 확인한 뒤 다른 관리자가 공개했으면 CAS로 막힘', async () => {
+        const sheets = new FakeSheets({DB: {}, Status: {}});
+        const service = connect(createSheetDataService(), sheets);
+
+        const stale = await service.fetchEventStatus();
+        await service.transitionEvent('published');
+        service.fetchEventStatus = async () => stale;
+
+        await assert.rejects(service.savePairsToSheet(pairs, undefined, {round: '1', archive: false}), /CONFLICT/);
+        assert.equal(sheets.cell('DB', 'J4'), '');
+        assert.equal(sheets.cell('Status', 'A1'), 'published');
+    });
+
+    it('동시에 저장하면 먼저 리비전을 바꾼 저장만 성공', async () => {
+        const sheets = new FakeSheets({DB: {}, Status: {}});
+        const service = connect(createSheetDataService(), sheets);
+        const other = [
+            {giver: 'A', receiver: 'C', giverType: 'normal', receiverType: 'normal'},
+            {giver: 'C', receiver: 'A', giverType: 'normal', receiverType: 'normal'}
+        ];
+
+        const results = await Promise.allSettled([
+            service.savePairsToSheet(pairs, undefined, {round: '1', archive: false}),
+            service.savePairsToSheet(other, undefined, {round: '2', archive: false})
+        ]);
+        assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+        assert.match(results[1].reason.message, /CONFLICT/);
+        assert.equal(sheets.cell('DB', 'K4'), 'B');
+        assert.equal(sheets.cell('Status', 'A1'), results[0].value.statusRevision);
+        assert.equal((await service.fetchEventStatus()).state, 'draft');
+    });
+
+    it('추첨할 때 읽은 상태 뒤에 다른 관리자가 저장했으면 거부', async () => {
+        const sheets = new FakeSheets({DB: {}, Status: {}});
+        const service = connect(createSheetDataService(), sheets);
+
+        const seen = await service.fetchEventStatus();
+        const first = await service.savePairsToSheet(pairs, undefined, {round: '1', archive: false, expectedStatus: seen.rawValue});
+        await assert.rejects(
+            service.savePairsToSheet(pairs, undefined, {round: '2', archive: false, expectedStatus: seen.rawValue}),
+            /CONFLICT/
+        );
+
+        // 자기 저장 결과의 리비전으로는 다시 저장할 수 있음
+        const second = await service.savePairsToSheet(pairs, undefined, {round: '2', archive: false, expectedStatus: first.statusRevision});
+        assert.notEqual(second.statusRevision, first.statusRevision);
+    });
+
+    it('쓰는 동안 상태가 바뀌면 저장 확인에서 CONFLICT', async () => {
+        const sheets = new FakeSheets({DB: {}, Status: {}});
+        const service = connect(createSheetDataService(), sheets);
+        const write = sheets.batchUpdateData.bind(sheets);
+        sheets.batchUpdateData = async updates => {
+            const result = await write(updates);
+            if (updates.some(({range}) => range.startsWith('DB!J'))) {
+                await write([{range: 'Status!A1', values: [['published']]}]);
+            }
+            return result;
+        };
+
+        await assert.rejects(service.savePairsToSheet(pairs, undefined, {round: '1', archive: false}), /CONFLICT/);
+    });
+});
@@ -0,0 +1,83 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {analyzeFairness, chiSquareUniform} from '../src/services/fairnessService.js';
+import {runFairnessInWorker} from '../src/services/pairingWorkerClient.js';
+
+const roster = {normals: ['A', 'B', 'C', 'D'], newbies: ['N'], leaders: ['L1', 'L2', 'L3'], filterPairs: []};
+
+describe('chiSquareUniform', () => {
+    it('균등한 빈도는 p = 1, 치우친 빈도는 작은 p', () => {
+        assert.deepEqual(chiSquareUniform([10, 10, 10]), {chiSquare: 0, degreesOfFreedom: 2, pValue: 1});
+        const skewed = chiSquareUniform([90, 5, 5]);
+        assert.ok(skewed.pValue < 1e-6);
+        // 자유도 1, 카이제곱 3.841 → p ≈ 0.05
+        assert.ok(Math.abs(chiSquareUniform([60, 40]).pValue - 0.0455) < 0.001);
+    });
+
+    it('범주가 2개 미만이면 pValue null', () => {
+        assert.equal(chiSquareUniform([5]).pValue, null);
+        assert.equal(chiSquareUniform([]).pValue, null);
+    });
+});
+
+describe('analyzeFairness', () => {
+    it('같은 기준 시드면 같은 분포', () => {
+        const first = analyzeFairness(roster, {iterations: 40, seed: 'fair'});
+        const second = analyzeFairness(roster, {iterations: 40, seed: 'fair'});
+        assert.equal(first.successes, 40);
+        assert.equal(first.failures, 0);
+        assert.deepEqual(first.pairs, second.pairs);
+        assert.ok(first.leaderSelection);
+        // newbie 1명이면 매번 leader 1명만 newbie 사이클에 들어감
+        assert.equal(first.leaderSelection.counts.reduce((sum, {count}) => sum + count, 0), 40);
+    });
+
+    it('허용됐지만 한 번도 뽑히지 않은 receiver도 빈도 0으로 검정', () => {
+        // B → C가 막혀 있으면 A → C → B → A 사이클만 가능하므로 A → B는 허용돼도 뽑히지 않음
+        const rules = {rules: [{kind: 'oneWayBan', giver: 'B', receiver: 'C'}]};
+        const result = analyzeFairness({normals: ['A', 'B', 'C'], newbies: [], leaders: [], filterPairs: []},
+            {iterations: 30, seed: 'zero', pairOptions: {rules}});
+        const giverA = result.givers.find(({giver}) => giver === 'A');
+        assert.deepEqual(giverA.receivers.map(({receiver, count}) => [receiver, count]), [['C', 30], ['B', 0]]);
+        assert.equal(giverA.degreesOfFreedom, 1);
+        assert.ok(giverA.pValue < 1e-6);
+        // B → C는 규칙이 막으므로 범주에 들어가지 않음
+        assert.deepEqual(result.givers.find(({giver}) => giver === 'B').receivers.map(({receiver}) => receiver), ['A']);
+    });
+
+    it('전역 console.log를 바꾸지 않고 추첨 로그만 생략', () => {
+        const originalLog = console.log;
+        const logged = [];
+        console.log = (...args) => logged.push(args.join(' '));
+        try {
+            analyzeFairness(roster, {iterations: 3, seed: 'quiet'});
+        } finally {
+            console.log = originalLog;
+        }
+        assert.equal(logged.length, 2);
+        assert.ok(logged[0].startsWith('📈'));
+        assert.ok(logged[1].startsWith('✅'));
+    });
+
+    it('추첨이 불가능하면 실패 사유를 집계', () => {
+        const result = analyzeFairness({normals: ['A', 'B', 'C'], newbies: [], leaders: [], filterPairs: [['A', 'B'], ['A', 'C']]}, {iterations: 3, seed: 'x'});
+        assert.equal(result.successes, 0);
+        assert.equal(result.failureRate, 1);
+        assert.equal(Object.values(result.failureReasons).reduce((sum, count) => sum + count, 0), 3);
+    });
+});
+
+describe('runFairnessInWorker', () => {
+    it('Worker가 없으면 메인 스레드에서 실행하고 진행 상황 전달', async () => {
+        const progress = [];
+        const result = await runFairnessInWorker(roster, {iterations: 5, seed: 'w'}, {onProgress: entry => progress.push(entry)});
+        assert.equal(result.iterations, 5);
+        assert.deepEqual(progress.at(-1), {completed: 5, total: 5});
+    });
+
+    it('이미 취소된 신호면 AbortError로 거부', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(runFairnessInWorker(roster, {iterations: 5}, {signal: controller.signal}), {name: 'AbortError'});
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * 테스트용 메모리 스프레드시트
+ * createGoogleSheetsService가 돌려주는 객체와 같은 메서드(getBatchData, batchUpdateData, batchUpdateSpreadsheet,
+ * getSpreadsheetMetadata, updateCellWithCAS)를 제공하고, 없는 탭이나 격자 밖 범위는 Sheets API처럼 에러를 던짐
+ */
+
+const DEFAULT_GRID = {rowCount: 1000, columnCount: 26};
+
+function columnIndex(letters) {
+    return [...letters.toUpperCase()].reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0);
+}
+
+function unquoteSheetName(name) {
+    return name.startsWith("'") ? name.slice(1, -1).replace(/''/g, "'") : name;
+}
+
+class FakeSheets {
+    /**
+     * @param {Object} tabs - {탭 이름: {rowCount, columnCount}} (기본값: DB 탭 하나)
+     */
+    constructor(tabs = {DB: {}}) {
+        this.tabs = new Map();
+        this.nextSheetId = 1;
+        this.reads = [];
+        Object.entries(tabs).forEach(([title, grid]) => this.addTab(title, grid));
+    }
+
+    addTab(title, grid = {}) {
+        if (this.tabs.has(title)) {
+            throw new Error(`A sheet with the name "${title}" already exists.`);
+        }
+        const tab = {
+            sheetId: this.nextSheetId++,
+            index: this.tabs.size,
+            title,
+            rowCount: grid.rowCount ?? DEFAULT_GRID.rowCount,
+            columnCount: grid.columnCount ?? DEFAULT_GRID.columnCount,
+            cells: new Map()
+        };
+        this.tabs.set(title, tab);
+        return tab;
+    }
+
+    parseRange(range) {
+        const separator = range.lastIndexOf('!');
+        const sheet = unquoteSheetName(range.slice(0, separator));
+        const tab = this.tabs.get(sheet);
+        if (separator === -1 || !tab) {
+            throw new Error(`Unable to parse range: ${range}`);
+        }
+
+        const [start, end = start] = range.slice(separator + 1).split(':');
+        const [, startColumn, startRow] = start.match(/^([A-Z]+)(\d*)$/i);
+        const [, endColumn, endRow] = end.match(/^([A-Z]+)(\d*)$/i);
+        const area = {
+            tab,
+            startColumn: columnIndex(startColumn),
+            startRow: Number(startRow || 1),
+            endColumn: columnIndex(endColumn),
+            endRow: endRow ? Number(endRow) : tab.rowCount
+        };
+
+        if (area.endColumn > tab.columnCount || area.endRow > tab.rowCount) {
+            throw new Error(`Range (${range}) exceeds grid limits. Max rows: ${tab.rowCount}, max columns: ${tab.columnCount}`);
+        }
+        return area;
+    }
+
+    /**
+     * 탭 이름과 A1 주소로 셀 값 조회
+     */
+    cell(sheet, address) {
+        const {tab, startColumn, startRow} = this.parseRange(`${sheet}!${address}`);
+        return tab.cells.get(`${startRow},${startColumn}`) ?? '';
+    }
+
+    async getBatchData(ranges) {
+        this.reads.push(...ranges);
+        const result = {};
+        ranges.forEach(range => {
+            const {tab, startColumn, startRow, endColumn, endRow} = this.parseRange(range);
+            const rows = [];
+            for (let row = startRow; row <= endRow; row++) {
+                const values = [];
+                for (let column = startColumn; column <= endColumn; column++) {
+                    values.push(tab.cells.get(`${row},${column}`) ?? '');
+                }
+                while (values.length > 0 && values[values.length - 1] === '') values.pop();
+                rows.push(values);
+            }
+            while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+            result[range] = rows;
+        });
+        return result;
+    }
+
+    async batchUpdateData(updates) {
+        let totalUpdatedCells = 0;
+        updates.forEach(({range, values}) => {
+            const {tab, startColumn, startRow, endColumn, endRow} = this.parseRange(range);
+            values.forEach((row, rowOffset) => row.forEach((value, columnOffset) => {
+                const rowNumber = startRow + rowOffset;
+                const columnNumber = startColumn + columnOffset;
+                if (rowNumber > endRow || columnNumber > endColumn) {
+                    throw new Error(`Requested writing within range [${range}], but tried writing outside of it.`);
+                }
+                // USER_ENTERED: 앞의 작은따옴표는 텍스트 표시로만 쓰이고 저장되지 않음
+                const text = `${value ?? ''}`;
+                tab.cells.set(`${rowNumber},${columnNumber}`, text.startsWith("'") ? text.slice(1) : text);
+                totalUpdatedCells++;
+            }));
+        });
+        return {success: true, totalUpdatedCells};
+    }
+
+    async batchUpdateSpreadsheet(requests) {
+        const byId = sheetId => [...this.tabs.values()].find(tab => tab.sheetId === sheetId);
+        const replies = requests.map(request => {
+            if (request.addSheet) {
+                const {title, gridProperties = {}} = request.addSheet.properties;
+                const tab = this.addTab(title, gridProperties);
+                return {addSheet: {properties: {sheetId: tab.sheetId, title, index: tab.index}}};
+            }
+            if (request.appendDimension) {
+                const {sheetId, dimension, length} = request.appendDimension;
+                const tab = byId(sheetId);
+                if (dimension === 'COLUMNS') tab.columnCount += length;
+                else tab.rowCount += length;
+                return {};
+            }
+            throw new Error(`지원하지 않는 요청입니다: ${Object.keys(request).join(', ')}`);
+        });
+        return {success: true, replies};
+    }
+
+    async getSpreadsheetMetadata() {
+        return {
+            properties: {title: 'fake'},
+            sheets: [...this.tabs.values()].map(tab => ({
+                properties: {
+                    sheetId: tab.sheetId,
+                    title: tab.title,
+                    index: tab.index,
+                    gridProperties: {rowCount: tab.rowCount, columnCount: tab.columnCount}
+                }
+            }))
+        };
+    }
+
+    async updateCellWithCAS(cellAddress, newValue, expectedValue, spreadsheetId, sheetName) {
+        const current = this.cell(sheetName, cellAddress);
+        if (`${current}`.trim() !== `${expectedValue ?? ''}`.trim()) {
+            throw new Error(`CONFLICT: 데이터가 이미 수정되었습니다. 현재 값: "${current}"`);
+        }
+        await this.batchUpdateData([{range: `${sheetName}!${cellAddress}`, values: [[newValue]]}]);
+        return {success: true, casSuccess: true, previousValue: current, newValue};
+    }
+}
+
+/**
+ * 메모리 스프레드시트를 연결한 SheetDataService
+ */
+function connect(service, sheets) {
+    service.sheetsService = sheets;
+    service.isInitialized = true;
+    return service;
+}
+
+export {
+    FakeSheets,
+    connect,
+};
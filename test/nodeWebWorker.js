@@ -0,0 +1,66 @@
+import {Worker as ThreadWorker} from 'node:worker_threads';
+
+/**
+ * 테스트용 Web Worker
+ * 브라우저의 Worker와 같은 생성자/메서드(postMessage, terminate, onmessage, onerror)를 node:worker_threads 위에 제공
+ * 워커 스레드에 self를 만들어 주고 워커 모듈(pairingWorker.js)을 그대로 불러와 실행
+ */
+
+// 워커 모듈을 불러오기 전에 도착한 메시지는 모아 두었다가 전달
+const BOOTSTRAP = `
+const {parentPort, workerData} = require('node:worker_threads');
+const pending = [];
+let ready = false;
+globalThis.self = {postMessage: data => parentPort.postMessage(data)};
+parentPort.on('message', data => ready ? self.onmessage({data}) : pending.push(data));
+import(workerData.url).then(() => {
+    ready = true;
+    pending.splice(0).forEach(data => self.onmessage({data}));
+});
+`;
+
+class NodeWebWorker {
+    /**
+     * @param {URL} url - 워커 모듈 URL
+     */
+    constructor(url) {
+        this.onmessage = null;
+        this.onerror = null;
+        this.terminated = false;
+        this.thread = new ThreadWorker(BOOTSTRAP, {eval: true, workerData: {url: url.href}});
+        this.thread.on('message', data => this.onmessage?.({data}));
+        this.thread.on('error', error => this.onerror?.({message: error.message}));
+        NodeWebWorker.instances.push(this);
+    }
+
+    postMessage(data) {
+        this.thread.postMessage(data);
+    }
+
+    terminate() {
+        this.terminated = true;
+        return this.thread.terminate();
+    }
+}
+
+// 만들어진 워커 (종료 여부 확인용)
+NodeWebWorker.instances = [];
+
+/**
+ * 콜백이 끝날 때까지 전역 Worker를 NodeWebWorker로 바꿔 둠
+ */
+async function withNodeWorker(callback) {
+    const original = globalThis.Worker;
+    globalThis.Worker = NodeWebWorker;
+    try {
+        return await callback();
+    } finally {
+        globalThis.Worker = original;
+        await Promise.all(NodeWebWorker.instances.splice(0).map(worker => worker.terminate()));
+    }
+}
+
+export {
+    NodeWebWorker,
+    withNodeWorker,
+};
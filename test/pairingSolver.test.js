@@ -0,0 +1,124 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {solveHamiltonianCycle, matchWithCapacity} from '../src/services/pairingSolver.js';
+import {createSeededRandom} from '../src/services/randomService.js';
+import {makePairs} from '../src/services/shuffleService.js';
+
+/**
+ * newbie n명 + leader m명 그룹 (newbie → newbie 금지)
+ */
+function newbieLeaderGroup(newbies, leaders) {
+    const types = [...Array(newbies).fill('newbie'), ...Array(leaders).fill('leader')];
+    const canLink = (i, j) => !(types[i] === 'newbie' && types[j] === 'newbie');
+    return {types, canLink};
+}
+
+function assertCycle(cycle, count, canLink) {
+    assert.equal(cycle.length, count);
+    assert.equal(new Set(cycle).size, count);
+    cycle.forEach((node, i) => {
+        assert.ok(canLink(node, cycle[(i + 1) % count]), `${node} → ${cycle[(i + 1) % count]} 간선이 허용되지 않음`);
+    });
+}
+
+describe('solveHamiltonianCycle', () => {
+    it('newbie와 leader 수가 같으면 번갈아 오는 사이클을 샘플링으로 찾음', () => {
+        for (const size of [7, 12]) {
+            const {types, canLink} = newbieLeaderGroup(size, size);
+            for (const seed of ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']) {
+                const result = solveHamiltonianCycle(types.length, canLink, createSeededRandom(seed), {classes: types});
+                assert.equal(result.feasible, true, `${size}+${size}, 시드 ${seed}`);
+                assert.equal(result.method, 'sampling');
+                assert.equal(result.uniform, true);
+                assertCycle(result.cycle, types.length, canLink);
+            }
+        }
+    });
+
+    it('분류 정보 없이 전체 탐색으로 넘어가도 탐색 한도 안에서 사이클을 찾음', () => {
+        const {types, canLink} = newbieLeaderGroup(12, 12);
+        const result = solveHamiltonianCycle(types.length, canLink, createSeededRandom('c'), {samplingAttempts: 0});
+        assert.equal(result.feasible, true);
+        assert.equal(result.method, 'enumeration');
+        assertCycle(result.cycle, types.length, canLink);
+    });
+
+    it('newbie가 leader보다 많으면 불가능을 증명', () => {
+        const {types, canLink} = newbieLeaderGroup(4, 3);
+        const result = solveHamiltonianCycle(types.length, canLink, createSeededRandom('x'), {classes: types});
+        assert.equal(result.feasible, false);
+    });
+
+    it('분류 단위로 순서가 없으면 전체 탐색 없이 불가능을 증명', () => {
+        // a → b, b → c만 허용되는 분류 (a, b, c 각 2명): 분류 단위로 되돌아올 수 없음
+        const types = ['a', 'a', 'b', 'b', 'c', 'c'];
+        const next = {a: 'b', b: 'c', c: 'c'};
+        const canLink = (i, j) => next[types[i]] === types[j];
+        const result = solveHamiltonianCycle(types.length, canLink, createSeededRandom('x'), {classes: types});
+        assert.equal(result.feasible, false);
+        assert.equal(result.steps, 0);
+    });
+
+    it('유효한 사이클을 균등하게 추출', () => {
+        // newbie 3명 + leader 3명이 번갈아 오는 사이클은 3! × 3! / 3 = 12가지
+        const {types, canLink} = newbieLeaderGroup(3, 3);
+        const random = createSeededRandom('uniform');
+        const counts = new Map();
+        const draws = 12000;
+        for (let i = 0; i < draws; i++) {
+            const {cycle} = solveHamiltonianCycle(types.length, canLink, random, {classes: types});
+            // 0번 노드에서 시작하도록 회전해 같은 사이클을 같은 키로 셈
+            const start = cycle.indexOf(0);
+            const key = [...cycle.slice(start), ...cycle.slice(0, start)].join(',');
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        assert.equal(counts.size, 12);
+        counts.forEach(count => {
+            assert.ok(Math.abs(count - draws / 12) < draws / 12 * 0.15, `사이클 빈도 ${count}`);
+        });
+    });
+
+    it('금지 간선이 섞여 있어도 허용 간선만 사용', () => {
+        const {types, canLink: typeLink} = newbieLeaderGroup(7, 7);
+        const canLink = (i, j) => typeLink(i, j) && !(i === 0 && j === 7) && !(i === 8 && j === 1);
+        const result = solveHamiltonianCycle(types.length, canLink, createSeededRandom('filter'), {classes: types});
+        assert.equal(result.feasible, true);
+        assertCycle(result.cycle, types.length, canLink);
+    });
+});
+
+describe('matchWithCapacity', () => {
+    it('용량 안에서 모든 오른쪽 노드를 배정', () => {
+        const result = matchWithCapacity(2, 3, [2, 1], (left, right) => !(left === 1 && right === 0), createSeededRandom('m'));
+        assert.equal(result.feasible, true);
+        assert.notEqual(result.assignment[0], 1);
+        assert.equal(result.assignment.filter(left => left === 0).length, 2);
+    });
+
+    it('용량이 부족하면 배정되지 않은 노드를 알려줌', () => {
+        const result = matchWithCapacity(1, 2, [1], () => true, createSeededRandom('m'));
+        assert.equal(result.feasible, false);
+        assert.equal(result.unmatched.length, 1);
+    });
+});
+
+describe('makePairs (split 모드)', () => {
+    it('newbie 7명 + leader 7명 명단을 시드와 관계없이 추첨', () => {
+        const newbies = [...Array(7).keys()].map(i => `N${i}`);
+        const leaders = [...Array(7).keys()].map(i => `L${i}`);
+        for (const seed of ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']) {
+            const {pairs} = makePairs([], newbies, leaders, [], {seed});
+            assert.equal(pairs.length, 14, `시드 ${seed}`);
+            pairs.forEach(pair => {
+                assert.ok(!(pair.giverType === 'newbie' && pair.receiverType === 'newbie'));
+            });
+        }
+    });
+
+    it('newbie 12명 + leader 12명 명단을 추첨', () => {
+        const newbies = [...Array(12).keys()].map(i => `N${i}`);
+        const leaders = [...Array(12).keys()].map(i => `L${i}`);
+        const {pairs} = makePairs([], newbies, leaders, [], {seed: 'c'});
+        assert.equal(pairs.length, 24);
+    });
+});
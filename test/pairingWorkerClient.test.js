@@ -0,0 +1,55 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {runPairingInWorker} from '../src/services/pairingWorkerClient.js';
+import {makePairs, InfeasiblePairingError} from '../src/services/shuffleService.js';
+import {NodeWebWorker, withNodeWorker} from './nodeWebWorker.js';
+
+// 10명이 각자 앞뒤 3명에게만 줄 수 있어 샘플링이 여러 번 실패하고 진행 상황이 나옴
+const normals = [...Array(10).keys()].map(i => `P${i}`);
+const filterPairs = normals.flatMap((giver, i) => normals
+    .slice(i + 1)
+    .filter((_, offset) => offset + 1 > 3 && offset + 1 < 7)
+    .map(receiver => [giver, receiver]));
+
+const edges = result => result.pairs.map(({giver, receiver}) => `${giver}-${receiver}`);
+
+describe('runPairingInWorker', () => {
+    it('Worker가 없으면 메인 스레드에서 makePairs와 같은 결과를 내고 진행 상황 전달', async () => {
+        const progress = [];
+        const result = await runPairingInWorker(normals, [], [], filterPairs, {seed: 'main'}, {onProgress: entry => progress.push(entry)});
+        assert.deepEqual(edges(result), edges(makePairs(normals, [], [], filterPairs, {seed: 'main'})));
+        assert.equal(result.metadata.seed, 'main');
+        assert.ok(progress.length > 0);
+        assert.deepEqual(Object.keys(progress[0]).sort(), ['attempts', 'cycles', 'depth', 'group', 'phase', 'stage', 'steps']);
+    });
+
+    it('Worker에서 실행해도 같은 시드면 같은 결과 형태', async () => {
+        await withNodeWorker(async () => {
+            const result = await runPairingInWorker(normals, [], [], filterPairs, {seed: 'worker'});
+            const local = makePairs(normals, [], [], filterPairs, {seed: 'worker'});
+            assert.deepEqual(edges(result), edges(local));
+            assert.deepEqual(Object.keys(result).sort(), Object.keys(local).sort());
+            assert.equal(result.metadata.verification.valid, true);
+            assert.equal(NodeWebWorker.instances.length, 1);
+            assert.equal(NodeWebWorker.instances[0].terminated, true);
+        });
+    });
+
+    it('Worker의 불가능 판정은 InfeasiblePairingError로 복원', async () => {
+        await withNodeWorker(async () => {
+            const rejected = runPairingInWorker(['A', 'B', 'C'], [], [], [['A', 'B'], ['A', 'C']], {seed: 'x'});
+            await assert.rejects(rejected, error => error instanceof InfeasiblePairingError && error.infeasibility.participants.includes('A'));
+        });
+    });
+
+    it('취소하면 워커를 종료하고 AbortError로 거부', async () => {
+        await withNodeWorker(async () => {
+            const controller = new AbortController();
+            const running = runPairingInWorker(normals, [], [], filterPairs, {seed: 'cancel'}, {signal: controller.signal});
+            controller.abort();
+            await assert.rejects(running, {name: 'AbortError'});
+            assert.equal(NodeWebWorker.instances.length, 1);
+            assert.equal(NodeWebWorker.instances[0].terminated, true);
+        });
+    });
+});
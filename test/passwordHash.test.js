@@ -0,0 +1,50 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {hashPassword, verifyPassword, isPasswordHash} from '../src/services/passwordHash.js';
+
+// 테스트 시간을 줄이려고 반복 횟수를 낮춤
+const FAST = {iterations: 1000};
+
+describe('hashPassword', () => {
+    it('반복 횟수가 기록된 해시 형식으로 저장', async () => {
+        const stored = await hashPassword('AAAA-BBBB-CCCC', FAST);
+        assert.match(stored, /^pbkdf2-sha256\$1000\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+        assert.ok(isPasswordHash(stored));
+        assert.ok(!stored.includes('AAAA-BBBB-CCCC'));
+    });
+
+    it('같은 비밀번호도 솔트가 달라 매번 다른 해시', async () => {
+        const [first, second] = await Promise.all([hashPassword('same', FAST), hashPassword('same', FAST)]);
+        assert.notEqual(first, second);
+    });
+});
+
+describe('verifyPassword', () => {
+    it('맞는 비밀번호만 통과', async () => {
+        const stored = await hashPassword('AAAA-BBBB-CCCC', FAST);
+        assert.equal(await verifyPassword('AAAA-BBBB-CCCC', stored), true);
+        assert.equal(await verifyPassword('AAAA-BBBB-CCCD', stored), false);
+        assert.equal(await verifyPassword('', stored), false);
+    });
+
+    it('저장된 반복 횟수로 검증하므로 기본값과 달라도 통과', async () => {
+        const stored = await hashPassword('pw', {iterations: 2000});
+        assert.equal(await verifyPassword('pw', stored), true);
+    });
+
+    it('마이그레이션 전 평문은 평문끼리 비교하고 빈 값은 거부', async () => {
+        assert.equal(await verifyPassword('plain', ' plain '), true);
+        assert.equal(await verifyPassword('other', 'plain'), false);
+        assert.equal(await verifyPassword('', ''), false);
+        assert.equal(await verifyPassword('', undefined), false);
+    });
+});
+
+describe('isPasswordHash', () => {
+    it('형식이 맞지 않으면 평문으로 판단', () => {
+        assert.equal(isPasswordHash('plain'), false);
+        assert.equal(isPasswordHash('pbkdf2-sha256$0$a$b'), false);
+        assert.equal(isPasswordHash('sha1$1000$a$b'), false);
+        assert.equal(isPasswordHash(undefined), false);
+    });
+});
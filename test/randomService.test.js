@@ -0,0 +1,54 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {createSeededRandom, generateSeed, shuffleArray} from '../src/services/randomService.js';
+import {makePairs} from '../src/services/shuffleService.js';
+
+describe('createSeededRandom', () => {
+    it('같은 시드는 같은 난수 순서', () => {
+        const a = createSeededRandom('2511');
+        const b = createSeededRandom('2511');
+        const sequence = () => [a(), a(), a()];
+        assert.deepEqual(sequence(), [b(), b(), b()]);
+    });
+
+    it('다른 시드는 다른 난수 순서, 값은 [0, 1) 범위', () => {
+        const a = createSeededRandom('a');
+        const b = createSeededRandom('b');
+        const values = Array.from({length: 1000}, () => a());
+        assert.notEqual(values[0], b());
+        assert.ok(values.every(value => value >= 0 && value < 1));
+    });
+
+    it('시드가 없으면 에러', () => {
+        assert.throws(() => createSeededRandom(''));
+        assert.throws(() => createSeededRandom(null));
+    });
+});
+
+describe('generateSeed / shuffleArray', () => {
+    it('16자리 16진수 시드', () => {
+        assert.match(generateSeed(), /^[0-9a-f]{16}$/);
+    });
+
+    it('원본 배열을 바꾸지 않고 같은 원소를 섞음', () => {
+        const original = [1, 2, 3, 4, 5];
+        const shuffled = shuffleArray(original, createSeededRandom('s'));
+        assert.deepEqual(original, [1, 2, 3, 4, 5]);
+        assert.deepEqual([...shuffled].sort(), original);
+    });
+});
+
+describe('makePairs 시드 재현', () => {
+    it('같은 시드와 명단이면 같은 결과, 시드는 metadata에 기록', () => {
+        const roster = [['A', 'B', 'C', 'D', 'E'], ['N1', 'N2'], ['L1', 'L2', 'L3']];
+        const first = makePairs(...roster, [], {seed: 'repeat'});
+        const second = makePairs(...roster, [], {seed: 'repeat'});
+        assert.deepEqual(first.pairs, second.pairs);
+        assert.equal(first.metadata.seed, 'repeat');
+    });
+
+    it('시드를 주지 않으면 새로 만들어 기록', () => {
+        const {metadata} = makePairs(['A', 'B', 'C'], [], [], []);
+        assert.match(metadata.seed, /^[0-9a-f]{16}$/);
+    });
+});
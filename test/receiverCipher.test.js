@@ -0,0 +1,48 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {encryptReceiver, decryptReceiver, isEncryptedReceiver} from '../src/services/receiverCipher.js';
+
+// 테스트 시간을 줄이려고 반복 횟수를 낮춤
+const FAST = {iterations: 1000};
+
+describe('encryptReceiver / decryptReceiver', () => {
+    it('giver 비밀번호로 암호화한 receiver를 되돌림', async () => {
+        const stored = await encryptReceiver('김철수', 'A', 'AAAA-BBBB-CCCC', FAST);
+        assert.match(stored, /^aes-gcm\$1000\$/);
+        assert.ok(!stored.includes('김철수'));
+        assert.equal(await decryptReceiver(stored, 'A', 'AAAA-BBBB-CCCC'), '김철수');
+    });
+
+    it('같은 receiver도 매번 다른 암호문', async () => {
+        const [first, second] = await Promise.all([
+            encryptReceiver('B', 'A', 'pw', FAST),
+            encryptReceiver('B', 'A', 'pw', FAST)
+        ]);
+        assert.notEqual(first, second);
+    });
+
+    it('비밀번호가 다르면 복호화 실패', async () => {
+        const stored = await encryptReceiver('B', 'A', 'right', FAST);
+        await assert.rejects(decryptReceiver(stored, 'A', 'wrong'), /복호화할 수 없습니다/);
+    });
+
+    it('다른 giver 행으로 옮긴 암호문은 복호화 실패 (giver 이름은 정규화해서 비교)', async () => {
+        const stored = await encryptReceiver('B', 'A', 'pw', FAST);
+        await assert.rejects(decryptReceiver(stored, 'C', 'pw'), /복호화할 수 없습니다/);
+        assert.equal(await decryptReceiver(stored, ' A ', 'pw'), 'B');
+    });
+
+    it('암호문이 아닌 값은 복호화하지 않음', async () => {
+        await assert.rejects(decryptReceiver('B', 'A', 'pw'), /암호화된 결과가 아닙니다/);
+    });
+});
+
+describe('isEncryptedReceiver', () => {
+    it('형식이 맞는 값만 암호문으로 판단', () => {
+        assert.equal(isEncryptedReceiver('aes-gcm$1000$c2FsdA==$aXY=$Y3Q='), true);
+        assert.equal(isEncryptedReceiver('aes-gcm$0$c2FsdA==$aXY=$Y3Q='), false);
+        assert.equal(isEncryptedReceiver('pbkdf2-sha256$1000$a$b'), false);
+        assert.equal(isEncryptedReceiver('김철수'), false);
+        assert.equal(isEncryptedReceiver(undefined), false);
+    });
+});
@@ -0,0 +1,62 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {repairAssignment} from '../src/services/repairService.js';
+
+const SEEDS = ['a', 'b', 'c', 'd', 'e', 'f'];
+
+// split 추첨 결과: newbie + leader 사이클과 (남는 leader L3를 포함한) normal 사이클
+const roster = {normals: ['A', 'B', 'C', 'D'], newbies: ['N1', 'N2'], leaders: ['L1', 'L2', 'L3'], filterPairs: []};
+const saved = [
+    ['N1', 'L1'], ['L1', 'N2'], ['N2', 'L2'], ['L2', 'N1'],
+    ['A', 'B'], ['B', 'L3'], ['L3', 'C'], ['C', 'D'], ['D', 'A']
+];
+const newbieGroup = new Set(['N1', 'N2', 'L1', 'L2']);
+const crossesGroups = pairs => pairs.some(pair => newbieGroup.has(pair.giver) !== newbieGroup.has(pair.receiver));
+
+describe('repairAssignment', () => {
+    it('빠진 자리만 다시 연결하고 나머지 간선은 유지', () => {
+        const result = repairAssignment(saved, {removed: ['C']}, roster, null, {seed: 'a'});
+        assert.equal(result.metadata.repair.method, 'local');
+        assert.equal(result.metadata.repair.keptPairs, 7);
+        assert.deepEqual(result.metadata.repair.notify.map(entry => entry.giver), ['L3']);
+        assert.ok(result.pairs.some(pair => pair.giver === 'L3' && pair.receiver === 'D'));
+        assert.equal(result.metadata.verification.valid, true);
+    });
+
+    it('split 모드에서는 추가 참가자도 원래 그룹 안에서만 연결', () => {
+        SEEDS.forEach(seed => {
+            const result = repairAssignment(saved, {removed: ['D'], added: [{name: 'E', type: 'normal'}]}, roster, null, {seed});
+            assert.equal(result.metadata.mode, 'split');
+            assert.equal(crossesGroups(result.pairs), false, `seed ${seed}`);
+            assert.equal(result.pairs.length, 9);
+        });
+    });
+
+    it('전체 재추첨이 필요해도 원래 그룹을 넘나들지 않음', () => {
+        // normal 그룹이 A, B 두 명만 남으면 기존 간선을 유지할 수 없어 재추첨
+        const small = [['N1', 'L1'], ['L1', 'N2'], ['N2', 'L2'], ['L2', 'N1'], ['A', 'B'], ['B', 'C'], ['C', 'A']];
+        SEEDS.forEach(seed => {
+            const result = repairAssignment(small, {removed: ['C']}, roster, null, {seed, mode: 'split'});
+            assert.equal(result.metadata.repair.method, 'redraw');
+            assert.equal(crossesGroups(result.pairs), false, `seed ${seed}`);
+            assert.ok(result.pairs.some(pair => pair.giver === 'A' && pair.receiver === 'B'));
+            assert.ok(result.pairs.some(pair => pair.giver === 'B' && pair.receiver === 'A'));
+        });
+    });
+
+    it('mentoring 모드에서는 newbie를 추가할 수 없음', () => {
+        const cycle = [['A', 'B'], ['B', 'L1'], ['L1', 'C'], ['C', 'A']];
+        assert.throws(
+            () => repairAssignment(cycle, {added: [{name: 'N3', type: 'newbie'}]}, roster, null, {mode: 'mentoring'}),
+            /mentoring 모드에서는 newbie/
+        );
+        const result = repairAssignment(cycle, {removed: ['C']}, roster, null, {seed: 'a', mode: 'mentoring'});
+        assert.equal(result.metadata.mode, 'mentoring');
+        assert.equal(result.pairs.length, 3);
+    });
+
+    it('명단에 없는 타입이나 2명 미만이면 에러', () => {
+        assert.throws(() => repairAssignment([['A', 'B'], ['B', 'A']], {removed: ['B']}, roster), /2명 미만/);
+        assert.throws(() => repairAssignment(saved, {added: [{name: 'X', type: 'ghost'}]}, roster), /규칙에 정의되지 않은/);
+    });
+});
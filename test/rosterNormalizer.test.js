@@ -0,0 +1,57 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {normalizeName, isSameName, normalizeRoster, findDuplicateNames} from '../src/services/rosterNormalizer.js';
+
+describe('normalizeName', () => {
+    it('NFC, 폭 없는 문자, 연속 공백, 앞뒤 공백을 정리', () => {
+        // 자모로 나뉜 "한"(NFD) → 완성형, NBSP/폭 없는 공백 정리
+        assert.equal(normalizeName('\u1112\u1161\u11ab'), '\ud55c');
+        assert.equal(normalizeName(' \u00a0김\u00a0\u00a0철수\u200b '), '김 철수');
+        assert.equal(normalizeName(null), '');
+    });
+
+    it('대소문자 무시는 설정을 따름', () => {
+        assert.equal(isSameName('Alice', ' alice '), true);
+        assert.equal(isSameName('Alice', 'alice', {caseFolding: false}), false);
+    });
+});
+
+describe('normalizeRoster', () => {
+    it('금지된 쌍과 속성의 이름을 명단 표기로 맞춤', () => {
+        const roster = normalizeRoster({
+            normals: [' Alice', 'Bob  '],
+            newbies: ['', 'Carol'],
+            leaders: [],
+            participants: [{name: ' Dave ', type: 'guest'}],
+            filterPairs: [['alice', 'BOB']],
+            attributes: {ALICE: {team: 'a'}, alice: {cohort: '1'}}
+        });
+        assert.deepEqual(roster.normals, ['Alice', 'Bob']);
+        assert.deepEqual(roster.newbies, ['Carol']);
+        assert.deepEqual(roster.participants, [{name: 'Dave', type: 'guest'}]);
+        assert.deepEqual(roster.filterPairs, [['Alice', 'Bob']]);
+        assert.deepEqual(roster.attributes, {Alice: {team: 'a', cohort: '1'}});
+    });
+});
+
+describe('findDuplicateNames', () => {
+    it('다른 컬럼에 있는 같은 사람과 공백만 다른 비슷한 이름을 보고', () => {
+        const {duplicates, similar} = findDuplicateNames({
+            normals: ['김철수', 'Alice'],
+            newbies: [],
+            leaders: ['alice'],
+            participants: [{name: '김 철수', type: 'guest'}]
+        });
+        assert.deepEqual(duplicates, [{
+            name: 'Alice',
+            entries: [{name: 'Alice', type: 'normal'}, {name: 'alice', type: 'leader'}]
+        }]);
+        assert.deepEqual(similar.map(group => group.names), [['김철수', '김 철수']]);
+    });
+
+    it('대소문자를 구분하면 중복이 아니라 비슷한 이름', () => {
+        const {duplicates, similar} = findDuplicateNames({normals: ['Alice', 'alice'], newbies: [], leaders: []}, {caseFolding: false});
+        assert.equal(duplicates.length, 0);
+        assert.deepEqual(similar.map(group => group.names), [['Alice', 'alice']]);
+    });
+});
@@ -0,0 +1,58 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {parseRuleSet, createRuleEngine, DEFAULT_RULE_SET} from '../src/services/ruleEngine.js';
+import {makePairs} from '../src/services/shuffleService.js';
+
+const person = (name, type, attributes = {}) => ({name, type, attributes});
+
+describe('parseRuleSet', () => {
+    it('types 배열을 label이 있는 객체로 정규화', () => {
+        const {types} = parseRuleSet({types: ['normal', 'staff'], rules: []});
+        assert.deepEqual(types, {normal: {label: 'normal'}, staff: {label: 'staff'}});
+    });
+
+    it('선언하지 않은 타입을 쓰는 규칙은 거부', () => {
+        assert.throws(() => parseRuleSet({types: ['normal'], rules: [{kind: 'typeBan', giver: 'staff', receiver: 'normal'}]}));
+    });
+
+    it('JSON 문자열도 받음', () => {
+        const ruleSet = parseRuleSet(JSON.stringify(DEFAULT_RULE_SET));
+        assert.equal(ruleSet.rules.length, DEFAULT_RULE_SET.rules.length);
+    });
+});
+
+describe('createRuleEngine', () => {
+    it('기본 규칙: newbie끼리, newbie와 normal 사이는 금지', () => {
+        const engine = createRuleEngine();
+        assert.ok(engine.getBlockReason(person('N1', 'newbie'), person('N2', 'newbie')));
+        assert.ok(engine.getBlockReason(person('A', 'normal'), person('N1', 'newbie')));
+        assert.equal(engine.getBlockReason(person('N1', 'newbie'), person('L1', 'leader')), null);
+    });
+
+    it('filterPairs는 양방향 금지', () => {
+        const engine = createRuleEngine(undefined, [['A', 'B']]);
+        assert.ok(engine.getBlockReason(person('B', 'normal'), person('A', 'normal')));
+    });
+
+    it('속성 규칙으로 같은 팀끼리 금지', () => {
+        const engine = createRuleEngine({
+            types: ['normal'],
+            rules: [{kind: 'attributeBan', attribute: 'team'}]
+        });
+        assert.ok(engine.getBlockReason(person('A', 'normal', {team: '1'}), person('B', 'normal', {team: '1'})));
+        assert.equal(engine.getBlockReason(person('A', 'normal', {team: '1'}), person('C', 'normal', {team: '2'})), null);
+    });
+
+    it('규칙에 선언한 타입의 참가자도 makePairs로 추첨', () => {
+        const rules = {
+            types: ['normal', 'newbie', 'leader', 'staff'],
+            rules: [{kind: 'typeBan', giver: 'staff', receiver: 'staff'}]
+        };
+        const participants = [{name: 'S1', type: 'staff'}, {name: 'S2', type: 'staff'}];
+        const {pairs} = makePairs(['A', 'B', 'C'], [], [], [], {seed: 'staff', rules, participants});
+        assert.equal(pairs.length, 5);
+        pairs.forEach(pair => {
+            assert.ok(!(pair.giver.startsWith('S') && pair.receiver.startsWith('S')));
+        });
+    });
+});
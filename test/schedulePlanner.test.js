@@ -0,0 +1,54 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {planRounds} from '../src/services/schedulePlanner.js';
+
+const pairKeys = plan => plan.rounds.flatMap(round => round.pairs.map(({giver, receiver}) => `${giver}-${receiver}`));
+
+describe('planRounds', () => {
+    it('normal 5명 4회차는 어떤 시드로도 반복 없이 계획', () => {
+        // 5명 4회차는 i → i+1, i+2, i+3, i+4 처럼 20개 쌍을 모두 한 번씩 쓰는 계획만 가능
+        const roster = {normals: ['A', 'B', 'C', 'D', 'E'], newbies: [], leaders: [], filterPairs: []};
+        ['a', 'b', 'c', 'f', 'g', 'h'].forEach(seed => {
+            const plan = planRounds(roster, 4, {seed});
+            assert.equal(plan.summary.method, 'joint', `seed ${seed}`);
+            assert.deepEqual(plan.rounds.map(round => round.repeats), [0, 0, 0, 0], `seed ${seed}`);
+            assert.equal(new Set(pairKeys(plan)).size, 20, `seed ${seed}`);
+            assert.equal(plan.summary.maxRepeat, 1);
+        });
+    });
+
+    it('같은 시드면 같은 계획', () => {
+        const roster = {normals: ['A', 'B', 'C', 'D', 'E', 'F'], newbies: ['N'], leaders: ['L1', 'L2'], filterPairs: []};
+        assert.deepEqual(pairKeys(planRounds(roster, 3, {seed: 'same'})), pairKeys(planRounds(roster, 3, {seed: 'same'})));
+    });
+
+    it('반복이 불가피하면 회차별로 반복을 고르게 분산', () => {
+        // 4명은 12개 쌍을 원형 연결 3개로 나눌 수 없어 새 쌍만으로는 2회차까지만 가능
+        const roster = {normals: ['A', 'B', 'C', 'D'], newbies: [], leaders: [], filterPairs: []};
+        const plan = planRounds(roster, 6, {seed: 'x', roundNames: ['첫째']});
+        assert.equal(plan.summary.method, 'sequential');
+        assert.equal(plan.rounds[0].round, '첫째');
+        assert.equal(plan.rounds[1].round, '2회차');
+        assert.equal(plan.summary.maxRepeat, 2);
+        assert.deepEqual(plan.rounds.slice(0, 3).map(round => round.repeats > 0), [false, false, true]);
+    });
+
+    it('탐색 추첨 로그만 생략하고 반복을 허용하는 회차 로그는 남김', () => {
+        const roster = {normals: ['A', 'B', 'C', 'D'], newbies: [], leaders: [], filterPairs: []};
+        const originalLog = console.log;
+        const logged = [];
+        console.log = (...args) => logged.push(args.join(' '));
+        try {
+            planRounds(roster, 6, {seed: 'x'});
+        } finally {
+            console.log = originalLog;
+        }
+        // 반복 없는 2회차는 탐색에서 조용히 뽑고, 나머지 4회차만 추첨 로그를 남김
+        assert.equal(logged.filter(line => line.startsWith('🎯')).length, 4);
+        assert.ok(logged[0].startsWith('🗓️'));
+    });
+
+    it('회차 수가 1 미만이면 에러', () => {
+        assert.throws(() => planRounds({normals: ['A', 'B']}, 0), /1 이상의 정수/);
+    });
+});
@@ -0,0 +1,429 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {createSheetDataService} from '../src/services/sheetDataService.js';
+import {decryptReceiver, isEncryptedReceiver} from '../src/services/receiverCipher.js';
+import {DEFAULT_SHEET_LAYOUT} from '../src/services/sheetLayout.js';
+import {FakeSheets, connect} from './fakeSheets.js';
+
+/**
+ * 회차 보관 탭 하나를 직접 만듦 (ROUND_TAB_LAYOUT: 쌍은 D:G, 첫 행은 헤더)
+ */
+async function addRoundTab(sheets, round, pairs) {
+    await sheets.batchUpdateSpreadsheet([{addSheet: {properties: {title: `Round-${round}`}}}]);
+    await sheets.batchUpdateData([{
+        range: `'Round-${round}'!D1:G${pairs.length + 1}`,
+        values: [['giver', 'receiver', 'giver 타입', 'receiver 타입'], ...pairs.map(([giver, receiver]) => [giver, receiver, 'normal', 'normal'])]
+    }]);
+}
+
+describe('fetchPairHistory', () => {
+    it('범위를 지정하지 않으면 회차 보관 탭에서 최근 회차를 읽음', async () => {
+        const sheets = new FakeSheets();
+        await addRoundTab(sheets, '1', [['A', 'B'], ['B', 'A']]);
+        await addRoundTab(sheets, '2', [['A', 'C'], ['C', 'A']]);
+        await addRoundTab(sheets, '3', [['B', 'C'], ['C', 'B']]);
+        const service = connect(createSheetDataService(), sheets);
+
+        const history = await service.fetchPairHistory({lookback: 2});
+        assert.equal(history.source, 'rounds');
+        assert.deepEqual(history.rounds.map(round => round.round), ['2', '3']);
+        assert.deepEqual(history.pairs, [['A', 'C'], ['C', 'A'], ['B', 'C'], ['C', 'B']]);
+        assert.ok(!sheets.reads.some(range => range.startsWith('History')));
+    });
+
+    it('암호화된 receiver는 이전 회차 기록에서 제외', async () => {
+        const sheets = new FakeSheets();
+        await addRoundTab(sheets, '1', [['A', 'aes-gcm$310000$c2FsdA==$aXY=$Y3Q='], ['B', 'A']]);
+        const service = connect(createSheetDataService(), sheets);
+
+        const history = await service.fetchPairHistory({lookback: 3});
+        assert.deepEqual(history.pairs, [['B', 'A']]);
+        assert.equal(history.skippedEncrypted, 1);
+        assert.equal(history.rounds[0].skippedEncrypted, 1);
+    });
+
+    it('회차 탭이 없으면 누적 기록 범위를 사용', async () => {
+        const sheets = new FakeSheets({DB: {}, History: {}});
+        await sheets.batchUpdateData([{range: 'History!A2:C3', values: [['1', 'A', 'B'], ['1', 'B', 'A']]}]);
+        const service = connect(createSheetDataService(), sheets);
+
+        const history = await service.fetchPairHistory({lookback: 3});
+        assert.equal(history.source, 'range');
+        assert.deepEqual(history.pairs, [['A', 'B'], ['B', 'A']]);
+    });
+});
+
+describe('명단 표 타입', () => {
+    const rosterSheet = async rules => {
+        const sheets = new FakeSheets({DB: {}, Roster: {}, Rules: {}});
+        await sheets.batchUpdateData([{
+            range: 'Roster!A1:C5',
+            values: [['name', 'type', 'team'], ['A', 'normal', '1'], ['B', '리더', '2'], ['S', 'staff', '1'], ['G', '손님', '']]
+        }]);
+        if (rules) {
+            await sheets.batchUpdateData([{range: 'Rules!A1', values: [[JSON.stringify(rules)]]}]);
+        }
+        const service = connect(createSheetDataService(), sheets);
+        service.layout = {...service.layout, roster: 'Roster!A1:Z'};
+        return service;
+    };
+
+    it('규칙 정의에 선언한 타입(이름 또는 label)을 받아 participants로 반환', async () => {
+        const service = await rosterSheet({
+            types: {normal: {}, newbie: {}, leader: {}, staff: {label: '스태프'}, guest: {label: '손님'}},
+            rules: []
+        });
+        const data = await service.fetchDefaultData();
+        assert.deepEqual(data.normals, ['A']);
+        assert.deepEqual(data.leaders, ['B']);
+        assert.deepEqual(data.participants, [{name: 'S', type: 'staff'}, {name: 'G', type: 'guest'}]);
+        assert.deepEqual(data.metadata.invalidRows, []);
+
+        const {pairOptions} = service.buildPairingRequest(data);
+        assert.deepEqual(pairOptions.participants, data.participants);
+    });
+
+    it('규칙 정의가 없으면 기본 타입만 받고 나머지는 건너뛴 행으로 보고', async () => {
+        const service = await rosterSheet(null);
+        const data = await service.fetchDefaultData();
+        assert.deepEqual(data.participants, []);
+        assert.deepEqual(data.metadata.invalidRows.map(row => row.name), ['S', 'G']);
+    });
+});
+
+describe('Settings 탭 레이아웃', () => {
+    const settingsSheet = async rows => {
+        const sheets = new FakeSheets({DB: {}, Settings: {}, People: {}});
+        await sheets.batchUpdateData([{range: `Settings!A1:B${rows.length}`, values: rows}]);
+        return {sheets, service: connect(createSheetDataService(), sheets)};
+    };
+
+    it('Settings 탭에서 옮긴 영역으로 명단을 읽고 결과와 인증 정보를 기록', async () => {
+        const {sheets, service} = await settingsSheet([
+            ['normals', 'People!A2:A'], ['newbies', 'People!B2:B'], ['leaders', 'People!C2:C'],
+            ['filterPairs', 'People!E2:F'], ['pairs', 'Results!A2:B500'], ['credentials', 'D10:E100']
+        ]);
+        await sheets.batchUpdateSpreadsheet([{addSheet: {properties: {title: 'Results'}}}]);
+        await sheets.batchUpdateData([
+            {range: 'People!A2:A5', values: [['A'], ['B'], ['C'], ['D']]},
+            {range: 'People!E2:F2', values: [['A', 'B']]},
+            // 기본 위치(A4:A)에 남은 옛 명단은 읽지 않아야 함
+            {range: 'DB!A4:A5', values: [['옛날'], ['사람']]}
+        ]);
+
+        const layout = await service.loadSheetLayout();
+        assert.equal(layout.pairs, 'Results!A2:B500');
+        assert.equal(layout.history, 'History!A2:C');
+
+        const data = await service.fetchDefaultData();
+        assert.deepEqual(data.normals, ['A', 'B', 'C', 'D']);
+        assert.deepEqual(data.filterPairs, [['A', 'B']]);
+
+        const {pairs} = service.makeRandomPairs(data, {seed: 'settings'});
+        await service.savePairsToSheet(pairs, undefined, {round: '1', roster: data, force: true});
+        assert.equal(sheets.cell('Results', 'A2'), pairs[0].giver);
+        assert.equal(sheets.cell('DB', 'J4'), '');
+        assert.deepEqual(await service.fetchSavedPairs(), pairs.map(({giver, receiver}) => [giver, receiver]));
+
+        await service.saveCredentials([{name: 'A', stored: 'hash-a'}]);
+        assert.equal(sheets.cell('DB', 'D10'), 'A');
+        assert.deepEqual(await service.fetchCredentials(), [['A', 'hash-a']]);
+    });
+
+    it('Settings 탭이 없으면 기본 레이아웃, 형식이 틀리면 에러', async () => {
+        const service = connect(createSheetDataService(), new FakeSheets());
+        assert.deepEqual(await service.loadSheetLayout(), DEFAULT_SHEET_LAYOUT);
+
+        const {service: invalid} = await settingsSheet([['pairs', 'J4:L1000']]);
+        await assert.rejects(invalid.loadSheetLayout(), /pairs 범위는 2컬럼/);
+    });
+});
+
+describe('참가자 속성 표', () => {
+    it('속성 표의 추가 컬럼을 이름별 속성으로 읽고 속성 규칙으로 추첨', async () => {
+        const sheets = new FakeSheets({DB: {}, Rules: {}});
+        await sheets.batchUpdateData([
+            {range: 'DB!A4:A9', values: [['A'], ['B'], ['C'], ['D'], ['E'], ['F']]},
+            {range: 'DB!P3:R9', values: [['이름', 'team', 'cohort'], ['A', '1', '2024'], ['B', '1', ''], ['C', '2', '2025'], ['D', '2', ''], ['E', '3', ''], ['F', '3', '']]},
+            {range: 'Rules!A1', values: [[JSON.stringify({types: ['normal', 'newbie', 'leader'], rules: [{kind: 'attributeBan', attribute: 'team'}]})]]}
+        ]);
+        const service = connect(createSheetDataService(), sheets);
+
+        const data = await service.fetchDefaultData();
+        assert.deepEqual(data.attributes.A, {team: '1', cohort: '2024'});
+        assert.deepEqual(data.attributes.B, {team: '1'});
+        assert.deepEqual(data.records.find(record => record.name === 'C').attributes, {team: '2', cohort: '2025'});
+
+        const rules = await service.fetchPairingRules();
+        const {pairs} = service.makeRandomPairs(data, {seed: 'team', rules});
+        assert.equal(pairs.length, 6);
+        pairs.forEach(pair => assert.notEqual(data.attributes[pair.giver].team, data.attributes[pair.receiver].team));
+    });
+});
+
+describe('헤더 기반 명단 표', () => {
+    const rosterService = async values => {
+        const sheets = new FakeSheets({DB: {}, Roster: {}});
+        await sheets.batchUpdateData([{range: `Roster!A2:F${values.length + 1}`, values}]);
+        const service = connect(createSheetDataService(), sheets);
+        service.setSheetLayout({roster: 'Roster!A2:Z'});
+        return service;
+    };
+
+    it('컬럼 순서와 관계없이 헤더로 읽어 id, 이름, 타입, 속성을 가진 레코드와 타입별 이름 배열을 만듦', async () => {
+        const service = await rosterService([
+            ['email', '구분', 'id', '이름', 'team', '가입일'],
+            ['a@example.com', '일반', 'u1', 'Alice', 'red', '2024-03-01'],
+            ['', 'newbie', '', 'Nami', '', ''],
+            ['l@example.com', '리더', 'u3', '  Leo  ', 'blue', '']
+        ]);
+        const data = await service.fetchDefaultData();
+
+        assert.deepEqual(data.records.map(({id, name, type, row}) => ({id, name, type, row})), [
+            {id: 'u1', name: 'Alice', type: 'normal', row: 3},
+            {id: 'Nami', name: 'Nami', type: 'newbie', row: 4},
+            {id: 'u3', name: 'Leo', type: 'leader', row: 5}
+        ]);
+        assert.deepEqual(data.records[0].attributes, {email: 'a@example.com', team: 'red', 가입일: '2024-03-01'});
+        assert.deepEqual(data.records[1].attributes, {});
+        assert.deepEqual(data.normals, ['Alice']);
+        assert.deepEqual(data.newbies, ['Nami']);
+        assert.deepEqual(data.leaders, ['Leo']);
+        assert.deepEqual(data.attributes.Leo, {email: 'l@example.com', team: 'blue'});
+        assert.deepEqual(data.attributeNames, ['email', 'team', '가입일']);
+        assert.equal(data.metadata.counts.records, 3);
+    });
+
+    it('이름이 없거나 타입을 모르거나 id가 중복된 행은 시트 행 번호와 함께 건너뜀', async () => {
+        const service = await rosterService([
+            ['name', 'type', 'id'],
+            ['A', 'normal', 'x'],
+            ['', 'normal', 'y'],
+            ['B', 'vip', 'z'],
+            ['C', 'leader', 'x']
+        ]);
+        const data = await service.fetchDefaultData();
+        assert.deepEqual(data.normals, ['A']);
+        assert.deepEqual(data.metadata.invalidRows.map(({row, name}) => [row, name]), [[4, undefined], [5, 'B'], [6, 'C']]);
+    });
+
+    it('이름이나 타입 헤더가 없으면 에러', async () => {
+        const service = await rosterService([['email', 'team'], ['a@example.com', 'red']]);
+        await assert.rejects(service.fetchDefaultData(), /이름\/타입 헤더가 없습니다/);
+    });
+});
+
+describe('멘토링 배정 저장', () => {
+    const pairs = [
+        {giver: 'A', receiver: 'L1', giverType: 'normal', receiverType: 'leader'},
+        {giver: 'L1', receiver: 'B', giverType: 'leader', receiverType: 'normal'},
+        {giver: 'B', receiver: 'A', giverType: 'normal', receiverType: 'normal'}
+    ];
+    const roster = {normals: ['A', 'B'], newbies: ['N1', 'N2'], leaders: ['L1'], filterPairs: []};
+
+    const withMentoringRegion = service => {
+        service.setSheetLayout({mentoring: 'AH4:AI1000'});
+        return service;
+    };
+
+    it('mentoring 영역과 회차 탭에 mentor → mentee를 기록하고 다시 불러옴', async () => {
+        const sheets = new FakeSheets();
+        const service = withMentoringRegion(connect(createSheetDataService(), sheets));
+
+        const result = await service.savePairsToSheet(pairs, undefined, {
+            round: '1',
+            roster,
+            mentoring: [{mentor: 'L1', mentee: 'N1'}, {mentor: 'L1', mentee: 'N2'}],
+            force: true
+        });
+        assert.equal(result.savedMentoring, 2);
+        assert.equal(sheets.cell('DB', 'AH4'), 'L1');
+        assert.equal(sheets.cell('DB', 'AI5'), 'N2');
+        assert.deepEqual(await service.fetchSavedMentoring(), [{mentor: 'L1', mentee: 'N1'}, {mentor: 'L1', mentee: 'N2'}]);
+
+        const archived = await service.loadRound('1');
+        assert.deepEqual(archived.mentoring, [{mentor: 'L1', mentee: 'N1'}, {mentor: 'L1', mentee: 'N2'}]);
+    });
+
+    it('저장된 쌍을 검증할 때 저장된 멘토링 배정도 용량 기준으로 확인', async () => {
+        const sheets = new FakeSheets();
+        const service = withMentoringRegion(connect(createSheetDataService(), sheets));
+        await service.savePairsToSheet(pairs, undefined, {
+            round: '1',
+            roster,
+            mentoring: [{mentor: 'L1', mentee: 'N1'}, {mentor: 'L1', mentee: 'N2'}],
+            force: true
+        });
+
+        assert.equal((await service.verifySavedPairs(roster, {mentorCapacity: 2})).valid, true);
+        const overloaded = await service.verifySavedPairs(roster, {mentorCapacity: 1});
+        assert.deepEqual(overloaded.violations.map(({code, participant}) => [code, participant]), [['mentorCapacity', 'L1']]);
+    });
+
+    it('멘토링 없이 다시 저장하면 이전 멘토링 행을 비움', async () => {
+        const sheets = new FakeSheets();
+        const service = withMentoringRegion(connect(createSheetDataService(), sheets));
+
+        await service.savePairsToSheet(pairs, undefined, {round: '1', roster, mentoring: [{mentor: 'L1', mentee: 'N1'}], force: true});
+        await service.savePairsToSheet(pairs, undefined, {round: '2', roster, force: true});
+        assert.equal(sheets.cell('DB', 'AH4'), '');
+        assert.deepEqual(await service.fetchSavedMentoring(), []);
+    });
+
+    it('기본 레이아웃에는 mentoring 영역이 없어 D/E열 등 다른 칸을 건드리지 않음', async () => {
+        const sheets = new FakeSheets();
+        await sheets.batchUpdateData([{range: 'DB!D4:E4', values: [['메모', '사용자 데이터']]}]);
+        const service = connect(createSheetDataService(), sheets);
+
+        await service.savePairsToSheet(pairs, undefined, {round: '1', roster, force: true});
+        assert.equal(sheets.cell('DB', 'D4'), '메모');
+        assert.equal(sheets.cell('DB', 'E4'), '사용자 데이터');
+        assert.deepEqual(await service.fetchSavedMentoring(), []);
+
+        await assert.rejects(
+            service.savePairsToSheet(pairs, undefined, {round: '2', roster, mentoring: [{mentor: 'L1', mentee: 'N1'}], force: true}),
+            /mentoring 영역이 없습니다/
+        );
+    });
+});
+
+describe('savePairsToSheet 격자', () => {
+    const pairs = [
+        {giver: 'A', receiver: 'B', giverType: 'normal', receiverType: 'normal'},
+        {giver: 'B', receiver: 'C', giverType: 'normal', receiverType: 'normal'},
+        {giver: 'C', receiver: 'A', giverType: 'normal', receiverType: 'normal'}
+    ];
+
+    it('26열(A~Z) 기본 격자의 DB 탭이면 열을 늘려 pairDetails(AB:AF)에 기록', async () => {
+        const sheets = new FakeSheets();
+        const service = connect(createSheetDataService(), sheets);
+
+        const result = await service.savePairsToSheet(pairs, undefined, {round: '1', seed: 's1', force: true, archive: false});
+        assert.equal(result.verified, true);
+        assert.equal(sheets.tabs.get('DB').columnCount, 32);
+        assert.equal(sheets.cell('DB', 'AB4'), '1');
+        assert.equal(sheets.cell('DB', 'AD4'), 's1');
+        assert.equal(sheets.cell('DB', 'AF6'), 'normal');
+
+        // 이미 넓힌 탭은 다시 늘리지 않음
+        assert.deepEqual(await service.ensureGridSize(['DB!AB4:AF1000']), []);
+    });
+
+    it('레이아웃 영역의 끝 행이 탭보다 길면 행도 늘림', async () => {
+        const sheets = new FakeSheets({DB: {rowCount: 200}});
+        const service = connect(createSheetDataService(), sheets);
+
+        const expansions = await service.ensureGridSize(['DB!J4:K1000', 'DB!AB4:AF1000', 'Missing!A1:B2']);
+        assert.deepEqual(expansions, [
+            {sheet: 'DB', dimension: 'COLUMNS', length: 6},
+            {sheet: 'DB', dimension: 'ROWS', length: 800}
+        ]);
+        assert.equal(sheets.tabs.get('DB').rowCount, 1000);
+    });
+});
+
+describe('회차 보관', () => {
+    it('같은 회차를 다시 저장하면 번호를 붙인 탭에 보관하고 명단과 메타데이터를 복원', async () => {
+        const sheets = new FakeSheets();
+        const service = connect(createSheetDataService(), sheets);
+        const pairs = [{giver: 'A', receiver: 'G', giverType: 'normal', receiverType: 'guest'}, {giver: 'G', receiver: 'A', giverType: 'guest', receiverType: 'normal'}];
+        const details = {
+            round: '2026-11',
+            metadata: {seed: 'abc', mode: 'global', receiversPerGiver: 1, history: {rounds: 2}},
+            roster: {normals: ['A'], newbies: [], leaders: [], participants: [{name: 'G', type: 'guest'}], filterPairs: [['A', 'X']]}
+        };
+
+        const first = await service.archiveRound(pairs, details);
+        const second = await service.archiveRound(pairs, details);
+        assert.equal(first.title, 'Round-2026-11');
+        assert.equal(second.title, 'Round-2026-11-2');
+        assert.deepEqual((await service.listRounds()).map(round => round.round), ['2026-11', '2026-11-2']);
+
+        const loaded = await service.loadRound('2026-11-2');
+        assert.equal(loaded.round, '2026-11-2');
+        assert.equal(loaded.seed, 'abc');
+        assert.equal(loaded.metadata.mode, 'global');
+        assert.deepEqual(loaded.metadata.history, {rounds: 2});
+        assert.deepEqual(loaded.pairs[0], {giver: 'A', receiver: 'G', giverType: 'normal', receiverType: 'guest'});
+        assert.deepEqual(loaded.roster.participants, [{name: 'G', type: 'guest'}]);
+        assert.deepEqual(loaded.filterPairs, [['A', 'X']]);
+    });
+});
+
+describe('결과 암호화 저장', () => {
+    const pairs = [
+        {giver: 'A', receiver: 'B', giverType: 'normal', receiverType: 'normal'},
+        {giver: 'B', receiver: 'A', giverType: 'normal', receiverType: 'normal'}
+    ];
+    const credentials = [{name: 'A', password: 'AAAA-AAAA-AAAA'}, {name: 'B', password: 'BBBB-BBBB-BBBB'}];
+
+    it('receiver는 암호문으로만 기록하고 시드와 반복된 이전 쌍은 남기지 않음', async () => {
+        const sheets = new FakeSheets();
+        const service = connect(createSheetDataService(), sheets);
+
+        const result = await service.savePairsToSheet(pairs, undefined, {
+            round: '1',
+            metadata: {seed: 'secret-seed', mode: 'global', history: {rounds: 1, repeated: [['A', 'B']]}},
+            roster: {normals: ['A', 'B'], newbies: [], leaders: [], filterPairs: []},
+            credentials,
+            force: true
+        });
+        assert.equal(result.encrypted, true);
+        assert.equal(result.seed, '');
+        assert.equal(sheets.cell('DB', 'AD4'), '');
+        assert.equal(await decryptReceiver(sheets.cell('DB', 'K4'), 'A', 'AAAA-AAAA-AAAA'), 'B');
+
+        const archived = await service.loadRound('1');
+        assert.ok(!archived.seed);
+        assert.ok(!archived.metadata.seed);
+        assert.equal(archived.metadata.mode, 'global');
+        assert.deepEqual(archived.metadata.history, {rounds: 1});
+        assert.ok(isEncryptedReceiver(archived.pairs[0].receiver));
+        assert.ok(!JSON.stringify([...sheets.tabs.get('Round-1').cells.values()]).includes('secret-seed'));
+    });
+
+    it('암호화하지 않으면 시드를 그대로 기록', async () => {
+        const sheets = new FakeSheets();
+        const service = connect(createSheetDataService(), sheets);
+
+        await service.savePairsToSheet(pairs, undefined, {round: '1', metadata: {seed: 'open-seed'}, force: true});
+        assert.equal(sheets.cell('DB', 'K4'), 'B');
+        assert.equal(sheets.cell('DB', 'AD4'), 'open-seed');
+        assert.equal((await service.loadRound('1')).seed, 'open-seed');
+    });
+});
+
+describe('규칙 정의 타입 참가자', () => {
+    const data = {
+        normals: ['A', 'B'],
+        newbies: [],
+        leaders: [],
+        participants: [{name: 'S1', type: 'staff'}],
+        filterPairs: []
+    };
+    const rules = {types: ['normal', 'newbie', 'leader', 'staff'], rules: []};
+
+    it('추첨한 뒤 비밀번호를 발급하고 암호화해서 저장할 수 있음', async () => {
+        const sheets = new FakeSheets();
+        const service = connect(createSheetDataService(), sheets);
+
+        const result = service.makeRandomPairs(data, {seed: 'staff', rules, mode: 'global'});
+        assert.ok(result.pairs.some(pair => pair.giver === 'S1'));
+
+        const {credentials} = await service.issuePasswords(data);
+        assert.deepEqual(credentials.map(({name}) => name), ['A', 'B', 'S1']);
+
+        const saved = await service.savePairsToSheet(result.pairs, undefined, {round: '1', credentials, archive: false});
+        assert.equal(saved.encrypted, true);
+        const row = [4, 5, 6].find(row => sheets.cell('DB', `J${row}`) === 'S1');
+        const password = credentials.find(({name}) => name === 'S1').password;
+        const receiver = result.pairs.find(pair => pair.giver === 'S1').receiver;
+        assert.equal(await decryptReceiver(sheets.cell('DB', `K${row}`), 'S1', password), receiver);
+    });
+
+    it('한 사람 재발급도 규칙 정의 타입 참가자를 명단으로 인정', async () => {
+        const service = connect(createSheetDataService(), new FakeSheets());
+        const result = await service.reissuePassword('s1', data);
+        assert.equal(result.name, 'S1');
+    });
+});
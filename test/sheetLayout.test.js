@@ -0,0 +1,53 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_SHEET_LAYOUT,
+    parseA1Range,
+    parseSheetLayout,
+    resolveRange,
+    resolveWriteRange,
+    requiredGridSize
+} from '../src/services/sheetLayout.js';
+
+describe('parseA1Range', () => {
+    it('탭 이름, 열, 행을 분해하고 끝 행이 없으면 null', () => {
+        assert.deepEqual(parseA1Range('History!A2:C'), {sheet: 'History', startColumn: 'A', startRow: 2, endColumn: 'C', endRow: null});
+        assert.deepEqual(parseA1Range('J4:K1000'), {sheet: null, startColumn: 'J', startRow: 4, endColumn: 'K', endRow: 1000});
+        assert.equal(parseA1Range('not a range'), null);
+    });
+});
+
+describe('parseSheetLayout', () => {
+    it('Settings 탭 행으로 기본값을 덮어쓰고 모르는 키는 무시', () => {
+        const layout = parseSheetLayout([['pairs', 'Results!A2:B500'], ['unknown', 'X1'], ['', 'ignored']]);
+        assert.equal(layout.pairs, 'Results!A2:B500');
+        assert.equal(layout.credentials, DEFAULT_SHEET_LAYOUT.credentials);
+        assert.equal(layout.unknown, undefined);
+    });
+
+    it('컬럼 수가 정해진 영역의 너비가 다르면 에러', () => {
+        assert.throws(() => parseSheetLayout({pairs: 'J4:L1000'}), /pairs 범위는 2컬럼/);
+        assert.throws(() => parseSheetLayout({mentoring: 'D4:D1000'}), /mentoring 범위는 2컬럼/);
+        assert.throws(() => parseSheetLayout({credentials: ''}), /credentials 범위가 비어/);
+    });
+});
+
+describe('resolveRange / resolveWriteRange', () => {
+    it('탭 이름이 없으면 sheetName 탭 기준', () => {
+        assert.equal(resolveRange(DEFAULT_SHEET_LAYOUT, 'pairs'), 'DB!J4:K1000');
+        assert.equal(resolveRange(DEFAULT_SHEET_LAYOUT, 'history'), 'History!A2:C');
+        assert.equal(resolveWriteRange(DEFAULT_SHEET_LAYOUT, 'pairs', 3), 'DB!J4:K6');
+    });
+
+    it('영역의 끝 행을 넘기면 에러', () => {
+        assert.throws(() => resolveWriteRange(DEFAULT_SHEET_LAYOUT, 'pairs', 998), /끝 행을 늘려주세요/);
+    });
+});
+
+describe('requiredGridSize', () => {
+    it('기본 레이아웃의 pairDetails는 26열 격자를 넘음', () => {
+        assert.deepEqual(requiredGridSize(resolveRange(DEFAULT_SHEET_LAYOUT, 'pairDetails')), {sheet: 'DB', columnCount: 32, rowCount: 1000});
+        assert.deepEqual(requiredGridSize("'Round-1'!D1:G"), {sheet: 'Round-1', columnCount: 7, rowCount: null});
+        assert.equal(requiredGridSize('A1:B2'), null);
+    });
+});
@@ -0,0 +1,174 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {makePairs, InfeasiblePairingError} from '../src/services/shuffleService.js';
+
+const names = (prefix, count) => [...Array(count).keys()].map(i => `${prefix}${i}`);
+
+describe('makePairs 이전 회차 쌍', () => {
+    it('피할 수 있으면 이전 쌍을 다시 만들지 않음', () => {
+        const normals = names('A', 6);
+        const previousPairs = normals.map((name, i) => [name, normals[(i + 1) % normals.length]]);
+        for (const seed of ['a', 'b', 'c']) {
+            const {pairs, metadata} = makePairs(normals, [], [], [], {seed, previousPairs});
+            assert.equal(metadata.history.repeats, 0);
+            assert.equal(metadata.history.relaxed, 0);
+            pairs.forEach(pair => {
+                assert.ok(!previousPairs.some(([giver, receiver]) => giver === pair.giver && receiver === pair.receiver));
+            });
+        }
+    });
+
+    it('soft 모드에서 모두 피할 수 없으면 막힌 참가자의 이전 쌍만 허용', () => {
+        // 3명 그룹의 사이클은 두 가지뿐: 한쪽 사이클을 모두 기록하고 다른 쪽은 A0 → A2 하나만 기록
+        const normals = names('A', 3);
+        const previousPairs = [['A0', 'A1'], ['A1', 'A2'], ['A2', 'A0'], ['A0', 'A2']];
+        const {metadata} = makePairs(normals, [], [], [], {seed: 'soft', previousPairs, repeatMode: 'soft'});
+        assert.ok(metadata.history.repeats >= 1);
+        assert.ok(metadata.history.relaxed >= metadata.history.repeats);
+        assert.equal(metadata.history.unavoidableRepeats, undefined);
+    });
+
+    it('hard 모드에서 모두 피할 수 없으면 불가능 에러', () => {
+        const normals = names('A', 3);
+        const previousPairs = [['A0', 'A1'], ['A1', 'A2'], ['A2', 'A0'], ['A0', 'A2']];
+        assert.throws(
+            () => makePairs(normals, [], [], [], {seed: 'hard', previousPairs, repeatMode: 'hard'}),
+            InfeasiblePairingError
+        );
+    });
+
+    it('일부 참가자만 막힌 경우 나머지 참가자의 이전 쌍은 계속 피함', () => {
+        // A0은 금지 조건으로 A1, A2와만 주고받을 수 있고 A0 → A1, A0 → A2가 모두 이전 쌍
+        const normals = names('A', 6);
+        const filterPairs = [['A0', 'A3'], ['A0', 'A4'], ['A0', 'A5']];
+        const previousPairs = [['A0', 'A1'], ['A0', 'A2'], ['A3', 'A4'], ['A4', 'A5']];
+        for (const seed of ['a', 'b', 'c', 'd']) {
+            const {pairs, metadata} = makePairs(normals, [], [], filterPairs, {seed, previousPairs});
+            const given = Object.fromEntries(pairs.map(pair => [pair.giver, pair.receiver]));
+            assert.notEqual(given.A3, 'A4');
+            assert.notEqual(given.A4, 'A5');
+            assert.equal(metadata.history.repeats, 1, `시드 ${seed}`);
+        }
+    });
+});
+
+describe('makePairs global 모드', () => {
+    it('모든 참가자를 하나의 사이클로 연결하고 타입 규칙은 그대로 적용', () => {
+        const normals = names('A', 4);
+        const newbies = names('N', 2);
+        const leaders = names('L', 3);
+        const {pairs, metadata} = makePairs(normals, newbies, leaders, [], {seed: 'global', mode: 'global'});
+        assert.equal(metadata.mode, 'global');
+        assert.equal(pairs.length, 9);
+
+        // 하나의 사이클: A0에서 출발해 receiver를 따라가면 9명을 모두 거쳐 돌아옴
+        const next = Object.fromEntries(pairs.map(pair => [pair.giver, pair.receiver]));
+        const visited = new Set();
+        for (let name = 'A0'; !visited.has(name); name = next[name]) visited.add(name);
+        assert.equal(visited.size, 9);
+
+        pairs.forEach(pair => {
+            assert.ok(!(pair.giverType === 'newbie' && pair.receiverType !== 'leader'));
+        });
+    });
+});
+
+describe('makePairs 여러 명에게 주는 모드', () => {
+    it('K명에게 주고 K명에게 받으며 같은 쌍이나 서로 주고받는 쌍이 없음', () => {
+        const normals = names('A', 7);
+        const {pairs} = makePairs(normals, [], [], [], {seed: 'multi', receiversPerGiver: 2});
+        assert.equal(pairs.length, 14);
+
+        const keys = new Set(pairs.map(pair => `${pair.giver}-${pair.receiver}`));
+        assert.equal(keys.size, 14);
+        pairs.forEach(pair => assert.ok(!keys.has(`${pair.receiver}-${pair.giver}`)));
+        normals.forEach(name => {
+            assert.equal(pairs.filter(pair => pair.giver === name).length, 2);
+            assert.equal(pairs.filter(pair => pair.receiver === name).length, 2);
+        });
+    });
+
+    it('인원이 2K+1명보다 적으면 불가능 에러', () => {
+        assert.throws(
+            () => makePairs(names('A', 4), [], [], [], {seed: 'few', receiversPerGiver: 2}),
+            InfeasiblePairingError
+        );
+    });
+});
+
+describe('makePairs 속성 규칙', () => {
+    const normals = ['A', 'B', 'C', 'D', 'E', 'F'];
+    const attributes = {
+        A: {team: '1', cohort: '1'}, B: {team: '1', cohort: '1'}, C: {team: '2', cohort: '1'},
+        D: {team: '2', cohort: '2'}, E: {team: '3', cohort: '2'}, F: {team: '3', cohort: '2'}
+    };
+    const cohortChanges = pairs => pairs.filter(pair => attributes[pair.giver].cohort !== attributes[pair.receiver].cohort).length;
+
+    it('attributeBan이면 같은 팀끼리는 어떤 시드로도 짝이 되지 않음', () => {
+        const rules = {types: ['normal', 'newbie', 'leader'], rules: [{kind: 'attributeBan', attribute: 'team'}]};
+        ['a', 'b', 'c', 'd'].forEach(seed => {
+            const {pairs} = makePairs(normals, [], [], [], {seed, attributes, rules});
+            assert.equal(pairs.length, 6);
+            pairs.forEach(pair => assert.notEqual(attributes[pair.giver].team, attributes[pair.receiver].team, `seed ${seed}`));
+            assert.ok(pairs[0].explanation.rulesChecked.includes('attributeBan-1'));
+        });
+    });
+
+    it('attributePreference는 금지 없이 다른 기수 쌍이 많은 배정을 고름', () => {
+        const rules = {types: ['normal', 'newbie', 'leader'], rules: [{kind: 'attributePreference', attribute: 'cohort'}]};
+        let preferred = 0;
+        let plain = 0;
+        ['a', 'b', 'c', 'd', 'e'].forEach(seed => {
+            const withPreference = makePairs(normals, [], [], [], {seed, attributes, rules});
+            assert.equal(withPreference.metadata.preferenceScore, cohortChanges(withPreference.pairs));
+            preferred += cohortChanges(withPreference.pairs);
+
+            const withoutPreference = makePairs(normals, [], [], [], {seed, attributes});
+            assert.equal(withoutPreference.metadata.preferenceScore, null);
+            plain += cohortChanges(withoutPreference.pairs);
+        });
+        assert.ok(preferred > plain, `선호 ${preferred} / 기본 ${plain}`);
+    });
+});
+
+describe('makePairs 쌍별 설명', () => {
+    const normals = ['A', 'B', 'C'];
+    const newbies = ['N1', 'N2'];
+    const leaders = ['L1', 'L2', 'L3', 'L4'];
+
+    it('쌍마다 생성 단계, 시도 횟수, 확인한 규칙을 기록', () => {
+        const {pairs} = makePairs(normals, newbies, leaders, [['A', 'B']], {seed: 'why'});
+        const firstStage = new Set(pairs.filter(pair => pair.explanation.stage === 1).flatMap(pair => [pair.giver, pair.receiver]));
+
+        pairs.forEach(pair => {
+            const {stage, stageKind, attempt, rulesChecked} = pair.explanation;
+            // newbie가 낀 쌍은 1단계(newbie + leader), normal이 낀 쌍은 2단계(normal)
+            if (pair.giverType === 'newbie' || pair.receiverType === 'newbie') assert.equal(stage, 1);
+            if (pair.giverType === 'normal' || pair.receiverType === 'normal') assert.equal(stage, 2);
+            assert.equal(stageKind, stage === 1 ? 'newbieLeader' : 'normal');
+            assert.ok(Number.isInteger(attempt) && attempt >= 1);
+            assert.deepEqual(rulesChecked, ['self', 'forbiddenPairs-1', 'typeBan-2', 'typeBan-3']);
+        });
+        assert.equal(firstStage.size, newbies.length * 2);
+    });
+
+    it('이전 회차 쌍을 넘기면 반복 규칙도 확인하고 이전 등장 횟수를 기록', () => {
+        const {pairs} = makePairs(normals, [], [], [], {seed: 'repeat', previousPairs: [['A', 'B'], ['B', 'C'], ['C', 'A']]});
+        pairs.forEach(pair => {
+            assert.ok(pair.explanation.rulesChecked.includes('repeat'));
+            assert.equal(pair.explanation.previousCount, 0);
+        });
+    });
+
+    it('newbie 사이클에 뽑히지 않고 normal 그룹으로 옮긴 leader를 metadata에 기록', () => {
+        ['a', 'b', 'c'].forEach(seed => {
+            const {pairs, metadata} = makePairs(normals, newbies, leaders, [], {seed});
+            assert.equal(metadata.movedLeaders.length, leaders.length - newbies.length);
+            const secondStage = new Set(pairs.filter(pair => pair.explanation.stage === 2).map(pair => pair.giver));
+            leaders.forEach(leader => assert.equal(secondStage.has(leader), metadata.movedLeaders.includes(leader), `seed ${seed}`));
+        });
+
+        assert.deepEqual(makePairs(normals, newbies, ['L1', 'L2'], [], {seed: 'all'}).metadata.movedLeaders, []);
+        assert.equal(makePairs(normals, newbies, leaders, [], {seed: 'global', mode: 'global'}).metadata.movedLeaders, null);
+    });
+});
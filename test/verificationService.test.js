@@ -0,0 +1,83 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {verifyAssignment} from '../src/services/verificationService.js';
+
+const roster = {normals: ['A', 'B', 'C'], newbies: ['N'], leaders: ['L1', 'L2'], filterPairs: [['A', 'C']]};
+const codes = result => result.violations.map(violation => violation.code);
+
+describe('verifyAssignment', () => {
+    it('규칙에 맞는 배정은 통과', () => {
+        // A ↔ C는 금지된 쌍, newbie는 leader와만
+        const valid = [['A', 'B'], ['B', 'C'], ['C', 'L1'], ['L1', 'N'], ['N', 'L2'], ['L2', 'A']];
+        const result = verifyAssignment(valid, roster);
+        assert.equal(result.valid, true, JSON.stringify(result.violations));
+        assert.equal(result.checkedPairs, 6);
+    });
+
+    it('본인 배정, 명단에 없는 사람, 받는 횟수 위반을 모두 보고', () => {
+        const result = verifyAssignment([['A', 'A'], ['B', 'Z']], roster);
+        assert.equal(result.valid, false);
+        assert.ok(codes(result).includes('selfPair'));
+        assert.ok(codes(result).includes('unknownParticipant'));
+        assert.ok(codes(result).includes('receiveCount'));
+    });
+
+    it('금지된 쌍과 타입 규칙 위반을 보고', () => {
+        const pairs = [['A', 'C'], ['C', 'B'], ['B', 'A'], ['N', 'L1'], ['L1', 'L2'], ['L2', 'N']];
+        const result = verifyAssignment(pairs, roster);
+        assert.equal(result.valid, false);
+        assert.ok(result.violations.some(violation => violation.code === 'forbiddenPair' && violation.giver === 'A'));
+
+        const typeResult = verifyAssignment([['A', 'N'], ['N', 'A']], {normals: ['A'], newbies: ['N'], leaders: []});
+        assert.equal(typeResult.valid, false);
+    });
+
+    it('서로 주고받는 쌍은 허용 목록에 있을 때만 통과', () => {
+        const small = {normals: ['A', 'B'], newbies: [], leaders: []};
+        assert.ok(codes(verifyAssignment([['A', 'B'], ['B', 'A']], small)).includes('mutualPair'));
+        assert.equal(verifyAssignment([['A', 'B'], ['B', 'A']], small, undefined, {allowedMutualPairs: [['A', 'B']]}).valid, true);
+    });
+
+    it('명단에 같은 이름이 여러 번 있으면 보고', () => {
+        // Map으로 합치면 A가 한 명처럼 보여 통과하므로 중복을 따로 보고해야 함
+        const duplicated = {normals: ['A', 'B', 'C'], newbies: [], leaders: ['A'], filterPairs: []};
+        const result = verifyAssignment([['A', 'B'], ['B', 'C'], ['C', 'A']], duplicated);
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.violations.map(({code, participant, actual}) => [code, participant, actual]), [['duplicateParticipant', 'A', 2]]);
+    });
+
+    describe('멘토링 배정', () => {
+        const mentoringRoster = {normals: ['A', 'B'], newbies: ['N1', 'N2', 'N3'], leaders: ['L1', 'L2'], filterPairs: []};
+        const cycle = [['A', 'L1'], ['L1', 'B'], ['B', 'L2'], ['L2', 'A']];
+
+        it('용량 안에서 newbie마다 한 명의 mentor면 통과 (newbie는 주고 받는 횟수를 확인하지 않음)', () => {
+            const mentoring = [{mentor: 'L1', mentee: 'N1'}, {mentor: 'L1', mentee: 'N2'}, {mentor: 'L2', mentee: 'N3'}];
+            const result = verifyAssignment(cycle, mentoringRoster, undefined, {mentoring, mentorCapacity: 2});
+            assert.equal(result.valid, true, JSON.stringify(result.violations));
+        });
+
+        it('용량 초과, 멘토가 없는 newbie, 명단에 없는 mentor/mentee를 보고', () => {
+            const mentoring = [
+                {mentor: 'L1', mentee: 'N1'}, {mentor: 'L1', mentee: 'N2'},
+                {mentor: 'X', mentee: 'N3'}, {mentor: 'L2', mentee: 'Y'}
+            ];
+            const result = verifyAssignment(cycle, mentoringRoster, undefined, {mentoring, mentorCapacity: {default: 1}});
+            assert.equal(result.valid, false);
+            assert.ok(result.violations.some(({code, participant, actual}) => code === 'mentorCapacity' && participant === 'L1' && actual === 2));
+            assert.deepEqual(result.violations.filter(({code}) => code === 'unknownParticipant').map(({participant}) => participant), ['X', 'Y']);
+            // N3은 명단 밖 mentor X에게라도 한 번 배정됐으므로 menteeCount는 보고하지 않음
+            assert.ok(!codes(result).includes('menteeCount'));
+
+            const missing = verifyAssignment(cycle, mentoringRoster, undefined, {mentoring: [{mentor: 'L1', mentee: 'N1'}]});
+            assert.deepEqual(missing.violations.map(({code, participant}) => [code, participant]),
+                [['menteeCount', 'N2'], ['menteeCount', 'N3']]);
+        });
+
+        it('leader가 아닌 mentor와 금지된 멘토링 쌍을 보고', () => {
+            const mentoring = [{mentor: 'A', mentee: 'N1'}, {mentor: 'L1', mentee: 'N2'}, {mentor: 'L2', mentee: 'N3'}];
+            const result = verifyAssignment(cycle, {...mentoringRoster, filterPairs: [['L2', 'N3']]}, undefined, {mentoring, mentorCapacity: 2});
+            assert.ok(result.violations.some(({code, mentor}) => code === 'mentorType' && mentor === 'A'));
+            assert.ok(result.violations.some(({code, mentor, mentee}) => code === 'forbiddenPair' && mentor === 'L2' && mentee === 'N3'));
+        });
+    });
+});